@@ -0,0 +1,233 @@
+/**
+ * American Option Pricing
+ * Cox-Ross-Rubinstein binomial tree and Bjerksund-Stensland (1993) closed-form approximation
+ * Greeks use the same units as pricingEngine.js (vega/rho per 1 point, theta per day)
+ */
+
+import { blackScholes, normCDF, DAYS_PER_YEAR, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './pricingEngine.js';
+
+export const DEFAULT_BINOMIAL_STEPS = 150;
+
+/**
+ * Intrinsic value helper
+ */
+function intrinsic(spot, strike, isCall) {
+    return Math.max(0, isCall ? spot - strike : strike - spot);
+}
+
+/**
+ * Greeks at (or past) expiry - same shape as blackScholes()
+ */
+function expiredGreeks(spot, strike, isCall) {
+    const itm = isCall ? spot > strike : spot < strike;
+    return {
+        price: intrinsic(spot, strike, isCall),
+        delta: itm ? (isCall ? 1 : -1) : 0,
+        gamma: 0,
+        vega: 0,
+        theta: 0,
+        thetaAnnual: 0,
+        rho: 0
+    };
+}
+
+/**
+ * Walk a CRR tree and return the root value plus the nodes needed for Greeks
+ */
+function crrTree({ spot, strike, timeToExpiry, iv, rate, dividendYield, type, steps, american }) {
+    const isCall = type === 'call';
+    const n = Math.max(3, Math.round(steps));
+    const dt = timeToExpiry / n;
+    const u = Math.exp(iv * Math.sqrt(dt));
+    const d = 1 / u;
+    const disc = Math.exp(-rate * dt);
+    // Clamp keeps the tree arbitrage-free for extreme carry / tiny vol inputs
+    const p = Math.min(1, Math.max(0, (Math.exp((rate - dividendYield) * dt) - d) / (u - d)));
+
+    // Node i at a given step has i down-moves: spot * u^step * (d/u)^i
+    const downRatio = d * d;
+    const pUp = disc * p;
+    const pDown = disc * (1 - p);
+
+    // Terminal payoffs
+    const values = new Float64Array(n + 1);
+    let nodeSpot = spot * Math.pow(u, n);
+    for (let i = 0; i <= n; i++) {
+        values[i] = intrinsic(nodeSpot, strike, isCall);
+        nodeSpot *= downRatio;
+    }
+
+    let step2 = null;
+    let step1 = null;
+    let topSpot = spot * Math.pow(u, n - 1);
+    for (let step = n - 1; step >= 0; step--) {
+        nodeSpot = topSpot;
+        for (let i = 0; i <= step; i++) {
+            const continuation = pUp * values[i] + pDown * values[i + 1];
+            if (american) {
+                const exercise = isCall ? nodeSpot - strike : strike - nodeSpot;
+                values[i] = exercise > continuation ? exercise : continuation;
+                nodeSpot *= downRatio;
+            } else {
+                values[i] = continuation;
+            }
+        }
+        topSpot *= d;
+        if (step === 2) step2 = [values[0], values[1], values[2]];
+        if (step === 1) step1 = [values[0], values[1]];
+    }
+
+    return { price: values[0], step1, step2, u, d, dt };
+}
+
+/**
+ * Cox-Ross-Rubinstein binomial tree pricing
+ * @param {Object} inputs - Same inputs as blackScholes() plus steps / american
+ * @param {number} inputs.steps - Tree steps (default 150)
+ * @param {boolean} inputs.american - Allow early exercise (default true)
+ * @returns {Object} {price, delta, gamma, vega, theta, thetaAnnual, rho}
+ */
+export function binomialCRR({
+    spot,
+    strike,
+    timeToExpiry,
+    iv,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    type = 'call',
+    steps = DEFAULT_BINOMIAL_STEPS,
+    american = true
+}) {
+    const isCall = type === 'call';
+    if (!(timeToExpiry > 0)) {
+        return expiredGreeks(spot, strike, isCall);
+    }
+
+    const inputs = { spot, strike, timeToExpiry, iv: Math.max(iv, 1e-4), rate, dividendYield, type, steps, american };
+    const tree = crrTree(inputs);
+    const { u, d, dt, step1, step2 } = tree;
+
+    // Delta/gamma/theta straight from the tree nodes
+    const delta = (step1[0] - step1[1]) / (spot * u - spot * d);
+    const upSpot = spot * u * u;
+    const downSpot = spot * d * d;
+    const deltaUp = (step2[0] - step2[1]) / (upSpot - spot);
+    const deltaDown = (step2[1] - step2[2]) / (spot - downSpot);
+    const gamma = (deltaUp - deltaDown) / (0.5 * (upSpot - downSpot));
+    const thetaAnnual = (step2[1] - tree.price) / (2 * dt);
+
+    // Vega and rho by central bumps of half a point each way
+    const vega = crrTree({ ...inputs, iv: inputs.iv + 0.005 }).price - crrTree({ ...inputs, iv: Math.max(1e-4, inputs.iv - 0.005) }).price;
+    const rho = crrTree({ ...inputs, rate: rate + 0.005 }).price - crrTree({ ...inputs, rate: rate - 0.005 }).price;
+
+    return {
+        price: tree.price,
+        delta,
+        gamma,
+        vega,
+        theta: thetaAnnual / DAYS_PER_YEAR,
+        thetaAnnual,
+        rho
+    };
+}
+
+/**
+ * Bjerksund-Stensland (1993) American call price with cost of carry b
+ */
+function bsCall1993(spot, strike, T, rate, carry, iv) {
+    // Without a dividend an American call is never exercised early
+    if (carry >= rate) {
+        return blackScholes({ spot, strike, timeToExpiry: T, iv, rate, dividendYield: rate - carry, type: 'call' }).price;
+    }
+
+    const sigma2 = iv * iv;
+    const beta = (0.5 - carry / sigma2) + Math.sqrt(Math.pow(carry / sigma2 - 0.5, 2) + 2 * rate / sigma2);
+    const bInfinity = beta / (beta - 1) * strike;
+    const b0 = Math.max(strike, rate / (rate - carry) * strike);
+    const hT = -(carry * T + 2 * iv * Math.sqrt(T)) * b0 / (bInfinity - b0);
+    const trigger = b0 + (bInfinity - b0) * (1 - Math.exp(hT));
+
+    if (spot >= trigger) {
+        return spot - strike;
+    }
+
+    const alpha = (trigger - strike) * Math.pow(trigger, -beta);
+    const phi = (gamma, H) => {
+        const lambda = (-rate + gamma * carry + 0.5 * gamma * (gamma - 1) * sigma2) * T;
+        const volSqrtT = iv * Math.sqrt(T);
+        const d = -(Math.log(spot / H) + (carry + (gamma - 0.5) * sigma2) * T) / volSqrtT;
+        const kappa = 2 * carry / sigma2 + (2 * gamma - 1);
+        return Math.exp(lambda) * Math.pow(spot, gamma) *
+            (normCDF(d) - Math.pow(trigger / spot, kappa) * normCDF(d - 2 * Math.log(trigger / spot) / volSqrtT));
+    };
+
+    return alpha * Math.pow(spot, beta)
+        - alpha * phi(beta, trigger)
+        + phi(1, trigger)
+        - phi(1, strike)
+        - strike * phi(0, trigger)
+        + strike * phi(0, strike);
+}
+
+/**
+ * Bjerksund-Stensland price only (puts via the put-call transformation)
+ */
+function bjerksundPrice({ spot, strike, timeToExpiry, iv, rate, dividendYield, type }) {
+    if (!(timeToExpiry > 0)) {
+        return intrinsic(spot, strike, type === 'call');
+    }
+    const sigma = Math.max(iv, 1e-4);
+    const carry = rate - dividendYield;
+    const price = type === 'call'
+        ? bsCall1993(spot, strike, timeToExpiry, rate, carry, sigma)
+        : bsCall1993(strike, spot, timeToExpiry, rate - carry, -carry, sigma);
+    // Never below intrinsic - the approximation can dip a hair under deep ITM
+    return Math.max(price, intrinsic(spot, strike, type === 'call'));
+}
+
+/**
+ * Bjerksund-Stensland (1993) closed-form American approximation
+ * Greeks by finite differences on the closed form.
+ * @param {Object} inputs - Same inputs as blackScholes()
+ * @returns {Object} {price, delta, gamma, vega, theta, thetaAnnual, rho}
+ */
+export function bjerksundStensland({
+    spot,
+    strike,
+    timeToExpiry,
+    iv,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    type = 'call'
+}) {
+    const isCall = type === 'call';
+    if (!(timeToExpiry > 0)) {
+        return expiredGreeks(spot, strike, isCall);
+    }
+
+    const inputs = { spot, strike, timeToExpiry, iv, rate, dividendYield, type };
+    const price = bjerksundPrice(inputs);
+
+    const h = spot * 0.001;
+    const up = bjerksundPrice({ ...inputs, spot: spot + h });
+    const down = bjerksundPrice({ ...inputs, spot: spot - h });
+    const delta = (up - down) / (2 * h);
+    const gamma = (up - 2 * price + down) / (h * h);
+
+    const oneDay = 1 / DAYS_PER_YEAR;
+    const tomorrow = bjerksundPrice({ ...inputs, timeToExpiry: Math.max(0, timeToExpiry - oneDay) });
+    const theta = tomorrow - price;
+
+    const vega = bjerksundPrice({ ...inputs, iv: iv + 0.005 }) - bjerksundPrice({ ...inputs, iv: Math.max(1e-4, iv - 0.005) });
+    const rho = bjerksundPrice({ ...inputs, rate: rate + 0.005 }) - bjerksundPrice({ ...inputs, rate: rate - 0.005 });
+
+    return {
+        price,
+        delta,
+        gamma,
+        vega,
+        theta,
+        thetaAnnual: theta * DAYS_PER_YEAR,
+        rho
+    };
+}
@@ -0,0 +1,318 @@
+/**
+ * Backtest Panel - Playback controls for a historical OHLC replay
+ * Load bars, pick the entry date, then play / pause / step / change speed while the book's P/L is charted bar by bar
+ */
+
+import { REPLAY_SPEEDS } from './historicalReplay.js';
+
+const ACCENT = '#ff8c00';
+
+export class BacktestPanel {
+    constructor() {
+        this.container = null;
+        this.replay = null;
+        this.plHistory = []; // P/L per bar index since entry
+        this.visible = false;
+        this.loadCallback = null;
+        this.entryCallback = null;
+        this.closeCallback = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.id = 'backtest-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 1000;
+            background: rgba(0, 0, 0, 0.9);
+            padding: 10px 12px;
+            border-radius: 8px;
+            border: 1px solid rgba(255, 140, 0, 0.4);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: white;
+            width: 420px;
+            display: none;
+        `;
+
+        const buttonStyle = `background: none; border: 1px solid ${ACCENT}; color: ${ACCENT}; border-radius: 3px; cursor: pointer; font-size: 11px; font-family: inherit; padding: 1px 6px;`;
+        const makeButton = (text, title, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.style.cssText = buttonStyle;
+            button.onclick = onClick;
+            return button;
+        };
+
+        // Header: title, load, close
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+
+        const title = document.createElement('div');
+        title.textContent = 'BACKTEST';
+        title.style.cssText = `color: ${ACCENT}; font-size: 12px; font-weight: bold; letter-spacing: 2px; flex: 1;`;
+        header.appendChild(title);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.csv,.json,text/csv,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (file && this.loadCallback) this.loadCallback(file);
+        });
+        header.appendChild(this.fileInput);
+        header.appendChild(makeButton('📂 Bars', 'Load OHLC bars (CSV: date,open,high,low,close)', () => this.fileInput.click()));
+        header.appendChild(makeButton('×', 'Close and return to live prices', () => this.hide()));
+        this.container.appendChild(header);
+
+        // Source + entry date
+        const setup = document.createElement('div');
+        setup.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px; color: #ccc;';
+        this.sourceEl = document.createElement('span');
+        this.sourceEl.style.cssText = 'flex: 1;';
+        setup.appendChild(this.sourceEl);
+
+        const entryLabel = document.createElement('span');
+        entryLabel.textContent = 'Entry';
+        setup.appendChild(entryLabel);
+        this.entryInput = document.createElement('input');
+        this.entryInput.type = 'date';
+        this.entryInput.style.cssText = 'background: rgba(255, 255, 255, 0.1); color: white; border: 1px solid #444; border-radius: 3px; font-size: 11px; font-family: inherit;';
+        this.entryInput.addEventListener('change', () => {
+            if (this.entryInput.value && this.entryCallback) this.entryCallback(this.entryInput.value);
+        });
+        setup.appendChild(this.entryInput);
+        this.container.appendChild(setup);
+
+        // Transport: rewind, step back, play/pause, step forward, speed
+        this.controlsEl = document.createElement('div');
+        this.controlsEl.style.cssText = 'display: flex; align-items: center; gap: 4px; margin-bottom: 6px;';
+        this.controlsEl.appendChild(makeButton('⏮', 'Back to entry', () => this.replay && this.replay.rewind()));
+        this.controlsEl.appendChild(makeButton('◀', 'Previous bar', () => this.replay && (this.replay.pause(), this.replay.step(-1))));
+        this.playBtn = makeButton('▶', 'Play / pause', () => this.replay && this.replay.togglePlay());
+        this.controlsEl.appendChild(this.playBtn);
+        this.controlsEl.appendChild(makeButton('▶|', 'Next bar', () => this.replay && (this.replay.pause(), this.replay.step(1))));
+
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.title = 'Bars per second';
+        this.speedSelect.style.cssText = `background: rgba(0, 0, 0, 0.6); color: ${ACCENT}; border: 1px solid ${ACCENT}; border-radius: 3px; font-size: 11px; font-family: inherit;`;
+        this.speedSelect.innerHTML = REPLAY_SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('');
+        this.speedSelect.addEventListener('change', () => {
+            if (this.replay) this.replay.setSpeed(Number(this.speedSelect.value));
+        });
+        this.controlsEl.appendChild(this.speedSelect);
+
+        this.progress = document.createElement('input');
+        this.progress.type = 'range';
+        this.progress.min = 0;
+        this.progress.value = 0;
+        this.progress.style.cssText = 'flex: 1;';
+        this.progress.addEventListener('input', () => {
+            if (!this.replay) return;
+            this.replay.pause();
+            this.replay.seek(Number(this.progress.value));
+        });
+        this.controlsEl.appendChild(this.progress);
+        this.container.appendChild(this.controlsEl);
+
+        // Current bar and P/L
+        this.barEl = document.createElement('div');
+        this.barEl.style.cssText = 'margin-bottom: 4px;';
+        this.container.appendChild(this.barEl);
+
+        // P/L since entry
+        this.chart = document.createElement('canvas');
+        this.chart.width = 396;
+        this.chart.height = 60;
+        this.chart.style.cssText = 'display: block; background: rgba(255, 255, 255, 0.03); border-radius: 3px;';
+        this.container.appendChild(this.chart);
+
+        this.summaryEl = document.createElement('div');
+        this.summaryEl.style.cssText = 'color: #888; font-size: 10px; margin-top: 4px;';
+        this.container.appendChild(this.summaryEl);
+
+        // Crash / warp events along the way
+        this.eventsEl = document.createElement('div');
+        this.eventsEl.style.cssText = 'max-height: 60px; overflow-y: auto; font-size: 10px; margin-top: 4px;';
+        this.container.appendChild(this.eventsEl);
+
+        document.body.appendChild(this.container);
+        this.setReplay(null);
+    }
+
+    /**
+     * @param {Function} callback - Called with the picked bars File
+     */
+    onLoad(callback) {
+        this.loadCallback = callback;
+    }
+
+    /**
+     * @param {Function} callback - Called with the entry date (YYYY-MM-DD)
+     */
+    onEntryDate(callback) {
+        this.entryCallback = callback;
+    }
+
+    /**
+     * @param {Function} callback - Called when the panel is closed (end the backtest)
+     */
+    onClose(callback) {
+        this.closeCallback = callback;
+    }
+
+    /**
+     * Attach a replay (or null to show the empty state)
+     * @param {HistoricalReplay|null} replay
+     */
+    setReplay(replay) {
+        this.replay = replay;
+        this.plHistory = [];
+        this.eventsEl.innerHTML = '';
+        this.controlsEl.style.opacity = replay ? '1' : '0.4';
+        this.controlsEl.style.pointerEvents = replay ? 'auto' : 'none';
+        this.entryInput.disabled = !replay;
+        this.setPlaying(false);
+
+        if (!replay) {
+            this.sourceEl.textContent = 'No bars loaded';
+            this.barEl.textContent = 'Load OHLC bars, pick the entry date, then play the trade';
+            this.summaryEl.textContent = '';
+            this.drawChart();
+            return;
+        }
+
+        const { bars } = replay;
+        this.sourceEl.textContent = `${replay.ticker} · ${bars.length} bars`;
+        this.entryInput.min = bars[0].date.slice(0, 10);
+        this.entryInput.max = bars[bars.length - 1].date.slice(0, 10);
+        this.progress.max = bars.length - 1;
+        this.speedSelect.value = String(replay.speed);
+    }
+
+    setPlaying(playing) {
+        this.playBtn.textContent = playing ? '⏸' : '▶';
+    }
+
+    /**
+     * Show a bar and the book's P/L on it
+     * @param {Object} bar - {date, open, high, low, close}
+     * @param {Object} info - {index, entryIndex, barsElapsed, daysElapsed}
+     * @param {number} pl - Book P/L on the replayed ticker at this bar
+     * @param {number} dte - Nearest DTE left in the book
+     */
+    update(bar, info, pl, dte) {
+        // Rewinding forgets the bars after the new position
+        this.plHistory.length = Math.min(this.plHistory.length, info.barsElapsed);
+        this.plHistory[info.barsElapsed] = pl;
+
+        this.entryInput.value = this.replay.entryBar.date.slice(0, 10);
+        this.progress.min = info.entryIndex;
+        this.progress.value = info.index;
+
+        const plColor = pl >= 0 ? '#00ff00' : '#ff4444';
+        this.barEl.innerHTML = `
+            <span style="color: ${ACCENT};">${bar.date}</span> T+${info.daysElapsed}d · DTE ${dte}
+            <span style="color: #aaa;">O ${bar.open.toFixed(2)} H ${bar.high.toFixed(2)} L ${bar.low.toFixed(2)}</span> C ${bar.close.toFixed(2)}
+            · P/L <span style="color: ${plColor};">${formatPL(pl)}</span>
+        `;
+
+        const peak = Math.max(...this.plHistory);
+        const trough = Math.min(...this.plHistory);
+        this.summaryEl.textContent = `Bar ${info.barsElapsed + 1}/${this.replay.bars.length - info.entryIndex} · peak ${formatPL(peak)} · trough ${formatPL(trough)}`;
+        this.drawChart();
+    }
+
+    /**
+     * Log a flight event (crash, warp) at the current bar
+     */
+    addEvent(text) {
+        const row = document.createElement('div');
+        row.textContent = this.replay ? `${this.replay.bar.date} ${text}` : text;
+        this.eventsEl.prepend(row);
+    }
+
+    clearEvents() {
+        this.eventsEl.innerHTML = '';
+    }
+
+    drawChart() {
+        const ctx = this.chart.getContext('2d');
+        const { width, height } = this.chart;
+        ctx.clearRect(0, 0, width, height);
+        if (!this.replay || this.plHistory.length === 0) return;
+
+        const totalBars = Math.max(2, this.replay.bars.length - this.replay.entryIndex);
+        const min = Math.min(0, ...this.plHistory);
+        const max = Math.max(0, ...this.plHistory);
+        const range = Math.max(1, max - min);
+        const x = (i) => (i / (totalBars - 1)) * (width - 4) + 2;
+        const y = (pl) => height - 4 - ((pl - min) / range) * (height - 8);
+
+        // Zero line
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(0, y(0));
+        ctx.lineTo(width, y(0));
+        ctx.stroke();
+
+        ctx.strokeStyle = ACCENT;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        this.plHistory.forEach((pl, i) => {
+            if (i === 0) ctx.moveTo(x(i), y(pl));
+            else ctx.lineTo(x(i), y(pl));
+        });
+        ctx.stroke();
+
+        const last = this.plHistory.length - 1;
+        ctx.fillStyle = this.plHistory[last] >= 0 ? '#00ff00' : '#ff4444';
+        ctx.beginPath();
+        ctx.arc(x(last), y(this.plHistory[last]), 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    show() {
+        this.visible = true;
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        if (!this.visible) return;
+        this.visible = false;
+        this.container.style.display = 'none';
+        if (this.closeCallback) this.closeCallback();
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
+
+/**
+ * Compact signed dollars, e.g. "+$1.2k", "-$350"
+ */
+function formatPL(value) {
+    const abs = Math.abs(value);
+    const text = abs >= 1000 ? `$${(abs / 1000).toFixed(1)}k` : `$${abs.toFixed(0)}`;
+    return value >= 0 ? `+${text}` : `-${text}`;
+}
@@ -0,0 +1,298 @@
+/**
+ * Chain Panel - Strike x expiry browser for a loaded option chain
+ * Calls | strike | puts with bid / ask / IV / delta; clicking an ask buys, clicking a bid sells
+ */
+
+const ACCENT = '#00d4ff';
+
+export class ChainPanel {
+    constructor() {
+        this.container = null;
+        this.chain = null;
+        this.spot = null;
+        this.expiry = null; // timeToExpiry of the expiry shown
+        this.visible = false;
+        this.fetchCallback = null;
+        this.fileCallback = null;
+        this.launchCallback = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.id = 'chain-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 70px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 1000;
+            background: rgba(0, 0, 0, 0.9);
+            padding: 10px 12px;
+            border-radius: 8px;
+            border: 1px solid rgba(0, 212, 255, 0.4);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: white;
+            width: 560px;
+            display: none;
+        `;
+
+        const buttonStyle = `background: none; border: 1px solid ${ACCENT}; color: ${ACCENT}; border-radius: 3px; cursor: pointer; font-size: 11px; font-family: inherit; padding: 1px 6px;`;
+        const inputStyle = 'background: rgba(255, 255, 255, 0.1); color: white; border: 1px solid #444; border-radius: 3px; font-size: 11px; font-family: inherit; padding: 1px 4px;';
+
+        // Header: title, ticker + fetch, file, quantity, close
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+
+        const title = document.createElement('div');
+        title.textContent = 'OPTION CHAIN';
+        title.style.cssText = `color: ${ACCENT}; font-size: 12px; font-weight: bold; letter-spacing: 2px; flex: 1;`;
+        header.appendChild(title);
+
+        this.tickerInput = document.createElement('input');
+        this.tickerInput.type = 'text';
+        this.tickerInput.value = 'SPY';
+        this.tickerInput.title = 'Underlying to fetch from the backend';
+        this.tickerInput.style.cssText = `${inputStyle} width: 52px; text-transform: uppercase;`;
+        this.tickerInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.requestFetch();
+        });
+        header.appendChild(this.tickerInput);
+
+        const fetchBtn = document.createElement('button');
+        fetchBtn.textContent = '⟳ Fetch';
+        fetchBtn.title = 'Load the chain from the backend';
+        fetchBtn.style.cssText = buttonStyle;
+        fetchBtn.onclick = () => this.requestFetch();
+        header.appendChild(fetchBtn);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.csv,.json,text/csv,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (file && this.fileCallback) this.fileCallback(file);
+        });
+        header.appendChild(this.fileInput);
+
+        const fileBtn = document.createElement('button');
+        fileBtn.textContent = '📂 File';
+        fileBtn.title = 'Load a broker chain export (CSV or JSON)';
+        fileBtn.style.cssText = buttonStyle;
+        fileBtn.onclick = () => this.fileInput.click();
+        header.appendChild(fileBtn);
+
+        const qtyLabel = document.createElement('span');
+        qtyLabel.textContent = 'Qty';
+        qtyLabel.style.color = '#aaa';
+        header.appendChild(qtyLabel);
+        this.qtyInput = document.createElement('input');
+        this.qtyInput.type = 'number';
+        this.qtyInput.min = 1;
+        this.qtyInput.step = 1;
+        this.qtyInput.value = 1;
+        this.qtyInput.title = 'Contracts per click';
+        this.qtyInput.style.cssText = `${inputStyle} width: 40px;`;
+        header.appendChild(this.qtyInput);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = buttonStyle;
+        closeBtn.onclick = () => this.hide();
+        header.appendChild(closeBtn);
+        this.container.appendChild(header);
+
+        // Source + expiry picker
+        const setup = document.createElement('div');
+        setup.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px; color: #ccc;';
+        this.sourceEl = document.createElement('span');
+        this.sourceEl.style.cssText = 'flex: 1;';
+        setup.appendChild(this.sourceEl);
+
+        this.expirySelect = document.createElement('select');
+        this.expirySelect.style.cssText = `background: rgba(0, 0, 0, 0.6); color: ${ACCENT}; border: 1px solid ${ACCENT}; border-radius: 3px; font-size: 11px; font-family: inherit;`;
+        this.expirySelect.addEventListener('change', () => {
+            this.expiry = Number(this.expirySelect.value);
+            this.renderTable();
+        });
+        setup.appendChild(this.expirySelect);
+        this.container.appendChild(setup);
+
+        // Quotes (one click on a bid / ask launches)
+        this.tableWrap = document.createElement('div');
+        this.tableWrap.style.cssText = 'max-height: 50vh; overflow-y: auto;';
+        this.tableWrap.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-side]');
+            if (!cell || !this.launchCallback) return;
+            const row = this.chain.rowsFor(this.expiry)[Number(cell.dataset.row)];
+            const quote = row && row[cell.dataset.type];
+            if (!quote) return;
+            const quantity = Math.max(1, Math.round(Number(this.qtyInput.value) || 1));
+            this.launchCallback(quote, cell.dataset.side, quantity);
+        });
+        this.container.appendChild(this.tableWrap);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Click an ask to buy, a bid to sell';
+        hint.style.cssText = 'color: #888; font-size: 10px; margin-top: 4px;';
+        this.container.appendChild(hint);
+
+        document.body.appendChild(this.container);
+        this.setChain(null);
+    }
+
+    /**
+     * @param {Function} callback - Called with the ticker to fetch from the backend
+     */
+    onFetch(callback) {
+        this.fetchCallback = callback;
+    }
+
+    /**
+     * @param {Function} callback - Called with the picked chain File
+     */
+    onLoadFile(callback) {
+        this.fileCallback = callback;
+    }
+
+    /**
+     * @param {Function} callback - Called with (quote, side, quantity) when a bid ('sell') or ask ('buy') is clicked
+     */
+    onLaunch(callback) {
+        this.launchCallback = callback;
+    }
+
+    /**
+     * Ticker typed in the header (used for fetches and files that don't name one)
+     */
+    get ticker() {
+        return this.tickerInput.value.trim().toUpperCase() || 'SPY';
+    }
+
+    requestFetch() {
+        if (this.fetchCallback) this.fetchCallback(this.ticker);
+    }
+
+    /**
+     * Show a chain (or null for the empty state)
+     * @param {OptionChain|null} chain
+     * @param {number} spot - Underlying price (for ITM shading)
+     */
+    setChain(chain, spot = null) {
+        this.chain = chain;
+        this.spot = spot;
+
+        if (!chain) {
+            this.sourceEl.textContent = 'No chain loaded';
+            this.expirySelect.innerHTML = '';
+            this.expirySelect.style.display = 'none';
+            this.tableWrap.innerHTML = '<div style="color: #888; padding: 8px 0;">Fetch a chain from the backend or load a broker export</div>';
+            return;
+        }
+
+        const { expiries } = chain;
+        this.tickerInput.value = chain.ticker;
+        this.sourceEl.textContent = `${chain.ticker}${spot ? ` $${spot.toFixed(2)}` : ''} · ${chain.quotes.length} quotes`;
+        this.expirySelect.style.display = '';
+        this.expirySelect.innerHTML = expiries
+            .map(({ timeToExpiry, dte, expiry }) => `<option value="${timeToExpiry}">${expiry ? `${expiry} ` : ''}(${dte}d)</option>`)
+            .join('');
+        // Keep the expiry on reload when it is still listed
+        const kept = expiries.find(({ timeToExpiry }) => timeToExpiry === this.expiry);
+        this.expiry = kept ? kept.timeToExpiry : expiries[0].timeToExpiry;
+        this.expirySelect.value = String(this.expiry);
+        this.renderTable();
+    }
+
+    /**
+     * Re-shade ITM strikes when the underlying moves
+     */
+    setSpot(spot) {
+        if (!this.chain || spot === this.spot) return;
+        this.spot = spot;
+        if (this.visible) this.renderTable();
+    }
+
+    renderTable() {
+        if (!this.chain) return;
+        const rows = this.chain.rowsFor(this.expiry);
+        const th = 'padding: 2px 4px; color: #888; font-weight: normal;';
+        const cellStyle = 'padding: 2px 4px; text-align: right;';
+        const clickStyle = `${cellStyle} cursor: pointer; text-decoration: underline dotted;`;
+
+        const side = (quote, type, index) => {
+            if (!quote) return `<td colspan="4" style="${cellStyle} color: #444; text-align: center;">-</td>`;
+            const itm = this.spot && (type === 'call' ? quote.strike < this.spot : quote.strike > this.spot);
+            const bg = itm ? 'background: rgba(0, 212, 255, 0.08);' : '';
+            const cells = [
+                `<td data-side="sell" data-type="${type}" data-row="${index}" title="Sell at the bid" style="${clickStyle} ${bg} color: #ff6666;">${formatPrice(quote.bid)}</td>`,
+                `<td data-side="buy" data-type="${type}" data-row="${index}" title="Buy at the ask" style="${clickStyle} ${bg} color: #66ff66;">${formatPrice(quote.ask)}</td>`,
+                `<td style="${cellStyle} ${bg}" title="${quote.ivSolved ? 'Solved from the mid' : 'Quoted'}">${quote.iv > 0 ? `${(quote.iv * 100).toFixed(1)}%${quote.ivSolved ? '*' : ''}` : '-'}</td>`,
+                `<td style="${cellStyle} ${bg}">${Number.isFinite(quote.delta) ? quote.delta.toFixed(2) : '-'}</td>`
+            ];
+            // Puts mirror the calls so bids sit next to the strike on both sides
+            return (type === 'call' ? cells : cells.reverse()).join('');
+        };
+
+        // Closest strike to spot marks the money line
+        const atmIndex = this.spot
+            ? rows.reduce((best, row, i) => (Math.abs(row.strike - this.spot) < Math.abs(rows[best].strike - this.spot) ? i : best), 0)
+            : -1;
+
+        this.tableWrap.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr><th colspan="4" style="${th} color: ${ACCENT};">CALLS</th><th></th><th colspan="4" style="${th} color: #ff8888;">PUTS</th></tr>
+                    <tr>
+                        <th style="${th}">Bid</th><th style="${th}">Ask</th><th style="${th}">IV</th><th style="${th}">Δ</th>
+                        <th style="${th}">Strike</th>
+                        <th style="${th}">Δ</th><th style="${th}">IV</th><th style="${th}">Ask</th><th style="${th}">Bid</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, i) => `
+                        <tr style="${i === atmIndex ? 'border-top: 1px solid rgba(255, 200, 0, 0.6);' : ''}">
+                            ${side(row.call, 'call', i)}
+                            <td style="padding: 2px 6px; text-align: center; font-weight: bold; color: ${i === atmIndex ? '#ffc800' : 'white'};">${row.strike}</td>
+                            ${side(row.put, 'put', i)}
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    show() {
+        this.visible = true;
+        this.container.style.display = 'block';
+        this.renderTable();
+    }
+
+    hide() {
+        this.visible = false;
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
+
+function formatPrice(value) {
+    return value > 0 ? value.toFixed(2) : '-';
+}
@@ -0,0 +1,542 @@
+/**
+ * Contract Grammar - Offline tokenizer and grammar for natural-language contracts
+ * "buy 2 SPY 600 calls next Friday for 5.20 debit", "sell x3 QQQ 500/490 put credit spread Dec monthly @ mid",
+ * "buy SPY 590 call, sell 2 600 calls, buy 610 call" - returns the contract, a confidence and the tokens it could not place
+ */
+
+import { buildStrategyLegs } from './strategy.js';
+import { groupPositions } from './positionImport.js';
+import { currentSession, monthlyExpiry, quarterlyExpiry, weeklyExpiry } from './exchangeCalendar.js';
+
+const SIDES = {
+    buy: 1, bought: 1, bot: 1, long: 1, bto: 1, btc: 1,
+    sell: -1, sold: -1, short: -1, write: -1, wrote: -1, sto: -1, stc: -1
+};
+const TYPES = { call: 'call', calls: 'call', put: 'put', puts: 'put' };
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const MONTHS = {
+    jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4, jun: 5, june: 5,
+    jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+const WEEKDAYS = {
+    mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5
+};
+const STRATEGY_WORDS = {
+    spread: 'vertical', vertical: 'vertical', straddle: 'straddle', strangle: 'strangle',
+    condor: 'iron_condor', ic: 'iron_condor', butterfly: 'butterfly', fly: 'butterfly', calendar: 'calendar'
+};
+const QUALIFIERS = ['bull', 'bear', 'credit', 'debit'];
+const MONTHLY_WORDS = ['monthly', 'monthlies', 'opex'];
+const QUARTERLY_WORDS = ['quarterly', 'quarterlies', 'qtrly'];
+const MID_WORDS = ['mid', 'market', 'mkt', 'mark'];
+const FILLER = [
+    'a', 'an', 'the', 'of', 'on', 'at', 'to', 'open', 'close', 'contract', 'contracts', 'lot', 'lots', 'option', 'options',
+    'with', 'expiring', 'expires', 'expire', 'exp', 'expiry', 'expiration', 'strike', 'strikes', 'for', 'in', 'premium',
+    'price', 'each', 'per', 'share', 'x', 'iron', 'and', '&', '+', '/', '|', 'then', 'plus'
+];
+const SEPARATORS = ['and', '&', '+', '/', '|', 'then', 'plus'];
+
+// Strikes each structure needs
+const STRIKE_COUNTS = { single: 1, vertical: 2, straddle: 1, strangle: 2, iron_condor: 4, butterfly: 3, calendar: 1 };
+
+/**
+ * Parse a contract without the OpenAI fallback
+ * @param {string} text - Contract text
+ * @param {Date} now - Reference date for relative expiries
+ * @returns {Object} {contract, confidence, unrecognized, missing}
+ *   contract: parser-style contract (single or strategy) or null when a required field is missing
+ *   confidence: 0-1, share of tokens the grammar placed (lowered when the ticker is a guess)
+ *   unrecognized: tokens the grammar ignored; missing: required fields it could not find
+ */
+export function parseContractGrammar(text, now = new Date()) {
+    const tokens = tokenize(text);
+    const parts = tokens.map(() => ({ kind: 'unknown' }));
+
+    for (let i = 0; i < tokens.length;) {
+        i += classify(tokens, parts, i, now);
+    }
+    const ticker = resolveTicker(tokens, parts);
+    const clauses = splitClauses(parts);
+
+    const unrecognized = tokens.filter((token, i) => parts[i].kind === 'unknown').map(token => token.text);
+    const counted = parts.filter(part => part.kind !== 'separator').length || 1;
+    let confidence = 1 - unrecognized.length / counted;
+    if (ticker && !ticker.certain) confidence *= 0.9;
+
+    const missing = [];
+    if (!ticker) missing.push('ticker');
+    const expiries = parts.filter(part => part.kind === 'expiry').map(part => part.date);
+    const shared = {
+        ticker: ticker ? ticker.symbol : null,
+        expiry: expiries[0] || null,
+        expiries,
+        raw: text
+    };
+
+    const legClauses = clauses.map(readClause).filter(clause => clause.strikes.length > 0 || clause.numbers.length > 0);
+    let contract = null;
+    if (legClauses.length > 1) {
+        contract = multiLegContract(legClauses, shared, missing);
+    } else {
+        contract = clauseContract(readClause(parts), shared, missing);
+    }
+    if (missing.length > 0) contract = null;
+
+    return {
+        contract: contract ? { ...contract, confidence: round(confidence), unrecognized } : null,
+        confidence: round(confidence),
+        unrecognized,
+        missing
+    };
+}
+
+/**
+ * Read an expiry phrase on its own ("next Friday", "Dec monthly", "3DTE", "2025-12-19")
+ * @returns {Date|null} Local-midnight date
+ */
+export function parseExpiryPhrase(text, now = new Date()) {
+    const tokens = tokenize(text);
+    const expiry = tokens.length > 0 ? readExpiry(tokens, 0, now) : null;
+    return expiry && expiry.length === tokens.length ? expiry.date : null;
+}
+
+/**
+ * Whitespace tokens with "@" and word-adjacent slashes split out; "$" and commas dropped
+ */
+function tokenize(text) {
+    return String(text ?? '')
+        .replace(/@/g, ' @ ')
+        .replace(/[,;()]/g, ' ')
+        .replace(/\/(?=[a-z])|(?<=[a-z])\//gi, ' / ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(raw => {
+            const text = raw.replace(/^\$(?=[\d.a-z])/i, '');
+            const dollar = raw.startsWith('$');
+            return { text, word: text.toLowerCase(), cashtag: dollar && /^[a-z]/i.test(text), dollar: dollar && !/^[a-z]/i.test(text) };
+        });
+}
+
+/**
+ * Label the token(s) at i
+ * @returns {number} Tokens consumed
+ */
+function classify(tokens, parts, i, now) {
+    const { word } = tokens[i];
+    const next = tokens[i + 1] ? tokens[i + 1].word : null;
+    const mark = (kind, extra = {}, length = 1) => {
+        for (let k = 0; k < length; k++) parts[i + k] = k === 0 ? { kind, ...extra } : { kind: 'filler' };
+        return length;
+    };
+
+    // Expiries first - "19 dec" and "3 days" would otherwise read as numbers
+    const expiry = readExpiry(tokens, i, now);
+    if (expiry) return mark('expiry', { date: expiry.date }, expiry.length);
+
+    // Prices: "@ 5.20", "@ mid", "for 5.20 debit", "5.20 credit", "at 5.20" / "at $5" / "at 5" after a larger number
+    const priceFollows = next !== null && (isNumber(next) || MID_WORDS.includes(next) || next === 'the' || next === 'a');
+    if (word === '@' || (word === 'for' && priceFollows) || (word === 'at' && priceFollows && atPrice(tokens, parts, i))) {
+        let k = i + 1;
+        if (tokens[k] && (tokens[k].word === 'the' || tokens[k].word === 'a')) k++;
+        const price = tokens[k] ? tokens[k].word : null;
+        if (price !== null && (isNumber(price) || MID_WORDS.includes(price))) {
+            const extra = MID_WORDS.includes(price) ? { mid: true } : { value: parseFloat(price) };
+            let length = k - i + 1;
+            const after = tokens[k + 1] ? tokens[k + 1].word : null;
+            if (after === 'debit' || after === 'credit') {
+                extra.net = after;
+                length++;
+            }
+            return mark('premium', extra, length);
+        }
+        return word === '@' ? mark('unknown') : mark('filler');
+    }
+    if (isNumber(word) && (next === 'debit' || next === 'credit')) {
+        return mark('premium', { value: parseFloat(word), net: next }, 2);
+    }
+
+    if (SIDES[word] !== undefined) return mark('side', { sign: SIDES[word] });
+
+    // Quantities: "x2", "2x", "+2" / "-1", "two", "2 contracts", "2 x"
+    let match;
+    if ((match = /^[x×](\d+)$/.exec(word)) || (match = /^(\d+)[x×]$/.exec(word))) {
+        return mark('quantity', { value: parseInt(match[1]) });
+    }
+    if (/^[+-]\d+$/.test(word)) return mark('quantity', { value: parseInt(word) });
+    if (NUMBER_WORDS[word]) return mark('quantity', { value: NUMBER_WORDS[word] });
+    if (/^\d+$/.test(word) && ['contracts', 'contract', 'lots', 'lot', 'x', '×'].includes(next)) {
+        return mark('quantity', { value: parseInt(word) });
+    }
+
+    // Strikes: "600c", "600.5p", "600/610", "580/590/610/620c"
+    if ((match = /^(\d+(?:\.\d+)?)(c|p|calls?|puts?)$/.exec(word))) {
+        return mark('strike', { value: parseFloat(match[1]), type: match[2].startsWith('c') ? 'call' : 'put' });
+    }
+    if ((match = /^(\d+(?:\.\d+)?(?:\/\d+(?:\.\d+)?)+)(c|p|calls?|puts?)?$/.exec(word))) {
+        const type = match[2] ? (match[2].startsWith('c') ? 'call' : 'put') : null;
+        return mark('strikes', { values: match[1].split('/').map(parseFloat), type });
+    }
+    if (isNumber(word)) {
+        // "605 strike" / "strike 605" name the strike outright
+        const named = next === 'strike' || (i > 0 && tokens[i - 1].word === 'strike');
+        return mark(named ? 'strike' : 'number', { value: parseFloat(word) });
+    }
+
+    if (TYPES[word]) return mark('type', { type: TYPES[word] });
+    // Lone C / P right after a number ("600 C")
+    if ((word === 'c' || word === 'p') && i > 0 && parts[i - 1].kind === 'number') {
+        return mark('type', { type: word === 'c' ? 'call' : 'put' });
+    }
+
+    if (word === 'iron' && (next === 'condor' || next === 'condors')) return mark('strategy', { strategy: 'iron_condor' }, 2);
+    const strategy = STRATEGY_WORDS[word] || STRATEGY_WORDS[word.replace(/s$/, '')] || (word === 'butterflies' ? 'butterfly' : null);
+    if (strategy) {
+        // "calendar spread" / "credit spread": the spread word only confirms the structure
+        const previous = parts.slice(0, i).reverse().find(part => part.kind === 'strategy');
+        if (strategy === 'vertical' && previous) return mark('filler');
+        return mark('strategy', { strategy });
+    }
+    if (QUALIFIERS.includes(word)) return mark('qualifier', { qualifier: word });
+
+    if (SEPARATORS.includes(word)) return mark('separator');
+    if (FILLER.includes(word)) return mark('filler');
+
+    if (/^[a-z][a-z0-9.]{0,5}$/.test(word)) return mark('candidate');
+    return mark('unknown');
+}
+
+/**
+ * Is "at N" a price rather than a strike? ("at 605 strike" never is)
+ */
+function atPrice(tokens, parts, i) {
+    const target = tokens[i + 1].word === 'the' || tokens[i + 1].word === 'a' ? tokens[i + 2] : tokens[i + 1];
+    if (!target || tokens[tokens.indexOf(target) + 1]?.word === 'strike') return false;
+    if (MID_WORDS.includes(target.word)) return true;
+    if (target.dollar || target.word.includes('.')) return true;
+    const value = parseFloat(target.word);
+    return parts.slice(0, i).some(part => part.kind === 'strike' || part.kind === 'strikes' || (part.kind === 'number' && part.value > value));
+}
+
+/**
+ * Expiry phrase starting at i
+ * @returns {Object|null} {date, length}
+ */
+function readExpiry(tokens, i, now) {
+    const word = (k) => (tokens[i + k] ? tokens[i + k].word : null);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const addDays = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    let match;
+
+    // "0dte", "3dte", "3 dte", "3d", "2w", "3 days", "in 2 weeks" (0DTE after the close is the next session)
+    if ((match = /^(\d+)(dte|d|w|wk)$/.exec(word(0)))) {
+        const days = parseInt(match[1]) * (match[2].startsWith('w') ? 7 : 1);
+        return { date: days === 0 ? currentSession(now) : addDays(days), length: 1 };
+    }
+    if (/^\d+$/.test(word(0))) {
+        const unit = word(1);
+        if (unit === 'dte') return { date: addDays(parseInt(word(0))), length: 2 };
+        if (['day', 'days', 'week', 'weeks', 'wk', 'wks'].includes(unit)) {
+            return { date: addDays(parseInt(word(0)) * (unit.startsWith('w') ? 7 : 1)), length: 2 };
+        }
+    }
+
+    if (word(0) === 'today') return { date: currentSession(now), length: 1 };
+    if (['tomorrow', 'tmrw', 'tmr'].includes(word(0))) return { date: addDays(1), length: 1 };
+
+    // ISO "2025-12-19"
+    if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(word(0)))) {
+        const date = validDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return date ? { date, length: 1 } : null;
+    }
+    // "12/19/2025", "12/19/25", "12/19" (unless it's a strike pair: "10/12 call spread")
+    if ((match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(word(0)))) {
+        const strikeWord = word(1) && (TYPES[word(1)] || STRATEGY_WORDS[word(1)] || QUALIFIERS.includes(word(1)) || ['c', 'p', 'iron'].includes(word(1)));
+        if (match[3] || !strikeWord) {
+            const month = Number(match[1]) - 1;
+            const day = Number(match[2]);
+            const date = match[3] ? validDate(fullYear(match[3]), month, day) : upcoming(month, day, today);
+            if (date) return { date, length: 1 };
+        }
+    }
+
+    // "19 dec", "19th dec 2025"
+    if ((match = /^(\d{1,2})(?:st|nd|rd|th)?$/.exec(word(0))) && MONTHS[word(1)] !== undefined) {
+        const year = yearAt(word(2));
+        const date = year ? validDate(year, MONTHS[word(1)], Number(match[1])) : upcoming(MONTHS[word(1)], Number(match[1]), today);
+        return date ? { date, length: year ? 3 : 2 } : null;
+    }
+
+    // "dec", "dec 19", "dec 19th 2025", "dec monthly", "jan 2026 monthly", "dec quarterly"
+    if (MONTHS[word(0)] !== undefined) {
+        const month = MONTHS[word(0)];
+        let length = 1;
+        let day = null;
+        const dayMatch = /^(\d{1,2})(?:st|nd|rd|th)?$/.exec(word(1) || '');
+        if (dayMatch && Number(dayMatch[1]) >= 1 && Number(dayMatch[1]) <= 31 && !['dte', 'days', 'day'].includes(word(2))) {
+            day = Number(dayMatch[1]);
+            length++;
+        }
+        const year = yearAt(word(length));
+        if (year) length++;
+        const quarterly = day === null && QUARTERLY_WORDS.includes(word(length));
+        if (quarterly || MONTHLY_WORDS.includes(word(length))) length++;
+
+        if (day !== null) {
+            const date = year ? validDate(year, month, day) : upcoming(month, day, today);
+            return date ? { date, length } : null;
+        }
+        // A month alone is its monthly (third Friday) expiry
+        const listed = quarterly ? quarterlyExpiry : monthlyExpiry;
+        let date = listed(year || today.getFullYear(), month);
+        if (!year && date < today) date = listed(today.getFullYear() + 1, month);
+        return { date, length };
+    }
+    if (MONTHLY_WORDS.includes(word(0)) || QUARTERLY_WORDS.includes(word(0))) {
+        const listed = QUARTERLY_WORDS.includes(word(0)) ? quarterlyExpiry : monthlyExpiry;
+        let date = listed(today.getFullYear(), today.getMonth());
+        if (date < today) date = listed(today.getFullYear(), today.getMonth() + (listed === quarterlyExpiry ? 3 : 1));
+        return { date, length: 1 };
+    }
+
+    // "friday" / "this friday" (the coming one, today included), "next friday" (a week after that)
+    const prefix = ['this', 'next', 'coming'].includes(word(0)) ? word(0) : null;
+    const dayWord = prefix ? word(1) : word(0);
+    if (WEEKDAYS[dayWord] !== undefined) {
+        const ahead = (WEEKDAYS[dayWord] - today.getDay() + 7) % 7;
+        return { date: addDays(ahead + (prefix === 'next' ? 7 : 0)), length: prefix ? 2 : 1 };
+    }
+    // "weekly", "this week", "next week", "eow": that week's Friday (Thursday in a Good Friday week)
+    if (['weekly', 'weeklies', 'wkly', 'eow'].includes(word(0)) || (prefix && ['week', 'weeks', 'weekly'].includes(word(1)))) {
+        let date = weeklyExpiry(addDays(prefix === 'next' ? 7 : 0));
+        if (date < today) date = weeklyExpiry(addDays(7));
+        return { date, length: prefix ? 2 : 1 };
+    }
+
+    return null;
+}
+
+/**
+ * The ticker: a cashtag or the word after "on", then an upper-cased word, else the first word the grammar doesn't know
+ * @returns {Object|null} {symbol, certain}
+ */
+function resolveTicker(tokens, parts) {
+    const candidates = parts.map((part, i) => i).filter(i => parts[i].kind === 'candidate');
+    if (candidates.length === 0) return null;
+
+    const score = (i) => {
+        const { text, cashtag } = tokens[i];
+        if (cashtag || (i > 0 && tokens[i - 1].word === 'on')) return 3;
+        if (text === text.toUpperCase()) return text.length > 1 ? 2 : 1; // "I want..." shouldn't beat "SPY"
+        return 0;
+    };
+    const chosen = candidates.reduce((best, i) => (score(i) > score(best) ? i : best), candidates[0]);
+    const symbol = tokens[chosen].text.toUpperCase();
+    // Leg-by-leg input repeats the ticker ("buy SPY 600 call and sell SPY 610 call"); only other words are unknown
+    candidates.forEach(i => {
+        parts[i] = tokens[i].text.toUpperCase() === symbol ? { kind: 'ticker' } : { kind: 'unknown' };
+    });
+    return { symbol, certain: score(chosen) >= 2 };
+}
+
+/**
+ * One clause per leg: a side word or separator after a strike starts the next leg
+ */
+function splitClauses(parts) {
+    const clauses = [[]];
+    parts.forEach(part => {
+        const current = clauses[clauses.length - 1];
+        const hasStrike = current.some(p => ['strike', 'strikes', 'number'].includes(p.kind));
+        if (hasStrike && (part.kind === 'side' || part.kind === 'separator')) {
+            clauses.push([]);
+        }
+        clauses[clauses.length - 1].push(part);
+    });
+    return clauses;
+}
+
+/**
+ * Slots of a clause
+ */
+function readClause(parts) {
+    const find = (kind) => parts.find(part => part.kind === kind);
+    const strikes = [];
+    parts.forEach(part => {
+        if (part.kind === 'strike') strikes.push(part.value);
+        if (part.kind === 'strikes') strikes.push(...part.values);
+    });
+    const typed = parts.find(part => (part.kind === 'strike' || part.kind === 'strikes' || part.kind === 'type') && part.type);
+
+    return {
+        side: find('side')?.sign ?? null,
+        quantity: find('quantity')?.value ?? null,
+        strikes,
+        numbers: parts.filter(part => part.kind === 'number').map(part => part.value),
+        type: typed ? typed.type : null,
+        strategy: find('strategy')?.strategy ?? null,
+        qualifiers: parts.filter(part => part.kind === 'qualifier').map(part => part.qualifier),
+        premium: find('premium') || null
+    };
+}
+
+/**
+ * Strikes for a clause: named strikes, then bare numbers
+ * With one number too many, a leading integer below every strike is the quantity ("2 SPY 600 calls").
+ */
+function clauseStrikes(clause, needed) {
+    let { quantity } = clause;
+    const numbers = [...clause.numbers];
+    if (quantity === null && clause.strikes.length + numbers.length > needed && Number.isInteger(numbers[0])
+        && [...clause.strikes, ...numbers.slice(1)].every(strike => strike > numbers[0])) {
+        quantity = numbers.shift();
+    }
+    return { strikes: [...clause.strikes, ...numbers], quantity };
+}
+
+/**
+ * Single option or a named structure from one clause
+ */
+function clauseContract(clause, shared, missing) {
+    const kind = clause.strategy || 'single';
+    const { strikes, quantity } = clauseStrikes(clause, STRIKE_COUNTS[kind]);
+    const size = Math.abs(quantity ?? 1) || 1;
+    const sign = quantity !== null && quantity < 0 ? -1 : 1;
+    const premium = clause.premium && !clause.premium.mid ? clause.premium.value : null;
+    const net = clause.premium?.net || clause.qualifiers.find(q => q === 'credit' || q === 'debit') || null;
+    const common = {
+        ticker: shared.ticker,
+        expiry: shared.expiry,
+        premium,
+        ...(clause.premium?.mid ? { premiumAt: 'mid' } : {}),
+        raw: shared.raw
+    };
+
+    if (strikes.length !== STRIKE_COUNTS[kind]) {
+        missing.push(kind === 'single' ? 'strike' : `${STRIKE_COUNTS[kind]} strikes`);
+        return null;
+    }
+
+    if (kind === 'single') {
+        if (!clause.type) {
+            missing.push('type');
+            return null;
+        }
+        // Credit without a side is a sale
+        const direction = clause.side ?? (net === 'credit' ? -1 : sign);
+        return { quantity: size * direction, strike: strikes[0], type: clause.type, ...common };
+    }
+
+    const type = clause.type || 'call';
+    let spec = { strikes, type };
+    let direction = clause.side ?? sign;
+    if (kind === 'vertical') {
+        // Bull / bear / credit / debit pick the long strike; otherwise the first strike is long
+        const qualifier = clause.qualifiers.find(q => q === 'bull' || q === 'bear') || net;
+        if (qualifier) {
+            const [low, high] = [...strikes].sort((a, b) => a - b);
+            const longLow = { bull: type === 'call', bear: type === 'put', debit: type === 'call', credit: type === 'put' }[qualifier];
+            spec = { strikes: longLow ? [low, high] : [high, low], type };
+            direction = 1;
+        }
+    } else if (kind === 'iron_condor') {
+        // The condor legs are the credit (sold) condor
+        direction = clause.side !== null ? -clause.side : (net === 'debit' ? -1 : 1);
+    } else if (clause.side === null && net === 'credit') {
+        direction = -1;
+    }
+    if (kind === 'calendar') {
+        const expiries = [...shared.expiries].sort((a, b) => a - b);
+        if (expiries.length < 2) {
+            missing.push('near and far expiry');
+            return null;
+        }
+        spec.expiries = expiries.slice(0, 2);
+    }
+
+    const legs = buildStrategyLegs(kind, { ...spec, expiries: spec.expiries || [shared.expiry] });
+    return {
+        strategy: kind,
+        quantity: size * direction,
+        legs,
+        ...common,
+        strike: legs[0].strike,
+        type: legs[0].type,
+        expiry: spec.expiries ? spec.expiries[0] : shared.expiry
+    };
+}
+
+/**
+ * Leg-by-leg phrasing ("buy 600 call and sell 610 call") grouped into one structure
+ */
+function multiLegContract(clauses, shared, missing) {
+    const positions = [];
+    for (const clause of clauses) {
+        const { strikes, quantity } = clauseStrikes(clause, 1);
+        if (strikes.length !== 1 || !clause.type) {
+            missing.push('strike and type for every leg');
+            return null;
+        }
+        const size = Math.abs(quantity ?? 1) || 1;
+        positions.push({
+            ticker: shared.ticker,
+            type: clause.type,
+            strike: strikes[0],
+            expiry: shared.expiry,
+            quantity: size * (clause.side ?? (quantity !== null && quantity < 0 ? -1 : 1)),
+            premium: clause.premium && !clause.premium.mid ? clause.premium.value : null,
+            raw: shared.raw
+        });
+    }
+
+    const grouped = groupPositions(positions);
+    if (grouped.length !== 1 || !grouped[0].legs) {
+        missing.push('legs that form a supported strategy');
+        return null;
+    }
+
+    // One price for the whole structure is its net debit / credit
+    const prices = clauses.filter(clause => clause.premium);
+    const contract = { ...grouped[0], raw: shared.raw };
+    if (prices.length === 1 && prices.length < clauses.length) {
+        contract.premium = prices[0].premium.mid ? null : prices[0].premium.value;
+        contract.legs = contract.legs.map(({ premium, ...leg }) => leg);
+    }
+    if (prices.some(clause => clause.premium.mid)) contract.premiumAt = 'mid';
+    return contract;
+}
+
+function isNumber(word) {
+    return /^\d+(?:\.\d+)?$/.test(word) || /^\.\d+$/.test(word);
+}
+
+function yearAt(word) {
+    if (!word) return null;
+    if (/^20\d{2}$/.test(word)) return Number(word);
+    if (/^'\d{2}$/.test(word)) return 2000 + Number(word.slice(1));
+    return null;
+}
+
+function fullYear(year) {
+    return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Local-midnight date, null for impossible days
+ */
+function validDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === ((month % 12) + 12) % 12 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Month / day without a year: this year, or next year once it has passed
+ */
+function upcoming(month, day, today) {
+    const date = validDate(today.getFullYear(), month, day);
+    if (!date) return null;
+    return date < today ? validDate(today.getFullYear() + 1, month, day) : date;
+}
+
+function round(value) {
+    return Math.round(Math.max(0, value) * 100) / 100;
+}
@@ -1,9 +1,117 @@
 /**
  * Contract Parser - Natural Language to Structured Contract Data
- * Uses OpenAI API to parse contract strings like "2 SPY 600C Dec 20 @ 5.20"
+ * Regex patterns and an offline grammar first; an LLM provider (server proxy or local model) only for text the grammar isn't confident about
+ * Multi-leg strategies ("SPY 600/610 call spread") come back with a `legs` array
  */
 
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
+import { buildStrategyLegs } from './strategy.js';
+import { parseOCCSymbol } from './occSymbol.js';
+import { parseContractGrammar, parseExpiryPhrase } from './contractGrammar.js';
+import { createParserProvider } from './parserProviders.js';
+import { currentSession, defaultExpiry, daysToExpiry, marketDate } from './exchangeCalendar.js';
+
+// Grammar results at or above this confidence skip the LLM provider even when one is configured
+const GRAMMAR_MIN_CONFIDENCE = 0.8;
+
+let parserProvider = undefined; // Created on first use from the build env / saved settings
+
+if (import.meta.env.VITE_OPENAI_API_KEY) {
+    console.warn('⚠️ VITE_OPENAI_API_KEY is no longer used - VITE_ variables ship in the browser bundle. Move the key to the parse proxy (VITE_PARSER_PROVIDER=proxy).');
+}
+
+/**
+ * LLM provider for free-form text
+ * Build env: VITE_PARSER_PROVIDER (proxy | compatible | none), VITE_PARSER_PROXY_URL, VITE_PARSER_BASE_URL, VITE_PARSER_MODEL;
+ * localStorage 'optionaut-parser' ({kind, url, baseUrl, model, responseFormat}) overrides it without a rebuild.
+ * @returns {ContractParserProvider|null} null when parsing is offline only
+ */
+export function getParserProvider() {
+    if (parserProvider === undefined) {
+        const env = import.meta.env;
+        let settings = {
+            kind: env.VITE_PARSER_PROVIDER || 'none',
+            url: env.VITE_PARSER_PROXY_URL,
+            baseUrl: env.VITE_PARSER_BASE_URL,
+            model: env.VITE_PARSER_MODEL
+        };
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem('optionaut-parser') : null;
+            if (saved) settings = { ...settings, ...JSON.parse(saved) };
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable parser settings:', error.message);
+        }
+        try {
+            parserProvider = createParserProvider(settings.kind, settings);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message} - parsing offline only`);
+            parserProvider = null;
+        }
+        if (parserProvider) {
+            console.log(`🧠 Contract parser provider: ${parserProvider.label} (${parserProvider.endpoint})`);
+        }
+    }
+    return parserProvider;
+}
+
+/**
+ * Swap the LLM provider (null = offline grammar only)
+ * @param {ContractParserProvider|null} provider
+ */
+export function setParserProvider(provider) {
+    parserProvider = provider;
+}
+
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const HEAD = '^([+-]?\\d+)?\\s*([A-Z]+)\\s+';
+const TAIL = '(?:\\s+([^@]+?))?(?:\\s+@\\s*(\\d+(?:\\.\\d+)?))?$';
+
+/**
+ * Multi-leg strategy patterns. Each match yields [quantity, ticker, ...body, expiry, premium];
+ * `build` turns the body captures into {strikes, type, expiries}.
+ */
+const STRATEGY_PATTERNS = [
+    {
+        // "SPY 600/610 CALL SPREAD DEC 20 @ 4.50"
+        kind: 'vertical',
+        pattern: new RegExp(`${HEAD}${NUM}/${NUM}\\s*(CALL|PUT|C|P)\\s+(?:SPREAD|VERTICAL(?:\\s+SPREAD)?)${TAIL}`),
+        build: ([low, high, type]) => ({ strikes: [parseFloat(low), parseFloat(high)], type: optionType(type) })
+    },
+    {
+        // "SPY 600 STRADDLE"
+        kind: 'straddle',
+        pattern: new RegExp(`${HEAD}${NUM}\\s+STRADDLE${TAIL}`),
+        build: ([strike]) => ({ strikes: [parseFloat(strike)] })
+    },
+    {
+        // "SPY 590/610 STRANGLE"
+        kind: 'strangle',
+        pattern: new RegExp(`${HEAD}${NUM}/${NUM}\\s+STRANGLE${TAIL}`),
+        build: ([a, b]) => ({ strikes: [parseFloat(a), parseFloat(b)] })
+    },
+    {
+        // "SPY 580/590/610/620 IRON CONDOR @ 2.00"
+        kind: 'iron_condor',
+        pattern: new RegExp(`${HEAD}${NUM}/${NUM}/${NUM}/${NUM}\\s+(?:IRON\\s+CONDOR|IC)${TAIL}`),
+        build: (strikes) => ({ strikes: strikes.map(parseFloat) })
+    },
+    {
+        // "SPY 590/600/610 CALL BUTTERFLY" (type defaults to call)
+        kind: 'butterfly',
+        pattern: new RegExp(`${HEAD}${NUM}/${NUM}/${NUM}\\s*(?:(CALL|PUT|C|P)\\s+)?(?:BUTTERFLY|FLY)${TAIL}`),
+        build: ([a, b, c, type]) => ({ strikes: [a, b, c].map(parseFloat), type: optionType(type) })
+    },
+    {
+        // "SPY 600C DEC 20/JAN 17 CALENDAR @ 4.00" (near/far expiry)
+        kind: 'calendar',
+        pattern: new RegExp(`${HEAD}${NUM}\\s*(CALL|PUT|C|P)?\\s+(.+?)/(.+?)\\s+CALENDAR(?:\\s+SPREAD)?(?:\\s+@\\s*(\\d+(?:\\.\\d+)?))?$`),
+        build: ([strike, type, near, far]) => ({
+            strikes: [parseFloat(strike)],
+            type: optionType(type),
+            expiries: [parseExpiry(near), parseExpiry(far)]
+        }),
+        ownsExpiry: true
+    }
+];
 
 /**
  * Parse a natural language contract string into structured data
@@ -22,16 +130,33 @@ export async function parseContract(text) {
         return regexResult;
     }
 
-    // Fall back to OpenAI for complex inputs
-    if (!OPENAI_API_KEY) {
-        throw new Error('OpenAI API key not configured. Set VITE_OPENAI_API_KEY in .env file');
+    // Offline grammar: buy/sell, "x2", "next Friday", "@ mid", leg-by-leg strategies...
+    const grammar = parseContractGrammar(text);
+    const provider = getParserProvider();
+    if (grammar.contract && (grammar.confidence >= GRAMMAR_MIN_CONFIDENCE || !provider)) {
+        console.log(`✅ Parsed with grammar (${Math.round(grammar.confidence * 100)}% confidence):`, grammar.contract);
+        return grammar.contract;
+    }
+
+    // Fall back to the LLM provider for complex inputs
+    if (!provider) {
+        const problems = [
+            grammar.missing.length > 0 ? `missing ${grammar.missing.join(', ')}` : null,
+            grammar.unrecognized.length > 0 ? `didn't understand "${grammar.unrecognized.join('", "')}"` : null
+        ].filter(Boolean);
+        throw new Error(`Could not parse contract offline (${problems.join('; ')}). Configure a parser provider (VITE_PARSER_PROVIDER) for free-form text`);
     }
 
     try {
-        const result = await parseWithOpenAI(text);
-        console.log('✅ Parsed with OpenAI:', result);
+        const result = await provider.parse(text);
+        console.log(`✅ Parsed with ${provider.label}:`, result);
         return result;
     } catch (error) {
+        // A low-confidence grammar read beats no contract when the provider is down
+        if (grammar.contract) {
+            console.warn(`⚠️ ${provider.label} failed (${error.message}) - using the offline grammar`);
+            return grammar.contract;
+        }
         console.error('❌ Parse error:', error);
         throw new Error(`Failed to parse contract: ${error.message}`);
     }
@@ -46,8 +171,21 @@ function tryRegexParse(text) {
     // Pattern: "2 SPY 600C Dec 20 @ 5.20"
     // Pattern: "-1 QQQ 500P 0DTE"
     // Pattern: "SPY 600/610 call spread"
+    // Pattern: "-2 SPY   251220C00600000 @ 5.20" / ".SPY251220C600"
+
+    const normalized = text.trim().toUpperCase().replace(/\s+/g, ' ');
 
-    const normalized = text.trim().toUpperCase();
+    // Option symbols pasted from brokers and risk systems
+    const occ = tryOCCParse(normalized, text);
+    if (occ) {
+        return occ;
+    }
+
+    // Multi-leg strategies first - the standard pattern would swallow "600/610 ..." as an expiry
+    const strategy = tryStrategyParse(normalized, text);
+    if (strategy) {
+        return strategy;
+    }
 
     // Pattern 1: Standard format with all details
     // Example: "2 SPY 600C DEC 20 @ 5.20" or "-1 QQQ 500P 0DTE @ 2.50"
@@ -56,13 +194,17 @@ function tryRegexParse(text) {
 
     if (match) {
         const [, quantity, ticker, strike, type, expiryStr, premium] = match;
+        const expiry = parseExpiry(expiryStr);
+        if (!expiry) {
+            return null; // "next friday", "x2"... are the grammar's
+        }
 
         return {
             quantity: parseInt(quantity),
             ticker: ticker,
             strike: parseFloat(strike),
             type: type === 'C' ? 'call' : 'put',
-            expiry: parseExpiry(expiryStr),
+            expiry: expiry,
             premium: premium ? parseFloat(premium) : null,
             raw: text
         };
@@ -90,6 +232,72 @@ function tryRegexParse(text) {
     return null; // No regex match, will try OpenAI
 }
 
+/**
+ * Try an OCC or dotted option symbol with an optional leading quantity and trailing "@ premium"
+ * @param {string} normalized - Upper-cased contract text
+ * @param {string} raw - Original text
+ * @returns {Object|null} Parsed data or null if it isn't an option symbol
+ */
+function tryOCCParse(normalized, raw) {
+    const match = /^(?:([+-]?\d+)\s+)?(.+?)(?:\s*@\s*(\d+(?:\.\d+)?))?$/.exec(normalized);
+    if (!match) return null;
+
+    const [, quantity, symbol, premium] = match;
+    const option = parseOCCSymbol(symbol);
+    if (!option) return null;
+
+    return {
+        quantity: quantity ? parseInt(quantity) : 1,
+        ...option,
+        premium: premium ? parseFloat(premium) : null,
+        raw: raw
+    };
+}
+
+/**
+ * Try the multi-leg strategy patterns
+ * @param {string} normalized - Upper-cased contract text
+ * @param {string} raw - Original text
+ * @returns {Object|null} Strategy contract {strategy, quantity, ticker, legs, expiry, premium, raw} or null
+ */
+function tryStrategyParse(normalized, raw) {
+    for (const { kind, pattern, build, ownsExpiry } of STRATEGY_PATTERNS) {
+        const match = pattern.exec(normalized);
+        if (!match) continue;
+
+        const [, quantity, ticker, ...rest] = match;
+        const premium = rest.pop();
+        const expiryStr = ownsExpiry ? null : rest.pop();
+        const spec = build(rest);
+        const expiry = ownsExpiry ? spec.expiries[0] : parseExpiry(expiryStr);
+        if ((ownsExpiry && spec.expiries.includes(null)) || (expiryStr && !expiry)) {
+            return null; // Expiry wording the grammar may still read
+        }
+        const legs = buildStrategyLegs(kind, { ...spec, expiries: spec.expiries || [expiry] });
+
+        return {
+            strategy: kind,
+            quantity: quantity ? parseInt(quantity) : 1,
+            ticker: ticker,
+            legs: legs,
+            // Lead leg keeps single-contract consumers (labels, validation) working
+            strike: legs[0].strike,
+            type: legs[0].type,
+            expiry: expiry,
+            premium: premium ? parseFloat(premium) : null, // Net debit/credit per share
+            raw: raw
+        };
+    }
+    return null;
+}
+
+/**
+ * Normalize C/P/CALL/PUT to 'call' | 'put' (defaults to call)
+ */
+function optionType(token) {
+    return token && token.startsWith('P') ? 'put' : 'call';
+}
+
 /**
  * Parse expiry string to Date object
  * @param {string} expiryStr - Expiry string (e.g., "DEC 20", "0DTE", "12/20/24")
@@ -100,9 +308,9 @@ function parseExpiry(expiryStr) {
 
     const normalized = expiryStr.trim().toUpperCase();
 
-    // Handle 0DTE (same day expiry)
+    // Handle 0DTE (today's session, or the next one once the market has closed)
     if (normalized === '0DTE') {
-        return new Date(); // Today
+        return currentSession();
     }
 
     // Handle month abbreviations (DEC 20, JAN 15, etc.)
@@ -116,17 +324,24 @@ function parseExpiry(expiryStr) {
             JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11
         };
 
-        const currentYear = new Date().getFullYear();
-        const date = new Date(currentYear, monthMap[month], parseInt(day));
+        // Today is the exchange's (ET) date, wherever the browser is
+        const today = marketDate();
+        const date = new Date(today.getFullYear(), monthMap[month], parseInt(day));
 
-        // If date is in the past, assume next year
-        if (date < new Date()) {
-            date.setFullYear(currentYear + 1);
+        // If date is before today, assume next year (today's date is a 0DTE expiry)
+        if (date < today) {
+            date.setFullYear(today.getFullYear() + 1);
         }
 
         return date;
     }
 
+    // "next friday", "dec monthly", "3dte", "2025-12-19"...
+    const phrase = parseExpiryPhrase(normalized);
+    if (phrase) {
+        return phrase;
+    }
+
     // Try parsing as standard date
     const date = new Date(expiryStr);
     if (!isNaN(date.getTime())) {
@@ -136,93 +351,15 @@ function parseExpiry(expiryStr) {
     return null;
 }
 
-/**
- * Parse contract using OpenAI API
- * @param {string} text - Contract text
- * @returns {Promise<Object>} Parsed contract data
- */
-async function parseWithOpenAI(text) {
-    const prompt = `Parse this options contract description into JSON format. Extract:
-- quantity (number, can be negative for short positions)
-- ticker (stock symbol)
-- strike (strike price as number)
-- type ("call" or "put")
-- expiry (date string in ISO format, or null if not specified)
-- premium (entry price as number, or null if not specified)
-
-Contract: "${text}"
-
-Respond with ONLY valid JSON, no other text.`;
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a financial options contract parser. Always respond with valid JSON only.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0,
-            max_tokens: 200
-        })
-    });
-
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`OpenAI API error: ${response.status} - ${error}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices[0].message.content.trim();
-
-    // Parse JSON response
-    let parsed;
-    try {
-        parsed = JSON.parse(content);
-    } catch (e) {
-        throw new Error(`Invalid JSON response from OpenAI: ${content}`);
-    }
-
-    // Validate required fields
-    if (!parsed.ticker || !parsed.strike || !parsed.type) {
-        throw new Error('Missing required fields in parsed contract');
-    }
-
-    // Normalize and validate
-    return {
-        quantity: parsed.quantity || 1,
-        ticker: parsed.ticker.toUpperCase(),
-        strike: parseFloat(parsed.strike),
-        type: parsed.type.toLowerCase(),
-        expiry: parsed.expiry ? new Date(parsed.expiry) : null,
-        premium: parsed.premium ? parseFloat(parsed.premium) : null,
-        raw: text
-    };
-}
-
 /**
  * Calculate days to expiry from a date
- * @param {Date|null} expiryDate - Expiration date
- * @returns {number} Days to expiry (0 if null or past)
+ * Counts to the 4:00pm ET close of the listed expiry session, so expiry day is a fraction of a day.
+ * @param {Date|null} expiryDate - Expiration date (null = the weekly a week out)
+ * @param {Date} now - Valuation time
+ * @returns {number} Fractional calendar days to expiry (0 once expired)
  */
-export function calculateDTE(expiryDate) {
-    if (!expiryDate) return 7; // Default 7 days if not specified
-
-    const now = new Date();
-    const diffTime = expiryDate - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-    return Math.max(0, diffDays);
+export function calculateDTE(expiryDate, now = new Date()) {
+    return daysToExpiry(expiryDate || defaultExpiry(now), now);
 }
 
 /**
@@ -251,5 +388,38 @@ export function validateContract(contract) {
         return false;
     }
 
+    // "0 SPY 600C" must not quietly launch as a 1-lot
+    if (contract.quantity !== undefined && (!Number.isInteger(contract.quantity) || contract.quantity === 0)) {
+        console.error(`Invalid quantity: ${contract.quantity} (must be a whole, non-zero number of contracts)`);
+        return false;
+    }
+
+    // Multi-leg strategies: every leg must be a valid option and strikes must be distinct
+    if (contract.legs) {
+        if (contract.legs.length === 0) {
+            console.error('Strategy has no legs');
+            return false;
+        }
+        for (const leg of contract.legs) {
+            if (!leg || (leg.type !== 'call' && leg.type !== 'put') || !(leg.strike > 0) || !Number.isInteger(leg.quantity) || leg.quantity === 0) {
+                console.error('Invalid strategy leg:', leg);
+                return false;
+            }
+        }
+        const uniqueStrikes = new Set(contract.legs.map(leg => leg.strike)).size;
+        const expected = { vertical: 2, strangle: 2, iron_condor: 4, butterfly: 3 }[contract.strategy];
+        if (expected && uniqueStrikes !== expected) {
+            console.error(`${contract.strategy} needs ${expected} distinct strikes`);
+            return false;
+        }
+        if (contract.strategy === 'calendar') {
+            const [near, far] = contract.legs.map(leg => leg.expiry);
+            if (!near || !far || far <= near) {
+                console.error('Calendar needs a near and a later far expiry');
+                return false;
+            }
+        }
+    }
+
     return true;
 }
@@ -0,0 +1,307 @@
+/**
+ * Exchange Calendar - US listed-option trading days, holidays, session closes and expiry rules
+ * Options expire at the 4:00pm ET close (1:00pm on early-close days); an expiry that lands on a
+ * weekend or market holiday moves back to the previous trading day.
+ */
+
+import { DAYS_PER_YEAR } from './pricingEngine.js';
+
+export const MARKET_CLOSE_HOUR = 16; // 4:00pm ET
+export const EARLY_CLOSE_HOUR = 13; // 1:00pm ET (July 3rd, day after Thanksgiving, Christmas Eve)
+
+const MS_PER_HOUR = 3600000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MS_PER_YEAR = DAYS_PER_YEAR * MS_PER_DAY;
+
+const calendarCache = new Map(); // year -> {holidays, earlyCloses}
+
+/**
+ * Name of the market holiday on a date, null on a normal weekday or weekend
+ * @param {Date} date - Calendar date (local fields)
+ * @returns {string|null}
+ */
+export function marketHoliday(date) {
+    return calendarFor(date.getFullYear()).holidays.get(dateKey(date)) || null;
+}
+
+/**
+ * @param {Date} date - Calendar date (local fields)
+ * @returns {boolean} True on weekdays the exchange is open
+ */
+export function isTradingDay(date) {
+    const day = date.getDay();
+    return day !== 0 && day !== 6 && !marketHoliday(date);
+}
+
+/**
+ * @param {Date} date - Calendar date (local fields)
+ * @returns {boolean} True when the session closes at 1:00pm ET
+ */
+export function isEarlyClose(date) {
+    return isTradingDay(date) && calendarFor(date.getFullYear()).earlyCloses.has(dateKey(date));
+}
+
+/**
+ * @param {Date} date - Calendar date
+ * @returns {Date} Last trading day strictly before the date (local midnight)
+ */
+export function previousTradingDay(date) {
+    let day = addDays(date, -1);
+    while (!isTradingDay(day)) day = addDays(day, -1);
+    return day;
+}
+
+/**
+ * @param {Date} date - Calendar date
+ * @returns {Date} First trading day strictly after the date (local midnight)
+ */
+export function nextTradingDay(date) {
+    let day = addDays(date, 1);
+    while (!isTradingDay(day)) day = addDays(day, 1);
+    return day;
+}
+
+/**
+ * Instant a session closes (4:00pm ET, 1:00pm ET on early closes)
+ * @param {Date} date - Calendar date (local fields)
+ * @returns {Date}
+ */
+export function sessionClose(date) {
+    const hour = isEarlyClose(date) ? EARLY_CLOSE_HOUR : MARKET_CLOSE_HOUR;
+    const offset = easternOffsetHours(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12));
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hour - offset));
+}
+
+/**
+ * Calendar date in New York at an instant (the browser may sit in any time zone)
+ * @param {Date} now
+ * @returns {Date} Local-midnight date carrying the ET year/month/day
+ */
+export function marketDate(now = new Date()) {
+    const shifted = new Date(now.getTime() + easternOffsetHours(now.getTime()) * MS_PER_HOUR);
+    return new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+}
+
+/**
+ * The session a 0DTE contract trades in: today until the close, then the next trading day
+ * @param {Date} now
+ * @returns {Date} Local-midnight date
+ */
+export function currentSession(now = new Date()) {
+    const today = marketDate(now);
+    return isTradingDay(today) && now < sessionClose(today) ? today : nextTradingDay(today);
+}
+
+/**
+ * Listed expiry session for a nominal expiry date (weekend / holiday expiries move back a day)
+ * @param {Date} expiry - Expiry date (local fields; any time of day is ignored)
+ * @returns {Date} Local-midnight date
+ */
+export function expirySession(expiry) {
+    const date = new Date(expiry.getFullYear(), expiry.getMonth(), expiry.getDate());
+    return isTradingDay(date) ? date : previousTradingDay(date);
+}
+
+/**
+ * Instant an option with this expiry stops trading
+ * @param {Date} expiry - Expiry date
+ * @returns {Date}
+ */
+export function expiryClose(expiry) {
+    return sessionClose(expirySession(expiry));
+}
+
+/**
+ * Standard monthly expiry: third Friday of the month
+ * @param {number} year
+ * @param {number} month - 0-11 (overflow rolls into the next year)
+ * @returns {Date} Local-midnight date
+ */
+export function monthlyExpiry(year, month) {
+    const first = new Date(year, month, 1);
+    const thirdFriday = new Date(first.getFullYear(), first.getMonth(), 1 + ((5 - first.getDay() + 7) % 7) + 14);
+    return expirySession(thirdFriday);
+}
+
+/**
+ * Standard weekly expiry: the Friday on or after the date
+ * @param {Date} date
+ * @returns {Date} Local-midnight date
+ */
+export function weeklyExpiry(date) {
+    return expirySession(addDays(date, (5 - date.getDay() + 7) % 7));
+}
+
+/**
+ * Quarterly expiry: last trading day of the quarter the month falls in
+ * @param {number} year
+ * @param {number} month - 0-11, any month of the quarter
+ * @returns {Date} Local-midnight date
+ */
+export function quarterlyExpiry(year, month) {
+    const first = new Date(year, month, 1);
+    const quarterEnd = Math.floor(first.getMonth() / 3) * 3 + 2;
+    return expirySession(new Date(first.getFullYear(), quarterEnd + 1, 0));
+}
+
+/**
+ * Expiry used when a contract doesn't name one: the weekly a week out
+ * @param {Date} now
+ * @returns {Date} Local-midnight date
+ */
+export function defaultExpiry(now = new Date()) {
+    return weeklyExpiry(addDays(marketDate(now), 7));
+}
+
+/**
+ * Expiry a whole number of calendar days out, as a DTE input means it (0 = the current session)
+ * A weekend or holiday rolls forward to the next session, so the option never expires before it was asked to.
+ * @param {number} days
+ * @param {Date} now
+ * @returns {Date} Local-midnight date
+ */
+export function expiryInDays(days, now = new Date()) {
+    const whole = Math.round(days);
+    if (whole <= 0) return currentSession(now);
+    const date = addDays(marketDate(now), whole);
+    return isTradingDay(date) ? date : nextTradingDay(date);
+}
+
+/**
+ * Calendar days (fractional) from now to an expiry's close
+ * @param {Date} expiry - Expiry date
+ * @param {Date} now
+ * @returns {number} 0 once the option has expired
+ */
+export function daysToExpiry(expiry, now = new Date()) {
+    return Math.max(0, (expiryClose(expiry) - now) / MS_PER_DAY);
+}
+
+/**
+ * Years from now to an instant (the time to expiry the pricing models take)
+ * @param {number|Date} instant - Expiry close (ms or Date)
+ * @param {number|Date} now
+ * @returns {number}
+ */
+export function yearsUntil(instant, now = Date.now()) {
+    return Math.max(0, (instant - now) / MS_PER_YEAR);
+}
+
+/**
+ * Calendar date from a chain / file value: "2025-12-19" is a local date, not UTC midnight
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+export function parseCalendarDate(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(value ?? '').trim());
+    const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * "2025-12-19" for a calendar date (local fields) - the form parseCalendarDate reads back
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatCalendarDate(date) {
+    const two = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${two(date.getMonth() + 1)}-${two(date.getDate())}`;
+}
+
+/**
+ * Holidays and early closes for a year (NYSE rules)
+ */
+function calendarFor(year) {
+    if (calendarCache.has(year)) return calendarCache.get(year);
+
+    const holidays = new Map();
+    const add = (date, name) => {
+        if (date && date.getFullYear() === year) holidays.set(dateKey(date), name);
+    };
+
+    // New Year's Day on a Saturday is not made up on the Friday before
+    const newYear = new Date(year, 0, 1);
+    add(newYear.getDay() === 6 ? null : observed(newYear), "New Year's Day");
+    add(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+    add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+    add(addDays(easterSunday(year), -2), 'Good Friday');
+    add(lastWeekday(year, 4, 1), 'Memorial Day');
+    if (year >= 2022) add(observed(new Date(year, 5, 19)), 'Juneteenth');
+    add(observed(new Date(year, 6, 4)), 'Independence Day');
+    add(nthWeekday(year, 8, 1, 1), 'Labor Day');
+    const thanksgiving = nthWeekday(year, 10, 4, 4);
+    add(thanksgiving, 'Thanksgiving Day');
+    add(observed(new Date(year, 11, 25)), 'Christmas Day');
+
+    const earlyCloses = new Set([dateKey(addDays(thanksgiving, 1)), dateKey(new Date(year, 11, 24))]);
+    // July 3rd closes early only when the holiday itself falls Tuesday-Friday
+    const independenceDay = new Date(year, 6, 4).getDay();
+    if (independenceDay >= 2 && independenceDay <= 5) earlyCloses.add(dateKey(new Date(year, 6, 3)));
+
+    const calendar = { holidays, earlyCloses };
+    calendarCache.set(year, calendar);
+    return calendar;
+}
+
+/**
+ * Saturday holidays are observed on Friday, Sunday holidays on Monday
+ */
+function observed(date) {
+    const day = date.getDay();
+    return day === 6 ? addDays(date, -1) : day === 0 ? addDays(date, 1) : date;
+}
+
+/**
+ * nth weekday (0 = Sunday) of a month
+ */
+function nthWeekday(year, month, weekday, n) {
+    const first = new Date(year, month, 1);
+    return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, weekday) {
+    const last = new Date(year, month + 1, 0);
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+}
+
+/**
+ * Gregorian Easter (anonymous algorithm)
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * New York's UTC offset at an instant: EDT (-4) from the second Sunday of March, 2:00am,
+ * to the first Sunday of November, 2:00am; EST (-5) otherwise
+ */
+function easternOffsetHours(ms) {
+    const year = new Date(ms).getUTCFullYear();
+    const sunday = (month, n) => 1 + ((7 - new Date(Date.UTC(year, month, 1)).getUTCDay()) % 7) + (n - 1) * 7;
+    const dstStart = Date.UTC(year, 2, sunday(2, 2), 7); // 2:00am EST
+    const dstEnd = Date.UTC(year, 10, sunday(10, 1), 6); // 2:00am EDT
+    return ms >= dstStart && ms < dstEnd ? -4 : -5;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function dateKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
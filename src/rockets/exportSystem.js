@@ -3,9 +3,13 @@
  * Enables strategy sharing via JSON export/import
  */
 
+import { MISSION_VERSION, MissionValidationError, migrateMission, validateMission } from './missionSchema.js';
+import { formatOCCSymbol, expiryFromTimeToExpiry } from './occSymbol.js';
+import { marketDate, formatCalendarDate } from './exchangeCalendar.js';
+
 export class ExportSystem {
     constructor() {
-        this.version = '1.0';
+        this.version = MISSION_VERSION;
     }
 
     /**
@@ -20,31 +24,64 @@ export class ExportSystem {
             controls,
             currentSpot,
             currentIV,
-            currentTheme
+            ivMode = null,
+            ivAdjustment = 0,
+            currentTheme,
+            groups = [],
+            ledger = [],
+            notes = ''
         } = sceneData;
 
         return {
             version: this.version,
             timestamp: Date.now(),
+            notes,
             metadata: {
                 spot: currentSpot,
                 iv: currentIV,
+                ivMode,
+                ivAdjustment,
                 theme: currentTheme
             },
-            rockets: rockets.map(rocket => ({
-                type: rocket.type,
-                strike: rocket.strike,
-                spot: rocket.spot || currentSpot,
-                quantity: rocket.quantity || 1,
-                timeToExpiry: rocket.timeToExpiry || 1.0,
-                iv: rocket.iv || currentIV,
-                entry: rocket.entry,
-                ticker: rocket.ticker || 'SPY',
-                greeks: rocket.greeks,
-                position: rocket.group ? rocket.group.position.toArray() : [0, 0, 0],
-                velocity: rocket.group?.userData?.velocity ?
-                    rocket.group.userData.velocity.toArray() : [0, 0, 0]
-            })),
+            groups,
+            ledger,
+            rockets: rockets.map(rocket => {
+                // Scene rockets keep their contract under `params`
+                const params = rocket.params || rocket;
+                const timeToExpiry = rocket.baseTimeToExpiry ?? (params.timeToExpiry || 1.0); // Today's expiry, not the time-travel date
+                // Dated expiries are saved as their session date so a reopened mission keeps counting down
+                const expiry = params.expiresAt > 0 ? marketDate(new Date(params.expiresAt)) : expiryFromTimeToExpiry(timeToExpiry);
+                return {
+                    // OCC symbol for other tools; the fields below stay authoritative on import
+                    symbol: formatOCCSymbol({
+                        ticker: params.ticker || 'SPY',
+                        expiry,
+                        type: params.type,
+                        strike: params.strike
+                    }),
+                    type: params.type,
+                    strike: params.strike,
+                    spot: rocket.scenarioBase?.spot || rocket.spotPrice || params.spot || currentSpot, // Unshocked market
+                    quantity: params.quantity || 1,
+                    multiplier: params.multiplier || 100,
+                    timeToExpiry,
+                    expiry: formatCalendarDate(expiry),
+                    iv: unadjustedIV(rocket) || currentIV,
+                    ivSource: params.ivSource || null,
+                    premium: rocket.premium !== undefined ? rocket.premium : (params.entry ?? null),
+                    rate: params.rate ?? null,
+                    dividendYield: params.dividendYield ?? null,
+                    pricingModel: params.pricingModel || null,
+                    ticker: params.ticker || 'SPY',
+                    groupId: params.groupId || null,
+                    positionId: params.positionId || null,
+                    notes: params.notes || '',
+                    greeks: rocket.greeks,
+                    position: rocket.group ? rocket.group.position.toArray() : [0, 0, 0],
+                    velocity: rocket.group?.userData?.velocity ?
+                        rocket.group.userData.velocity.toArray() : [0, 0, 0]
+                };
+            }),
             camera: {
                 position: camera.position.toArray(),
                 target: controls.target.toArray(),
@@ -76,28 +113,35 @@ export class ExportSystem {
 
     /**
      * Import mission from JSON
+     * Older versions are migrated to the current format, then validated.
      * @param {string} jsonString - JSON mission data
-     * @returns {Object} Parsed mission data
+     * @returns {Object} Parsed mission data (current version)
+     * @throws {MissionValidationError} If any field fails validation
      */
     importMission(jsonString) {
         try {
-            const data = JSON.parse(jsonString);
+            const raw = JSON.parse(jsonString);
 
             // Validate version
-            if (!data.version) {
+            if (!raw || typeof raw !== 'object' || !raw.version) {
                 throw new Error('Invalid mission file: missing version');
             }
 
-            // Validate required fields
-            if (!data.rockets || !Array.isArray(data.rockets)) {
-                throw new Error('Invalid mission file: missing rockets data');
+            const data = migrateMission(raw);
+
+            const errors = validateMission(data);
+            if (errors.length > 0) {
+                throw new MissionValidationError(errors);
             }
 
-            console.log(`📥 Mission imported: ${data.rockets.length} rockets`);
+            console.log(`📥 Mission imported: ${data.rockets.length} rockets (v${raw.version} → v${data.version})`);
             return data;
 
         } catch (error) {
             console.error('Import error:', error);
+            if (error instanceof MissionValidationError) {
+                throw error;
+            }
             throw new Error(`Failed to import mission: ${error.message}`);
         }
     }
@@ -128,3 +172,12 @@ export class ExportSystem {
         });
     }
 }
+
+/**
+ * A rocket's own IV: without the vol slider adjustment or an applied scenario shock
+ */
+function unadjustedIV(rocket) {
+    const params = rocket.params || rocket;
+    const marketIV = rocket.scenarioBase ? rocket.scenarioBase.iv : params.iv;
+    return rocket.volBase && marketIV === rocket.volBase.applied ? rocket.volBase.iv : marketIV;
+}
@@ -0,0 +1,237 @@
+/**
+ * Historical Replay - OHLC bars for backtesting a position
+ * Parses bar files and steps through them from an entry date with play / pause / speed / step
+ */
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 20]; // Bars per second
+
+const DAY_MS = 86400000;
+
+/**
+ * Parse an OHLC file into bars sorted by time
+ * CSV: header row with date (or timestamp / time) and close columns; open, high, low, volume, ticker optional
+ * JSON: [{date, open, high, low, close}] or {ticker, bars: [...]}
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @returns {Object} {ticker, bars: [{time, date, open, high, low, close, volume}]} - ticker is null if the file has none
+ * @throws {Error} If the file has no usable bars
+ */
+export function parseOHLCFile(text, filename = '') {
+    const trimmed = text.trim();
+    let rows;
+    let ticker = null;
+
+    if (filename.toLowerCase().endsWith('.csv') || (!trimmed.startsWith('{') && !trimmed.startsWith('['))) {
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+        const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+        if (!['date', 'timestamp', 'time'].some(column => header.includes(column))) {
+            throw new Error('OHLC CSV needs a "date" (or "timestamp") column');
+        }
+        if (!header.includes('close')) {
+            throw new Error('OHLC CSV is missing a "close" column');
+        }
+        rows = lines.slice(1).map(line => {
+            const cells = line.split(',').map(cell => cell.trim());
+            return Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+        });
+    } else {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : data.bars;
+        if (!Array.isArray(rows)) throw new Error('OHLC JSON needs a "bars" array');
+        if (!Array.isArray(data) && data.ticker) ticker = String(data.ticker).toUpperCase();
+    }
+
+    const bars = rows.map(row => {
+        const time = parseBarTime(row.date ?? row.timestamp ?? row.time);
+        const close = Number(row.close);
+        const open = Number(row.open ?? close);
+        return {
+            time,
+            date: Number.isFinite(time) ? formatBarDate(time) : null,
+            open: open > 0 ? open : close,
+            high: Math.max(Number(row.high ?? close) || close, open, close),
+            low: Math.min(Number(row.low ?? close) || close, open > 0 ? open : close, close),
+            close,
+            volume: Number(row.volume) || 0
+        };
+    }).filter(bar => Number.isFinite(bar.time) && bar.close > 0);
+
+    if (bars.length < 2) {
+        throw new Error('OHLC file needs at least two bars with a date and a positive close');
+    }
+
+    if (!ticker) {
+        const tickerRow = rows.find(row => row.ticker || row.symbol);
+        if (tickerRow) ticker = String(tickerRow.ticker || tickerRow.symbol).toUpperCase();
+    }
+
+    bars.sort((a, b) => a.time - b.time);
+    return { ticker, bars };
+}
+
+/**
+ * Date string, YYYYMMDD, epoch seconds or epoch milliseconds -> ms
+ */
+function parseBarTime(value) {
+    if (value === undefined || value === null || value === '') return NaN;
+    const compact = String(value).match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) {
+        return Date.UTC(Number(compact[1]), Number(compact[2]) - 1, Number(compact[3]));
+    }
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        return number < 1e11 ? number * 1000 : number;
+    }
+    return new Date(value).getTime();
+}
+
+/**
+ * YYYY-MM-DD for daily bars, YYYY-MM-DD HH:MM (UTC) for intraday
+ */
+function formatBarDate(time) {
+    const iso = new Date(time).toISOString();
+    return time % DAY_MS === 0 ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+}
+
+export class HistoricalReplay {
+    /**
+     * @param {Object} options
+     * @param {string} options.ticker - Underlying the bars belong to
+     * @param {Array<Object>} options.bars - Sorted bars from parseOHLCFile()
+     */
+    constructor({ ticker, bars }) {
+        this.ticker = ticker;
+        this.bars = bars;
+        this.entryIndex = 0;
+        this.index = 0;
+        this.speed = 2; // Bars per second
+        this.playing = false;
+        this.playTimer = null;
+        this.onBarCallback = null;
+        this.onPlayStateCallback = null;
+    }
+
+    /**
+     * @param {Function} callback - Called with (bar, {index, entryIndex, barsElapsed, daysElapsed}) on every move
+     */
+    onBar(callback) {
+        this.onBarCallback = callback;
+    }
+
+    /**
+     * @param {Function} callback - Called with `playing` when playback starts/stops
+     */
+    onPlayStateChange(callback) {
+        this.onPlayStateCallback = callback;
+    }
+
+    get bar() {
+        return this.bars[this.index];
+    }
+
+    get entryBar() {
+        return this.bars[this.entryIndex];
+    }
+
+    get atEnd() {
+        return this.index >= this.bars.length - 1;
+    }
+
+    /**
+     * Calendar days from the entry bar to the current bar (drives time to expiry)
+     */
+    get daysElapsed() {
+        return Math.round((this.bar.time - this.entryBar.time) / DAY_MS);
+    }
+
+    /**
+     * Start the replay at the first bar on or after a date
+     * @param {string|number|Date} date
+     */
+    setEntryDate(date) {
+        const time = date instanceof Date ? date.getTime() : parseBarTime(date);
+        const index = this.bars.findIndex(bar => bar.time >= time);
+        this.entryIndex = index === -1 ? this.bars.length - 1 : index;
+        this.seek(this.entryIndex);
+    }
+
+    /**
+     * Jump to a bar (never before the entry)
+     */
+    seek(index) {
+        this.index = Math.max(this.entryIndex, Math.min(this.bars.length - 1, Math.round(index)));
+        if (this.onBarCallback) {
+            this.onBarCallback(this.bar, {
+                index: this.index,
+                entryIndex: this.entryIndex,
+                barsElapsed: this.index - this.entryIndex,
+                daysElapsed: this.daysElapsed
+            });
+        }
+    }
+
+    step(bars = 1) {
+        this.seek(this.index + bars);
+    }
+
+    rewind() {
+        this.pause();
+        this.seek(this.entryIndex);
+    }
+
+    play() {
+        if (this.playing) return;
+        if (this.atEnd) {
+            this.seek(this.entryIndex); // Replay from entry
+        }
+
+        this.playing = true;
+        this.startTimer();
+        if (this.onPlayStateCallback) this.onPlayStateCallback(true);
+        console.log(`▶️ Backtest playing ${this.ticker} from ${this.bar.date} at ${this.speed} bar(s)/s`);
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        if (this.onPlayStateCallback) this.onPlayStateCallback(false);
+        console.log(`⏸️ Backtest paused at ${this.bar.date}`);
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * @param {number} barsPerSecond
+     */
+    setSpeed(barsPerSecond) {
+        this.speed = Math.max(0.1, barsPerSecond);
+        if (this.playing) {
+            clearInterval(this.playTimer);
+            this.startTimer();
+        }
+    }
+
+    startTimer() {
+        this.playTimer = setInterval(() => {
+            if (this.atEnd) {
+                this.pause();
+                return;
+            }
+            this.step(1);
+        }, 1000 / this.speed);
+    }
+
+    stop() {
+        this.pause();
+        this.onBarCallback = null;
+        this.onPlayStateCallback = null;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Implied Volatility Solver - Backs out IV from a quoted option premium
+ * Newton-Raphson on vega with a bisection fallback when Newton misbehaves
+ */
+
+import { DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './pricingEngine.js';
+import { priceOption, getDefaultPricingModel } from './pricingModels.js';
+
+export const IV_MIN = 0.001;
+export const IV_MAX = 5;
+
+const PRICE_TOLERANCE = 1e-6;
+const MAX_NEWTON_ITERATIONS = 50;
+const MAX_BISECTION_ITERATIONS = 200;
+
+/**
+ * Thrown when a premium has no implied volatility
+ * reason: 'invalid-input' | 'expired' | 'below-intrinsic' | 'above-max' | 'no-convergence'
+ */
+export class ImpliedVolError extends Error {
+    constructor(reason, message, bounds = {}) {
+        super(message);
+        this.name = 'ImpliedVolError';
+        this.reason = reason;
+        this.bounds = bounds;
+    }
+}
+
+/**
+ * Solve for the implied volatility that reproduces a premium
+ * @param {Object} inputs
+ * @param {number} inputs.premium - Quoted option price per share
+ * @param {number} inputs.spot - Underlying price
+ * @param {number} inputs.strike - Strike price
+ * @param {number} inputs.timeToExpiry - Years to expiry
+ * @param {number} inputs.rate - Risk-free rate
+ * @param {number} inputs.dividendYield - Continuous dividend yield
+ * @param {string} inputs.type - 'call' or 'put'
+ * @param {string} inputs.pricingModel - Key of PRICING_MODELS (defaults to the global model)
+ * @param {number} inputs.guess - Starting IV for Newton (default 0.2)
+ * @returns {Object} {iv, iterations, method}
+ * @throws {ImpliedVolError} If the premium is outside the model's attainable range
+ */
+export function solveImpliedVol({
+    premium,
+    spot,
+    strike,
+    timeToExpiry,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    type = 'call',
+    pricingModel = getDefaultPricingModel(),
+    guess = 0.2
+}) {
+    if (![premium, spot, strike, timeToExpiry].every(Number.isFinite) || premium < 0 || spot <= 0 || strike <= 0) {
+        throw new ImpliedVolError('invalid-input', 'Premium, spot, strike and expiry must be valid positive numbers');
+    }
+    if (timeToExpiry <= 0) {
+        throw new ImpliedVolError('expired', 'Option has expired - premium is pure intrinsic value, no IV to solve');
+    }
+
+    const priceAt = (iv) => priceOption({ spot, strike, timeToExpiry, iv, rate, dividendYield, type }, pricingModel);
+
+    // Premium must sit between the zero-vol and max-vol prices
+    const lowPrice = priceAt(IV_MIN).price;
+    const highPrice = priceAt(IV_MAX).price;
+    const intrinsic = Math.max(0, type === 'call' ? spot - strike : strike - spot);
+
+    if (premium < lowPrice - PRICE_TOLERANCE) {
+        throw new ImpliedVolError(
+            'below-intrinsic',
+            `Premium $${premium.toFixed(2)} is below the minimum option value $${lowPrice.toFixed(2)} (intrinsic $${intrinsic.toFixed(2)})`,
+            { lowPrice, highPrice, intrinsic }
+        );
+    }
+    if (premium > highPrice + PRICE_TOLERANCE) {
+        throw new ImpliedVolError(
+            'above-max',
+            `Premium $${premium.toFixed(2)} is above the option value at ${IV_MAX * 100}% IV ($${highPrice.toFixed(2)})`,
+            { lowPrice, highPrice, intrinsic }
+        );
+    }
+
+    // Newton-Raphson: vega is per vol point, so scale to per 1.0 of IV
+    let iv = Math.min(IV_MAX, Math.max(IV_MIN, guess));
+    for (let i = 1; i <= MAX_NEWTON_ITERATIONS; i++) {
+        const { price, vega } = priceAt(iv);
+        const diff = price - premium;
+        if (Math.abs(diff) < PRICE_TOLERANCE) {
+            return { iv, iterations: i, method: 'newton' };
+        }
+
+        const vegaPerUnit = vega * 100;
+        if (!(vegaPerUnit > 1e-8)) break;
+
+        const next = iv - diff / vegaPerUnit;
+        if (!Number.isFinite(next) || next <= IV_MIN || next >= IV_MAX) break;
+        iv = next;
+    }
+
+    // Bisection: price is monotone increasing in IV
+    let low = IV_MIN;
+    let high = IV_MAX;
+    for (let i = 1; i <= MAX_BISECTION_ITERATIONS; i++) {
+        const mid = 0.5 * (low + high);
+        const diff = priceAt(mid).price - premium;
+        if (Math.abs(diff) < PRICE_TOLERANCE || high - low < 1e-10) {
+            return { iv: mid, iterations: i, method: 'bisection' };
+        }
+        if (diff > 0) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+
+    throw new ImpliedVolError('no-convergence', `IV solver did not converge for premium $${premium.toFixed(2)}`, { lowPrice, highPrice, intrinsic });
+}
+
+/**
+ * Solve one implied volatility shared by every leg of a strategy so the legs
+ * price to the quoted net premium. Net value isn't monotone in IV for spreads,
+ * so the range is scanned for a bracket before bisecting.
+ * @param {Object} inputs
+ * @param {number} inputs.netPremium - Quoted net price per share (debit or credit, unsigned)
+ * @param {Array<Object>} inputs.legs - {type, strike, quantity, timeToExpiry} (quantity per 1 strategy)
+ * @param {number} inputs.spot - Underlying price
+ * @param {number} inputs.rate - Risk-free rate
+ * @param {number} inputs.dividendYield - Continuous dividend yield
+ * @param {string} inputs.pricingModel - Key of PRICING_MODELS (defaults to the global model)
+ * @returns {Object} {iv, legPrices, netValue} - legPrices are per-share model prices at the solved IV
+ * @throws {ImpliedVolError} If no IV reproduces the net premium
+ */
+export function solveStrategyImpliedVol({
+    netPremium,
+    legs,
+    spot,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    pricingModel = getDefaultPricingModel()
+}) {
+    if (!Number.isFinite(netPremium) || netPremium < 0 || !legs || legs.length === 0) {
+        throw new ImpliedVolError('invalid-input', 'Net premium and legs are required');
+    }
+    if (legs.some(leg => !(leg.timeToExpiry > 0))) {
+        throw new ImpliedVolError('expired', 'A leg has expired - no IV to solve');
+    }
+
+    const legPricesAt = (iv) => legs.map(leg => priceOption({
+        spot, strike: leg.strike, timeToExpiry: leg.timeToExpiry, iv, rate, dividendYield, type: leg.type
+    }, pricingModel).price);
+    const netAt = (iv) => Math.abs(legPricesAt(iv).reduce((sum, price, i) => sum + price * legs[i].quantity, 0));
+    const diffAt = (iv) => netAt(iv) - netPremium;
+
+    // Scan for the first sign change
+    const scanSteps = 60;
+    let low = IV_MIN;
+    let lowDiff = diffAt(low);
+    let high = null;
+    for (let i = 1; i <= scanSteps; i++) {
+        const iv = IV_MIN + (IV_MAX - IV_MIN) * Math.pow(i / scanSteps, 2);
+        const diff = diffAt(iv);
+        if (Math.abs(diff) < PRICE_TOLERANCE) {
+            return { iv, legPrices: legPricesAt(iv), netValue: netAt(iv) };
+        }
+        if (lowDiff * diff < 0) {
+            high = iv;
+            break;
+        }
+        low = iv;
+        lowDiff = diff;
+    }
+
+    if (high === null) {
+        throw new ImpliedVolError(
+            lowDiff > 0 ? 'below-intrinsic' : 'above-max',
+            `Net premium $${netPremium.toFixed(2)} is outside the strategy's attainable range`
+        );
+    }
+
+    for (let i = 0; i < MAX_BISECTION_ITERATIONS && high - low > 1e-10; i++) {
+        const mid = 0.5 * (low + high);
+        const diff = diffAt(mid);
+        if (Math.abs(diff) < PRICE_TOLERANCE) {
+            low = high = mid;
+            break;
+        }
+        if (diff * lowDiff > 0) {
+            low = mid;
+            lowDiff = diff;
+        } else {
+            high = mid;
+        }
+    }
+
+    const iv = 0.5 * (low + high);
+    return { iv, legPrices: legPricesAt(iv), netValue: netAt(iv) };
+}
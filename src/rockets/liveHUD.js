@@ -1,6 +1,6 @@
 /**
  * Live HUD - Always-visible status overlay
- * Displays: spot price, DTE, total P/L, reset button
+ * Displays: spot price and P/L per underlying, DTE, unrealized and realized P/L, latest closes and settlements, strategy net Greeks, reset button, mission save/open
  */
 
 export class LiveHUD {
@@ -12,6 +12,7 @@ export class LiveHUD {
         this.resetBtn = null;
 
         this.currentSpot = 100;
+        this.tickers = new Map(); // ticker -> {price, pl}
         this.dte = 7;
         this.totalPL = 0;
 
@@ -39,7 +40,7 @@ export class LiveHUD {
             min-width: 180px;
         `;
 
-        // Spot price display
+        // Spot price display (one row per underlying)
         this.spotPriceEl = document.createElement('div');
         this.spotPriceEl.style.cssText = 'margin-bottom: 6px; font-weight: bold;';
         this.updateSpotPrice(this.currentSpot);
@@ -57,6 +58,21 @@ export class LiveHUD {
         this.updatePL(this.totalPL);
         this.container.appendChild(this.plEl);
 
+        // Portfolio risk limits over their threshold (see portfolioRisk.js)
+        this.riskEl = document.createElement('div');
+        this.riskEl.style.cssText = 'margin-bottom: 10px; font-size: 11px; color: #ff4444; font-weight: bold; display: none;';
+        this.container.appendChild(this.riskEl);
+
+        // Trade ledger (realized P/L from closes and settlements, latest few)
+        this.ledgerEl = document.createElement('div');
+        this.ledgerEl.style.cssText = 'margin-bottom: 10px; font-size: 11px; display: none;';
+        this.container.appendChild(this.ledgerEl);
+
+        // Multi-leg strategies (net debit/credit, net Greeks, payoff)
+        this.strategiesEl = document.createElement('div');
+        this.strategiesEl.style.cssText = 'margin-bottom: 10px; font-size: 11px; display: none;';
+        this.container.appendChild(this.strategiesEl);
+
         // Reset button
         this.resetBtn = document.createElement('button');
         this.resetBtn.textContent = 'Reset Scene';
@@ -108,6 +124,38 @@ export class LiveHUD {
         };
         exportContainer.appendChild(this.jsonBtn);
 
+        // Open Mission button (JSON import)
+        this.openBtn = document.createElement('button');
+        this.openBtn.textContent = '📂 Open';
+        this.openBtn.title = 'Open a saved mission JSON';
+        this.openBtn.style.cssText = `
+            flex: 1;
+            padding: 6px;
+            background: rgba(255, 200, 0, 0.2);
+            color: #ffc800;
+            border: 1px solid #ffc800;
+            border-radius: 4px;
+            cursor: pointer;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            transition: all 0.2s;
+        `;
+        this.openBtn.onmouseover = () => {
+            this.openBtn.style.background = 'rgba(255, 200, 0, 0.4)';
+        };
+        this.openBtn.onmouseout = () => {
+            this.openBtn.style.background = 'rgba(255, 200, 0, 0.2)';
+        };
+        exportContainer.appendChild(this.openBtn);
+
+        // Hidden file picker used by the Open button
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.openBtn.addEventListener('click', () => this.fileInput.click());
+        exportContainer.appendChild(this.fileInput);
+
         // GIF Export button
         this.gifBtn = document.createElement('button');
         this.gifBtn.textContent = '🎬 GIF';
@@ -139,34 +187,153 @@ export class LiveHUD {
     }
 
     /**
-     * Update spot price display
+     * Update one underlying's spot price row
      * @param {number} price - Current underlying price
      * @param {string} ticker - Ticker symbol (optional)
      */
     updateSpotPrice(price, ticker = 'SPY') {
-        this.currentSpot = price;
-        this.spotPriceEl.textContent = `${ticker}: $${price.toFixed(2)}`;
+        if (ticker === 'SPY') this.currentSpot = price;
+        const row = this.tickers.get(ticker) || { price, pl: null };
+        row.price = price;
+        this.tickers.set(ticker, row);
+        this.renderTickers();
+    }
+
+    /**
+     * Show P/L next to each underlying's spot
+     * @param {Map<string, number>} plByTicker - ticker -> P/L of the rockets on it
+     */
+    updateTickerPL(plByTicker) {
+        let changed = false;
+        this.tickers.forEach((row, ticker) => {
+            const pl = plByTicker.has(ticker) ? plByTicker.get(ticker) : null;
+            if (pl === row.pl || (pl !== null && row.pl !== null && Math.abs(pl - row.pl) < 0.005)) return;
+            row.pl = pl;
+            changed = true;
+        });
+        if (changed) this.renderTickers();
+    }
+
+    /**
+     * Drop rows for underlyings no longer tracked
+     * @param {Array<string>} tickers - Tickers to keep
+     */
+    setTickers(tickers) {
+        [...this.tickers.keys()].filter(ticker => !tickers.includes(ticker)).forEach(ticker => this.tickers.delete(ticker));
+        this.renderTickers();
+    }
+
+    renderTickers() {
+        this.spotPriceEl.innerHTML = [...this.tickers.entries()].map(([ticker, { price, pl }]) => {
+            const plText = pl === null ? ''
+                : ` <span style="color: ${pl >= 0 ? '#00ff00' : '#ff4444'}; font-weight: normal; font-size: 12px;">${pl >= 0 ? '+' : '-'}$${Math.abs(pl).toFixed(2)}</span>`;
+            return `<div>${ticker}: $${price.toFixed(2)}${plText}</div>`;
+        }).join('');
     }
 
     /**
      * Update days to expiry
-     * @param {number} days - Days to expiry
+     * Whole days until the final day, then hours and minutes to the close
+     * @param {number} days - Days to expiry (fractional)
+     * @param {number} daysForward - Time-travel offset shown next to the DTE (0 = today)
      */
-    updateDTE(days) {
+    updateDTE(days, daysForward = 0) {
         this.dte = days;
-        const color = days === 0 ? '#ff4444' : days <= 3 ? '#ffaa00' : '#00ff00';
-        this.dteEl.innerHTML = `DTE: <span style="color: ${color}">${days}</span>`;
+        const color = days < 1 ? '#ff4444' : days <= 3 ? '#ffaa00' : '#00ff00';
+        const offset = daysForward > 0 ? ` <span style="color: #00ffff">(T+${daysForward})</span>` : '';
+        this.dteEl.innerHTML = `DTE: <span style="color: ${color}">${formatDTE(days)}</span>${offset}`;
     }
 
     /**
-     * Update total P/L
+     * Update total unrealized P/L (open rockets and shares)
      * @param {number} pl - Profit/Loss amount
      */
     updatePL(pl) {
         this.totalPL = pl;
         const color = pl >= 0 ? '#00ff00' : '#ff4444';
         const sign = pl >= 0 ? '+' : '';
-        this.plEl.innerHTML = `P/L: <span style="color: ${color}">${sign}$${pl.toFixed(2)}</span>`;
+        this.plEl.innerHTML = `Unrealized: <span style="color: ${color}">${sign}$${pl.toFixed(2)}</span>`;
+    }
+
+    /**
+     * Flash the HUD while portfolio risk limits are exceeded
+     * @param {Array<Object>} breaches - checkRiskLimits result {label, value, limit}
+     * @param {boolean} flash - Alternates to blink the border
+     */
+    setRiskAlert(breaches, flash = false) {
+        if (!breaches || breaches.length === 0) {
+            if (this.riskEl.style.display === 'none') return;
+            this.riskEl.style.display = 'none';
+            this.riskEl.innerHTML = '';
+            this.container.style.borderColor = 'rgba(0, 255, 0, 0.3)';
+            this.container.style.background = 'rgba(0, 0, 0, 0.7)';
+            return;
+        }
+
+        this.riskEl.innerHTML = breaches.map(({ label, value, limit }) =>
+            `<div>⚠️ ${label} ${value >= 0 ? '+' : '-'}${Math.abs(Math.round(value)).toLocaleString('en-US')} over ${limit.toLocaleString('en-US')}</div>`
+        ).join('');
+        this.riskEl.style.display = 'block';
+        this.container.style.borderColor = flash ? '#ff4444' : 'rgba(255, 68, 68, 0.3)';
+        this.container.style.background = flash ? 'rgba(80, 0, 0, 0.8)' : 'rgba(0, 0, 0, 0.7)';
+    }
+
+    /**
+     * Show realized P/L and the most recent closing trades / settlements
+     * @param {TradeLedger} ledger
+     */
+    updateLedger(ledger) {
+        const closing = ledger.closingEntries;
+        if (closing.length === 0) {
+            this.ledgerEl.style.display = 'none';
+            this.ledgerEl.innerHTML = '';
+            return;
+        }
+
+        const colors = { close: '#00ffff', exercise: '#00ff88', assignment: '#ffaa00', cash: '#ffd700', expire: '#888', deliver: '#ccc' };
+        const realized = ledger.realizedPL;
+        const fees = ledger.fees;
+        const recent = closing.slice(-3).reverse().map(({ action, note, realizedPL }) => {
+            const pl = action === 'deliver' && realizedPL === 0 ? ''
+                : ` <span style="color: ${realizedPL >= 0 ? '#00ff00' : '#ff4444'};">${realizedPL >= 0 ? '+' : '-'}$${Math.abs(realizedPL).toFixed(2)}</span>`;
+            return `<div style="color: ${colors[action] || '#ccc'};">${escapeHTML(note)}${pl}</div>`;
+        }).join('');
+        this.ledgerEl.innerHTML = `
+            <div>Realized: <span style="color: ${realized >= 0 ? '#00ff00' : '#ff4444'}; font-weight: bold;">${realized >= 0 ? '+' : '-'}$${Math.abs(realized).toFixed(2)}</span>${fees > 0 ? ` <span style="color: #aaa;">(fees $${fees.toFixed(2)})</span>` : ''}</div>
+            ${recent}
+        `;
+        this.ledgerEl.style.display = 'block';
+    }
+
+    /**
+     * Show net figures for each multi-leg strategy
+     * @param {Array<Object>} summaries - {strategy, netGreeks, profitLoss, profile}
+     */
+    updateStrategies(summaries) {
+        if (!summaries || summaries.length === 0) {
+            this.strategiesEl.style.display = 'none';
+            this.strategiesEl.innerHTML = '';
+            return;
+        }
+
+        const money = (value) => Number.isFinite(value) ? `$${Math.abs(value).toFixed(0)}` : '∞';
+        const signed = (value, digits) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+        this.strategiesEl.innerHTML = summaries.map(({ strategy, netGreeks, profitLoss, profile }) => {
+            const net = strategy.netPremium;
+            const plColor = profitLoss >= 0 ? '#00ff00' : '#ff4444';
+            const breakevens = profile.breakevens.length > 0 ? profile.breakevens.map(be => be.toFixed(2)).join(' / ') : '-';
+            return `
+                <div style="border-top: 1px solid rgba(0, 255, 0, 0.2); padding-top: 4px; margin-top: 4px;">
+                    <div style="color: #4a90e2; font-weight: bold;">${strategy.name}</div>
+                    <div>${net < 0 ? 'Credit' : 'Debit'} ${money(net)} | P/L <span style="color: ${plColor}">${signed(profitLoss, 2)}</span></div>
+                    <div style="color: #ccc;">Δ ${signed(netGreeks.delta, 1)} Γ ${signed(netGreeks.gamma, 2)} Θ ${signed(netGreeks.theta, 2)} ν ${signed(netGreeks.vega, 2)}</div>
+                    <div style="color: #aaa;">BE ${breakevens}</div>
+                    <div style="color: #aaa;">Max +${money(profile.maxProfit)} / -${money(profile.maxLoss)}</div>
+                </div>
+            `;
+        }).join('');
+        this.strategiesEl.style.display = 'block';
     }
 
     /**
@@ -185,6 +352,21 @@ export class LiveHUD {
         this.jsonBtn.addEventListener('click', callback);
     }
 
+    /**
+     * Set JSON import (Open Mission) handler
+     * @param {Function} callback - Called with the selected File
+     */
+    onJSONImport(callback) {
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            // Clear the value so picking the same file again still fires
+            e.target.value = '';
+            if (file) {
+                callback(file);
+            }
+        });
+    }
+
     /**
      * Set GIF export button click handler
      * @param {Function} callback - Function to call on GIF export
@@ -210,3 +392,17 @@ export class LiveHUD {
         }
     }
 }
+
+/**
+ * "12", or "3h 25m" inside the last day
+ */
+function formatDTE(days) {
+    if (!(days > 0)) return '0';
+    if (days >= 1) return String(Math.floor(days + 1e-6));
+    const minutes = Math.ceil(days * 24 * 60);
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
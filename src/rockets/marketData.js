@@ -0,0 +1,522 @@
+/**
+ * Market Data - Pluggable spot price providers
+ * REST polling, WebSocket stream, CSV/JSON replay file, and a synthetic random walk behind one interface,
+ * with exponential backoff instead of giving up after the first failure
+ */
+
+export const MARKET_DATA_SOURCES = {
+    rest: 'REST Backend',
+    websocket: 'WebSocket Stream',
+    replay: 'Replay File',
+    synthetic: 'Synthetic (Random Walk)'
+};
+
+export const DEFAULT_SPOT_PRICES = { SPY: 680, QQQ: 600, IWM: 240, DIA: 460 };
+const FALLBACK_SPOT = 100;
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+
+/**
+ * Delay before retry number `attempt` (1-based): doubles each time with +/-20% jitter, capped
+ */
+export function backoffDelay(attempt, baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS) {
+    const delay = baseMs * Math.pow(2, Math.max(0, attempt - 1));
+    return Math.round(Math.min(maxMs, delay * (0.8 + Math.random() * 0.4)));
+}
+
+/**
+ * Base provider: subscriptions, listeners, last prices and status
+ * Subclasses implement connect() / disconnect() and call emitQuote() / setStatus().
+ * Status states: 'idle' | 'connecting' | 'live' | 'retrying' | 'stopped' | 'error'
+ */
+export class MarketDataProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.tickers = new Set(options.tickers || ['SPY']);
+        this.lastPrices = new Map();
+        this.quoteCallbacks = [];
+        this.statusCallbacks = [];
+        this.status = { state: 'idle', message: '' };
+        this.running = false;
+    }
+
+    get kind() {
+        return 'base';
+    }
+
+    get label() {
+        return MARKET_DATA_SOURCES[this.kind] || this.kind;
+    }
+
+    /**
+     * @param {Function} callback - Called with {ticker, price, timestamp, source}
+     */
+    onQuote(callback) {
+        this.quoteCallbacks.push(callback);
+    }
+
+    /**
+     * @param {Function} callback - Called with {state, message}
+     */
+    onStatus(callback) {
+        this.statusCallbacks.push(callback);
+    }
+
+    subscribe(ticker) {
+        const symbol = ticker.toUpperCase();
+        if (this.tickers.has(symbol)) return;
+        this.tickers.add(symbol);
+        if (this.running) this.onSubscribe(symbol);
+    }
+
+    unsubscribe(ticker) {
+        this.tickers.delete(ticker.toUpperCase());
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.connect();
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.disconnect();
+        this.setStatus('stopped');
+    }
+
+    /**
+     * Most recent price for a ticker, or null before the first quote
+     */
+    getLastPrice(ticker) {
+        return this.lastPrices.get(ticker.toUpperCase()) ?? null;
+    }
+
+    /**
+     * Price to assume until the first real quote (only if none is known yet)
+     * The synthetic walk starts from it; other sources just report it as the last price.
+     */
+    seedPrice(ticker, price) {
+        const symbol = ticker.toUpperCase();
+        if (price > 0 && !this.lastPrices.has(symbol)) {
+            this.lastPrices.set(symbol, price);
+        }
+    }
+
+    /**
+     * One-shot price: the last streamed price by default
+     * @returns {Promise<number|null>}
+     */
+    async getQuote(ticker) {
+        return this.getLastPrice(ticker);
+    }
+
+    emitQuote(ticker, price, timestamp = Date.now()) {
+        if (!(price > 0) || !Number.isFinite(price)) return;
+        const symbol = ticker.toUpperCase();
+        this.lastPrices.set(symbol, price);
+        const quote = { ticker: symbol, price, timestamp, source: this.kind };
+        this.quoteCallbacks.forEach(callback => callback(quote));
+    }
+
+    setStatus(state, message = '') {
+        this.status = { state, message };
+        this.statusCallbacks.forEach(callback => callback(this.status));
+    }
+
+    // Subclass hooks
+    connect() {}
+    disconnect() {}
+    onSubscribe() {}
+}
+
+// Response fields a REST backend may report its price in, first positive one wins
+const REST_PRICE_FIELDS = ['price', 'current_price', 'last_price', 'close', 'last', 'value'];
+
+/**
+ * Polls the REST backend: GET {baseUrl}/stock/{ticker} -> {price}
+ */
+export class RestMarketDataProvider extends MarketDataProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - API root, e.g. http://localhost:5001/api
+     * @param {number} options.intervalMs - Poll interval while healthy (default 5000)
+     * @param {string} options.priceField - Response field holding the price (default: the first of REST_PRICE_FIELDS present)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = options.baseUrl || 'http://localhost:5001/api';
+        this.intervalMs = options.intervalMs || 5000;
+        this.priceField = options.priceField || null;
+        this.timer = null;
+        this.failures = 0;
+        this.unavailable = new Set(); // Tickers the backend has no price for (warned once)
+    }
+
+    get kind() {
+        return 'rest';
+    }
+
+    async fetchPrice(ticker) {
+        const response = await fetch(`${this.baseUrl}/stock/${ticker}`);
+        if (!response.ok) {
+            throw new Error(`API returned ${response.status}`);
+        }
+        const data = await response.json();
+        const fields = this.priceField ? [this.priceField] : REST_PRICE_FIELDS;
+        const price = fields.map(field => Number(data[field])).find(value => value > 0);
+        if (price === undefined) {
+            throw new Error(`Response has no positive ${fields.map(field => `"${field}"`).join(' / ')} field`);
+        }
+        return price;
+    }
+
+    async getQuote(ticker) {
+        try {
+            const price = await this.fetchPrice(ticker.toUpperCase());
+            this.lastPrices.set(ticker.toUpperCase(), price);
+            return price;
+        } catch (error) {
+            console.warn(`⚠️ ${ticker} quote unavailable from ${this.baseUrl}: ${error.message}`);
+            return this.getLastPrice(ticker);
+        }
+    }
+
+    connect() {
+        this.setStatus('connecting', this.baseUrl);
+        this.poll();
+    }
+
+    disconnect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    onSubscribe() {
+        // Picked up on the next poll
+    }
+
+    async poll() {
+        if (!this.running) return;
+
+        try {
+            // One bad ticker must not stall the others; only a poll where every ticker fails backs off
+            const tickers = [...this.tickers];
+            const results = await Promise.allSettled(tickers.map(ticker => this.fetchPrice(ticker)));
+            if (!this.running) return;
+            const failed = results.filter(result => result.status === 'rejected');
+            if (failed.length === results.length && failed.length > 0) {
+                throw failed[0].reason;
+            }
+            results.forEach((result, i) => {
+                if (result.status === 'fulfilled') {
+                    this.emitQuote(tickers[i], result.value);
+                    this.unavailable.delete(tickers[i]);
+                } else if (!this.unavailable.has(tickers[i])) {
+                    this.unavailable.add(tickers[i]);
+                    console.warn(`⚠️ No ${tickers[i]} quote from ${this.baseUrl}: ${result.reason.message}`);
+                }
+            });
+            if (this.failures > 0 || this.status.state !== 'live') {
+                console.log(`✅ Market data live from ${this.baseUrl}`);
+            }
+            this.failures = 0;
+            this.setStatus('live');
+            this.timer = setTimeout(() => this.poll(), this.intervalMs);
+        } catch (error) {
+            if (!this.running) return;
+            this.failures++;
+            const delay = backoffDelay(this.failures);
+            this.setStatus('retrying', `${error.message} - retry in ${Math.round(delay / 1000)}s`);
+            console.warn(`⚠️ Market data (${this.baseUrl}) failed ${this.failures}x: ${error.message}. Retrying in ${Math.round(delay / 1000)}s`);
+            this.timer = setTimeout(() => this.poll(), delay);
+        }
+    }
+}
+
+/**
+ * Streams quotes over a WebSocket
+ * Sends {type: 'subscribe', tickers} on open; accepts {ticker|symbol, price} messages (or arrays of them).
+ */
+export class WebSocketMarketDataProvider extends MarketDataProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - ws:// or wss:// endpoint
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'ws://localhost:5001/stream';
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.failures = 0;
+    }
+
+    get kind() {
+        return 'websocket';
+    }
+
+    connect() {
+        this.setStatus('connecting', this.url);
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            this.scheduleReconnect(error.message);
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.failures = 0;
+            this.setStatus('live');
+            this.sendSubscribe([...this.tickers]);
+            console.log(`✅ Market data stream connected: ${this.url}`);
+        };
+
+        socket.onmessage = (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                return; // Ignore non-JSON frames (heartbeats etc.)
+            }
+            (Array.isArray(data) ? data : [data]).forEach(message => {
+                const ticker = message.ticker || message.symbol;
+                if (ticker) this.emitQuote(ticker, Number(message.price), message.timestamp || Date.now());
+            });
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.running) this.scheduleReconnect('connection closed');
+        };
+
+        socket.onerror = () => {
+            // onclose follows and handles the reconnect
+        };
+    }
+
+    scheduleReconnect(reason) {
+        this.failures++;
+        const delay = backoffDelay(this.failures);
+        this.setStatus('retrying', `${reason} - reconnect in ${Math.round(delay / 1000)}s`);
+        console.warn(`⚠️ Market data stream ${this.url}: ${reason}. Reconnecting in ${Math.round(delay / 1000)}s`);
+        this.reconnectTimer = setTimeout(() => {
+            if (this.running) this.connect();
+        }, delay);
+    }
+
+    sendSubscribe(tickers) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type: 'subscribe', tickers }));
+        }
+    }
+
+    onSubscribe(ticker) {
+        this.sendSubscribe([ticker]);
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
+
+/**
+ * Parse a replay file into time-ordered ticks
+ * CSV: header with ticker (or symbol), price (or close) and optional timestamp/date columns
+ * JSON: [{ticker, price, timestamp}] or {ticks: [...]}
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @returns {Array<Object>} {ticker, price, timestamp}
+ * @throws {Error} If no valid ticks are found
+ */
+export function parseReplayFile(text, filename = '') {
+    const trimmed = text.trim();
+    let rows;
+
+    if (filename.toLowerCase().endsWith('.csv') || (!trimmed.startsWith('{') && !trimmed.startsWith('['))) {
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+        const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+        rows = lines.slice(1).map(line => {
+            const cells = line.split(',').map(cell => cell.trim());
+            return Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+        });
+    } else {
+        const data = JSON.parse(trimmed);
+        rows = Array.isArray(data) ? data : data.ticks;
+        if (!Array.isArray(rows)) throw new Error('Replay JSON needs an array of ticks');
+    }
+
+    const ticks = rows
+        .map((row, i) => {
+            const time = row.timestamp ?? row.date ?? row.time;
+            const parsed = time === undefined ? NaN : (isNaN(Number(time)) ? Date.parse(time) : Number(time));
+            return {
+                ticker: String(row.ticker || row.symbol || 'SPY').toUpperCase(),
+                price: Number(row.price ?? row.close),
+                timestamp: Number.isFinite(parsed) ? parsed : i
+            };
+        })
+        .filter(tick => tick.price > 0);
+
+    if (ticks.length === 0) {
+        throw new Error('Replay file has no ticks with a positive price');
+    }
+    return ticks.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Replays recorded ticks on a timer, looping at the end
+ */
+export class ReplayMarketDataProvider extends MarketDataProvider {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.ticks - From parseReplayFile()
+     * @param {number} options.intervalMs - Time between ticks (default 1000)
+     * @param {boolean} options.loop - Start over at the end (default true)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.ticks = options.ticks || [];
+        this.intervalMs = options.intervalMs || 1000;
+        this.loop = options.loop !== false;
+        this.index = 0;
+        this.timer = null;
+    }
+
+    get kind() {
+        return 'replay';
+    }
+
+    connect() {
+        if (this.ticks.length === 0) {
+            this.setStatus('error', 'No replay file loaded');
+            return;
+        }
+        this.setStatus('live', `${this.ticks.length} ticks`);
+        this.timer = setInterval(() => this.step(), this.intervalMs);
+        this.step();
+    }
+
+    disconnect() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    step() {
+        if (this.index >= this.ticks.length) {
+            if (!this.loop) {
+                this.stop();
+                return;
+            }
+            this.index = 0;
+        }
+        const tick = this.ticks[this.index++];
+        this.emitQuote(tick.ticker, tick.price, tick.timestamp);
+    }
+
+    async getQuote(ticker) {
+        const symbol = ticker.toUpperCase();
+        const first = this.ticks.find(tick => tick.ticker === symbol);
+        return this.getLastPrice(symbol) ?? (first ? first.price : null);
+    }
+}
+
+/**
+ * Geometric random walk per ticker - no network needed
+ */
+export class SyntheticMarketDataProvider extends MarketDataProvider {
+    /**
+     * @param {Object} options
+     * @param {Object} options.startPrices - {TICKER: price} (defaults to DEFAULT_SPOT_PRICES)
+     * @param {number} options.volatility - Annualized vol of the walk (default 0.20)
+     * @param {number} options.drift - Annualized drift (default 0)
+     * @param {number} options.intervalMs - Time between ticks (default 1000)
+     * @param {number} options.secondsPerTick - Market time per tick, for vol scaling (default 60)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.startPrices = { ...DEFAULT_SPOT_PRICES, ...(options.startPrices || {}) };
+        this.volatility = options.volatility ?? 0.20;
+        this.drift = options.drift ?? 0;
+        this.intervalMs = options.intervalMs || 1000;
+        this.secondsPerTick = options.secondsPerTick || 60;
+        this.timer = null;
+    }
+
+    get kind() {
+        return 'synthetic';
+    }
+
+    connect() {
+        this.setStatus('live', `σ ${(this.volatility * 100).toFixed(0)}%`);
+        this.timer = setInterval(() => this.step(), this.intervalMs);
+        this.step();
+    }
+
+    disconnect() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    step() {
+        const dt = this.secondsPerTick / (252 * 6.5 * 3600); // Trading-time years per tick
+        this.tickers.forEach(ticker => {
+            const last = this.getLastPrice(ticker) ?? this.startPrice(ticker);
+            const shock = gaussian() * this.volatility * Math.sqrt(dt);
+            const price = last * Math.exp((this.drift - 0.5 * this.volatility * this.volatility) * dt + shock);
+            this.emitQuote(ticker, Math.round(price * 100) / 100);
+        });
+    }
+
+    startPrice(ticker) {
+        return this.startPrices[ticker] || FALLBACK_SPOT;
+    }
+
+    /**
+     * Null for tickers with no start price and no seed, so callers can pick their own
+     */
+    async getQuote(ticker) {
+        return this.getLastPrice(ticker) ?? this.startPrices[ticker.toUpperCase()] ?? null;
+    }
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Build a provider by source key
+ * @param {string} kind - Key of MARKET_DATA_SOURCES
+ * @param {Object} options - Passed to the provider constructor
+ * @returns {MarketDataProvider}
+ */
+export function createMarketDataProvider(kind, options = {}) {
+    switch (kind) {
+        case 'rest':
+            return new RestMarketDataProvider(options);
+        case 'websocket':
+            return new WebSocketMarketDataProvider(options);
+        case 'replay':
+            return new ReplayMarketDataProvider(options);
+        case 'synthetic':
+            return new SyntheticMarketDataProvider(options);
+        default:
+            throw new Error(`Unknown market data source: ${kind}`);
+    }
+}
@@ -0,0 +1,374 @@
+/**
+ * Mission Schema - Versioned mission format, validation, and migrations
+ * Older mission files are migrated forward before they are validated
+ */
+
+import { OCC_SYMBOL_PATTERN, parseOCCSymbol } from './occSymbol.js';
+import { LEDGER_ACTIONS } from './tradeLedger.js';
+
+export const MISSION_VERSION = '1.2';
+
+const TICKER_PATTERN = /^[A-Z][A-Z0-9.]{0,9}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Field specs for a single rocket (mission format 1.2)
+ * type: 'number' | 'integer' | 'string' | 'vector3' | 'object'
+ */
+const ROCKET_FIELDS = {
+    symbol: { type: 'string', required: false, nullable: true, pattern: OCC_SYMBOL_PATTERN },
+    type: { type: 'string', required: true, enum: ['call', 'put'] },
+    strike: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    spot: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    quantity: { type: 'integer', required: true, nonZero: true, min: -10000, max: 10000 },
+    multiplier: { type: 'integer', required: false, min: 1, max: 10000 },
+    timeToExpiry: { type: 'number', required: true, min: 0, max: 10 },
+    expiry: { type: 'string', required: false, nullable: true, pattern: DATE_PATTERN }, // Session date; wins over timeToExpiry
+    iv: { type: 'number', required: true, min: 0, exclusiveMin: true, max: 5 },
+    ivSource: { type: 'string', required: false, nullable: true, enum: ['premium', 'surface'] },
+    premium: { type: 'number', required: false, nullable: true, min: 0 },
+    rate: { type: 'number', required: false, nullable: true, min: -0.1, max: 1 },
+    dividendYield: { type: 'number', required: false, nullable: true, min: 0, max: 1 },
+    pricingModel: { type: 'string', required: false, nullable: true, enum: ['european', 'binomial', 'bjerksund'] },
+    ticker: { type: 'string', required: true, pattern: TICKER_PATTERN },
+    groupId: { type: 'string', required: false, nullable: true },
+    positionId: { type: 'string', required: false, nullable: true, maxLength: 40 },
+    notes: { type: 'string', required: false, maxLength: 2000 },
+    greeks: { type: 'object', required: false, nullable: true },
+    position: { type: 'vector3', required: false },
+    velocity: { type: 'vector3', required: false }
+};
+
+const GROUP_FIELDS = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: false, maxLength: 200 },
+    strategy: { type: 'string', required: false, enum: ['single', 'vertical', 'straddle', 'strangle', 'iron_condor', 'butterfly', 'calendar'] }
+};
+
+// One trade ledger entry (quantity is the signed trade: + bought, - sold)
+const LEDGER_FIELDS = {
+    id: { type: 'string', required: true, maxLength: 40 },
+    time: { type: 'number', required: true, min: 0 },
+    action: { type: 'string', required: true, enum: LEDGER_ACTIONS },
+    positionId: { type: 'string', required: false, nullable: true, maxLength: 40 },
+    ticker: { type: 'string', required: true, pattern: TICKER_PATTERN },
+    type: { type: 'string', required: true, enum: ['call', 'put', 'stock'] },
+    strike: { type: 'number', required: false, nullable: true, min: 0, exclusiveMin: true },
+    quantity: { type: 'integer', required: true, nonZero: true },
+    price: { type: 'number', required: false, nullable: true, min: 0 },
+    multiplier: { type: 'integer', required: false, min: 1, max: 10000 },
+    fees: { type: 'number', required: false, min: 0 },
+    realizedPL: { type: 'number', required: true },
+    note: { type: 'string', required: false, maxLength: 500 }
+};
+
+const METADATA_FIELDS = {
+    spot: { type: 'number', required: false, min: 0, exclusiveMin: true },
+    iv: { type: 'number', required: false, min: 0, exclusiveMin: true, max: 5 },
+    ivMode: { type: 'string', required: false, nullable: true, enum: ['parallel', 'proportional', 'skew', 'term'] },
+    ivAdjustment: { type: 'number', required: false, min: -50, max: 50 },
+    theme: { type: 'string', required: false }
+};
+
+const CAMERA_FIELDS = {
+    position: { type: 'vector3', required: true },
+    target: { type: 'vector3', required: true },
+    zoom: { type: 'number', required: false, min: 0, exclusiveMin: true }
+};
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each one returns a new mission object stamped with the next version.
+ */
+const MIGRATIONS = {
+    // 1.0 -> 1.1: entry renamed to premium, quantity/notes/groups added
+    '1.0': (mission) => ({
+        ...mission,
+        version: '1.1',
+        notes: mission.notes || '',
+        groups: [],
+        rockets: (mission.rockets || []).map(rocket => {
+            const { entry, ...rest } = rocket || {};
+            return {
+                ...rest,
+                quantity: rest.quantity !== undefined ? rest.quantity : 1,
+                premium: entry !== undefined ? entry : null,
+                groupId: null,
+                notes: ''
+            };
+        })
+    }),
+
+    // 1.1 -> 1.2: rockets get position ids, the trade ledger starts with an open per rocket
+    // Only valid rockets get an open, so a bad rocket is reported once (under rockets[i]), not again in the ledger
+    '1.1': (mission) => {
+        const rockets = (mission.rockets || []).map((rocket, index) => ({
+            ...rocket,
+            positionId: rocket?.positionId ?? `P${index + 1}`
+        }));
+        return {
+            ...mission,
+            version: '1.2',
+            rockets,
+            ledger: rockets.filter(isValidRocket).map((rocket, index) => ({
+                id: `T${index + 1}`,
+                time: mission.timestamp ?? 0,
+                action: 'open',
+                positionId: rocket.positionId,
+                ticker: rocket.ticker,
+                type: rocket.type,
+                strike: rocket.strike,
+                quantity: rocket.quantity,
+                price: rocket.premium ?? null,
+                multiplier: rocket.multiplier ?? 100,
+                realizedPL: 0,
+                note: ''
+            }))
+        };
+    }
+};
+
+/**
+ * Thrown when a mission fails validation; `errors` lists every problem found
+ */
+export class MissionValidationError extends Error {
+    constructor(errors) {
+        const shown = errors.slice(0, 10).map(e => `- ${e.path}: ${e.message}`);
+        if (errors.length > shown.length) {
+            shown.push(`- ...and ${errors.length - shown.length} more`);
+        }
+        super(`Invalid mission file (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${shown.join('\n')}`);
+        this.name = 'MissionValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Migrate a mission to the current version
+ * @param {Object} mission - Parsed mission data (any supported version)
+ * @returns {Object} Mission in MISSION_VERSION format
+ */
+export function migrateMission(mission) {
+    // Hand-edited files sometimes carry a numeric version (1 or 1.0)
+    const normalized = typeof mission.version === 'number'
+        ? mission.version.toFixed(1)
+        : String(mission.version);
+    let current = { ...mission, version: normalized };
+    const visited = new Set();
+
+    while (current.version !== MISSION_VERSION) {
+        const version = current.version;
+        const migrate = MIGRATIONS[version];
+
+        if (!migrate || visited.has(version)) {
+            if (compareVersions(version, MISSION_VERSION) > 0) {
+                throw new Error(`Mission version ${version} is newer than supported version ${MISSION_VERSION}`);
+            }
+            throw new Error(`Unsupported mission version: ${version}`);
+        }
+
+        visited.add(version);
+        current = migrate(current);
+        console.log(`🔁 Migrated mission ${version} → ${current.version}`);
+    }
+
+    return current;
+}
+
+/**
+ * Validate a mission against the current schema
+ * @param {Object} mission - Mission in MISSION_VERSION format
+ * @returns {Array<Object>} Errors: {path, field, rocketIndex, message}; empty if valid
+ */
+export function validateMission(mission) {
+    const errors = [];
+
+    if (!mission || typeof mission !== 'object' || Array.isArray(mission)) {
+        errors.push({ path: '(root)', field: null, rocketIndex: null, message: 'must be a JSON object' });
+        return errors;
+    }
+
+    if (mission.version !== MISSION_VERSION) {
+        errors.push({ path: 'version', field: 'version', rocketIndex: null, message: `must be "${MISSION_VERSION}"` });
+    }
+
+    if (mission.timestamp !== undefined) {
+        checkField(mission.timestamp, { type: 'number', min: 0 }, 'timestamp', 'timestamp', null, errors);
+    }
+    if (mission.notes !== undefined) {
+        checkField(mission.notes, { type: 'string', maxLength: 5000 }, 'notes', 'notes', null, errors);
+    }
+    if (mission.metadata !== undefined) {
+        checkObject(mission.metadata, METADATA_FIELDS, 'metadata', null, errors);
+    }
+    if (mission.camera !== undefined) {
+        checkObject(mission.camera, CAMERA_FIELDS, 'camera', null, errors);
+    }
+
+    // Groups (multi-leg strategies)
+    const groupIds = new Set();
+    if (mission.groups !== undefined) {
+        if (!Array.isArray(mission.groups)) {
+            errors.push({ path: 'groups', field: 'groups', rocketIndex: null, message: 'must be an array' });
+        } else {
+            mission.groups.forEach((group, i) => {
+                checkObject(group, GROUP_FIELDS, `groups[${i}]`, null, errors);
+                if (group && typeof group.id === 'string') {
+                    if (groupIds.has(group.id)) {
+                        errors.push({ path: `groups[${i}].id`, field: 'id', rocketIndex: null, message: `duplicate group id "${group.id}"` });
+                    }
+                    groupIds.add(group.id);
+                }
+            });
+        }
+    }
+
+    // Trade ledger
+    if (mission.ledger !== undefined) {
+        if (!Array.isArray(mission.ledger)) {
+            errors.push({ path: 'ledger', field: 'ledger', rocketIndex: null, message: 'must be an array' });
+        } else {
+            const tradeIds = new Set();
+            mission.ledger.forEach((entry, i) => {
+                checkObject(entry, LEDGER_FIELDS, `ledger[${i}]`, null, errors);
+                if (entry && typeof entry.id === 'string') {
+                    if (tradeIds.has(entry.id)) {
+                        errors.push({ path: `ledger[${i}].id`, field: 'id', rocketIndex: null, message: `duplicate trade id "${entry.id}"` });
+                    }
+                    tradeIds.add(entry.id);
+                }
+            });
+        }
+    }
+
+    // Rockets
+    if (!Array.isArray(mission.rockets)) {
+        errors.push({ path: 'rockets', field: 'rockets', rocketIndex: null, message: 'is required and must be an array' });
+        return errors;
+    }
+
+    const positionIds = new Set();
+    mission.rockets.forEach((rocket, index) => {
+        const path = `rockets[${index}]`;
+        checkObject(rocket, ROCKET_FIELDS, path, index, errors);
+
+        if (rocket && typeof rocket.positionId === 'string') {
+            if (positionIds.has(rocket.positionId)) {
+                errors.push({ path: `${path}.positionId`, field: 'positionId', rocketIndex: index, message: `duplicate position id "${rocket.positionId}"` });
+            }
+            positionIds.add(rocket.positionId);
+        }
+
+        if (rocket && typeof rocket.groupId === 'string' && !groupIds.has(rocket.groupId)) {
+            errors.push({ path: `${path}.groupId`, field: 'groupId', rocketIndex: index, message: `references unknown group "${rocket.groupId}"` });
+        }
+
+        // A symbol has to name the same contract as the rocket's own fields
+        const option = rocket && typeof rocket.symbol === 'string' ? parseOCCSymbol(rocket.symbol) : null;
+        if (option && (option.ticker !== rocket.ticker || option.type !== rocket.type || option.strike !== rocket.strike)) {
+            errors.push({ path: `${path}.symbol`, field: 'symbol', rocketIndex: index, message: `"${rocket.symbol}" does not match ${rocket.ticker} ${rocket.strike} ${rocket.type}` });
+        }
+    });
+
+    return errors;
+}
+
+function isValidRocket(rocket) {
+    const errors = [];
+    checkObject(rocket, ROCKET_FIELDS, 'rocket', null, errors);
+    return errors.length === 0;
+}
+
+/**
+ * Check every field of an object against its specs
+ */
+function checkObject(value, fields, path, rocketIndex, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ path, field: null, rocketIndex, message: 'must be an object' });
+        return;
+    }
+
+    Object.entries(fields).forEach(([field, spec]) => {
+        checkField(value[field], spec, `${path}.${field}`, field, rocketIndex, errors);
+    });
+}
+
+/**
+ * Check a single value against a field spec, pushing any problem onto errors
+ */
+function checkField(value, spec, path, field, rocketIndex, errors) {
+    const fail = (message) => errors.push({ path, field, rocketIndex, message });
+
+    if (value === undefined) {
+        if (spec.required) fail('is required');
+        return;
+    }
+    if (value === null) {
+        if (!spec.nullable) fail('must not be null');
+        return;
+    }
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                fail(`must be a finite number (got ${JSON.stringify(value)})`);
+                return;
+            }
+            if (spec.type === 'integer' && !Number.isInteger(value)) {
+                fail(`must be a whole number (got ${value})`);
+            }
+            if (spec.nonZero && value === 0) {
+                fail('must not be 0');
+            }
+            if (spec.min !== undefined && (spec.exclusiveMin ? value <= spec.min : value < spec.min)) {
+                fail(`must be ${spec.exclusiveMin ? 'greater than' : 'at least'} ${spec.min} (got ${value})`);
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                fail(`must be at most ${spec.max} (got ${value})`);
+            }
+            break;
+
+        case 'string':
+            if (typeof value !== 'string') {
+                fail(`must be a string (got ${typeof value})`);
+                return;
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                fail(`must be one of ${spec.enum.map(v => `"${v}"`).join(', ')} (got "${value}")`);
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                fail(`has invalid format "${value}"`);
+            }
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+                fail(`must be at most ${spec.maxLength} characters`);
+            }
+            break;
+
+        case 'vector3':
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+                fail('must be an array of 3 finite numbers');
+            }
+            break;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                fail('must be an object');
+            }
+            break;
+    }
+}
+
+/**
+ * Compare dotted version strings
+ * @returns {number} <0 if a < b, 0 if equal, >0 if a > b
+ */
+function compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
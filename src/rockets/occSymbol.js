@@ -0,0 +1,94 @@
+/**
+ * OCC Symbols - The OSI option symbol used by brokers and clearing houses
+ * Root (up to 6 characters, space padded) + YYMMDD + C/P + strike x 1000 in 8 digits, e.g. "SPY   251220C00600000"
+ * Quote screens also use a short dotted form with the plain strike, e.g. ".SPY251220C600"
+ */
+
+export const OCC_SYMBOL_PATTERN = /^([A-Z][A-Z0-9.]{0,5})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/;
+const DOT_SYMBOL_PATTERN = /^\.?([A-Z][A-Z0-9]{0,5})(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/;
+
+const ROOT_LENGTH = 6;
+
+/**
+ * Decode an OCC option symbol
+ * @param {string} symbol - Padded ("SPY   251220C00600000"), compact ("SPY251220C00600000") or dotted (".SPY251220C600")
+ * @returns {Object|null} {ticker, expiry, type, strike} - null if it isn't an option symbol
+ */
+export function parseOCCSymbol(symbol) {
+    const text = String(symbol ?? '').trim().toUpperCase();
+    // A leading dot always means the plain strike, even when it happens to be 8 digits
+    const occ = text.startsWith('.') ? null : OCC_SYMBOL_PATTERN.exec(text);
+    const match = occ || DOT_SYMBOL_PATTERN.exec(text);
+    if (!match) return null;
+
+    const [, root, yy, mm, dd, cp, strike] = match;
+    const expiry = occDate(yy, mm, dd);
+    if (!expiry || !(Number(strike) > 0)) return null;
+
+    return {
+        ticker: root,
+        expiry,
+        type: cp === 'C' ? 'call' : 'put',
+        strike: occ ? Number(strike) / 1000 : Number(strike)
+    };
+}
+
+/**
+ * Encode a contract as an OCC symbol
+ * @param {Object} contract - {ticker, expiry (Date), type, strike}
+ * @param {Object} options
+ * @param {boolean} options.compact - Drop the root padding ("SPY251220C00600000")
+ * @returns {string|null} "SPY   251220C00600000" - null without a ticker, expiry, type or positive strike
+ */
+export function formatOCCSymbol({ ticker, expiry, type, strike }, { compact = false } = {}) {
+    const root = occRoot(ticker);
+    if (!root || !isDate(expiry) || !(strike > 0) || (type !== 'call' && type !== 'put')) return null;
+
+    const millis = Math.round(strike * 1000);
+    if (millis >= 1e8) return null; // Strikes top out at $99,999.999
+    const padded = compact ? root : root.padEnd(ROOT_LENGTH, ' ');
+    return `${padded}${occDateCode(expiry)}${type === 'call' ? 'C' : 'P'}${String(millis).padStart(8, '0')}`;
+}
+
+/**
+ * Encode a contract in the dotted quote-screen form (".SPY251220C600")
+ * @param {Object} contract - {ticker, expiry (Date), type, strike}
+ * @returns {string|null}
+ */
+export function formatDotSymbol({ ticker, expiry, type, strike }) {
+    const root = occRoot(ticker);
+    if (!root || !isDate(expiry) || !(strike > 0) || (type !== 'call' && type !== 'put')) return null;
+    return `.${root.replace(/\./g, '')}${occDateCode(expiry)}${type === 'call' ? 'C' : 'P'}${Number(strike.toFixed(3))}`;
+}
+
+/**
+ * Expiry date a time to expiry lands on, counted in whole days from today (local midnight)
+ * @param {number} timeToExpiry - Years
+ * @param {Date} now
+ * @returns {Date}
+ */
+export function expiryFromTimeToExpiry(timeToExpiry, now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + Math.round(timeToExpiry * 365));
+}
+
+function occRoot(ticker) {
+    const root = String(ticker ?? '').trim().toUpperCase();
+    return /^[A-Z][A-Z0-9.]{0,5}$/.test(root) ? root : null;
+}
+
+function occDateCode(date) {
+    const two = (n) => String(n).padStart(2, '0');
+    return `${two(date.getFullYear() % 100)}${two(date.getMonth() + 1)}${two(date.getDate())}`;
+}
+
+function isDate(value) {
+    return value instanceof Date && !isNaN(value.getTime());
+}
+
+/**
+ * Local-midnight expiry date (the contract parser's convention), null for impossible dates
+ */
+function occDate(yy, mm, dd) {
+    const date = new Date(2000 + Number(yy), Number(mm) - 1, Number(dd));
+    return date.getMonth() === Number(mm) - 1 && date.getDate() === Number(dd) ? date : null;
+}
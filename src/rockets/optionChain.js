@@ -0,0 +1,303 @@
+/**
+ * Option Chain - Quotes (bid / ask / IV / delta) per strike and expiry
+ * Reads broker CSV / JSON exports or the backend's chain endpoint; quotes without IV or delta are filled from the model
+ */
+
+import { DAYS_PER_YEAR, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './pricingEngine.js';
+import { calculateModelGreeks } from './pricingModels.js';
+import { solveImpliedVol } from './impliedVol.js';
+import { chainIV, chainTimeToExpiry } from './volSurface.js';
+
+/**
+ * Column names used by common broker exports -> chain field
+ */
+const COLUMN_ALIASES = {
+    strike: ['strike', 'strike price', 'strikes'],
+    expiry: ['expiry', 'expiration', 'expiration date', 'exp date', 'exp', 'expiry date', 'expire date'],
+    dte: ['dte', 'days to expiration', 'days to exp', 'days'],
+    type: ['type', 'option type', 'call/put', 'put/call', 'cp', 'c/p', 'right'],
+    bid: ['bid', 'bid price'],
+    ask: ['ask', 'ask price', 'offer'],
+    last: ['last', 'last price', 'last trade', 'mark', 'mid'],
+    iv: ['iv', 'implied volatility', 'impl vol', 'imp vol', 'volatility', 'iv%', 'iv %'],
+    delta: ['delta', 'Δ'],
+    volume: ['volume', 'vol'],
+    openInterest: ['open interest', 'open int', 'oi', 'openinterest'],
+    ticker: ['ticker', 'underlying', 'root', 'underlying symbol']
+};
+
+// Shared by both sides of a side-by-side (calls | strike | puts) export
+const SHARED_FIELDS = ['strike', 'expiry', 'dte', 'ticker'];
+
+export class OptionChain {
+    /**
+     * @param {Object} options
+     * @param {string} options.ticker - Underlying symbol
+     * @param {number} options.spot - Underlying price when the chain was captured (optional)
+     * @param {Array<Object>} options.quotes - {type, strike, timeToExpiry, expiry, bid, ask, last, iv, delta, volume, openInterest}
+     */
+    constructor({ ticker = 'SPY', spot = null, quotes }) {
+        this.ticker = ticker;
+        this.spot = spot;
+        this.quotes = quotes;
+    }
+
+    /**
+     * Expiries in the chain, nearest first
+     * @returns {Array<Object>} {timeToExpiry, dte, expiry} - expiry is the date string when the file had one
+     */
+    get expiries() {
+        const byTime = new Map();
+        this.quotes.forEach(quote => {
+            if (!byTime.has(quote.timeToExpiry)) {
+                byTime.set(quote.timeToExpiry, {
+                    timeToExpiry: quote.timeToExpiry,
+                    dte: Math.round(quote.timeToExpiry * DAYS_PER_YEAR),
+                    expiry: quote.expiry
+                });
+            }
+        });
+        return [...byTime.values()].sort((a, b) => a.timeToExpiry - b.timeToExpiry);
+    }
+
+    /**
+     * One row per strike for an expiry: the call and put quoted there (either may be null)
+     * @param {number} timeToExpiry - One of this.expiries
+     * @returns {Array<Object>} {strike, call, put} ascending by strike
+     */
+    rowsFor(timeToExpiry) {
+        const rows = new Map();
+        this.quotes.forEach(quote => {
+            if (quote.timeToExpiry !== timeToExpiry) return;
+            if (!rows.has(quote.strike)) rows.set(quote.strike, { strike: quote.strike, call: null, put: null });
+            rows.get(quote.strike)[quote.type] = quote;
+        });
+        return [...rows.values()].sort((a, b) => a.strike - b.strike);
+    }
+
+    /**
+     * Fill quotes missing IV (solved from the mid) or delta (from the IV) at a spot
+     * @param {number} spot - Underlying price
+     * @returns {number} Quotes that still have no IV (no two-sided price or no solution)
+     */
+    fillMissing(spot) {
+        let unsolved = 0;
+        this.quotes.forEach(quote => {
+            if (!(quote.iv > 0)) {
+                const mid = quoteMid(quote);
+                try {
+                    quote.iv = mid > 0
+                        ? solveImpliedVol({ premium: mid, spot, strike: quote.strike, timeToExpiry: quote.timeToExpiry, type: quote.type }).iv
+                        : null;
+                    quote.ivSolved = quote.iv !== null;
+                } catch (error) {
+                    quote.iv = null;
+                }
+            }
+            if (!(quote.iv > 0)) {
+                unsolved++;
+                return;
+            }
+            if (!Number.isFinite(quote.delta)) {
+                quote.delta = calculateModelGreeks(spot, quote.strike, Math.max(quote.timeToExpiry, 1 / DAYS_PER_YEAR), quote.iv,
+                    DEFAULT_RISK_FREE_RATE, quote.type, DEFAULT_DIVIDEND_YIELD).delta;
+            }
+        });
+        return unsolved;
+    }
+
+    describe() {
+        const { expiries } = this;
+        const strikes = this.quotes.map(quote => quote.strike);
+        return `${this.ticker} ${this.quotes.length} quotes, ${Math.min(...strikes)}-${Math.max(...strikes)} × ${expiries[0].dte}-${expiries[expiries.length - 1].dte}d`;
+    }
+}
+
+/**
+ * Mid of a two-sided quote, else the last trade
+ */
+export function quoteMid(quote) {
+    if (quote.bid > 0 && quote.ask > 0) return (quote.bid + quote.ask) / 2;
+    return quote.last > 0 ? quote.last : null;
+}
+
+/**
+ * Price a click fills at: buys pay the ask, sells receive the bid (mid / last when that side is empty)
+ * @param {Object} quote
+ * @param {string} side - 'buy' or 'sell'
+ * @returns {number|null}
+ */
+export function fillPrice(quote, side) {
+    const price = side === 'sell' ? quote.bid : quote.ask;
+    return price > 0 ? price : quoteMid(quote);
+}
+
+/**
+ * Parse an option chain export
+ * CSV: one row per contract (type column), or calls | strike | puts side by side
+ * JSON: {ticker, spot, options: [{strike, expiry | dte, type, bid, ask, iv, delta}]} (or just the options array)
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @param {string} defaultTicker - Underlying for files that don't name one
+ * @returns {OptionChain}
+ * @throws {Error} If the file has no usable quotes
+ */
+export function parseOptionChainFile(text, filename = '', defaultTicker = 'SPY') {
+    const trimmed = text.trim();
+    let rows;
+    let meta = {};
+
+    if (filename.toLowerCase().endsWith('.csv') || (!trimmed.startsWith('{') && !trimmed.startsWith('['))) {
+        rows = parseChainCSV(trimmed);
+    } else {
+        const data = JSON.parse(text);
+        const options = Array.isArray(data) ? data : data.options;
+        if (!Array.isArray(options)) throw new Error('Chain JSON needs an "options" array');
+        rows = options.map(option => normalizeRow(Object.entries(option || {})));
+        if (!Array.isArray(data)) {
+            meta = { spot: Number(data.spot) || null };
+            if (data.ticker) meta.ticker = String(data.ticker).toUpperCase();
+        }
+    }
+
+    return buildChain(rows, meta, defaultTicker);
+}
+
+/**
+ * Chain from the backend: GET {baseUrl}/chain/{ticker} -> same JSON as a chain file
+ * @returns {Promise<OptionChain>}
+ */
+export async function fetchOptionChain(baseUrl, ticker) {
+    const response = await fetch(`${baseUrl}/chain/${encodeURIComponent(ticker)}`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return buildChain(
+        (Array.isArray(data) ? data : data.options || []).map(option => normalizeRow(Object.entries(option || {}))),
+        { ticker: String(data.ticker || ticker).toUpperCase(), spot: Number(data.spot) || null }
+    );
+}
+
+function buildChain(rows, meta, defaultTicker = 'SPY') {
+    const now = new Date();
+    const quotes = rows.map(row => ({
+        type: parseOptionType(row.type),
+        strike: cleanNumber(row.strike),
+        timeToExpiry: chainTimeToExpiry(row, now),
+        expiry: row.expiry || null,
+        bid: cleanNumber(row.bid),
+        ask: cleanNumber(row.ask),
+        last: cleanNumber(row.last),
+        iv: cleanIV(row.iv),
+        delta: cleanNumber(row.delta),
+        volume: cleanNumber(row.volume),
+        openInterest: cleanNumber(row.openInterest)
+    })).filter(quote => quote.type && quote.strike > 0 && quote.timeToExpiry >= 0);
+
+    if (quotes.length === 0) {
+        throw new Error('Chain has no quotes with a strike, expiry and call/put type');
+    }
+
+    // The chain's own ticker, else a ticker column, else the caller's default
+    const tickerRow = rows.find(row => row.ticker);
+    const ticker = meta.ticker || (tickerRow ? String(tickerRow.ticker).toUpperCase() : defaultTicker);
+    return new OptionChain({ ticker, spot: meta.spot || null, quotes });
+}
+
+/**
+ * CSV rows keyed by chain field; side-by-side exports become one row per call and put
+ */
+function parseChainCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    // Some exports put a title line above the header - start at the first line naming a strike column
+    const headerIndex = lines.findIndex(line => splitCSVLine(line).some(cell => fieldFor(cell) === 'strike'));
+    if (headerIndex === -1) throw new Error('Chain CSV is missing a "strike" column');
+
+    const header = splitCSVLine(lines[headerIndex]).map(fieldFor);
+    if (!header.includes('expiry') && !header.includes('dte')) {
+        throw new Error('Chain CSV needs an "expiry" or "dte" column');
+    }
+    const body = lines.slice(headerIndex + 1).map(splitCSVLine);
+
+    if (header.includes('type')) {
+        return body.map(cells => normalizeRow(header.map((field, i) => [field, cells[i]])));
+    }
+
+    // Calls | strike | puts: quote columns left of the strike are the call's, right of it the put's
+    const strikeIndex = header.indexOf('strike');
+    return body.flatMap(cells => ['call', 'put'].map(type => {
+        const entries = header.map((field, i) => {
+            if (SHARED_FIELDS.includes(field)) return [field, cells[i]];
+            return (type === 'call' ? i < strikeIndex : i > strikeIndex) ? [field, cells[i]] : [null, null];
+        }).filter(([field]) => field);
+        return { ...normalizeRow(entries), type };
+    }));
+}
+
+/**
+ * Quoted cells may contain commas - split on the others
+ */
+export function splitCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Chain field for a column name (null for columns we don't use)
+ */
+function fieldFor(column) {
+    const name = String(column).trim().toLowerCase();
+    const match = Object.entries(COLUMN_ALIASES).find(([field, aliases]) => field.toLowerCase() === name || aliases.includes(name));
+    return match ? match[0] : null;
+}
+
+/**
+ * [column, value] pairs -> {field: value}, first non-empty value wins
+ */
+function normalizeRow(entries) {
+    const row = {};
+    entries.forEach(([column, value]) => {
+        const field = fieldFor(column);
+        if (field && row[field] === undefined && value !== undefined && value !== null && value !== '') {
+            row[field] = value;
+        }
+    });
+    return row;
+}
+
+function parseOptionType(value) {
+    const type = String(value ?? '').trim().toLowerCase();
+    if (type === 'call' || type === 'c' || type === 'calls') return 'call';
+    if (type === 'put' || type === 'p' || type === 'puts') return 'put';
+    return null;
+}
+
+/**
+ * "$1,234.50" / "12.5%" / "--" -> number or null
+ */
+export function cleanNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const number = Number(String(value).replace(/[$,%\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function cleanIV(value) {
+    const iv = cleanNumber(value);
+    if (!(iv > 0)) return null;
+    return String(value).includes('%') ? iv / 100 : chainIV(iv);
+}
@@ -4,9 +4,24 @@
  */
 
 import { parseContract, calculateDTE, validateContract } from './contractParser.js';
+import { formatOCCSymbol } from './occSymbol.js';
 import { LiveHUD } from './liveHUD.js';
-import { GreekHUD } from './greekHUD.js';
-import { createBreakevenRing, createMaxProfitRing, createLossZone, animateRing, calculateBreakevens } from './profitZones.js';
+import { aggregateRisk, checkRiskLimits } from './portfolioRisk.js';
+import { createBreakevenRing, createMaxProfitRing, createLossZone, animateRing, calculateBreakevens, findBreakevens } from './profitZones.js';
+import { solveImpliedVol, solveStrategyImpliedVol } from './impliedVol.js';
+import { priceOption } from './pricingModels.js';
+import { Strategy, STRATEGY_TYPES } from './strategy.js';
+import { DEFAULT_CONTRACT_MULTIPLIER, calculateProfitLoss } from './rocketMetrics.js';
+import { normalizeTicker } from './underlyings.js';
+import { quoteMid } from './optionChain.js';
+import { defaultExpiry, expiryClose, parseCalendarDate } from './exchangeCalendar.js';
+
+const DEFAULT_IV = 0.16;
+
+// Rockets launched against a dated expiry carry its close so their time to expiry follows the clock
+function expiresAt(expiry) {
+    return expiryClose(expiry || defaultExpiry()).getTime();
+}
 
 export class Optionaut4DIntegration {
     constructor(scene, createRocketFn, calculateGreeksFn) {
@@ -15,10 +30,15 @@ export class Optionaut4DIntegration {
         this.calculateGreeks = calculateGreeksFn;
 
         this.liveHUD = null;
-        this.greekHUD = null;
         this.selectedRocket = null;
         this.breakevenRings = [];
         this.lossZone = null;
+        this.strategies = new Map(); // groupId -> Strategy
+        this.volSurface = null; // Loaded chain IVs (strike x expiry)
+        this.underlyings = null; // Per-ticker spot prices and planets
+        this.optionChain = null; // Chain in the chain browser ("@ mid" launches price from it)
+        this.stockPositions = null; // Shares delivered by exercise / assignment
+        this.ledger = null; // Trade ledger (opens, closes, settlements)
 
         this._currentSpot = 100;
         this.planetRadius = 12;
@@ -44,8 +64,7 @@ export class Optionaut4DIntegration {
     init() {
         // Create HUDs
         this.liveHUD = new LiveHUD();
-        // Don't create global GreekHUD - we'll use per-rocket HUDs instead
-        // this.greekHUD = new GreekHUD();
+        // Per-rocket Greeks live in the rocket HUDs; book-wide risk comes from getPortfolioRisk
 
         // Create loss zone
         this.lossZone = createLossZone(this.planetRadius);
@@ -104,11 +123,34 @@ export class Optionaut4DIntegration {
                 throw new Error('Invalid contract data');
             }
 
-            // Show success
-            this.showParseStatus(statusEl, `✓ ${contract.quantity} ${contract.ticker} ${contract.strike}${contract.type[0].toUpperCase()}`, 'success');
+            // Rockets launch at their own underlying's spot (first quote for a new ticker)
+            if (this.underlyings) {
+                const fallbackSpot = contract.strike ?? contract.legs[0].strike;
+                await this.underlyings.track(contract.ticker, fallbackSpot);
+            }
 
-            // Launch rocket
-            this.launchRocketFromContract(contract);
+            // "@ mid" prices from the loaded chain (model price without one)
+            if (contract.premiumAt === 'mid') {
+                this.priceAtMid(contract);
+            }
+
+            // Launch rocket (or one rocket per leg for strategies)
+            const { ivError, strategy } = contract.legs
+                ? this.launchStrategyFromContract(contract)
+                : this.launchRocketFromContract(contract);
+
+            // Show success (or why the premium couldn't be turned into an IV)
+            const symbol = !strategy && contract.expiry ? formatOCCSymbol(contract, { compact: true }) : null;
+            const label = strategy
+                ? `${contract.quantity} ${strategy.name}`
+                : `${contract.quantity} ${contract.ticker} ${contract.strike}${contract.type[0].toUpperCase()}${symbol ? ` (${symbol})` : ''}`;
+            if (ivError) {
+                this.showParseStatus(statusEl, `⚠ ${label}: ${ivError.message} - using ${(DEFAULT_IV * 100).toFixed(0)}% IV`, 'warning');
+            } else if (contract.unrecognized && contract.unrecognized.length > 0) {
+                this.showParseStatus(statusEl, `⚠ ${label} - ignored "${contract.unrecognized.join('", "')}" (${Math.round(contract.confidence * 100)}% sure)`, 'warning');
+            } else {
+                this.showParseStatus(statusEl, `✓ ${label}`, 'success');
+            }
 
             // Update HUDs
             this.updateLiveHUD(contract);
@@ -133,56 +175,552 @@ export class Optionaut4DIntegration {
         }, 3000);
     }
 
+    /**
+     * Launch rockets for a parsed contract
+     * IV is backed out of the quoted premium so the Greeks match the traded price.
+     * @param {Object} contract - Parsed contract {quantity, ticker, strike, type, expiry, premium}
+     * @returns {Object} {rocket, iv, ivError} - ivError is set when the premium has no implied volatility
+     */
     launchRocketFromContract(contract) {
         const { quantity, ticker, strike, type, expiry, premium } = contract;
+        const spot = this.spotFor(ticker);
 
-        // Calculate time to expiry
+        // Calculate time to expiry (to the expiry session's close)
         const dte = calculateDTE(expiry);
         const timeToExpiry = dte / 365;
 
         // Use premium or estimate
         const entryPrice = premium || (type === 'call' ? strike * 0.05 : strike * 0.03);
 
-        // Create rocket for each quantity
-        const absQuantity = Math.abs(quantity);
-        let firstRocket = null;
-        for (let i = 0; i < absQuantity; i++) {
-            const rocket = this.createRocket({
-                type: type,
-                strike: strike,
-                spot: this.currentSpot,
-                timeToExpiry: timeToExpiry,
-                iv: 0.16, // Default IV
-                entry: entryPrice,
-                quantity: quantity > 0 ? 1 : -1, // Long or short
-                ticker: ticker
-            });
+        // Solve IV from the quoted premium; fall back to the vol surface / default if there is no solution
+        let iv = this.fallbackIV(strike, timeToExpiry, ticker);
+        let ivSource = this.hasSurfaceFor(ticker) ? 'surface' : null;
+        let ivError = null;
+        if (premium) {
+            try {
+                const solved = solveImpliedVol({ premium, spot, strike, timeToExpiry, type });
+                iv = solved.iv;
+                ivSource = 'premium';
+                console.log(`🧮 Implied vol ${(iv * 100).toFixed(2)}% from premium $${premium} (${solved.method}, ${solved.iterations} iterations)`);
+            } catch (error) {
+                ivError = error;
+                console.warn(`⚠️ ${error.message} - using fallback IV ${(iv * 100).toFixed(1)}%`);
+            }
+        }
+
+        // One rocket carries the whole signed position
+        const rocket = this.createRocket({
+            type: type,
+            strike: strike,
+            spot,
+            timeToExpiry: timeToExpiry,
+            expiresAt: expiresAt(expiry),
+            iv,
+            ivSource,
+            entry: entryPrice,
+            quantity: quantity, // Negative = short
+            ticker: ticker
+        });
+
+        if (rocket) {
+            this.selectRocket(rocket, contract);
+
+            // Set camera to follow this rocket
+            if (window.cameraFollowTarget !== undefined) {
+                window.cameraFollowTarget = rocket;
+                window.cameraFollowEnabled = true;
+                console.log('📷 Camera will follow newly launched rocket');
+            }
+        }
+
+        // Create breakeven rings (they leave with the rocket when it settles)
+        const rings = this.addBreakevenRings({ type, strike, premium, quantity, ticker });
+        if (rocket) rocket.userData.contractRings = rings;
+
+        console.log(`🚀 Launched ${quantity}x ${type} rocket at strike ${strike}`);
+
+        return { rocket, iv, ivError };
+    }
+
+    /**
+     * Launch a rocket from a clicked chain quote
+     * The fill price becomes the premium and the chain's IV marks the rocket, so the bid/ask spread shows up as P/L.
+     * @param {Object} quote - Chain quote {type, strike, timeToExpiry, iv}
+     * @param {Object} options - {ticker, quantity (signed), premium (fill price)}
+     * @returns {Object} Rocket group (null if creation failed)
+     */
+    launchRocketFromQuote(quote, { ticker, quantity, premium }) {
+        const { type, strike, timeToExpiry } = quote;
+        const iv = quote.iv > 0 ? quote.iv : this.fallbackIV(strike, timeToExpiry, ticker);
+        const expiry = quote.expiry ? parseCalendarDate(quote.expiry) : null;
+
+        const rocket = this.createRocket({
+            type,
+            strike,
+            spot: this.spotFor(ticker),
+            timeToExpiry,
+            expiresAt: expiry ? expiresAt(expiry) : undefined, // Chains quoted by DTE alone keep their launch-time expiry
+            iv,
+            ivSource: quote.iv > 0 ? 'premium' : (this.hasSurfaceFor(ticker) ? 'surface' : null),
+            entry: premium,
+            quantity,
+            ticker
+        });
 
-            // Select first rocket and set as camera target
-            if (i === 0) {
-                firstRocket = rocket;
-                this.selectRocket(rocket, contract);
-                
-                // Set camera to follow this rocket
-                if (window.cameraFollowTarget !== undefined) {
-                    window.cameraFollowTarget = rocket;
-                    window.cameraFollowEnabled = true;
-                    console.log('📷 Camera will follow newly launched rocket');
+        if (rocket) {
+            this.selectRocket(rocket, quote);
+            if (window.cameraFollowTarget !== undefined) {
+                window.cameraFollowTarget = rocket;
+                window.cameraFollowEnabled = true;
+            }
+        }
+
+        const rings = this.addBreakevenRings({ type, strike, premium, quantity, ticker });
+        if (rocket) rocket.userData.contractRings = rings;
+        this.liveHUD.updateDTE(timeToExpiry * 365);
+
+        console.log(`🚀 Launched ${quantity}x ${ticker} ${type} $${strike} from chain at $${premium.toFixed(2)} (IV ${(iv * 100).toFixed(1)}%)`);
+        return rocket;
+    }
+
+    /**
+     * Launch a multi-leg strategy: one rocket per leg, grouped under a Strategy
+     * A quoted net premium is turned into one shared IV so the legs sum to the traded price.
+     * @param {Object} contract - Parsed strategy {strategy, quantity, ticker, legs, premium}
+     * @returns {Object} {strategy, rockets, iv, ivError}
+     */
+    launchStrategyFromContract(contract) {
+        const { quantity, ticker, premium } = contract;
+        const spot = this.spotFor(ticker);
+        const legs = contract.legs.map(leg => ({
+            ...leg,
+            timeToExpiry: calculateDTE(leg.expiry || contract.expiry) / 365,
+            expiresAt: expiresAt(leg.expiry || contract.expiry)
+        }));
+
+        // Legs with their own fills (imported positions) solve their own IVs; otherwise one IV
+        // solved from the net premium, else each leg's own IV from the vol surface / default
+        let iv = null;
+        let ivSource = this.hasSurfaceFor(ticker) ? 'surface' : null;
+        let ivError = null;
+        let legPrices = null;
+        let legIVs = null;
+        if (legs.every(leg => leg.premium > 0)) {
+            legPrices = legs.map(leg => leg.premium);
+            legIVs = legs.map(leg => {
+                try {
+                    return solveImpliedVol({ premium: leg.premium, spot, strike: leg.strike, timeToExpiry: leg.timeToExpiry, type: leg.type }).iv;
+                } catch (error) {
+                    ivError = ivError || error;
+                    return this.fallbackIV(leg.strike, leg.timeToExpiry, ticker);
                 }
+            });
+            if (!ivError) ivSource = 'premium';
+        } else if (premium) {
+            try {
+                const solved = solveStrategyImpliedVol({ netPremium: premium, legs, spot });
+                iv = solved.iv;
+                ivSource = 'premium';
+                legPrices = solved.legPrices;
+                console.log(`🧮 Strategy implied vol ${(iv * 100).toFixed(2)}% from net premium $${premium}`);
+            } catch (error) {
+                ivError = error;
+                console.warn(`⚠️ ${error.message} - using fallback IV`);
             }
         }
+        legIVs = legIVs || legs.map(leg => iv ?? this.fallbackIV(leg.strike, leg.timeToExpiry, ticker));
+        if (!legPrices) {
+            legPrices = legs.map((leg, i) => priceOption({
+                spot, strike: leg.strike, timeToExpiry: leg.timeToExpiry, iv: legIVs[i], type: leg.type
+            }).price);
+        }
 
-        // Create breakeven rings
-        if (premium) {
-            const breakevens = calculateBreakevens({ type, strike, premium, quantity });
-            breakevens.forEach(be => {
-                const ring = createBreakevenRing(be, this.currentSpot, this.planetRadius);
-                this.scene.add(ring);
-                this.breakevenRings.push(ring);
+        const strategy = new Strategy({
+            kind: contract.strategy,
+            ticker,
+            legs: legs.map((leg, i) => ({
+                type: leg.type,
+                strike: leg.strike,
+                quantity: leg.quantity * quantity,
+                premium: legPrices[i],
+                timeToExpiry: leg.timeToExpiry,
+                iv: legIVs[i]
+            }))
+        });
+        this.registerStrategy(strategy);
+
+        const rockets = strategy.legs.map((leg, i) => this.createRocket({
+            type: leg.type,
+            strike: leg.strike,
+            spot,
+            timeToExpiry: leg.timeToExpiry,
+            expiresAt: legs[i].expiresAt,
+            iv: leg.iv,
+            ivSource,
+            entry: leg.premium,
+            quantity: leg.quantity,
+            ticker,
+            groupId: strategy.id
+        }));
+
+        if (rockets[0]) {
+            this.selectRocket(rockets[0], contract);
+        }
+
+        this.addStrategyRings(strategy);
+
+        const net = strategy.netPremium;
+        console.log(`🚀 Launched ${strategy.name}: ${strategy.legs.length} legs, net ${net < 0 ? 'credit' : 'debit'} $${Math.abs(net).toFixed(2)}`);
+
+        return { strategy, rockets, iv: iv ?? legIVs[0], ivError };
+    }
+
+    /**
+     * IV for a launch with no usable premium: the ticker's vol surface when one is loaded, else the default
+     */
+    fallbackIV(strike, timeToExpiry, ticker) {
+        return this.hasSurfaceFor(ticker) ? this.volSurface.getIV(strike, timeToExpiry) : DEFAULT_IV;
+    }
+
+    /**
+     * Is the loaded vol surface for this underlying?
+     */
+    hasSurfaceFor(ticker) {
+        return Boolean(this.volSurface) && normalizeTicker(ticker) === this.volSurface.ticker;
+    }
+
+    /**
+     * Use the per-ticker spots and planets for launches and rings
+     * @param {Underlyings} underlyings
+     */
+    setUnderlyings(underlyings) {
+        this.underlyings = underlyings;
+    }
+
+    /**
+     * Spot price of a rocket's underlying (the book's spot when untracked)
+     */
+    spotFor(ticker) {
+        return (this.underlyings && this.underlyings.getSpot(ticker)) ?? this.currentSpot;
+    }
+
+    /**
+     * Center a ring on its underlying's planet
+     */
+    placeOnUnderlying(ring, ticker) {
+        if (!this.underlyings) return;
+        const center = this.underlyings.getCenter(ticker);
+        ring.position.x = center.x;
+        ring.position.z = center.z;
+    }
+
+    /**
+     * Fill a contract's premium (strategies: each leg's) from the chain's mids
+     * @param {Object} contract - Parsed contract with premiumAt 'mid'
+     * @returns {boolean} True when every price was found
+     */
+    priceAtMid(contract) {
+        const chain = this.optionChain;
+        if (!chain || normalizeTicker(chain.ticker) !== normalizeTicker(contract.ticker)) {
+            console.warn(`⚠️ No ${contract.ticker} chain loaded for "@ mid" - launching at the model price`);
+            return false;
+        }
+
+        const mid = ({ type, strike, expiry }) => {
+            const timeToExpiry = calculateDTE(expiry || contract.expiry) / 365;
+            // Nearest listed expiry within a couple of days (DTE rounding, weekend expiries)
+            const quote = chain.quotes
+                .filter(q => q.type === type && q.strike === strike && Math.abs(q.timeToExpiry - timeToExpiry) <= 2 / 365)
+                .sort((a, b) => Math.abs(a.timeToExpiry - timeToExpiry) - Math.abs(b.timeToExpiry - timeToExpiry))[0];
+            return quote ? quoteMid(quote) : null;
+        };
+
+        if (contract.legs) {
+            const prices = contract.legs.map(mid);
+            if (prices.some(price => !(price > 0))) {
+                console.warn(`⚠️ ${contract.ticker} chain has no mid for every leg - launching at the model price`);
+                return false;
+            }
+            contract.legs = contract.legs.map((leg, i) => ({ ...leg, premium: prices[i] }));
+            contract.premium = Math.abs(contract.legs.reduce((sum, leg) => sum + leg.quantity * leg.premium, 0));
+            return true;
+        }
+
+        const price = mid(contract);
+        if (!(price > 0)) {
+            console.warn(`⚠️ ${contract.ticker} chain has no mid for $${contract.strike} ${contract.type} - launching at the model price`);
+            return false;
+        }
+        contract.premium = price;
+        return true;
+    }
+
+    /**
+     * Use a vol surface for launches and re-mark the surface's underlying from it
+     * Rockets whose IV was solved from a traded premium keep it; other tickers are left alone.
+     * @param {VolSurface|null} surface
+     * @param {Array<Object>} rockets - Scene rockets
+     * @param {Function} getTimeToExpiry - rocket => today's time to expiry (ignores time travel)
+     * @returns {number} Rockets re-marked
+     */
+    setVolSurface(surface, rockets = [], getTimeToExpiry = rocket => rocket.params.timeToExpiry) {
+        this.volSurface = surface;
+        if (!surface) return 0;
+
+        let remarked = 0;
+        rockets.forEach(rocket => {
+            if (!rocket.params || rocket.params.ivSource === 'premium' || !this.hasSurfaceFor(rocket.params.ticker)) return;
+            rocket.params.iv = surface.getIV(rocket.params.strike, getTimeToExpiry(rocket));
+            rocket.params.ivSource = 'surface';
+            remarked++;
+        });
+
+        // Strategy legs follow their rockets (calendar payoffs depend on the far leg's IV)
+        this.strategies.forEach(strategy => {
+            const legRockets = rockets.filter(rocket => rocket.params && rocket.params.groupId === strategy.id);
+            if (legRockets.length === 0 || !this.hasSurfaceFor(strategy.ticker)) return;
+            if (legRockets.some(rocket => rocket.params.ivSource !== 'surface')) return;
+            strategy.legs.forEach(leg => {
+                leg.iv = surface.getIV(leg.strike, leg.timeToExpiry);
             });
+            this.registerStrategy(strategy);
+        });
+
+        return remarked;
+    }
+
+    /**
+     * Track a strategy so its legs can be summarized and exported as a group
+     * @param {Strategy} strategy
+     */
+    registerStrategy(strategy) {
+        strategy.profile = strategy.analyzePayoff();
+        this.strategies.set(strategy.id, strategy);
+    }
+
+    /**
+     * Rings for every breakeven of a strategy plus its max-profit price when bounded
+     * @param {Strategy} strategy
+     */
+    addStrategyRings(strategy) {
+        const profile = strategy.profile || strategy.analyzePayoff();
+        this.setStrategyBreakevenRings(strategy, profile.breakevens);
+
+        if (Number.isFinite(profile.maxProfit) && profile.maxProfitPrice !== null) {
+            const ring = createMaxProfitRing(profile.maxProfitPrice, this.spotFor(strategy.ticker), this.planetRadius);
+            this.placeOnUnderlying(ring, strategy.ticker);
+            this.scene.add(ring);
+            this.breakevenRings.push(ring);
+            strategy.maxProfitRing = ring;
         }
+    }
+
+    /**
+     * Replace a strategy's breakeven rings (the max-profit ring is left alone)
+     * @param {Strategy} strategy
+     * @param {Array<number>} breakevens - Breakeven prices
+     */
+    setStrategyBreakevenRings(strategy, breakevens) {
+        (strategy.rings || []).forEach(ring => this.removeRing(ring));
+
+        strategy.rings = breakevens.map(be => {
+            const ring = createBreakevenRing(be, this.spotFor(strategy.ticker), this.planetRadius);
+            this.placeOnUnderlying(ring, strategy.ticker);
+            this.scene.add(ring);
+            this.breakevenRings.push(ring);
+            return ring;
+        });
+    }
+
+    /**
+     * Move strategy breakeven rings to a time-travel date
+     * At today (daysForward = 0) the rings mark the expiry breakevens; on a later date they
+     * mark where the position, valued on that date, breaks even.
+     * @param {Array<Object>} rockets - Scene rockets (params carry the shifted timeToExpiry)
+     * @param {Function} priceLeg - (params, spot) => {price}
+     * @param {number} daysForward - Days past today
+     */
+    refreshStrategyRings(rockets, priceLeg, daysForward) {
+        this.strategies.forEach(strategy => {
+            const legs = rockets.filter(rocket => rocket.params && rocket.params.groupId === strategy.id);
+            if (legs.length === 0) return;
+
+            if (daysForward === 0) {
+                this.setStrategyBreakevenRings(strategy, strategy.profile.breakevens);
+                return;
+            }
 
-        console.log(`🚀 Launched ${absQuantity} ${type} rocket(s) at strike ${strike}`);
+            const strikes = legs.map(rocket => rocket.params.strike);
+            const plAt = (spot) => legs.reduce((sum, rocket) => {
+                const { quantity = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER } = rocket.params;
+                return sum + calculateProfitLoss(priceLeg(rocket.params, spot).price, rocket.premium, quantity, multiplier, { timeToExpiry: rocket.params.timeToExpiry });
+            }, 0);
+            const breakevens = findBreakevens(plAt, Math.min(...strikes) * 0.5, Math.max(...strikes) * 1.5);
+            this.setStrategyBreakevenRings(strategy, breakevens);
+        });
+    }
+
+    /**
+     * Net P/L, Greeks and payoff for every strategy with rockets in the scene
+     * @param {Array<Object>} rockets - Scene rockets (positionGreeks, profitLoss, params.groupId)
+     * @returns {Array<Object>} {strategy, netGreeks, profitLoss, profile}
+     */
+    getStrategySummaries(rockets) {
+        const summaries = [];
+        this.strategies.forEach(strategy => {
+            const legs = rockets.filter(rocket => rocket.params && rocket.params.groupId === strategy.id);
+            if (legs.length === 0) return;
+            summaries.push({
+                strategy,
+                netGreeks: strategy.combineGreeks(legs.map(rocket => rocket.positionGreeks)),
+                profitLoss: legs.reduce((sum, rocket) => sum + (rocket.profitLoss || 0), 0),
+                profile: strategy.profile
+            });
+        });
+        return summaries;
+    }
+
+    /**
+     * Book-wide dollar Greeks per underlying (rockets and settled shares) and the limits they breach
+     * @param {Array<Object>} rockets - Scene rockets (params.ticker, positionGreeks)
+     * @returns {Object} {report: aggregateRisk result, breaches: checkRiskLimits result}
+     */
+    getPortfolioRisk(rockets) {
+        const options = rockets
+            .filter(rocket => rocket.params)
+            .map(rocket => ({ ticker: rocket.params.ticker, positionGreeks: rocket.positionGreeks }));
+        const stocks = this.stockPositions ? this.stockPositions.list() : [];
+        const report = aggregateRisk(options, stocks, ticker => this.spotFor(ticker));
+        return { report, breaches: checkRiskLimits(report.total) };
+    }
+
+    /**
+     * Mission `groups` entries for the strategies still in the scene
+     * @param {Array<Object>} rockets - Scene rockets
+     */
+    getStrategyGroups(rockets) {
+        const used = new Set(rockets.map(rocket => rocket.params && rocket.params.groupId).filter(Boolean));
+        return [...this.strategies.values()]
+            .filter(strategy => used.has(strategy.id))
+            .map(strategy => strategy.toGroup());
+    }
+
+    /**
+     * Rebuild strategies from mission groups and their saved legs
+     * @param {Array<Object>} groups - Mission groups {id, name, strategy}
+     * @param {Array<Object>} savedRockets - Mission rockets (legs carry groupId)
+     */
+    restoreStrategies(groups, savedRockets) {
+        groups.forEach(group => {
+            const legs = savedRockets.filter(rocket => rocket.groupId === group.id);
+            if (legs.length === 0) return;
+            const strategy = new Strategy({
+                id: group.id,
+                name: group.name,
+                kind: STRATEGY_TYPES[group.strategy] ? group.strategy : 'single',
+                ticker: legs[0].ticker,
+                legs: legs.map(leg => ({
+                    type: leg.type,
+                    strike: leg.strike,
+                    quantity: leg.quantity,
+                    premium: leg.premium,
+                    timeToExpiry: leg.timeToExpiry,
+                    iv: leg.iv
+                }))
+            });
+            this.registerStrategy(strategy);
+            this.addStrategyRings(strategy);
+        });
+    }
+
+    /**
+     * Add breakeven rings for a contract around its underlying's planet
+     * @param {Object} contract - Contract data {type, strike, premium, quantity, ticker}
+     * @returns {Array<THREE.Mesh>} The rings added
+     */
+    addBreakevenRings(contract) {
+        if (!contract.premium) return [];
+
+        const breakevens = calculateBreakevens(contract);
+        return breakevens.map(be => {
+            const ring = createBreakevenRing(be, this.spotFor(contract.ticker), this.planetRadius);
+            this.placeOnUnderlying(ring, contract.ticker);
+            this.scene.add(ring);
+            this.breakevenRings.push(ring);
+            return ring;
+        });
+    }
+
+    /**
+     * Use a trade ledger and show its realized P/L in the live HUD
+     * @param {TradeLedger} ledger
+     */
+    setLedger(ledger) {
+        this.ledger = ledger;
+        ledger.onChange(() => this.liveHUD.updateLedger(ledger));
+        this.liveHUD.updateLedger(ledger);
+    }
+
+    /**
+     * Bring a strategy in line with its rockets after a leg is closed or settles
+     * Remaining legs keep their size and entry prices; a strategy with no rockets left is dropped with its rings.
+     * @param {string} groupId - Strategy id
+     * @param {Array<Object>} rockets - Scene rockets
+     * @param {Function} getTimeToExpiry - rocket => today's time to expiry (ignores time travel)
+     */
+    syncStrategy(groupId, rockets, getTimeToExpiry = rocket => rocket.params.timeToExpiry) {
+        const strategy = this.strategies.get(groupId);
+        if (!strategy) return;
+
+        this.setStrategyBreakevenRings(strategy, []);
+        if (strategy.maxProfitRing) this.removeRing(strategy.maxProfitRing);
+        strategy.maxProfitRing = null;
+
+        const legRockets = rockets.filter(rocket => rocket.params && rocket.params.groupId === groupId);
+        if (legRockets.length === 0) {
+            this.strategies.delete(groupId);
+            return;
+        }
+
+        strategy.legs = legRockets.map(rocket => ({
+            type: rocket.params.type,
+            strike: rocket.params.strike,
+            quantity: rocket.params.quantity,
+            premium: rocket.premium,
+            timeToExpiry: getTimeToExpiry(rocket),
+            iv: rocket.params.iv
+        }));
+        this.registerStrategy(strategy);
+        this.addStrategyRings(strategy);
+    }
+
+    /**
+     * Redraw payoff rings after the trading costs change (costs move every breakeven and max profit)
+     * @param {Array<Object>} rockets - Scene rockets
+     */
+    refreshTradingCosts(rockets) {
+        this.strategies.forEach(strategy => {
+            if (strategy.maxProfitRing) this.removeRing(strategy.maxProfitRing);
+            strategy.maxProfitRing = null;
+            this.registerStrategy(strategy);
+            this.addStrategyRings(strategy);
+        });
+
+        rockets.forEach(rocket => {
+            const rings = rocket.group && rocket.group.userData.contractRings;
+            if (!rings || rings.length === 0) return;
+            rings.forEach(ring => this.removeRing(ring));
+            const { type, strike, quantity, multiplier, ticker } = rocket.params;
+            rocket.group.userData.contractRings = this.addBreakevenRings({ type, strike, premium: rocket.premium, quantity, multiplier, ticker });
+        });
+    }
+
+    removeRing(ring) {
+        this.scene.remove(ring);
+        ring.geometry.dispose();
+        ring.material.dispose();
+        const index = this.breakevenRings.indexOf(ring);
+        if (index !== -1) this.breakevenRings.splice(index, 1);
     }
 
     selectRocket(rocket, contract) {
@@ -194,7 +732,7 @@ export class Optionaut4DIntegration {
         const { ticker, expiry } = contract;
         const dte = calculateDTE(expiry);
 
-        this.liveHUD.updateSpotPrice(this.currentSpot, ticker);
+        this.liveHUD.updateSpotPrice(this.spotFor(ticker), normalizeTicker(ticker));
         this.liveHUD.updateDTE(dte);
         // P/L will be calculated in animation loop
     }
@@ -218,12 +756,13 @@ export class Optionaut4DIntegration {
     resetScene() {
         console.log('🔄 Resetting scene...');
 
-        // Remove all rockets from scene
+        // Remove all rockets (and the scene objects created alongside them)
         if (this.rocketsArrayRef) {
             this.rocketsArrayRef.forEach(rocket => {
                 if (rocket.group) {
                     this.scene.remove(rocket.group);
                 }
+                this.removeRocketExtras(rocket);
             });
             this.rocketsArrayRef.length = 0; // Clear array
         }
@@ -247,26 +786,63 @@ export class Optionaut4DIntegration {
             if (ring.material) ring.material.dispose();
         });
         this.breakevenRings = [];
+        this.strategies.clear();
+
+        // Settled shares and the trade ledger go with the book
+        if (this.stockPositions) this.stockPositions.clear();
+        if (this.ledger) this.ledger.clear();
+
+        // Only the primary underlying's planet survives an empty book
+        if (this.underlyings) {
+            this.underlyings.prune([]);
+        }
 
         // Reset HUDs
         this.liveHUD.updatePL(0);
+        this.liveHUD.updateStrategies([]);
+        this.liveHUD.setTickers(this.underlyings ? this.underlyings.tickers : ['SPY']);
         this.liveHUD.updateSpotPrice(this.currentSpot, 'SPY');
         this.liveHUD.updateDTE(7);
-
-        // Per-rocket HUDs will be managed individually
-        // this.greekHUD.update({
-        //     delta: 0, gamma: 0, vega: 0, theta: 0, rho: 0
-        // }, 1.0);
+        this.liveHUD.setRiskAlert([]);
 
         this.selectedRocket = null;
 
         console.log('✅ Scene reset complete');
     }
 
+    /**
+     * Remove the per-rocket objects that live directly in the scene
+     * (spot planet, strike line, breakeven ring, Greek gauges + tooltips)
+     * @param {Object} rocket - Entry from the rockets array
+     */
+    removeRocketExtras(rocket) {
+        const removeObject = (object) => {
+            if (!object) return;
+            this.scene.remove(object);
+            if (object.userData && object.userData.label) {
+                this.scene.remove(object.userData.label);
+            }
+        };
+
+        removeObject(rocket.spotPricePlanet);
+        removeObject(rocket.launchPriceLine);
+        removeObject(rocket.breakevenRing);
+        if (rocket.group) {
+            (rocket.group.userData.contractRings || []).forEach(ring => this.removeRing(ring));
+            rocket.group.userData.contractRings = [];
+        }
+
+        (rocket.greekGauges || []).forEach(gauge => {
+            removeObject(gauge);
+            const tooltip = gauge.userData.tooltip;
+            if (tooltip && tooltip.parentNode) {
+                tooltip.parentNode.removeChild(tooltip);
+            }
+        });
+    }
+
     destroy() {
         if (this.liveHUD) this.liveHUD.destroy();
-        // Per-rocket HUDs are managed separately
-        // if (this.greekHUD) this.greekHUD.destroy();
         if (this.lossZone) this.scene.remove(this.lossZone);
         this.breakevenRings.forEach(ring => this.scene.remove(ring));
     }
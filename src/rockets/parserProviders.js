@@ -0,0 +1,386 @@
+/**
+ * Parser Providers - Pluggable LLM backends for contract text the offline grammar can't read
+ * A server-side proxy (keys stay on the server) or any OpenAI-compatible base URL (llama.cpp, Ollama, vLLM),
+ * with JSON-schema output validation and a response cache keyed by the input text
+ */
+
+import { STRATEGY_TYPES, buildStrategyLegs } from './strategy.js';
+
+export const PARSER_PROVIDERS = {
+    proxy: 'Server Proxy',
+    compatible: 'OpenAI-Compatible Server',
+    none: 'Offline Grammar Only'
+};
+
+const REQUEST_TIMEOUT_MS = 20000;
+const CACHE_KEY = 'optionaut-parse-cache';
+const CACHE_LIMIT = 200;
+
+/**
+ * Structured output every provider must return
+ * Single options fill the top-level fields; strategies also name the structure and list their legs.
+ */
+export const CONTRACT_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['quantity', 'ticker', 'strike', 'type', 'expiry', 'premium', 'strategy', 'legs'],
+    properties: {
+        quantity: { type: 'integer', description: 'Contracts; negative for short / sold positions' },
+        ticker: { type: 'string', description: 'Underlying symbol, upper case' },
+        strike: { type: 'number', exclusiveMinimum: 0, description: 'Strike (lead leg for strategies)' },
+        type: { type: 'string', enum: ['call', 'put'] },
+        expiry: { type: ['string', 'null'], description: 'YYYY-MM-DD, null when not given' },
+        premium: { type: ['number', 'null'], description: 'Price per share (net debit / credit for strategies), null when not given' },
+        strategy: { type: ['string', 'null'], enum: [...Object.keys(STRATEGY_TYPES).filter(kind => kind !== 'single'), null] },
+        legs: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['type', 'strike', 'quantity', 'expiry'],
+                properties: {
+                    type: { type: 'string', enum: ['call', 'put'] },
+                    strike: { type: 'number', exclusiveMinimum: 0 },
+                    quantity: { type: 'integer', description: 'Per one structure, negative = short' },
+                    expiry: { type: ['string', 'null'], description: 'YYYY-MM-DD' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Base provider: cache, schema validation and normalization
+ * Subclasses implement request(text, today) and resolve with the raw JSON object.
+ */
+export class ContractParserProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.cache = options.cache || new ParseCache();
+    }
+
+    get kind() {
+        return 'base';
+    }
+
+    get label() {
+        return PARSER_PROVIDERS[this.kind] || this.kind;
+    }
+
+    /**
+     * Where requests go (shown in logs and errors)
+     */
+    get endpoint() {
+        return '';
+    }
+
+    /**
+     * Parse contract text
+     * @param {string} text
+     * @returns {Promise<Object>} Parser-style contract
+     * @throws {Error} When the backend fails or its output doesn't match CONTRACT_SCHEMA
+     */
+    async parse(text) {
+        const today = formatISODate(new Date());
+        const cached = this.cache.get(text, today);
+        if (cached) {
+            console.log(`💾 Parse cache hit for "${text}"`);
+            return normalizeContract(cached, text);
+        }
+
+        const data = await this.request(text, today);
+        const errors = validateSchema(data, CONTRACT_SCHEMA, 'contract');
+        if (errors.length > 0) {
+            throw new Error(`${this.label} returned an invalid contract: ${errors.slice(0, 3).join('; ')}`);
+        }
+
+        const contract = normalizeContract(data, text);
+        this.cache.set(text, today, data);
+        return contract;
+    }
+
+    async request() {
+        throw new Error(`${this.label} cannot parse contracts`);
+    }
+
+    /**
+     * POST JSON with a timeout
+     */
+    async postJSON(url, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeoutMs || REQUEST_TIMEOUT_MS);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                throw new Error(`${url} returned ${response.status}${detail ? ` - ${detail.slice(0, 200)}` : ''}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`${url} did not answer within ${Math.round((this.options.timeoutMs || REQUEST_TIMEOUT_MS) / 1000)}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * Server-side proxy: POST {url} with {text, today, schema}; the server holds the model key
+ * Responds with the contract object (or {contract: {...}}).
+ */
+export class ProxyParserProvider extends ContractParserProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Parse endpoint, e.g. http://localhost:5001/api/parse
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'http://localhost:5001/api/parse';
+    }
+
+    get kind() {
+        return 'proxy';
+    }
+
+    get endpoint() {
+        return this.url;
+    }
+
+    async request(text, today) {
+        const data = await this.postJSON(this.url, { text, today, schema: CONTRACT_SCHEMA });
+        return data && data.contract !== undefined ? data.contract : data;
+    }
+}
+
+/**
+ * Any OpenAI-compatible chat completions server (llama.cpp, Ollama, vLLM, LM Studio)
+ * No API key is sent from the browser - hosted models belong behind the proxy.
+ */
+export class CompatibleParserProvider extends ContractParserProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+     * @param {string} options.model - Model name the server knows
+     * @param {string} options.responseFormat - 'json_schema' (default) or 'json_object' for servers without schema support
+     */
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.model = options.model || 'llama3.1';
+        this.responseFormat = options.responseFormat === 'json_object' ? 'json_object' : 'json_schema';
+    }
+
+    get kind() {
+        return 'compatible';
+    }
+
+    get endpoint() {
+        return `${this.baseUrl}/chat/completions (${this.model})`;
+    }
+
+    async request(text, today) {
+        const data = await this.postJSON(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages: [
+                { role: 'system', content: systemPrompt(today) },
+                { role: 'user', content: text }
+            ],
+            temperature: 0,
+            max_tokens: 400,
+            response_format: this.responseFormat === 'json_schema'
+                ? { type: 'json_schema', json_schema: { name: 'option_contract', strict: true, schema: CONTRACT_SCHEMA } }
+                : { type: 'json_object' }
+        });
+
+        const content = data && data.choices && data.choices[0] && data.choices[0].message
+            ? String(data.choices[0].message.content || '').trim()
+            : '';
+        try {
+            // Some local models still wrap JSON in a code fence
+            return JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+        } catch (error) {
+            throw new Error(`${this.model} did not answer with JSON: ${content.slice(0, 200)}`);
+        }
+    }
+}
+
+/**
+ * Create a provider by kind
+ * @param {string} kind - Key of PARSER_PROVIDERS
+ * @param {Object} options - Provider options
+ * @returns {ContractParserProvider|null} null for 'none' (offline grammar only)
+ */
+export function createParserProvider(kind, options = {}) {
+    switch (kind) {
+        case 'proxy':
+            return new ProxyParserProvider(options);
+        case 'compatible':
+            return new CompatibleParserProvider(options);
+        case 'none':
+        case undefined:
+        case null:
+        case '':
+            return null;
+        default:
+            throw new Error(`Unknown parser provider: ${kind}`);
+    }
+}
+
+/**
+ * Responses by input text, kept in localStorage for the day they were parsed
+ * (relative expiries like "next Friday" mean something else tomorrow)
+ */
+export class ParseCache {
+    constructor(storageKey = CACHE_KEY, limit = CACHE_LIMIT) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.entries = new Map(); // key -> {day, data}
+        this.load();
+    }
+
+    static key(text) {
+        return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    get(text, day) {
+        const entry = this.entries.get(ParseCache.key(text));
+        return entry && entry.day === day ? entry.data : null;
+    }
+
+    set(text, day, data) {
+        const key = ParseCache.key(text);
+        this.entries.delete(key); // Re-insert as newest
+        this.entries.set(key, { day, data });
+        while (this.entries.size > this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.save();
+    }
+
+    clear() {
+        this.entries.clear();
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(this.storageKey) || '[]') : [];
+            saved.forEach(([key, entry]) => this.entries.set(key, entry));
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable parse cache:', error.message);
+        }
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify([...this.entries]));
+        } catch (error) {
+            console.warn('⚠️ Could not save parse cache:', error.message);
+        }
+    }
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by CONTRACT_SCHEMA
+ * @returns {Array<string>} Problems, empty when valid
+ */
+export function validateSchema(value, schema, path = 'value') {
+    const errors = [];
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = value === null ? 'null'
+        : Array.isArray(value) ? 'array'
+            : Number.isInteger(value) ? 'integer'
+                : typeof value;
+    const typeMatches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (schema.type && !typeMatches) {
+        errors.push(`${path} must be ${types.join(' or ')} (got ${actual})`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (actual === 'number' || actual === 'integer') {
+        if (!Number.isFinite(value)) errors.push(`${path} must be finite`);
+        if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+            errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+        }
+    }
+    if (actual === 'object' && schema.properties) {
+        (schema.required || []).forEach(field => {
+            if (!(field in value)) errors.push(`${path}.${field} is required`);
+        });
+        Object.entries(value).forEach(([field, fieldValue]) => {
+            if (schema.properties[field]) {
+                errors.push(...validateSchema(fieldValue, schema.properties[field], `${path}.${field}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${field} is not allowed`);
+            }
+        });
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    return errors;
+}
+
+/**
+ * Schema-valid JSON -> parser-style contract (local-midnight dates, lead leg on the top-level fields)
+ */
+function normalizeContract(data, raw) {
+    const expiry = parseISODate(data.expiry);
+    const contract = {
+        quantity: data.quantity || 1,
+        ticker: data.ticker.trim().toUpperCase(),
+        strike: data.strike,
+        type: data.type,
+        expiry,
+        premium: data.premium > 0 ? data.premium : null,
+        raw
+    };
+
+    if (data.strategy && Array.isArray(data.legs) && data.legs.length > 0) {
+        contract.strategy = data.strategy;
+        contract.legs = data.legs.map(leg => ({
+            type: leg.type,
+            strike: leg.strike,
+            quantity: leg.quantity,
+            expiry: parseISODate(leg.expiry) || expiry
+        }));
+        contract.strike = contract.legs[0].strike;
+        contract.type = contract.legs[0].type;
+    }
+    return contract;
+}
+
+function systemPrompt(today) {
+    const strategies = Object.keys(STRATEGY_TYPES).filter(kind => kind !== 'single').join(', ');
+    const example = buildStrategyLegs('vertical', { strikes: [600, 610], type: 'call' })
+        .map(leg => `{"type":"${leg.type}","strike":${leg.strike},"quantity":${leg.quantity},"expiry":null}`).join(',');
+    return `You parse option orders into JSON. Today is ${today}.
+Return only JSON with: quantity (integer, negative when selling / short), ticker, strike, type ("call" or "put"),
+expiry (YYYY-MM-DD resolved against today, or null), premium (per share; net debit or credit for strategies; null if not given),
+strategy (one of ${strategies}, or null for a single option) and legs (null for a single option).
+Legs are per one structure with signed quantities, e.g. a 600/610 call spread: [${example}].`;
+}
+
+function parseISODate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function formatISODate(date) {
+    const two = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${two(date.getMonth() + 1)}-${two(date.getDate())}`;
+}
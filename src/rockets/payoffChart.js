@@ -0,0 +1,345 @@
+/**
+ * Payoff Chart - 2D P/L vs. underlying panel
+ * Expiry payoff and today's theoretical curve for the selected rocket/strategy or the whole book,
+ * with breakevens, max profit/loss, and a draggable spot cursor
+ */
+
+import { Strategy } from './strategy.js';
+import { DEFAULT_CONTRACT_MULTIPLIER, calculateProfitLoss } from './rocketMetrics.js';
+import { getTradingCosts } from './tradingCosts.js';
+
+const SAMPLES = 120;
+const PADDING = { left: 48, right: 10, top: 12, bottom: 22 };
+
+export class PayoffChart {
+    /**
+     * @param {Function} priceLegFn - (leg, spot) => per-share theoretical price today
+     */
+    constructor(priceLegFn) {
+        this.priceLeg = priceLegFn;
+        this.container = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.width = 360;
+        this.height = 220;
+        this.mode = 'book'; // 'book' | 'selected'
+        this.collapsed = false;
+
+        this.legs = [];
+        this.spot = 100;
+        this.range = null; // [low, high] underlying prices on the x axis
+        this.curves = null; // {prices, expiry, today}
+        this.profile = null;
+        this.signature = '';
+
+        this.dragging = false;
+        this.spotDragCallback = null;
+
+        this.init();
+    }
+
+    init() {
+        // Create container
+        this.container = document.createElement('div');
+        this.container.id = 'payoff-chart';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 10px;
+            left: 10px;
+            z-index: 1000;
+            background: rgba(0, 0, 0, 0.85);
+            padding: 10px 12px;
+            border-radius: 8px;
+            border: 1px solid rgba(100, 200, 255, 0.3);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+        `;
+
+        // Header: title, mode selector, collapse toggle
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+
+        this.titleEl = document.createElement('div');
+        this.titleEl.textContent = 'PAYOFF';
+        this.titleEl.style.cssText = 'color: #64c8ff; font-size: 12px; font-weight: bold; letter-spacing: 2px; flex: 1;';
+        header.appendChild(this.titleEl);
+
+        this.modeSelect = document.createElement('select');
+        this.modeSelect.innerHTML = '<option value="book">Book</option><option value="selected">Selected</option>';
+        this.modeSelect.style.cssText = 'background: rgba(0, 0, 0, 0.6); color: #64c8ff; border: 1px solid rgba(100, 200, 255, 0.5); border-radius: 3px; font-size: 11px; font-family: inherit;';
+        this.modeSelect.addEventListener('change', () => {
+            this.mode = this.modeSelect.value;
+            this.signature = ''; // Force recompute on next update
+        });
+        header.appendChild(this.modeSelect);
+
+        const collapseBtn = document.createElement('button');
+        collapseBtn.textContent = '–';
+        collapseBtn.title = 'Collapse payoff chart';
+        collapseBtn.style.cssText = 'background: none; border: 1px solid #64c8ff; color: #64c8ff; border-radius: 3px; cursor: pointer; font-size: 11px; width: 20px;';
+        collapseBtn.onclick = () => {
+            this.collapsed = !this.collapsed;
+            this.canvas.style.display = this.collapsed ? 'none' : 'block';
+            collapseBtn.textContent = this.collapsed ? '+' : '–';
+        };
+        header.appendChild(collapseBtn);
+        this.container.appendChild(header);
+
+        // Chart canvas
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.canvas.style.cssText = 'display: block; cursor: ew-resize;';
+        this.ctx = this.canvas.getContext('2d');
+        this.container.appendChild(this.canvas);
+
+        // Drag the spot cursor
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.range) return;
+            this.dragging = true;
+            this.handleDrag(e);
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragging) this.handleDrag(e);
+        });
+        window.addEventListener('mouseup', () => {
+            this.dragging = false;
+        });
+
+        document.body.appendChild(this.container);
+        this.render();
+    }
+
+    /**
+     * Set spot cursor drag handler
+     * @param {Function} callback - Called with the new underlying price
+     */
+    onSpotDrag(callback) {
+        this.spotDragCallback = callback;
+    }
+
+    handleDrag(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const price = Math.max(0.01, this.xToPrice(x));
+        this.spot = price;
+        if (this.spotDragCallback) {
+            this.spotDragCallback(Math.round(price * 100) / 100);
+        }
+        this.render();
+    }
+
+    /**
+     * Feed the chart with the legs to plot
+     * Curves are only recomputed when the legs change or spot leaves the plotted range.
+     * @param {Object} data
+     * @param {Array<Object>} data.legs - {type, strike, quantity, multiplier, premium, timeToExpiry, iv, params}
+     * @param {number} data.spot - Current underlying price
+     * @param {string} data.label - Title suffix (e.g. strategy name)
+     */
+    update({ legs, spot, label = '' }) {
+        this.legs = legs || [];
+        this.spot = spot;
+        this.titleEl.textContent = label ? `PAYOFF · ${label}` : 'PAYOFF';
+
+        const signature = this.legs.map(leg => [
+            leg.type, leg.strike, leg.quantity, leg.multiplier, leg.premium, leg.timeToExpiry, leg.iv,
+            leg.params && leg.params.pricingModel
+        ].join(':')).join('|') + JSON.stringify(getTradingCosts());
+        const outOfRange = !this.range || spot < this.range[0] || spot > this.range[1];
+
+        if (signature !== this.signature || (outOfRange && this.legs.length > 0)) {
+            this.signature = signature;
+            this.computeCurves();
+        }
+
+        if (!this.dragging) {
+            this.render();
+        }
+    }
+
+    computeCurves() {
+        if (this.legs.length === 0) {
+            this.curves = null;
+            this.profile = null;
+            this.range = null;
+            return;
+        }
+
+        const multiplier = this.legs[0].multiplier || DEFAULT_CONTRACT_MULTIPLIER;
+        const strategy = new Strategy({
+            legs: this.legs.map(leg => ({
+                ...leg,
+                // Legs with a different multiplier are scaled into the shared one
+                quantity: leg.quantity * (leg.multiplier || DEFAULT_CONTRACT_MULTIPLIER) / multiplier
+            })),
+            multiplier
+        });
+        this.profile = strategy.analyzePayoff();
+
+        // X range: strikes, breakevens and spot with some room either side
+        const anchors = [...this.legs.map(leg => leg.strike), ...this.profile.breakevens, this.spot];
+        const low = Math.min(...anchors);
+        const high = Math.max(...anchors);
+        const pad = Math.max((high - low) * 0.25, high * 0.05);
+        this.range = [Math.max(0.01, low - pad), high + pad];
+
+        const prices = [];
+        const expiry = [];
+        const today = [];
+        for (let i = 0; i <= SAMPLES; i++) {
+            const price = this.range[0] + (this.range[1] - this.range[0]) * i / SAMPLES;
+            prices.push(price);
+            expiry.push(strategy.payoffAt(price));
+            today.push(this.legs.reduce((sum, leg) => {
+                const value = this.priceLeg(leg, price);
+                return sum + calculateProfitLoss(value, leg.premium || 0, leg.quantity, leg.multiplier || DEFAULT_CONTRACT_MULTIPLIER, { timeToExpiry: leg.timeToExpiry });
+            }, 0));
+        }
+        this.curves = { prices, expiry, today };
+    }
+
+    priceToX(price) {
+        const [low, high] = this.range;
+        return PADDING.left + (price - low) / (high - low) * (this.width - PADDING.left - PADDING.right);
+    }
+
+    xToPrice(x) {
+        const [low, high] = this.range;
+        const t = (x - PADDING.left) / (this.width - PADDING.left - PADDING.right);
+        return low + Math.min(1, Math.max(0, t)) * (high - low);
+    }
+
+    /**
+     * Today's theoretical P/L at the cursor (linear interpolation between samples)
+     */
+    todayAt(price) {
+        const { prices, today } = this.curves;
+        const step = prices[1] - prices[0];
+        const i = Math.min(prices.length - 2, Math.max(0, Math.floor((price - prices[0]) / step)));
+        const t = (price - prices[i]) / step;
+        return today[i] + (today[i + 1] - today[i]) * t;
+    }
+
+    render() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        if (!this.curves) {
+            ctx.font = '11px "Courier New", monospace';
+            ctx.fillStyle = '#666';
+            ctx.fillText('No positions to chart', this.width / 2 - 70, this.height / 2);
+            return;
+        }
+
+        const { prices, expiry, today } = this.curves;
+        const values = [...expiry, ...today, 0];
+        let minY = Math.min(...values);
+        let maxY = Math.max(...values);
+        const padY = Math.max((maxY - minY) * 0.1, 1);
+        minY -= padY;
+        maxY += padY;
+        const plotBottom = this.height - PADDING.bottom;
+        const toY = (value) => PADDING.top + (maxY - value) / (maxY - minY) * (plotBottom - PADDING.top);
+
+        // Profit / loss shading split at zero
+        const zeroY = toY(0);
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.05)';
+        ctx.fillRect(PADDING.left, PADDING.top, this.width - PADDING.left - PADDING.right, zeroY - PADDING.top);
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.06)';
+        ctx.fillRect(PADDING.left, zeroY, this.width - PADDING.left - PADDING.right, plotBottom - zeroY);
+
+        // Axes
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, zeroY);
+        ctx.lineTo(this.width - PADDING.right, zeroY);
+        ctx.stroke();
+
+        ctx.font = '9px "Courier New", monospace';
+        ctx.fillStyle = '#888';
+        ctx.fillText(formatMoney(maxY - padY), 2, toY(maxY - padY) + 3);
+        ctx.fillText(formatMoney(minY + padY), 2, toY(minY + padY) + 3);
+        ctx.fillText(`$${this.range[0].toFixed(0)}`, PADDING.left, this.height - 6);
+        const highLabel = `$${this.range[1].toFixed(0)}`;
+        ctx.fillText(highLabel, this.width - PADDING.right - ctx.measureText(highLabel).width, this.height - 6);
+
+        // Breakevens
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        this.profile.breakevens.forEach(be => {
+            if (be < this.range[0] || be > this.range[1]) return;
+            const x = this.priceToX(be);
+            ctx.beginPath();
+            ctx.moveTo(x, PADDING.top);
+            ctx.lineTo(x, plotBottom);
+            ctx.stroke();
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(be.toFixed(1), x + 2, plotBottom - 2);
+        });
+        ctx.setLineDash([]);
+
+        // Curves: expiry (solid) and today (dashed)
+        this.drawCurve(ctx, prices, expiry, toY, '#4a90e2', []);
+        this.drawCurve(ctx, prices, today, toY, '#ff9500', [5, 3]);
+
+        // Max profit / loss
+        ctx.font = '10px "Courier New", monospace';
+        ctx.fillStyle = '#00ff00';
+        ctx.fillText(`Max +${formatMoney(this.profile.maxProfit, true)}`, PADDING.left + 4, PADDING.top + 10);
+        ctx.fillStyle = '#ff4444';
+        ctx.fillText(`Max -${formatMoney(this.profile.maxLoss, true)}`, PADDING.left + 4, PADDING.top + 22);
+
+        // Legend
+        ctx.fillStyle = '#4a90e2';
+        ctx.fillText('expiry', this.width - PADDING.right - 90, PADDING.top + 10);
+        ctx.fillStyle = '#ff9500';
+        ctx.fillText('today', this.width - PADDING.right - 40, PADDING.top + 10);
+
+        // Spot cursor
+        const spot = Math.min(this.range[1], Math.max(this.range[0], this.spot));
+        const spotX = this.priceToX(spot);
+        const spotPL = this.todayAt(spot);
+        ctx.strokeStyle = '#ffc800';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(spotX, PADDING.top);
+        ctx.lineTo(spotX, plotBottom);
+        ctx.stroke();
+        ctx.fillStyle = '#ffc800';
+        ctx.beginPath();
+        ctx.arc(spotX, toY(spotPL), 3.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        const spotLabel = `$${this.spot.toFixed(2)} ${spotPL >= 0 ? '+' : '-'}$${Math.abs(spotPL).toFixed(0)}`;
+        const labelWidth = ctx.measureText(spotLabel).width;
+        const labelX = Math.min(this.width - PADDING.right - labelWidth, Math.max(PADDING.left, spotX - labelWidth / 2));
+        ctx.fillText(spotLabel, labelX, PADDING.top + 34);
+    }
+
+    drawCurve(ctx, prices, values, toY, color, dash) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        prices.forEach((price, i) => {
+            const x = this.priceToX(price);
+            const y = toY(values[i]);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+/**
+ * Compact dollar label: $1.2k, $350, ∞
+ */
+function formatMoney(value, unsigned = false) {
+    if (!Number.isFinite(value)) return '∞';
+    const abs = Math.abs(value);
+    const text = abs >= 1000 ? `$${(abs / 1000).toFixed(1)}k` : `$${abs.toFixed(0)}`;
+    return unsigned || value >= 0 ? text : `-${text}`;
+}
@@ -0,0 +1,176 @@
+/**
+ * Portfolio Risk - Book-wide dollar Greeks, beta-weighted delta and risk limits
+ * Aggregates every rocket and share position per underlying and for the whole book.
+ * Betas and limits are chosen globally (saved to localStorage).
+ */
+
+const BETAS_KEY = 'optionaut-risk-betas';
+const LIMITS_KEY = 'optionaut-risk-limits';
+
+export const BENCHMARK = 'SPY';
+
+// Approximate betas to SPY; anything not listed (and not overridden) counts as 1.0
+export const DEFAULT_BETAS = {
+    SPY: 1, SPX: 1, SPXW: 1, XSP: 1, VOO: 1, IVV: 1,
+    QQQ: 1.15, NDX: 1.15, NDXP: 1.15,
+    IWM: 1.2, RUT: 1.2, MRUT: 1.2,
+    DIA: 0.9, DJX: 0.9,
+    AAPL: 1.2, MSFT: 1.1, NVDA: 1.8, AMZN: 1.3, GOOGL: 1.1, GOOG: 1.1, META: 1.3, TSLA: 2.0, AMD: 1.7,
+    TLT: -0.2, GLD: 0.1
+};
+
+// Absolute limits in the units the risk panel shows; null turns a limit off
+export const RISK_METRICS = {
+    betaDelta: { label: 'β-Δ', unit: 'SPY sh', digits: 0 },
+    dollarDelta: { label: '$Δ', unit: '$', digits: 0 },
+    dollarGamma: { label: '$Γ', unit: '$/1%', digits: 0 },
+    vega: { label: 'ν', unit: '$/vol pt', digits: 0 },
+    theta: { label: 'Θ', unit: '$/day', digits: 0 }
+};
+
+export const DEFAULT_RISK_LIMITS = {
+    betaDelta: 500,
+    dollarDelta: 250000,
+    dollarGamma: 25000,
+    vega: 2500,
+    theta: 1000
+};
+
+let betaOverrides = loadSetting(BETAS_KEY, {});
+let riskLimits = { ...DEFAULT_RISK_LIMITS, ...loadSetting(LIMITS_KEY, {}) };
+
+/**
+ * @param {string} ticker
+ * @returns {number} Beta to SPY (override, table value, or 1)
+ */
+export function getBeta(ticker) {
+    return betaOverrides[ticker] ?? DEFAULT_BETAS[ticker] ?? 1;
+}
+
+/**
+ * Override a ticker's beta (null goes back to the table value)
+ * @param {string} ticker
+ * @param {number|null} beta
+ */
+export function setBeta(ticker, beta) {
+    if (beta === null) {
+        delete betaOverrides[ticker];
+    } else {
+        if (!Number.isFinite(beta)) throw new Error(`Beta for ${ticker} must be a number`);
+        betaOverrides[ticker] = beta;
+    }
+    saveSetting(BETAS_KEY, betaOverrides);
+}
+
+/**
+ * @returns {Object} Limit per RISK_METRICS key (null = off)
+ */
+export function getRiskLimits() {
+    return { ...riskLimits };
+}
+
+/**
+ * Change risk limits (missing keys keep their current value)
+ * @param {Object} limits - Limit per RISK_METRICS key; null or 0 turns it off
+ * @returns {Object} Limits now in effect
+ */
+export function setRiskLimits(limits) {
+    const next = { ...riskLimits };
+    Object.keys(RISK_METRICS).forEach(key => {
+        if (limits[key] === undefined) return;
+        const value = limits[key] === null ? null : Number(limits[key]);
+        if (value !== null && (!Number.isFinite(value) || value < 0)) {
+            throw new Error(`${RISK_METRICS[key].label} limit must be a number of 0 or more`);
+        }
+        next[key] = value || null;
+    });
+    riskLimits = next;
+    saveSetting(LIMITS_KEY, riskLimits);
+    return getRiskLimits();
+}
+
+/**
+ * Aggregate dollar Greeks per underlying and for the whole book
+ * Dollar delta = delta (shares) x spot; dollar gamma = change in dollar delta for a 1% move;
+ * beta-weighted delta = SPY shares with the same market exposure.
+ * @param {Array<Object>} options - {ticker, positionGreeks: {delta, gamma, vega, theta}} (position-level Greeks)
+ * @param {Array<Object>} stocks - {ticker, shares}
+ * @param {Function} getSpot - ticker => spot price
+ * @returns {Object} {underlyings: [{ticker, spot, beta, betaDelta, dollarDelta, dollarGamma, vega, theta}], total}
+ */
+export function aggregateRisk(options, stocks, getSpot) {
+    const rows = new Map();
+    const rowFor = (ticker) => {
+        if (!rows.has(ticker)) {
+            rows.set(ticker, { ticker, delta: 0, gamma: 0, vega: 0, theta: 0 });
+        }
+        return rows.get(ticker);
+    };
+
+    options.forEach(({ ticker, positionGreeks }) => {
+        if (!positionGreeks) return;
+        const row = rowFor(ticker);
+        row.delta += positionGreeks.delta || 0;
+        row.gamma += positionGreeks.gamma || 0;
+        row.vega += positionGreeks.vega || 0;
+        row.theta += positionGreeks.theta || 0;
+    });
+    stocks.forEach(({ ticker, shares }) => {
+        rowFor(ticker).delta += shares;
+    });
+
+    const benchmarkSpot = getSpot(BENCHMARK);
+    const underlyings = [...rows.values()].map(({ ticker, delta, gamma, vega, theta }) => {
+        const spot = getSpot(ticker) || 0;
+        const beta = getBeta(ticker);
+        const dollarDelta = delta * spot;
+        return {
+            ticker,
+            spot,
+            beta,
+            betaDelta: benchmarkSpot > 0 ? dollarDelta * beta / benchmarkSpot : 0,
+            dollarDelta,
+            dollarGamma: gamma * spot * spot / 100,
+            vega,
+            theta
+        };
+    });
+
+    const total = { betaDelta: 0, dollarDelta: 0, dollarGamma: 0, vega: 0, theta: 0 };
+    underlyings.forEach(row => {
+        Object.keys(total).forEach(key => {
+            total[key] += row[key];
+        });
+    });
+
+    return { underlyings, total };
+}
+
+/**
+ * Book totals over their limits
+ * @param {Object} total - aggregateRisk total
+ * @param {Object} limits - Defaults to the global limits
+ * @returns {Array<Object>} {key, label, value, limit}
+ */
+export function checkRiskLimits(total, limits = riskLimits) {
+    return Object.keys(RISK_METRICS)
+        .filter(key => limits[key] > 0 && Math.abs(total[key]) > limits[key])
+        .map(key => ({ key, label: RISK_METRICS[key].label, value: total[key], limit: limits[key] }));
+}
+
+function loadSetting(key, fallback) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key) || 'null');
+        return saved && typeof saved === 'object' ? saved : fallback;
+    } catch (error) {
+        return fallback; // No storage or a corrupt entry
+    }
+}
+
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
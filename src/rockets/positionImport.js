@@ -0,0 +1,403 @@
+/**
+ * Position Import - Broker position exports (CSV) to launchable contracts
+ * Maps each row to a contract, groups matching legs into strategies and diffs the result against the current book
+ */
+
+import { validateContract, calculateDTE } from './contractParser.js';
+import { buildStrategyLegs, STRATEGY_TYPES } from './strategy.js';
+import { parseOCCSymbol } from './occSymbol.js';
+import { splitCSVLine, cleanNumber } from './optionChain.js';
+import { DEFAULT_CONTRACT_MULTIPLIER } from './rocketMetrics.js';
+
+/**
+ * Column names used by common broker position exports -> position field
+ */
+const COLUMN_ALIASES = {
+    symbol: ['symbol', 'option symbol', 'occ symbol', 'contract', 'instrument', 'security', 'description'],
+    ticker: ['underlying', 'underlying symbol', 'root', 'ticker'],
+    quantity: ['quantity', 'qty', 'position', 'pos', 'contracts', 'quantity held', 'net qty'],
+    side: ['side', 'long/short', 'buy/sell', 'direction'],
+    premium: ['average price', 'avg price', 'avg cost', 'average cost', 'price paid', 'trade price', 'avg px', 'open price', 'entry price', 'cost/share'],
+    costBasis: ['cost basis', 'total cost', 'cost basis total'],
+    strike: ['strike', 'strike price'],
+    expiry: ['expiry', 'expiration', 'expiration date', 'exp date', 'exp'],
+    type: ['type', 'option type', 'call/put', 'put/call', 'cp', 'c/p', 'right'],
+    multiplier: ['multiplier', 'mult']
+};
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+/**
+ * Parse a broker position export
+ * @param {string} text - CSV contents
+ * @returns {Object} {contracts, unmapped, rowCount}
+ *   contracts: parser-style contracts (singles and grouped strategies) ready for launch
+ *   unmapped: {line, raw, reason} for every row that couldn't become a valid contract
+ * @throws {Error} If no header with a quantity and a symbol / strike column is found
+ */
+export function parsePositionFile(text) {
+    const lines = text.split(/\r?\n/);
+    // Exports often start with account info lines - the header is the first line with a quantity and a symbol or strike
+    const headerIndex = lines.findIndex(line => {
+        const fields = splitCSVLine(line).map(fieldFor);
+        return fields.includes('quantity') && (fields.includes('symbol') || fields.includes('strike'));
+    });
+    if (headerIndex === -1) {
+        throw new Error('Position file needs a header row with a quantity column and a symbol (or strike) column');
+    }
+
+    const header = splitCSVLine(lines[headerIndex]).map(fieldFor);
+    const positions = [];
+    const unmapped = [];
+    let rowCount = 0;
+
+    lines.slice(headerIndex + 1).forEach((line, i) => {
+        const cells = splitCSVLine(line);
+        if (cells.every(cell => cell === '')) return;
+        rowCount++;
+
+        const row = {};
+        header.forEach((field, column) => {
+            if (field && row[field] === undefined && cells[column]) row[field] = cells[column];
+        });
+
+        const result = mapPositionRow(row);
+        if (result.error) {
+            unmapped.push({ line: headerIndex + i + 2, raw: line.trim(), reason: result.error });
+        } else {
+            positions.push({ ...result.position, raw: line.trim() });
+        }
+    });
+
+    return { contracts: groupPositions(positions), unmapped, rowCount };
+}
+
+/**
+ * One CSV row -> position {ticker, type, strike, expiry, quantity, premium, multiplier}
+ * @returns {Object} {position} or {error}
+ */
+function mapPositionRow(row) {
+    const option = parseOCCSymbol(row.symbol) || parseBrokerSymbol(row.symbol) || fromColumns(row);
+    if (!option) {
+        return { error: row.symbol ? `Not an option symbol: "${row.symbol}"` : 'No option symbol or strike / expiry / type columns' };
+    }
+
+    let quantity = parseQuantity(row.quantity);
+    if (!Number.isInteger(quantity) || quantity === 0) {
+        return { error: `Quantity must be a whole, non-zero number of contracts (got "${row.quantity ?? ''}")` };
+    }
+    if (quantity > 0 && /^(short|sell|sold|s)$/i.test(String(row.side || '').trim())) {
+        quantity = -quantity;
+    }
+
+    const multiplier = cleanNumber(row.multiplier) > 0 ? cleanNumber(row.multiplier) : DEFAULT_CONTRACT_MULTIPLIER;
+    let premium = cleanNumber(row.premium);
+    if (!(premium > 0) && Math.abs(cleanNumber(row.costBasis)) > 0) {
+        premium = Math.abs(cleanNumber(row.costBasis)) / (Math.abs(quantity) * multiplier);
+    }
+
+    const position = {
+        quantity,
+        ticker: option.ticker,
+        strike: option.strike,
+        type: option.type,
+        expiry: option.expiry,
+        premium: premium > 0 ? premium : null,
+        multiplier
+    };
+    if (!validateContract(position)) {
+        return { error: `Invalid contract: ${option.ticker} ${option.strike} ${option.type}` };
+    }
+    return { position };
+}
+
+/**
+ * Broker display symbols: "SPY 12/20/2025 600.00 C" or "SPY DEC 20 2025 600 CALL"
+ */
+function parseBrokerSymbol(symbol) {
+    const text = String(symbol ?? '').trim().toUpperCase().replace(/\s+/g, ' ');
+    const numeric = /^-?([A-Z][A-Z0-9.]*) (\d{1,2})\/(\d{1,2})\/(\d{2,4}) \$?(\d+(?:\.\d+)?) (C|P|CALL|PUT)$/.exec(text);
+    if (numeric) {
+        const [, ticker, month, day, year, strike, type] = numeric;
+        return brokerOption(ticker, fullYear(year), Number(month) - 1, Number(day), strike, type);
+    }
+    const named = /^-?([A-Z][A-Z0-9.]*) (JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC) (\d{1,2}) (\d{2,4}) \$?(\d+(?:\.\d+)?) (C|P|CALL|PUT)$/.exec(text);
+    if (named) {
+        const [, ticker, month, day, year, strike, type] = named;
+        return brokerOption(ticker, fullYear(year), MONTHS[month], Number(day), strike, type);
+    }
+    return null;
+}
+
+function brokerOption(ticker, year, month, day, strike, type) {
+    return { ticker, expiry: new Date(year, month, day), type: type.startsWith('C') ? 'call' : 'put', strike: Number(strike) };
+}
+
+function fullYear(year) {
+    return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Separate underlying / strike / expiry / type columns (the symbol column may hold the underlying)
+ */
+function fromColumns(row) {
+    const ticker = String(row.ticker || row.symbol || '').trim().toUpperCase();
+    const type = String(row.type || '').trim().toUpperCase();
+    const strike = cleanNumber(row.strike);
+    const expiry = parseDate(row.expiry);
+    if (!/^[A-Z][A-Z0-9.]{0,9}$/.test(ticker) || !(strike > 0) || !expiry || !/^(C|P|CALL|PUT)S?$/.test(type)) {
+        return null;
+    }
+    return { ticker, expiry, type: type.startsWith('C') ? 'call' : 'put', strike };
+}
+
+/**
+ * Expiry cell -> local-midnight date ("2025-12-20" would otherwise parse as UTC)
+ */
+function parseDate(value) {
+    if (!value) return null;
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * "-2", "+3", "(2)" (accounting negative), "2.00"
+ */
+function parseQuantity(value) {
+    const text = String(value ?? '').trim();
+    const negative = /^\(.*\)$/.test(text);
+    const number = cleanNumber(text.replace(/[()]/g, ''));
+    return number === null ? NaN : (negative ? -number : number);
+}
+
+function fieldFor(column) {
+    const name = String(column).trim().toLowerCase();
+    const match = Object.entries(COLUMN_ALIASES).find(([, aliases]) => aliases.includes(name));
+    return match ? match[0] : null;
+}
+
+/**
+ * Group positions into strategies where the legs match one, largest structures first
+ * Matches need the same ticker, the leg ratios of the strategy and (except calendars) one expiry.
+ * @param {Array<Object>} positions - {ticker, type, strike, expiry, quantity, premium}
+ * @returns {Array<Object>} Contracts: singles as parsed, strategies as {strategy, quantity, ticker, legs, ...}
+ */
+export function groupPositions(positions) {
+    const contracts = [];
+    const byTicker = new Map();
+    positions.forEach(position => {
+        if (!byTicker.has(position.ticker)) byTicker.set(position.ticker, []);
+        byTicker.get(position.ticker).push(position);
+    });
+
+    byTicker.forEach((pool, ticker) => {
+        const remaining = [...pool];
+        const take = (legs) => legs.forEach(leg => remaining.splice(remaining.indexOf(leg), 1));
+        // A structure that fails validation launches as its single legs
+        const addStrategy = (match) => {
+            const contract = strategyContract(ticker, match);
+            contracts.push(...(validateContract(contract) ? [contract] : match.positions));
+        };
+
+        // Within each expiry: condors, butterflies, straddles, strangles, verticals
+        for (const expiry of [...new Set(remaining.map(position => expiryKey(position.expiry)))]) {
+            let match;
+            while ((match = findStructure(remaining.filter(position => expiryKey(position.expiry) === expiry)))) {
+                take(match.positions);
+                addStrategy(match);
+            }
+        }
+
+        // Across expiries: calendars
+        let calendar;
+        while ((calendar = findCalendar(remaining))) {
+            take(calendar.positions);
+            addStrategy(calendar);
+        }
+
+        contracts.push(...remaining);
+    });
+
+    return contracts;
+}
+
+/**
+ * First same-expiry structure in a pool
+ * @returns {Object|null} {kind, spec, quantity, positions}
+ */
+function findStructure(pool) {
+    const sign = Math.sign;
+    const size = (position) => Math.abs(position.quantity);
+    const of = (type) => pool.filter(position => position.type === type).sort((a, b) => a.strike - b.strike);
+    const calls = of('call');
+    const puts = of('put');
+
+    // Iron condor: long/short put wings below, short/long call wings above
+    for (const [p1, p2] of pairs(puts)) {
+        for (const [c1, c2] of pairs(calls)) {
+            const q = size(p1);
+            if ([p2, c1, c2].every(leg => size(leg) === q) && p2.strike < c1.strike
+                && sign(p1.quantity) === sign(c2.quantity) && sign(p2.quantity) === sign(c1.quantity) && sign(p1.quantity) !== sign(p2.quantity)) {
+                return { kind: 'iron_condor', spec: { strikes: [p1.strike, p2.strike, c1.strike, c2.strike] }, quantity: p1.quantity, positions: [p1, p2, c1, c2] };
+            }
+        }
+    }
+
+    // Butterfly: 1 / -2 / 1 of one type
+    for (const legs of [calls, puts]) {
+        for (let i = 0; i < legs.length; i++) {
+            for (let j = i + 1; j < legs.length; j++) {
+                for (let k = j + 1; k < legs.length; k++) {
+                    const [a, b, c] = [legs[i], legs[j], legs[k]];
+                    if (a.quantity === c.quantity && b.quantity === -2 * a.quantity) {
+                        return { kind: 'butterfly', spec: { strikes: [a.strike, b.strike, c.strike], type: a.type }, quantity: a.quantity, positions: [a, b, c] };
+                    }
+                }
+            }
+        }
+    }
+
+    // Straddle: call + put at one strike, same signed size
+    for (const call of calls) {
+        const put = puts.find(leg => leg.strike === call.strike && leg.quantity === call.quantity);
+        if (put) return { kind: 'straddle', spec: { strikes: [call.strike] }, quantity: call.quantity, positions: [call, put] };
+    }
+
+    // Strangle: lower put + upper call, same signed size
+    for (const put of puts) {
+        const call = calls.find(leg => leg.strike > put.strike && leg.quantity === put.quantity);
+        if (call) return { kind: 'strangle', spec: { strikes: [put.strike, call.strike] }, quantity: put.quantity, positions: [put, call] };
+    }
+
+    // Vertical: long one strike, short another of the same type
+    for (const legs of [calls, puts]) {
+        for (const [a, b] of pairs(legs)) {
+            if (a.quantity === -b.quantity) {
+                const [long, short] = a.quantity > 0 ? [a, b] : [b, a];
+                return { kind: 'vertical', spec: { strikes: [long.strike, short.strike], type: a.type }, quantity: long.quantity, positions: [long, short] };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Same type and strike, opposite sizes, different expiries (short near / long far = positive)
+ */
+function findCalendar(pool) {
+    for (const [a, b] of pairs(pool)) {
+        if (a.type === b.type && a.strike === b.strike && a.quantity === -b.quantity && expiryKey(a.expiry) !== expiryKey(b.expiry)) {
+            const [near, far] = a.expiry < b.expiry ? [a, b] : [b, a];
+            return {
+                kind: 'calendar',
+                spec: { strikes: [a.strike], type: a.type, expiries: [near.expiry, far.expiry] },
+                quantity: far.quantity,
+                positions: [near, far]
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Strategy contract in the parser's shape; legs keep their own average prices
+ */
+function strategyContract(ticker, { kind, spec, quantity, positions }) {
+    const expiry = positions[0].expiry;
+    const legs = buildStrategyLegs(kind, { ...spec, expiries: spec.expiries || [expiry] }).map(leg => {
+        const source = positions.find(position => position.type === leg.type && position.strike === leg.strike
+            && expiryKey(position.expiry) === expiryKey(leg.expiry));
+        return { ...leg, premium: source.premium };
+    });
+    const priced = legs.every(leg => leg.premium > 0);
+
+    return {
+        strategy: kind,
+        quantity,
+        ticker,
+        legs,
+        strike: legs[0].strike,
+        type: legs[0].type,
+        expiry: spec.expiries ? spec.expiries[0] : expiry,
+        // Net debit / credit per share for one structure
+        premium: priced ? Math.abs(legs.reduce((sum, leg) => sum + leg.quantity * leg.premium, 0)) : null,
+        raw: positions.map(position => position.raw).join('\n')
+    };
+}
+
+function pairs(list) {
+    const result = [];
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) result.push([list[i], list[j]]);
+    }
+    return result;
+}
+
+function expiryKey(expiry) {
+    return expiry ? formatDate(expiry) : '';
+}
+
+/**
+ * Local YYYY-MM-DD (expiries are local-midnight dates)
+ */
+function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Signed legs of a contract for the whole position
+ * @returns {Array<Object>} {ticker, type, strike, dte, quantity}
+ */
+export function contractLegs(contract) {
+    const legs = contract.legs
+        ? contract.legs.map(leg => ({ ...leg, quantity: leg.quantity * contract.quantity, expiry: leg.expiry || contract.expiry }))
+        : [contract];
+    return legs.map(leg => ({
+        ticker: contract.ticker,
+        type: leg.type,
+        strike: leg.strike,
+        dte: calculateDTE(leg.expiry),
+        quantity: leg.quantity
+    }));
+}
+
+/**
+ * Compare imported contracts with the book
+ * Legs match on ticker, type, strike and DTE (within a day - the book only keeps time to expiry).
+ * @param {Array<Object>} contracts - From parsePositionFile
+ * @param {Array<Object>} bookLegs - Current rockets as {ticker, type, strike, dte, quantity}
+ * @returns {Object} {statuses, removed} - statuses[i] is 'new' | 'same' | 'changed' for contracts[i];
+ *   removed lists book legs the file doesn't have
+ */
+export function diffBook(contracts, bookLegs) {
+    const unmatched = [...bookLegs];
+    const statuses = contracts.map(contract => {
+        const results = contractLegs(contract).map(leg => {
+            const index = unmatched.findIndex(book => book.ticker === leg.ticker && book.type === leg.type
+                && book.strike === leg.strike && Math.abs(book.dte - leg.dte) <= 1);
+            if (index === -1) return 'new';
+            const [book] = unmatched.splice(index, 1);
+            return book.quantity === leg.quantity ? 'same' : 'changed';
+        });
+        if (results.every(result => result === 'same')) return 'same';
+        if (results.every(result => result === 'new')) return 'new';
+        return 'changed';
+    });
+    return { statuses, removed: unmatched };
+}
+
+/**
+ * Short label, e.g. "-2 SPY 600C 2025-12-20 @ 5.20" or "1 SPY 590/600/610/620 Iron Condor 2025-12-20"
+ */
+export function describeContract(contract) {
+    const date = contract.expiry ? formatDate(contract.expiry) : 'no expiry';
+    if (contract.legs) {
+        const strikes = [...new Set(contract.legs.map(leg => leg.strike))].join('/');
+        return `${contract.quantity} ${contract.ticker} ${strikes} ${STRATEGY_TYPES[contract.strategy]} ${date}`;
+    }
+    const price = contract.premium ? ` @ ${contract.premium.toFixed(2)}` : '';
+    return `${contract.quantity} ${contract.ticker} ${contract.strike}${contract.type === 'call' ? 'C' : 'P'} ${date}${price}`;
+}
@@ -0,0 +1,180 @@
+/**
+ * Position Import Dialog - Preview of a broker position file before it is launched
+ * Lists the contracts to launch (tagged against the current book), book legs missing from the file and rows that didn't map
+ */
+
+import { describeContract } from './positionImport.js';
+
+const ACCENT = '#7cfc00';
+
+const STATUS_TAGS = {
+    new: { label: 'new', color: ACCENT },
+    same: { label: 'in book', color: '#888' },
+    changed: { label: 'qty change', color: '#ffc800' }
+};
+
+export class PositionImportDialog {
+    constructor() {
+        this.overlay = null;
+        this.preview = null;
+        this.visible = false;
+        this.confirmCallback = null;
+
+        this.init();
+    }
+
+    init() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'position-import-dialog';
+        this.overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 2000;
+            background: rgba(0, 0, 0, 0.6);
+            display: none;
+            align-items: center;
+            justify-content: center;
+        `;
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.hide();
+        });
+
+        const box = document.createElement('div');
+        box.style.cssText = `
+            background: rgba(0, 0, 0, 0.92);
+            padding: 12px 14px;
+            border-radius: 8px;
+            border: 1px solid rgba(124, 252, 0, 0.4);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: white;
+            width: 520px;
+            max-width: 90vw;
+        `;
+
+        const title = document.createElement('div');
+        title.textContent = 'IMPORT POSITIONS';
+        title.style.cssText = `color: ${ACCENT}; font-size: 12px; font-weight: bold; letter-spacing: 2px; margin-bottom: 6px;`;
+        box.appendChild(title);
+
+        this.summaryEl = document.createElement('div');
+        this.summaryEl.style.cssText = 'color: #ccc; margin-bottom: 8px;';
+        box.appendChild(this.summaryEl);
+
+        this.listEl = document.createElement('div');
+        this.listEl.style.cssText = 'max-height: 55vh; overflow-y: auto;';
+        box.appendChild(this.listEl);
+
+        const buttonStyle = `background: none; border: 1px solid ${ACCENT}; color: ${ACCENT}; border-radius: 3px; cursor: pointer; font-size: 11px; font-family: inherit; padding: 3px 8px;`;
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 6px; margin-top: 10px;';
+
+        this.addBtn = document.createElement('button');
+        this.addBtn.textContent = 'Add to book';
+        this.addBtn.title = 'Launch the imported positions alongside the current rockets';
+        this.addBtn.style.cssText = buttonStyle;
+        this.addBtn.onclick = () => this.confirm('add');
+        buttons.appendChild(this.addBtn);
+
+        this.replaceBtn = document.createElement('button');
+        this.replaceBtn.textContent = 'Replace book';
+        this.replaceBtn.title = 'Clear the current rockets, then launch the imported positions';
+        this.replaceBtn.style.cssText = buttonStyle;
+        this.replaceBtn.onclick = () => this.confirm('replace');
+        buttons.appendChild(this.replaceBtn);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = `${buttonStyle} border-color: #666; color: #aaa;`;
+        cancelBtn.onclick = () => this.hide();
+        buttons.appendChild(cancelBtn);
+        box.appendChild(buttons);
+
+        this.overlay.appendChild(box);
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * @param {Function} callback - Called with (mode, preview) - mode is 'add' or 'replace'
+     */
+    onConfirm(callback) {
+        this.confirmCallback = callback;
+    }
+
+    /**
+     * Show a parsed file
+     * @param {Object} preview - {contracts, unmapped, rowCount, statuses, removed} (parsePositionFile + diffBook)
+     */
+    open(preview) {
+        this.preview = preview;
+        const { contracts, unmapped, rowCount, statuses, removed } = preview;
+
+        this.summaryEl.textContent = `${rowCount} row(s): ${contracts.length} position(s) mapped, ${unmapped.length} unmapped`;
+        this.addBtn.disabled = contracts.length === 0;
+        this.replaceBtn.disabled = contracts.length === 0;
+
+        const section = (label, color) => `<div style="color: ${color}; margin: 6px 0 2px; letter-spacing: 1px;">${label}</div>`;
+        const row = (text, tag = '') => `<div style="display: flex; gap: 6px; padding: 1px 0;"><span style="flex: 1;">${escapeHTML(text)}</span>${tag}</div>`;
+
+        let html = section('TO LAUNCH', ACCENT);
+        html += contracts.length > 0
+            ? contracts.map((contract, i) => {
+                const status = STATUS_TAGS[statuses[i]] || STATUS_TAGS.new;
+                return row(describeContract(contract), `<span style="color: ${status.color};">${status.label}</span>`);
+            }).join('')
+            : '<div style="color: #888;">Nothing to launch</div>';
+
+        if (removed.length > 0) {
+            html += section('IN BOOK, NOT IN FILE (removed on replace)', '#ffc800');
+            html += removed.map(leg => row(`${leg.quantity} ${leg.ticker} ${leg.strike}${leg.type === 'call' ? 'C' : 'P'} ${leg.dte}d`)).join('');
+        }
+
+        if (unmapped.length > 0) {
+            html += section('UNMAPPED ROWS', '#ff6666');
+            html += unmapped.map(({ line, raw, reason }) => `
+                <div style="padding: 1px 0; color: #ff8888;">
+                    <span style="color: #888;">L${line}</span> ${escapeHTML(raw)}
+                    <div style="color: #aaa; padding-left: 24px;">${escapeHTML(reason)}</div>
+                </div>`).join('');
+        }
+
+        this.listEl.innerHTML = html;
+        this.show();
+    }
+
+    confirm(mode) {
+        const preview = this.preview;
+        this.hide();
+        if (preview && this.confirmCallback) this.confirmCallback(mode, preview);
+    }
+
+    show() {
+        this.visible = true;
+        this.overlay.style.display = 'flex';
+    }
+
+    hide() {
+        this.visible = false;
+        this.overlay.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    destroy() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+    }
+}
+
+// File contents end up in innerHTML
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
@@ -0,0 +1,196 @@
+/**
+ * Pricing Engine - Black-Scholes-Merton pricing and Greeks
+ * European options with continuous dividend yield
+ *
+ * Units (per contract share, before the 100x multiplier):
+ *   price       - option value in $
+ *   delta       - $ change per $1 move in spot
+ *   gamma       - delta change per $1 move in spot
+ *   vega        - $ change per 1 vol point (0.01 IV)
+ *   theta       - $ change per calendar day
+ *   thetaAnnual - $ change per year
+ *   rho         - $ change per 1 rate point (0.01 r)
+ */
+
+export const DEFAULT_RISK_FREE_RATE = 0.02;
+export const DEFAULT_DIVIDEND_YIELD = 0;
+export const DAYS_PER_YEAR = 365;
+
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal probability density
+ * @param {number} x
+ * @returns {number}
+ */
+export function normPDF(x) {
+    return Math.exp(-0.5 * x * x) / SQRT_2PI;
+}
+
+/**
+ * Standard normal cumulative distribution
+ * Hart (1968) rational approximation as given by West (2005),
+ * accurate to double precision across the whole real line.
+ * @param {number} x
+ * @returns {number}
+ */
+export function normCDF(x) {
+    const xAbs = Math.abs(x);
+    let tail;
+
+    if (xAbs > 37) {
+        tail = 0;
+    } else {
+        const e = Math.exp(-xAbs * xAbs / 2);
+        if (xAbs < 7.07106781186547) {
+            let num = 3.52624965998911e-2 * xAbs + 0.700383064443688;
+            num = num * xAbs + 6.37396220353165;
+            num = num * xAbs + 33.912866078383;
+            num = num * xAbs + 112.079291497871;
+            num = num * xAbs + 221.213596169931;
+            num = num * xAbs + 220.206867912376;
+
+            let den = 8.83883476483184e-2 * xAbs + 1.75566716318264;
+            den = den * xAbs + 16.064177579207;
+            den = den * xAbs + 86.7807322029461;
+            den = den * xAbs + 296.564248779674;
+            den = den * xAbs + 637.333633378831;
+            den = den * xAbs + 793.826512519948;
+            den = den * xAbs + 440.413735824752;
+
+            tail = e * num / den;
+        } else {
+            let b = xAbs + 0.65;
+            b = xAbs + 4 / b;
+            b = xAbs + 3 / b;
+            b = xAbs + 2 / b;
+            b = xAbs + 1 / b;
+            tail = e / b / SQRT_2PI;
+        }
+    }
+
+    return x > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Black-Scholes-Merton price and first-order Greeks
+ * @param {Object} inputs
+ * @param {number} inputs.spot - Underlying price
+ * @param {number} inputs.strike - Strike price
+ * @param {number} inputs.timeToExpiry - Years to expiry
+ * @param {number} inputs.iv - Implied volatility (0.16 = 16%)
+ * @param {number} inputs.rate - Continuously compounded risk-free rate
+ * @param {number} inputs.dividendYield - Continuous dividend yield
+ * @param {string} inputs.type - 'call' or 'put'
+ * @returns {Object} {price, delta, gamma, vega, theta, thetaAnnual, rho}
+ */
+export function blackScholes({
+    spot,
+    strike,
+    timeToExpiry,
+    iv,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    type = 'call'
+}) {
+    const isCall = type === 'call';
+
+    // At (or past) expiry only intrinsic value remains
+    if (!(timeToExpiry > 0)) {
+        const itm = isCall ? spot > strike : spot < strike;
+        return {
+            price: Math.max(0, isCall ? spot - strike : strike - spot),
+            delta: itm ? (isCall ? 1 : -1) : 0,
+            gamma: 0,
+            vega: 0,
+            theta: 0,
+            thetaAnnual: 0,
+            rho: 0
+        };
+    }
+
+    const T = timeToExpiry;
+    const sqrtT = Math.sqrt(T);
+    const divDiscount = Math.exp(-dividendYield * T);
+    const rateDiscount = Math.exp(-rate * T);
+    const forwardSpot = spot * divDiscount;
+    const pvStrike = strike * rateDiscount;
+
+    // Zero vol: option is worth its discounted forward intrinsic value
+    if (!(iv > 0)) {
+        const itm = isCall ? forwardSpot > pvStrike : pvStrike > forwardSpot;
+        const price = Math.max(0, isCall ? forwardSpot - pvStrike : pvStrike - forwardSpot);
+        const thetaAnnual = !itm ? 0 : isCall
+            ? dividendYield * forwardSpot - rate * pvStrike
+            : rate * pvStrike - dividendYield * forwardSpot;
+        return {
+            price,
+            delta: itm ? (isCall ? divDiscount : -divDiscount) : 0,
+            gamma: 0,
+            vega: 0,
+            theta: thetaAnnual / DAYS_PER_YEAR,
+            thetaAnnual,
+            rho: itm ? (isCall ? 1 : -1) * strike * T * rateDiscount * 0.01 : 0
+        };
+    }
+
+    const volSqrtT = iv * sqrtT;
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + 0.5 * iv * iv) * T) / volSqrtT;
+    const d2 = d1 - volSqrtT;
+    const pdfD1 = normPDF(d1);
+
+    const gamma = divDiscount * pdfD1 / (spot * volSqrtT);
+    const vega = forwardSpot * pdfD1 * sqrtT * 0.01;
+    const decay = -forwardSpot * pdfD1 * iv / (2 * sqrtT);
+
+    let price, delta, thetaAnnual, rho;
+    if (isCall) {
+        const nd1 = normCDF(d1);
+        const nd2 = normCDF(d2);
+        price = forwardSpot * nd1 - pvStrike * nd2;
+        delta = divDiscount * nd1;
+        thetaAnnual = decay - rate * pvStrike * nd2 + dividendYield * forwardSpot * nd1;
+        rho = strike * T * rateDiscount * nd2 * 0.01;
+    } else {
+        const nMinusD1 = normCDF(-d1);
+        const nMinusD2 = normCDF(-d2);
+        price = pvStrike * nMinusD2 - forwardSpot * nMinusD1;
+        delta = -divDiscount * nMinusD1;
+        thetaAnnual = decay + rate * pvStrike * nMinusD2 - dividendYield * forwardSpot * nMinusD1;
+        rho = -strike * T * rateDiscount * nMinusD2 * 0.01;
+    }
+
+    return {
+        price: Math.max(0, price),
+        delta,
+        gamma,
+        vega,
+        theta: thetaAnnual / DAYS_PER_YEAR,
+        thetaAnnual,
+        rho
+    };
+}
+
+/**
+ * Positional wrapper used throughout the scene (createRocket, animate loop,
+ * VolSlider, window.adjustRocket)
+ * @param {number} spot - Underlying price
+ * @param {number} strike - Strike price
+ * @param {number} timeToExpiry - Years to expiry
+ * @param {number} iv - Implied volatility
+ * @param {number} r - Risk-free rate
+ * @param {string} optionType - 'call' or 'put'
+ * @param {number} dividendYield - Continuous dividend yield
+ * @returns {Object} {price, delta, gamma, vega, theta, thetaAnnual, rho}
+ */
+export function calculateGreeks(spot, strike, timeToExpiry, iv, r = DEFAULT_RISK_FREE_RATE, optionType = 'call', dividendYield = DEFAULT_DIVIDEND_YIELD) {
+    return blackScholes({
+        spot,
+        strike,
+        timeToExpiry,
+        iv,
+        rate: r,
+        dividendYield,
+        type: optionType
+    });
+}
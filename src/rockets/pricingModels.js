@@ -0,0 +1,68 @@
+/**
+ * Pricing Models - Selectable European / American pricing
+ * Chosen globally or per rocket (params.pricingModel)
+ */
+
+import { blackScholes, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './pricingEngine.js';
+import { binomialCRR, bjerksundStensland } from './americanPricing.js';
+
+export const PRICING_MODELS = {
+    european: { label: 'European (Black-Scholes)', american: false, price: blackScholes },
+    binomial: { label: 'American (CRR Binomial)', american: true, price: binomialCRR },
+    bjerksund: { label: 'American (Bjerksund-Stensland)', american: true, price: bjerksundStensland }
+};
+
+let defaultPricingModel = 'european';
+
+/**
+ * Set the model used by rockets that don't pick their own
+ * @param {string} model - Key of PRICING_MODELS
+ */
+export function setDefaultPricingModel(model) {
+    if (!PRICING_MODELS[model]) {
+        console.warn(`Pricing model "${model}" not found`);
+        return;
+    }
+    defaultPricingModel = model;
+    console.log(`🧮 Default pricing model: ${PRICING_MODELS[model].label}`);
+}
+
+export function getDefaultPricingModel() {
+    return defaultPricingModel;
+}
+
+/**
+ * Price an option with the requested model
+ * American models also report the early-exercise premium over the European value.
+ * @param {Object} inputs - {spot, strike, timeToExpiry, iv, rate, dividendYield, type}
+ * @param {string} model - Key of PRICING_MODELS (defaults to the global model)
+ * @returns {Object} Greeks plus {model, earlyExercisePremium}
+ */
+export function priceOption(inputs, model = defaultPricingModel) {
+    const modelKey = PRICING_MODELS[model] ? model : defaultPricingModel;
+    const entry = PRICING_MODELS[modelKey];
+    const greeks = entry.price(inputs);
+
+    let earlyExercisePremium = 0;
+    if (entry.american) {
+        const european = blackScholes(inputs);
+        earlyExercisePremium = Math.max(0, greeks.price - european.price);
+    }
+
+    return { ...greeks, model: modelKey, earlyExercisePremium };
+}
+
+/**
+ * Positional form of priceOption(), matching calculateGreeks() plus a model argument
+ */
+export function calculateModelGreeks(spot, strike, timeToExpiry, iv, r = DEFAULT_RISK_FREE_RATE, optionType = 'call', dividendYield = DEFAULT_DIVIDEND_YIELD, model = defaultPricingModel) {
+    return priceOption({
+        spot,
+        strike,
+        timeToExpiry,
+        iv,
+        rate: r,
+        dividendYield,
+        type: optionType
+    }, model);
+}
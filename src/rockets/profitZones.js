@@ -4,6 +4,9 @@
  */
 
 import * as THREE from 'three';
+import { Strategy } from './strategy.js';
+import { DEFAULT_CONTRACT_MULTIPLIER, calculateBreakeven } from './rocketMetrics.js';
+import { breakevenPremium } from './tradingCosts.js';
 
 /**
  * Create a glowing ring at a breakeven price
@@ -100,26 +103,80 @@ export function animateRing(ring, time) {
 }
 
 /**
- * Calculate breakeven prices for an option
- * @param {Object} contract - Contract data {type, strike, premium, quantity}
+ * Combined expiry payoff profile for a single option or a multi-leg strategy
+ * @param {Object} contract - Single contract {type, strike, premium, quantity}
+ *   or strategy contract with `legs` [{type, strike, premium, quantity, timeToExpiry, iv}]
+ * @returns {Object} {breakevens, maxProfit, maxLoss, maxProfitPrice, maxLossPrice}
+ *   maxProfit / maxLoss are Infinity when unbounded
+ */
+export function calculatePayoffProfile(contract) {
+    const legs = contract.legs || [{
+        type: contract.type,
+        strike: contract.strike,
+        premium: contract.premium,
+        quantity: contract.quantity || 1
+    }];
+    const strategy = contract instanceof Strategy
+        ? contract
+        : new Strategy({ kind: contract.strategy, ticker: contract.ticker, legs });
+    return strategy.analyzePayoff();
+}
+
+/**
+ * Calculate breakeven prices for an option or strategy
+ * Spreads, straddles, condors etc. can have more than one breakeven. Opening trading costs
+ * push a long's breakeven further out and pull a short's in.
+ * @param {Object} contract - Contract data {type, strike, premium, quantity, multiplier} or a strategy with legs
  * @returns {Array<number>} Breakeven prices
  */
 export function calculateBreakevens(contract) {
-    const { type, strike, premium, quantity } = contract;
+    if (contract.legs) {
+        // Legs without premiums would produce a meaningless payoff
+        if (contract.legs.some(leg => leg.premium === undefined || leg.premium === null)) return [];
+        return calculatePayoffProfile(contract).breakevens;
+    }
+
+    const { type, strike, premium, quantity = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER } = contract;
 
     if (!premium) return []; // Can't calculate without premium
 
-    const breakevens = [];
+    // Long: option must be worth premium + costs; short: keeps the credit less costs
+    return [calculateBreakeven(strike, breakevenPremium(premium, quantity, multiplier), type)];
+}
 
-    if (type === 'call') {
-        // Long call: breakeven = strike + premium
-        // Short call: breakeven = strike + premium (but inverted P/L)
-        breakevens.push(strike + premium);
-    } else {
-        // Long put: breakeven = strike - premium
-        // Short put: breakeven = strike - premium (but inverted P/L)
-        breakevens.push(strike - premium);
+/**
+ * Breakevens of an arbitrary P/L curve (e.g. a position valued before expiry)
+ * @param {Function} plAt - P/L at an underlying price
+ * @param {number} low - Lowest price to scan
+ * @param {number} high - Highest price to scan
+ * @param {number} steps - Scan resolution (crossings are linearly interpolated)
+ * @returns {Array<number>} Breakeven prices, ascending
+ */
+export function findBreakevens(plAt, low, high, steps = 100) {
+    const breakevens = [];
+    let prevPrice = low;
+    let prevPL = plAt(low);
+    for (let i = 1; i <= steps; i++) {
+        const price = low + (high - low) * i / steps;
+        const pl = plAt(price);
+        if (prevPL === 0) {
+            breakevens.push(prevPrice);
+        } else if (prevPL * pl < 0) {
+            breakevens.push(prevPrice + (price - prevPrice) * prevPL / (prevPL - pl));
+        }
+        prevPrice = price;
+        prevPL = pl;
     }
+    return breakevens.map(price => Math.round(price * 100) / 100);
+}
 
-    return breakevens;
+/**
+ * Move an existing ring to a new radius (rebuilds its geometry in place)
+ * @param {THREE.Mesh} ring - Ring mesh
+ * @param {number} radius - New center radius
+ * @param {number} halfWidth - Half the ring band width
+ */
+export function resizeRing(ring, radius, halfWidth = 0.5) {
+    ring.geometry.dispose();
+    ring.geometry = new THREE.RingGeometry(Math.max(0, radius - halfWidth), radius + halfWidth, 64);
 }
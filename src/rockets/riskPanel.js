@@ -0,0 +1,259 @@
+/**
+ * Risk Panel - Portfolio dollar Greeks and beta-weighted delta, per underlying and for the whole book
+ * Totals over their limits are highlighted and the panel border flashes; limits and betas are editable.
+ */
+
+import { RISK_METRICS, BENCHMARK } from './portfolioRisk.js';
+
+const ALERT_COLOR = '#ff4444';
+const BORDER_COLOR = 'rgba(0, 200, 120, 0.5)';
+
+export class RiskPanel {
+    /**
+     * @param {Object} limits - Limits to show initially (see DEFAULT_RISK_LIMITS)
+     */
+    constructor(limits) {
+        this.container = null;
+        this.visible = false;
+        this.limitInputs = {};
+        this.limitsCallback = null;
+        this.betaCallback = null;
+
+        this.init();
+        this.setLimits(limits);
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.id = 'risk-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 70px;
+            right: 310px;
+            z-index: 1000;
+            background: rgba(0, 0, 0, 0.9);
+            padding: 10px 12px;
+            border-radius: 8px;
+            border: 1px solid ${BORDER_COLOR};
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: white;
+            display: none;
+        `;
+
+        const buttonStyle = 'background: none; border: 1px solid #00c878; color: #00c878; border-radius: 3px; cursor: pointer; font-size: 11px; font-family: inherit; padding: 1px 6px;';
+
+        // Header: title, close
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+        const title = document.createElement('div');
+        title.textContent = 'PORTFOLIO RISK';
+        title.style.cssText = 'color: #00c878; font-size: 12px; font-weight: bold; letter-spacing: 2px; flex: 1;';
+        header.appendChild(title);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = buttonStyle;
+        closeBtn.onclick = () => this.hide();
+        header.appendChild(closeBtn);
+        this.container.appendChild(header);
+
+        // Per-underlying rows + book total
+        this.tableEl = document.createElement('table');
+        this.tableEl.style.cssText = 'border-collapse: collapse; text-align: right; width: 100%;';
+        this.container.appendChild(this.tableEl);
+
+        // Limits (absolute values of the book totals)
+        const limitsTitle = document.createElement('div');
+        limitsTitle.textContent = 'LIMITS (blank = off)';
+        limitsTitle.style.cssText = 'color: #888; font-size: 10px; margin: 8px 0 4px;';
+        this.container.appendChild(limitsTitle);
+
+        const limitsRow = document.createElement('div');
+        limitsRow.style.cssText = 'display: flex; gap: 4px; align-items: flex-end;';
+        Object.entries(RISK_METRICS).forEach(([key, { label, unit }]) => {
+            const field = document.createElement('label');
+            field.title = `${label} limit (${unit})`;
+            field.style.cssText = 'display: flex; flex-direction: column; color: #ccc; font-size: 10px;';
+            field.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.style.cssText = 'width: 58px; padding: 2px; background: rgba(255, 255, 255, 0.1); color: #fff; border: 1px solid rgba(0, 200, 120, 0.5); border-radius: 3px; font-family: inherit; font-size: 10px;';
+            field.appendChild(input);
+            limitsRow.appendChild(field);
+            this.limitInputs[key] = input;
+        });
+
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = 'Set';
+        applyBtn.title = 'Apply these limits';
+        applyBtn.style.cssText = buttonStyle;
+        applyBtn.onclick = () => {
+            if (this.limitsCallback) this.limitsCallback(this.readLimits());
+        };
+        limitsRow.appendChild(applyBtn);
+        this.container.appendChild(limitsRow);
+
+        this.footerEl = document.createElement('div');
+        this.footerEl.style.cssText = 'color: #888; font-size: 10px; margin-top: 6px;';
+        this.footerEl.textContent = `β-Δ: ${BENCHMARK}-equivalent shares. Click a β to change it.`;
+        this.container.appendChild(this.footerEl);
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Set limits handler
+     * @param {Function} callback - Called with {metric: limit|null} as entered
+     */
+    onLimitsChange(callback) {
+        this.limitsCallback = callback;
+    }
+
+    /**
+     * Set beta edit handler
+     * @param {Function} callback - Called with (ticker, beta or null to restore the default)
+     */
+    onBetaChange(callback) {
+        this.betaCallback = callback;
+    }
+
+    /**
+     * Show limits in the inputs
+     * @param {Object} limits - Limit per RISK_METRICS key (null = off)
+     */
+    setLimits(limits) {
+        Object.keys(RISK_METRICS).forEach(key => {
+            this.limitInputs[key].value = limits[key] > 0 ? String(limits[key]) : '';
+        });
+    }
+
+    readLimits() {
+        const limits = {};
+        Object.keys(RISK_METRICS).forEach(key => {
+            const value = this.limitInputs[key].value.trim();
+            limits[key] = value === '' ? null : Number(value);
+        });
+        return limits;
+    }
+
+    /**
+     * Redraw the table
+     * @param {Object} report - aggregateRisk result {underlyings, total}
+     * @param {Array<Object>} breaches - checkRiskLimits result
+     * @param {boolean} flash - Alternates while a limit is breached
+     */
+    update(report, breaches = [], flash = false) {
+        const breached = new Set(breaches.map(breach => breach.key));
+        this.container.style.borderColor = breached.size > 0 && flash ? ALERT_COLOR : BORDER_COLOR;
+        if (!this.visible) return;
+
+        this.tableEl.innerHTML = '';
+        const metrics = Object.entries(RISK_METRICS);
+
+        const head = document.createElement('tr');
+        head.appendChild(this.createCell('', '#888'));
+        head.appendChild(this.createCell('β', '#888'));
+        metrics.forEach(([, { label, unit }]) => {
+            const cell = this.createCell(label, '#888');
+            cell.title = unit;
+            head.appendChild(cell);
+        });
+        this.tableEl.appendChild(head);
+
+        if (report.underlyings.length === 0) {
+            const row = document.createElement('tr');
+            const cell = this.createCell('No positions', '#666');
+            cell.colSpan = metrics.length + 2;
+            cell.style.textAlign = 'center';
+            row.appendChild(cell);
+            this.tableEl.appendChild(row);
+            return;
+        }
+
+        report.underlyings.forEach(underlying => {
+            const row = document.createElement('tr');
+            const ticker = this.createCell(underlying.ticker, '#64c8ff');
+            ticker.style.textAlign = 'left';
+            row.appendChild(ticker);
+
+            const beta = this.createCell(underlying.beta.toFixed(2), '#ccc');
+            beta.style.cursor = 'pointer';
+            beta.title = `Beta of ${underlying.ticker} to ${BENCHMARK}`;
+            beta.onclick = () => this.editBeta(underlying.ticker, underlying.beta);
+            row.appendChild(beta);
+
+            metrics.forEach(([key, { digits }]) => {
+                row.appendChild(this.createCell(formatSigned(underlying[key], digits), colorFor(underlying[key])));
+            });
+            this.tableEl.appendChild(row);
+        });
+
+        const total = document.createElement('tr');
+        total.style.borderTop = '1px solid rgba(0, 200, 120, 0.4)';
+        const label = this.createCell('BOOK', '#00c878');
+        label.style.textAlign = 'left';
+        label.style.fontWeight = 'bold';
+        total.appendChild(label);
+        total.appendChild(this.createCell('', '#888'));
+        metrics.forEach(([key, { digits }]) => {
+            const over = breached.has(key);
+            const cell = this.createCell(formatSigned(report.total[key], digits), over ? ALERT_COLOR : colorFor(report.total[key]));
+            cell.style.fontWeight = 'bold';
+            if (over) {
+                cell.style.background = flash ? 'rgba(255, 68, 68, 0.3)' : 'transparent';
+                cell.title = `Over the ${this.limitInputs[key].value} limit`;
+            }
+            total.appendChild(cell);
+        });
+        this.tableEl.appendChild(total);
+    }
+
+    editBeta(ticker, current) {
+        const input = prompt(`Beta of ${ticker} to ${BENCHMARK} (blank = default):`, current.toFixed(2));
+        if (input === null || !this.betaCallback) return;
+        this.betaCallback(ticker, input.trim() === '' ? null : Number(input));
+    }
+
+    createCell(text, color) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.style.cssText = `padding: 2px 6px; color: ${color};`;
+        return cell;
+    }
+
+    show() {
+        this.visible = true;
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        this.visible = false;
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
+
+function formatSigned(value, digits) {
+    return `${value >= 0 ? '+' : '-'}${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: digits })}`;
+}
+
+function colorFor(value) {
+    return value >= 0 ? '#00ff00' : '#ff4444';
+}
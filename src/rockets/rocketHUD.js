@@ -1,17 +1,23 @@
 /**
  * Rocket HUD - Individual fuel gauges for each rocket
- * Shows Delta, Gamma, Vega, Theta, IV when rocket is clicked
+ * Shows Delta, Gamma, Vega, Theta, Rho, IV when rocket is clicked,
+ * plus the pricing model, early-exercise premium, and position-level Greeks,
+ * and a close ticket (contracts + fill price, blank = at the mark)
  */
 
+import { PRICING_MODELS } from './pricingModels.js';
+
 export class RocketHUD {
     constructor() {
         this.container = null;
         this.canvas = null;
         this.ctx = null;
         this.width = 250;
-        this.height = 300;
+        this.height = 435;
         this.visible = false;
         this.currentRocket = null;
+        this.ivLockCallback = null;
+        this.closePositionCallback = null;
 
         this.init();
     }
@@ -57,6 +63,57 @@ export class RocketHUD {
         this.ctx = this.canvas.getContext('2d');
         this.container.appendChild(this.canvas);
 
+        // Close ticket: contracts to close and a fill price (blank fills at the mark)
+        const ticket = document.createElement('div');
+        ticket.style.cssText = 'display: flex; gap: 4px; margin-top: 8px; font-family: \'Courier New\', monospace;';
+        const inputStyle = `
+            width: 0;
+            flex: 1;
+            padding: 4px;
+            background: rgba(255, 255, 255, 0.1);
+            color: #fff;
+            border: 1px solid rgba(74, 144, 226, 0.6);
+            border-radius: 4px;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+        `;
+        this.closeQuantityInput = document.createElement('input');
+        this.closeQuantityInput.type = 'number';
+        this.closeQuantityInput.min = '1';
+        this.closeQuantityInput.step = '1';
+        this.closeQuantityInput.title = 'Contracts to close';
+        this.closeQuantityInput.style.cssText = inputStyle;
+        ticket.appendChild(this.closeQuantityInput);
+
+        this.closePriceInput = document.createElement('input');
+        this.closePriceInput.type = 'number';
+        this.closePriceInput.min = '0';
+        this.closePriceInput.step = '0.01';
+        this.closePriceInput.title = 'Fill price per share (blank = at the mark)';
+        this.closePriceInput.style.cssText = inputStyle;
+        ticket.appendChild(this.closePriceInput);
+
+        const closePositionBtn = document.createElement('button');
+        closePositionBtn.textContent = 'Close';
+        closePositionBtn.title = 'Close contracts at the fill price and book the realized P/L';
+        closePositionBtn.style.cssText = `
+            padding: 4px 10px;
+            background: rgba(0, 255, 255, 0.2);
+            color: #00ffff;
+            border: 1px solid #00ffff;
+            border-radius: 4px;
+            cursor: pointer;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+        `;
+        closePositionBtn.onclick = () => {
+            if (!this.closePositionCallback || !this.currentRocket) return;
+            const price = this.closePriceInput.value.trim();
+            this.closePositionCallback(this.currentRocket, Number(this.closeQuantityInput.value), price === '' ? null : Number(price));
+        };
+        ticket.appendChild(closePositionBtn);
+        this.container.appendChild(ticket);
+
         // Close button
         const closeBtn = document.createElement('button');
         closeBtn.textContent = '✕';
@@ -78,6 +135,28 @@ export class RocketHUD {
         closeBtn.onclick = () => this.hide();
         this.container.appendChild(closeBtn);
 
+        // IV lock toggle (keeps this rocket's IV out of vol slider moves)
+        this.lockBtn = document.createElement('button');
+        this.lockBtn.title = 'Lock this rocket\'s IV against the vol slider';
+        this.lockBtn.style.cssText = `
+            position: absolute;
+            top: 8px;
+            left: 8px;
+            height: 24px;
+            padding: 0 6px;
+            background: rgba(155, 89, 182, 0.3);
+            color: #c39bd3;
+            border: 1px solid #9b59b6;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 11px;
+            font-family: 'Courier New', monospace;
+        `;
+        this.lockBtn.onclick = () => {
+            if (this.ivLockCallback) this.ivLockCallback(this.currentRocket);
+        };
+        this.container.appendChild(this.lockBtn);
+
         // Add to document
         document.body.appendChild(this.container);
     }
@@ -87,25 +166,22 @@ export class RocketHUD {
      * @param {THREE.Group} rocket - The rocket group
      * @param {Object} greeks - Greek values
      * @param {Object} params - Rocket parameters (strike, type, etc.)
+     * @param {Object} positionGreeks - Greeks scaled to the whole position
      */
-    show(rocket, greeks, params) {
+    show(rocket, greeks, params, positionGreeks = null) {
         this.currentRocket = rocket;
         this.visible = true;
         this.container.style.display = 'block';
 
-        // Update title with rocket info
-        const title = document.getElementById('rocket-hud-title');
-        if (title && params) {
-            const type = params.type ? params.type.toUpperCase() : 'CALL';
-            const strike = params.strike || 'N/A';
-            title.textContent = `${type} $${strike}`;
-        }
-
         // Store data for rendering
         this.greeks = greeks || {};
         this.params = params || {};
-        this.fuel = rocket.userData?.fuel || 1.0;
+        this.positionGreeks = positionGreeks;
+        this.fuel = rocket.userData?.fuel ?? 1.0;
         this.iv = params.iv || 0.16;
+        this.updateTitle();
+        this.updateLockButton();
+        this.resetCloseTicket();
 
         this.render();
     }
@@ -121,22 +197,84 @@ export class RocketHUD {
 
     /**
      * Update HUD with current values
+     * @param {Object} greeks - Fresh Greeks for the current rocket (optional)
+     * @param {Object} params - Fresh rocket parameters (optional)
+     * @param {Object} positionGreeks - Fresh position-level Greeks (optional)
      */
-    update() {
+    update(greeks, params, positionGreeks) {
         if (!this.visible || !this.currentRocket) return;
 
         // Get fresh data from rocket
         const rocketData = this.currentRocket.userData;
-        this.fuel = rocketData.fuel || 1.0;
-
-        // Recalculate Greeks if needed
-        if (this.params && this.params.spot && this.params.strike) {
-            // Greeks should be updated externally, but we can refresh display
+        this.fuel = rocketData.fuel ?? 1.0;
+
+        if (greeks) this.greeks = greeks;
+        if (positionGreeks) this.positionGreeks = positionGreeks;
+        if (params) {
+            this.params = params;
+            this.iv = params.iv || this.iv;
+            this.updateTitle();
+            this.updateLockButton();
         }
+        this.updateCloseTicket();
 
         this.render();
     }
 
+    /**
+     * Set IV lock toggle handler
+     * @param {Function} callback - Called with the rocket group shown in the HUD
+     */
+    onIVLockToggle(callback) {
+        this.ivLockCallback = callback;
+    }
+
+    /**
+     * Set close position handler
+     * @param {Function} callback - Called with (rocket group, contracts, fill price or null for the mark)
+     */
+    onClosePosition(callback) {
+        this.closePositionCallback = callback;
+    }
+
+    /**
+     * Title with the rocket's current size (it shrinks as contracts are closed)
+     */
+    updateTitle() {
+        const title = document.getElementById('rocket-hud-title');
+        if (!title || !this.params) return;
+        const type = this.params.type ? this.params.type.toUpperCase() : 'CALL';
+        const strike = this.params.strike || 'N/A';
+        const quantity = this.params.quantity || 1;
+        title.textContent = `${quantity > 0 ? '+' : ''}${quantity}x ${type} $${strike}`;
+    }
+
+    /**
+     * Default the ticket to closing the whole position at the mark
+     */
+    resetCloseTicket() {
+        this.closePriceInput.value = '';
+        this.closeQuantityInput.value = String(Math.abs(this.params.quantity || 1));
+        this.updateCloseTicket();
+    }
+
+    /**
+     * Keep the ticket's limits and mark placeholder current
+     */
+    updateCloseTicket() {
+        const open = Math.abs(this.params.quantity || 1);
+        this.closeQuantityInput.max = String(open);
+        if (Number(this.closeQuantityInput.value) > open) this.closeQuantityInput.value = String(open);
+        const mark = this.greeks.price;
+        this.closePriceInput.placeholder = Number.isFinite(mark) ? `@ ${mark.toFixed(2)}` : '@ mark';
+    }
+
+    updateLockButton() {
+        const locked = !!(this.params && this.params.ivLocked);
+        this.lockBtn.textContent = locked ? '🔒 IV' : '🔓 IV';
+        this.lockBtn.style.opacity = locked ? '1' : '0.6';
+    }
+
     /**
      * Render all gauges
      */
@@ -163,8 +301,53 @@ export class RocketHUD {
         this.drawFuelTank(ctx, 10, y, this.fuel, Math.abs(this.greeks.theta || 0));
         y += spacing;
 
+        // Rho gauge (rate sensitivity, $ per 1% rate move)
+        this.drawBarGauge(ctx, 10, y, 'RHO', this.greeks.rho || 0, 1, '#34495e');
+        y += spacing;
+
         // IV gauge (implied volatility)
         this.drawBarGauge(ctx, 10, y, 'IV', (this.iv || 0) * 100, 20, '#e74c3c');
+        y += spacing;
+
+        // Pricing model and early-exercise premium
+        this.drawModelInfo(ctx, 10, y);
+        y += 40;
+
+        // Position-level exposure (quantity x multiplier)
+        this.drawPositionInfo(ctx, 10, y);
+    }
+
+    /**
+     * Draw position delta (shares) and daily theta ($)
+     */
+    drawPositionInfo(ctx, x, y) {
+        if (!this.positionGreeks) return;
+        const { delta, theta } = this.positionGreeks;
+
+        ctx.font = 'bold 11px "Courier New", monospace';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText('POSITION', x, y + 12);
+        ctx.fillStyle = delta >= 0 ? '#00ff00' : '#ff4444';
+        ctx.fillText(`Δ ${delta >= 0 ? '+' : ''}${delta.toFixed(0)} sh`, x, y + 30);
+        ctx.fillStyle = theta >= 0 ? '#00ff00' : '#ff4444';
+        ctx.fillText(`Θ ${theta >= 0 ? '+' : '-'}$${Math.abs(theta).toFixed(2)}/day`, x + 110, y + 30);
+    }
+
+    /**
+     * Draw pricing model label and early-exercise premium
+     */
+    drawModelInfo(ctx, x, y) {
+        const model = PRICING_MODELS[this.greeks.model];
+        const label = model ? model.label : PRICING_MODELS.european.label;
+
+        ctx.font = 'bold 11px "Courier New", monospace';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(label, x, y + 12);
+
+        const premium = this.greeks.earlyExercisePremium || 0;
+        ctx.fillStyle = model && model.american ? '#ffc800' : '#666';
+        ctx.fillText('EARLY EX', x, y + 30);
+        ctx.fillText(model && model.american ? `+$${premium.toFixed(3)}` : 'n/a', x + 100, y + 30);
     }
 
     /**
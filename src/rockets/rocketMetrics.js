@@ -3,17 +3,66 @@
  * Matches optionaut-app reference implementation
  */
 
+import { tradeCost, roundTripCost } from './tradingCosts.js';
+
+export const DEFAULT_CONTRACT_MULTIPLIER = 100;
+
 /**
  * Calculate P/L for an option position
- * P/L = (current option price - premium paid) * 100 (per contract)
+ * P/L = (current option price - premium paid) * multiplier * contracts - trading costs
+ * Negative contracts are short positions, so their P/L is inverted. Costs (commission, fees, slippage)
+ * are charged for opening and for closing at the current price; an expired position has nothing left
+ * to close, so only its opening costs count (the same P/L its settlement realizes).
  * 
  * @param {number} currentOptionPrice - Current option price from Black-Scholes
- * @param {number} premium - Premium paid when entering position
- * @param {number} contracts - Number of contracts (default 1)
+ * @param {number} premium - Premium paid (or received, if short) when entering position
+ * @param {number} contracts - Signed number of contracts (default 1)
+ * @param {number} multiplier - Shares per contract (default 100)
+ * @param {Object} options - {costs (defaults to the global costs), timeToExpiry (years left; omit for a live position)}
  * @returns {number} Profit/Loss in dollars
  */
-export function calculateProfitLoss(currentOptionPrice, premium, contracts = 1) {
-    return (currentOptionPrice - premium) * 100 * contracts;
+export function calculateProfitLoss(currentOptionPrice, premium, contracts = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER, { costs, timeToExpiry } = {}) {
+    const tradingCosts = isExpired(timeToExpiry) ? tradeCost(contracts, multiplier, costs) : roundTripCost(contracts, multiplier, costs);
+    return (currentOptionPrice - premium) * multiplier * contracts - tradingCosts;
+}
+
+/**
+ * @param {number} timeToExpiry - Years left (undefined = not dated)
+ * @returns {boolean} True once an option has reached expiry
+ */
+export function isExpired(timeToExpiry) {
+    return timeToExpiry !== undefined && timeToExpiry !== null && timeToExpiry <= 0;
+}
+
+/**
+ * Scale per-share Greeks up to a whole position
+ * delta/gamma are in shares, value/vega/theta/rho in dollars
+ * 
+ * @param {Object} greeks - Per-share Greeks {price, delta, gamma, vega, theta, rho}
+ * @param {number} contracts - Signed number of contracts
+ * @param {number} multiplier - Shares per contract
+ * @returns {Object} {value, delta, gamma, vega, theta, rho}
+ */
+export function calculatePositionGreeks(greeks, contracts = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER) {
+    const size = contracts * multiplier;
+    return {
+        value: (greeks.price || 0) * size,
+        delta: (greeks.delta || 0) * size,
+        gamma: (greeks.gamma || 0) * size,
+        vega: (greeks.vega || 0) * size,
+        theta: (greeks.theta || 0) * size,
+        rho: (greeks.rho || 0) * size
+    };
+}
+
+/**
+ * Visual size factor for a position - grows with log(contracts), capped at 2x
+ * @param {number} contracts - Signed number of contracts
+ * @returns {number} Scale factor (1 for a single contract)
+ */
+export function calculatePositionScale(contracts = 1) {
+    const size = Math.max(1, Math.abs(contracts));
+    return 1 + Math.min(1, Math.log10(size) * 0.5);
 }
 
 /**
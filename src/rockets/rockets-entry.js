@@ -2,11 +2,34 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { rocketState } from './rocketState.js';
 import { Optionaut4DIntegration } from './optionaut4dIntegration.js';
-import { VolSlider } from './volSlider.js';
+import { VolSlider, IV_ADJUSTMENT_MODES } from './volSlider.js';
+import { TimeSlider } from './timeSlider.js';
 import { ThemeSystem } from './themeSystem.js';
 import { ExportSystem } from './exportSystem.js';
 import { GIFExporter } from './gifExporter.js';
 import { RocketHUD } from './rocketHUD.js';
+import { PayoffChart } from './payoffChart.js';
+import { findBreakevens, resizeRing } from './profitZones.js';
+import { ScenarioPanel } from './scenarioPanel.js';
+import { computeScenarioGrid, scenarioDates, shockPosition } from './scenarioAnalysis.js';
+import { parseChainFile, createVolSurfaceMesh } from './volSurface.js';
+import { MARKET_DATA_SOURCES, DEFAULT_SPOT_PRICES, createMarketDataProvider, parseReplayFile } from './marketData.js';
+import { Underlyings, normalizeTicker } from './underlyings.js';
+import { HistoricalReplay, parseOHLCFile } from './historicalReplay.js';
+import { BacktestPanel } from './backtestPanel.js';
+import { parseOptionChainFile, fetchOptionChain, fillPrice } from './optionChain.js';
+import { ChainPanel } from './chainPanel.js';
+import { parsePositionFile, diffBook } from './positionImport.js';
+import { PositionImportDialog } from './positionImportDialog.js';
+import { formatOCCSymbol, expiryFromTimeToExpiry } from './occSymbol.js';
+import { expiryInDays, expiryClose, daysToExpiry, parseCalendarDate, yearsUntil } from './exchangeCalendar.js';
+import { settleOption, createSettlementAnimation } from './settlement.js';
+import { StockPositions } from './stockPositions.js';
+import { TradeLedger } from './tradeLedger.js';
+import { getTradingCosts, setTradingCosts, closeCost, breakevenPremium } from './tradingCosts.js';
+import { TradingCostsPanel } from './tradingCostsPanel.js';
+import { getRiskLimits, setRiskLimits, setBeta } from './portfolioRisk.js';
+import { RiskPanel } from './riskPanel.js';
 import { createRocketModel, createExhaustParticles } from './rocketmodel.js';
 import { 
     createMoneynessRocket, 
@@ -16,18 +39,20 @@ import {
     updateExplosion,
     createImpactExplosion
 } from './rocketEnhancements.js';
-import { calculateProfitLoss, calculateIntrinsicValue, isInTheMoney, calculateBreakeven } from './rocketMetrics.js';
+import { calculateProfitLoss, calculatePositionGreeks, calculatePositionScale, calculateIntrinsicValue, isInTheMoney, calculateBreakeven, DEFAULT_CONTRACT_MULTIPLIER } from './rocketMetrics.js';
+import { DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './pricingEngine.js';
+import { PRICING_MODELS, priceOption, calculateModelGreeks, setDefaultPricingModel, getDefaultPricingModel } from './pricingModels.js';
 
 console.log('Option Rockets entry script started');
 
 // Global variables
 let scene, camera, renderer, controls, clock;
-let underlyingPlanet = null;
+let underlyings = null; // Planet + spot price per ticker in the book
 let rockets = [];
 let trajectoryLines = [];
 let breakevenRings = [];
 let controlsPanel = null;
-let currentSpot = 680; // Underlying price (default SPY price)
+let currentSpot = 680; // Primary underlying price (default SPY price)
 let timeToExpiry = 1.0; // Years
 let currentRocket = null;
 let cameraFollowTarget = null;
@@ -35,10 +60,26 @@ let cameraFollowEnabled = false;
 let exhaustParticles = [];
 let optionaut4D = null; // Optionaut 4D integration
 let volSlider = null; // Volatility slider
+let timeSlider = null; // Time travel toward expiry
 let themeSystem = null; // Theme system
 let exportSystem = null; // Export system
 let gifExporter = null; // GIF exporter
 let rocketHUD = null; // Per-rocket HUD
+let lastStrategyHUDUpdate = 0; // Throttle for strategy net Greeks in the live HUD
+let payoffChart = null; // 2D payoff panel
+let lastPayoffChartUpdate = 0; // Throttle for payoff chart redraws
+let lastClockTick = 0; // Throttle for re-reading dated expiries off the wall clock
+let scenarioPanel = null; // Spot x IV x date P/L heatmap
+let volSurfaceMesh = null; // Translucent strike x expiry x IV mesh
+let backtest = null; // HistoricalReplay driving one ticker's spot and the clock
+let backtestPanel = null; // Backtest playback controls
+let optionChain = null; // Chain shown in the chain browser
+let chainPanel = null; // Click-to-launch chain browser
+let positionImportDialog = null; // Preview of a broker position file
+let settlingRockets = []; // Settlement animations of rockets that just expired
+let tradeLedger = null; // Opens, closes and settlements (realized P/L)
+let tradingCostsPanel = null; // Commission / fees / slippage settings
+let riskPanel = null; // Book-wide dollar Greeks and risk limits
 let raycaster = null; // For clicking on rockets
 let mouse = new THREE.Vector2(); // Mouse position for raycasting
 let hoveredGauge = null; // Currently hovered gauge for tooltip
@@ -48,7 +89,8 @@ let isInitialized = false; // Track initialization state
 
 // API configuration
 const API_BASE_URL = 'http://localhost:5001/api';
-let backendAvailable = true; // Track if backend is available (stop trying if not)
+const DEFAULT_STREAM_URL = 'ws://localhost:5001/stream';
+let marketData = null; // Active MarketDataProvider (REST / WebSocket / replay / synthetic)
 
 // Navigation controls
 let moveState = { forward: false, backward: false, left: false, right: false, up: false, down: false };
@@ -56,42 +98,6 @@ let mouseState = { isDown: false, lastX: 0, lastY: 0 };
 let moveSpeed = 5.0;
 let lookSpeed = 0.002;
 
-// Fetch real-time spot price from backend
-async function fetchSpotPrice(ticker = 'SPY') {
-    // If backend is unavailable, return fallback immediately without trying
-    if (!backendAvailable) {
-        return 680; // Fallback to default SPY price
-    }
-    
-    try {
-        const response = await fetch(`${API_BASE_URL}/stock/${ticker}`);
-        if (!response.ok) {
-            throw new Error(`API returned ${response.status}`);
-        }
-        const data = await response.json();
-        
-        // Try multiple possible field names for the price
-        const price = data.price || data.current_price || data.last_price || data.close || data.last || data.value;
-        
-        if (price && typeof price === 'number' && price > 0) {
-            console.log(`✅ Fetched ${ticker} price: $${price.toFixed(2)} from API`);
-            return price;
-        } else {
-            // Backend responded but price not found - mark as unavailable and use fallback
-            backendAvailable = false;
-            console.warn(`⚠️ Backend unavailable: Price not found in API response. Using default price $680.`);
-            return 680; // Fallback to default SPY price
-        }
-    } catch (error) {
-        // Backend is not available - mark as unavailable and stop trying
-        backendAvailable = false;
-        console.warn(`⚠️ Backend unavailable (${API_BASE_URL}). Using default price $680. Price updates disabled.`);
-        return 680; // Fallback to default SPY price
-    }
-}
-
-
-
 // Update loading bar
 function updateLoadingBar(progress) {
     const loadingBar = document.getElementById('loading-bar');
@@ -100,35 +106,18 @@ function updateLoadingBar(progress) {
     }
 }
 
-// Black-Scholes Greeks calculator (simplified)
-function calculateGreeks(spot, strike, timeToExpiry, iv, r = 0.02, optionType = 'call') {
-    if (timeToExpiry <= 0) {
-        return {
-            delta: optionType === 'call' ? (spot > strike ? 1 : 0) : (spot < strike ? -1 : 0),
-            gamma: 0,
-            vega: 0,
-            theta: 0,
-            price: Math.max(0, optionType === 'call' ? spot - strike : strike - spot)
-        };
-    }
-
-    const d1 = (Math.log(spot / strike) + (r + 0.5 * iv * iv) * timeToExpiry) / (iv * Math.sqrt(timeToExpiry));
-    const d2 = d1 - iv * Math.sqrt(timeToExpiry);
-
-    // Normal CDF approximation
-    const normCDF = (x) => 0.5 * (1 + Math.sign(x) * (1 - Math.exp(-2 * x * x / Math.PI)));
-    const normPDF = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
-
-    const delta = optionType === 'call' ? normCDF(d1) : -normCDF(-d1);
-    const gamma = normPDF(d1) / (spot * iv * Math.sqrt(timeToExpiry));
-    const vega = spot * normPDF(d1) * Math.sqrt(timeToExpiry) * 0.01; // Per 1% IV change
-    const theta = -(spot * normPDF(d1) * iv) / (2 * Math.sqrt(timeToExpiry)) - r * strike * Math.exp(-r * timeToExpiry) * normCDF(optionType === 'call' ? d2 : -d2);
-
-    const price = optionType === 'call'
-        ? spot * normCDF(d1) - strike * Math.exp(-r * timeToExpiry) * normCDF(d2)
-        : strike * Math.exp(-r * timeToExpiry) * normCDF(-d2) - spot * normCDF(-d1);
-
-    return { delta, gamma, vega, theta, price };
+// Price a rocket's option at the given spot using its own rate/dividend inputs
+// and pricing model (falls back to the global model when none is set)
+function priceRocket(params, spot = params.spot) {
+    return priceOption({
+        spot,
+        strike: params.strike,
+        timeToExpiry: params.timeToExpiry,
+        iv: params.iv,
+        rate: params.rate ?? DEFAULT_RISK_FREE_RATE,
+        dividendYield: params.dividendYield ?? DEFAULT_DIVIDEND_YIELD,
+        type: params.type
+    }, params.pricingModel || getDefaultPricingModel());
 }
 
 async function initScene() {
@@ -151,13 +140,21 @@ async function initScene() {
     try {
         console.log('Initializing Option Rockets scene');
 
-        // Fetch real spot price (will use fallback if backend unavailable)
+        // Market data source: ?data=synthetic in the URL, else the last one picked, else the REST backend
         console.log('Fetching real-time spot price...');
-        currentSpot = await fetchSpotPrice('SPY');
-        if (backendAvailable) {
-            console.log(`✅ Current SPY Price: $${currentSpot}`);
+        const requestedSource = new URLSearchParams(window.location.search).get('data')
+            || localStorage.getItem('optionaut-data-source');
+        const initialSource = ['rest', 'websocket', 'synthetic'].includes(requestedSource) ? requestedSource : 'rest';
+        setMarketDataSource(initialSource, initialSource === 'websocket'
+            ? { url: localStorage.getItem('optionaut-data-ws-url') || DEFAULT_STREAM_URL }
+            : {});
+        const initialSpot = await marketData.getQuote('SPY');
+        if (initialSpot) {
+            currentSpot = initialSpot;
+            console.log(`✅ Current SPY Price: $${currentSpot} (${marketData.label})`);
         } else {
-            console.log(`ℹ️ Using default SPY Price: $${currentSpot} (backend unavailable)`);
+            currentSpot = DEFAULT_SPOT_PRICES.SPY;
+            console.log(`ℹ️ Using default SPY Price: $${currentSpot} (${marketData.label} has no quote yet)`);
         }
         
         // Update LiveHUD immediately with real price
@@ -326,27 +323,15 @@ async function initScene() {
         console.log('Lighting set up');
         updateLoadingBar(50);
 
-        // Create underlying price planet (at origin)
+        // Create underlying price planets (SPY at origin, other tickers join as rockets launch on them)
         console.log('Creating underlying planet');
-        const planetRadius = 12; // Slightly larger for better visibility
-        const planetGeometry = new THREE.SphereGeometry(planetRadius, 32, 32);
-        const planetMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4a90e2,
-            emissive: 0x1a3a5a,
-            emissiveIntensity: 0.4,
-            roughness: 0.7,
-            metalness: 0.3
-        });
-        underlyingPlanet = new THREE.Mesh(planetGeometry, planetMaterial);
-        underlyingPlanet.position.set(0, 0, 0);
-        underlyingPlanet.castShadow = true;
-        underlyingPlanet.receiveShadow = true;
-        scene.add(underlyingPlanet);
-
-        // Add planet label - position below planet to avoid being covered by rockets
-        const planetLabel = createLabel('Underlying Price', 0, -planetRadius - 3, 0);
-        scene.add(planetLabel);
-        console.log(`✅ Planet created at origin (0, 0, 0) with radius ${planetRadius}`);
+        underlyings = new Underlyings(scene, 'SPY');
+        underlyings.setMarketData(marketData);
+        underlyings.ensure('SPY', currentSpot);
+        console.log('✅ Planet created at origin (0, 0, 0) with radius 12');
+
+        // Every launch from here on is ledgered as an open
+        tradeLedger = new TradeLedger();
         updateLoadingBar(60);
 
         // Create ground grid (profit = 0 plane)
@@ -407,9 +392,12 @@ async function initScene() {
 
         // Initialize Optionaut 4D Integration (contract parser, HUDs, profit zones)
         console.log('Initializing Optionaut 4D integration...');
-        optionaut4D = new Optionaut4DIntegration(scene, createRocket, calculateGreeks);
+        optionaut4D = new Optionaut4DIntegration(scene, createRocket, calculateModelGreeks);
         optionaut4D.currentSpot = currentSpot;
         optionaut4D.planetRadius = 12;
+        optionaut4D.setUnderlyings(underlyings);
+        optionaut4D.stockPositions = new StockPositions(scene, underlyings);
+        optionaut4D.setLedger(tradeLedger);
         optionaut4D.setRocketsArrayRef(rockets, exhaustParticles); // Pass array references for reset
         
         // Expose camera follow variables for Optionaut4D integration
@@ -424,7 +412,7 @@ async function initScene() {
 
         // Initialize Vol Slider
         console.log('Initializing vol slider...');
-        volSlider = new VolSlider(calculateGreeks);
+        volSlider = new VolSlider(calculateModelGreeks);
         volSlider.setRocketsRef(rockets);
         volSlider.onUpdate((newIV, adjustment) => {
             // Update Greek HUD when IV changes
@@ -439,51 +427,59 @@ async function initScene() {
         if (ivSlider && ivDisplay) {
             ivSlider.addEventListener('input', (e) => {
                 const adjustment = parseFloat(e.target.value);
-                ivDisplay.textContent = `${adjustment > 0 ? '+' : ''}${adjustment}%`;
                 volSlider.handleIVChange(adjustment);
+                ivDisplay.textContent = volSlider.formatAdjustment(adjustment);
+            });
+        }
+        const ivModeSelect = document.getElementById('iv-mode');
+        if (ivModeSelect) {
+            ivModeSelect.innerHTML = Object.entries(IV_ADJUSTMENT_MODES)
+                .map(([key, mode]) => `<option value="${key}">${mode.label}</option>`)
+                .join('');
+            ivModeSelect.value = volSlider.mode;
+            ivModeSelect.addEventListener('change', () => {
+                volSlider.setMode(ivModeSelect.value);
+                syncIVSliderUI();
             });
         }
+        syncIVSliderUI();
         console.log('✅ Vol slider ready');
 
-        // Setup periodic spot price updates for LiveHUD (only if backend is available)
-        if (backendAvailable) {
-            console.log('Setting up periodic spot price updates...');
-            const updateSpotPrice = async () => {
-                // Check flag before making request
-                if (!backendAvailable) {
-                    return; // Stop trying if backend is unavailable
-                }
-                
-                try {
-                    const newSpot = await fetchSpotPrice('SPY');
-                    // Only update if backend is still available and price changed
-                    if (backendAvailable && newSpot && newSpot !== currentSpot && newSpot > 0) {
-                        const oldSpot = currentSpot;
-                        currentSpot = newSpot;
-                        if (optionaut4D) {
-                            optionaut4D.currentSpot = newSpot;
-                            if (optionaut4D.liveHUD) {
-                                optionaut4D.liveHUD.updateSpotPrice(newSpot, 'SPY');
-                            }
-                        }
-                        console.log(`📊 Updated SPY price: $${oldSpot.toFixed(2)} → $${newSpot.toFixed(2)}`);
-                    } else if (backendAvailable && newSpot === currentSpot) {
-                        // Price unchanged, but log periodically for debugging
-                        if (Math.random() < 0.1) { // Log 10% of the time
-                            console.log(`📊 SPY price unchanged: $${newSpot.toFixed(2)}`);
-                        }
-                    }
-                } catch (error) {
-                    // Error already handled in fetchSpotPrice, just stop trying
-                    backendAvailable = false;
-                }
-            };
-            // Update every 5 seconds
-            setInterval(updateSpotPrice, 5000);
-            console.log('✅ Spot price updates scheduled (every 5 seconds)');
-        } else {
-            console.log('ℹ️ Backend unavailable - periodic price updates disabled');
+        // Initialize Time Slider (shifts every rocket's timeToExpiry; the animate loop reprices)
+        timeSlider = new TimeSlider();
+        timeSlider.setRocketsRef(rockets);
+        const timeSliderEl = document.getElementById('time-slider');
+        const timeDisplay = document.getElementById('time-display');
+        const timePlay = document.getElementById('time-play');
+        timeSlider.onChange((daysForward, maxDays) => {
+            if (timeSliderEl) {
+                timeSliderEl.max = maxDays;
+                timeSliderEl.value = daysForward;
+            }
+            if (timeDisplay) {
+                const date = new Date(Date.now() + daysForward * 86400000);
+                const dateText = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+                timeDisplay.textContent = daysForward === 0 ? 'Today' : `T+${daysForward} (${dateText})`;
+            }
+            refreshBreakevenRings();
+            updateTimeTravelDTE();
+        });
+        timeSlider.onPlayStateChange((playing) => {
+            if (timePlay) timePlay.textContent = playing ? '⏸' : '▶';
+        });
+        if (timeSliderEl) {
+            timeSliderEl.addEventListener('input', (e) => {
+                timeSlider.pause();
+                timeSlider.setDaysForward(parseInt(e.target.value, 10));
+            });
+        }
+        if (timePlay) {
+            timePlay.addEventListener('click', () => timeSlider.togglePlay());
         }
+        console.log('✅ Time slider ready');
+
+        // Market data source picker (top bar)
+        setupMarketDataControls();
 
         // Initialize Theme System
         console.log('Initializing theme system...');
@@ -503,6 +499,111 @@ async function initScene() {
         }
         console.log('✅ Theme system ready');
 
+        // Setup global pricing model selector (rockets without their own model follow it)
+        const pricingModelSelect = document.getElementById('pricing-model');
+        if (pricingModelSelect) {
+            pricingModelSelect.value = getDefaultPricingModel();
+            pricingModelSelect.addEventListener('change', () => {
+                setDefaultPricingModel(pricingModelSelect.value);
+            });
+        }
+
+        // Per-rocket HUD (shown when a rocket is clicked)
+        rocketHUD = new RocketHUD();
+        rocketHUD.onIVLockToggle((group) => {
+            const rocket = rockets.find(r => r.group === group);
+            if (!rocket) return;
+            volSlider.setLocked(rocket, !rocket.params.ivLocked);
+            console.log(`${rocket.params.ivLocked ? '🔒' : '🔓'} IV ${rocket.params.ivLocked ? 'locked' : 'unlocked'} for ${rocket.params.type} $${rocket.params.strike}`);
+        });
+        rocketHUD.onClosePosition(closeRocketPosition);
+        renderer.domElement.addEventListener('click', onRocketClick);
+
+        // Payoff chart (expiry + today's curve, draggable spot cursor)
+        payoffChart = new PayoffChart((leg, spot) => priceRocket(leg.params, spot).price);
+        payoffChart.onSpotDrag((price) => {
+            getPayoffRockets().forEach(rocket => updateRocketSpotPrice(rockets.indexOf(rocket), price));
+        });
+
+        // Scenario grid (toggled from the top bar)
+        scenarioPanel = new ScenarioPanel(computeBookScenarios);
+        scenarioPanel.onApply(applyScenario);
+        scenarioPanel.onClear(clearScenario);
+        const scenarioToggle = document.getElementById('scenario-toggle');
+        if (scenarioToggle) {
+            scenarioToggle.addEventListener('click', () => scenarioPanel.toggle());
+        }
+
+        // Commissions, fees and slippage (toggled from the top bar)
+        tradingCostsPanel = new TradingCostsPanel(getTradingCosts());
+        tradingCostsPanel.onChange(applyTradingCosts);
+        const costsToggle = document.getElementById('costs-toggle');
+        if (costsToggle) {
+            costsToggle.addEventListener('click', () => tradingCostsPanel.toggle());
+        }
+
+        // Portfolio risk: dollar Greeks, beta-weighted delta and limits (toggled from the top bar)
+        riskPanel = new RiskPanel(getRiskLimits());
+        riskPanel.onLimitsChange(applyRiskLimits);
+        riskPanel.onBetaChange(applyBeta);
+        const riskToggle = document.getElementById('risk-toggle');
+        if (riskToggle) {
+            riskToggle.addEventListener('click', () => riskPanel.toggle());
+        }
+
+        // Historical replay of OHLC bars (toggled from the top bar)
+        backtestPanel = new BacktestPanel();
+        backtestPanel.onLoad(loadBacktestBars);
+        backtestPanel.onEntryDate((date) => backtest && backtest.setEntryDate(date));
+        backtestPanel.onClose(endBacktest);
+        const backtestToggle = document.getElementById('backtest-toggle');
+        if (backtestToggle) {
+            backtestToggle.addEventListener('click', () => backtestPanel.toggle());
+        }
+
+        // Option chain browser: click a bid / ask to launch (toggled from the top bar)
+        chainPanel = new ChainPanel();
+        chainPanel.onFetch(async (ticker) => {
+            try {
+                await showOptionChain(await fetchOptionChain(API_BASE_URL, ticker));
+            } catch (error) {
+                console.error(`❌ Failed to fetch ${ticker} chain:`, error);
+                alert(`Could not fetch the ${ticker} chain from ${API_BASE_URL}: ${error.message}`);
+            }
+        });
+        chainPanel.onLoadFile(loadOptionChainFile);
+        chainPanel.onLaunch(launchFromChain);
+        const chainToggle = document.getElementById('chain-toggle');
+        if (chainToggle) {
+            chainToggle.addEventListener('click', () => chainPanel.toggle());
+        }
+
+        // Broker position file -> whole book, previewed before launch (top bar)
+        positionImportDialog = new PositionImportDialog();
+        positionImportDialog.onConfirm((mode, preview) => launchImportedBook(preview.contracts, mode === 'replace'));
+        const positionsBtn = document.getElementById('positions-btn');
+        const positionsFile = document.getElementById('positions-file');
+        if (positionsBtn && positionsFile) {
+            positionsBtn.addEventListener('click', () => positionsFile.click());
+            positionsFile.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = ''; // Allow reloading the same file
+                if (file) await importPositions(file);
+            });
+        }
+
+        // Vol surface from an option chain file (top bar)
+        const surfaceBtn = document.getElementById('surface-btn');
+        const surfaceFile = document.getElementById('surface-file');
+        if (surfaceBtn && surfaceFile) {
+            surfaceBtn.addEventListener('click', () => surfaceFile.click());
+            surfaceFile.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = ''; // Allow reloading the same file
+                if (file) await loadVolSurface(file);
+            });
+        }
+
         // Initialize Export System
         console.log('Initializing export system...');
         exportSystem = new ExportSystem();
@@ -516,11 +617,26 @@ async function initScene() {
                 controls,
                 currentSpot,
                 currentIV: volSlider.getCurrentIV(),
-                currentTheme: themeSystem.getCurrentTheme()
+                ivMode: volSlider.mode,
+                ivAdjustment: volSlider.currentAdjustment,
+                currentTheme: themeSystem.getCurrentTheme(),
+                groups: optionaut4D.getStrategyGroups(rockets),
+                ledger: tradeLedger.toJSON()
             });
             exportSystem.downloadJSON(missionData);
         });
 
+        // Setup JSON import (Open Mission)
+        optionaut4D.liveHUD.onJSONImport(async (file) => {
+            try {
+                const missionData = await exportSystem.loadFromFile(file);
+                restoreMission(missionData);
+            } catch (error) {
+                console.error('Mission import failed:', error);
+                alert(`Could not open mission: ${error.message}`);
+            }
+        });
+
         // Setup GIF export
         optionaut4D.liveHUD.onGIFExport(async () => {
             const btn = optionaut4D.liveHUD.gifBtn;
@@ -635,6 +751,7 @@ function cleanupScene() {
     trajectoryLines = [];
     breakevenRings = [];
     exhaustParticles = [];
+    underlyings = null;
     
     // Reset state
     isInitialized = false;
@@ -643,13 +760,222 @@ function cleanupScene() {
     console.log('✅ Scene cleaned up');
 }
 
+// Remove every rocket and put the clock and IV slider back to today
+function clearBook() {
+    endBacktest();
+    optionaut4D.resetScene();
+    breakevenRings.forEach(ring => scene.remove(ring));
+    breakevenRings.length = 0;
+    rocketState.clear();
+    timeSlider.reset();
+    volSlider.reset();
+}
+
+// Take one rocket out of the book (its scene extras, rings, exhaust and strategy membership)
+// keepGroup leaves the rocket model in the scene for its settlement animation
+function removeRocket(rocket, { keepGroup = false } = {}) {
+    const index = rockets.indexOf(rocket);
+    if (index === -1) return;
+
+    rockets.splice(index, 1);
+    exhaustParticles.splice(index, 1);
+    optionaut4D.removeRocketExtras(rocket);
+    const ringIndex = breakevenRings.indexOf(rocket.breakevenRing);
+    if (ringIndex !== -1) breakevenRings.splice(ringIndex, 1);
+    if (rocket.params.groupId) optionaut4D.syncStrategy(rocket.params.groupId, rockets, r => timeSlider.getBaseTimeToExpiry(r));
+
+    resetFlightEvents(rocket);
+    if (rocketHUD && rocketHUD.currentRocket === rocket.group) rocketHUD.hide();
+    if (cameraFollowTarget === rocket.group) {
+        cameraFollowTarget = null;
+        cameraFollowEnabled = false;
+    }
+    if (!keepGroup) disposeObject(rocket.group);
+}
+
+// Close some or all of a rocket's contracts at a fill price (null = at the mark) and book the realized P/L
+// A partial close leaves the rest of the position open at its original entry price
+function closeRocketPosition(group, contracts, price) {
+    const rocket = rockets.find(r => r.group === group);
+    if (!rocket) return;
+    const { positionId, ticker, type, strike, quantity, multiplier } = rocket.params;
+    const open = Math.abs(quantity);
+    if (!Number.isInteger(contracts) || contracts < 1 || contracts > open) {
+        alert(`Close between 1 and ${open} contract${open === 1 ? '' : 's'}`);
+        return;
+    }
+    const fill = price === null ? rocket.greeks.price : price;
+    if (!Number.isFinite(fill) || fill < 0) {
+        alert('Fill price must be $0.00 or more (leave it blank to close at the mark)');
+        return;
+    }
+
+    const entry = tradeLedger.recordClose({
+        positionId, ticker, type, strike, multiplier,
+        openQuantity: quantity,
+        contracts,
+        price: fill,
+        openPrice: rocket.premium,
+        fees: closeCost(quantity, contracts, multiplier)
+    });
+    recordFlightEvent(rocket, `✂️ closed ${contracts}x`);
+    console.log(`✂️ ${entry.note} (realized ${entry.realizedPL >= 0 ? '+' : '-'}$${Math.abs(entry.realizedPL).toFixed(2)})`);
+
+    if (contracts === open) {
+        removeRocket(rocket);
+    } else {
+        rocket.params.quantity = quantity - Math.sign(quantity) * contracts;
+        replaceRocketLabel(rocket);
+        if (rocket.params.groupId) optionaut4D.syncStrategy(rocket.params.groupId, rockets, r => timeSlider.getBaseTimeToExpiry(r));
+    }
+
+    if (window.updateRocketsListUI) {
+        window.updateRocketsListUI();
+    }
+}
+
+// Redraw a rocket's label after its size changes
+function replaceRocketLabel(rocket) {
+    const { type, strike, quantity } = rocket.params;
+    const previous = rocket.group.userData.rocketLabel;
+    if (previous) {
+        rocket.group.remove(previous);
+        previous.material.map.dispose();
+        previous.material.dispose();
+    }
+    const label = createRocketLabel(type, strike, rocket.greeks.price.toFixed(2), quantity);
+    label.position.set(0, 3, 0);
+    rocket.group.add(label);
+    rocket.group.userData.rocketLabel = label;
+}
+
+function disposeObject(object) {
+    scene.remove(object);
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+}
+
+// Rebuild the scene from a parsed mission (see ExportSystem.importMission)
+function restoreMission(missionData) {
+    const { metadata = {}, rockets: savedRockets = [], groups = [], ledger = null, camera: savedCamera } = missionData;
+    console.log(`📂 Restoring mission with ${savedRockets.length} rocket(s)...`);
+
+    // Clear current book (missions are saved at today's date)
+    clearBook();
+
+    // Restore primary underlying spot (other tickers are seeded from their rockets' saved spots)
+    if (metadata.spot > 0) {
+        currentSpot = metadata.spot;
+        underlyings.setSpot('SPY', currentSpot);
+        optionaut4D.currentSpot = currentSpot;
+    }
+
+    // Recreate every saved rocket
+    savedRockets.forEach(saved => {
+        // A saved expiry date keeps the rocket on the clock (it may have expired since the mission was saved)
+        const expiry = saved.expiry ? parseCalendarDate(saved.expiry) : null;
+        const expiresAt = expiry ? expiryClose(expiry).getTime() : undefined;
+        const rocket = createRocket({
+            type: saved.type,
+            strike: saved.strike,
+            spot: saved.spot || currentSpot,
+            timeToExpiry: expiresAt ? yearsUntil(expiresAt) : saved.timeToExpiry,
+            expiresAt,
+            iv: saved.iv,
+            ivSource: saved.ivSource || null,
+            entry: saved.premium,
+            rate: saved.rate ?? undefined,
+            dividendYield: saved.dividendYield ?? undefined,
+            pricingModel: saved.pricingModel || undefined,
+            quantity: saved.quantity,
+            multiplier: saved.multiplier,
+            ticker: saved.ticker,
+            groupId: saved.groupId || null,
+            positionId: saved.positionId || undefined,
+            notes: saved.notes || ''
+        });
+        if (rocket && !saved.groupId) {
+            optionaut4D.addBreakevenRings({
+                type: saved.type,
+                strike: saved.strike,
+                premium: saved.premium,
+                quantity: saved.quantity,
+                ticker: saved.ticker
+            });
+        }
+    });
+
+    // Regroup strategy legs (combined breakevens / max profit rings)
+    optionaut4D.restoreStrategies(groups, savedRockets);
+
+    // A saved ledger replaces the opens just recorded; delivered shares are replayed into share positions
+    if (ledger) {
+        tradeLedger.load(ledger);
+        tradeLedger.stockEntries.forEach(entry => {
+            underlyings.ensure(entry.ticker, entry.price);
+            optionaut4D.stockPositions.add(entry.ticker, entry.quantity, entry.price);
+        });
+    }
+
+    // Restore camera
+    if (savedCamera && savedCamera.position && savedCamera.target) {
+        cameraFollowEnabled = false;
+        controls.enabled = true;
+        camera.position.fromArray(savedCamera.position);
+        controls.target.fromArray(savedCamera.target);
+        if (savedCamera.zoom) {
+            camera.zoom = savedCamera.zoom;
+            camera.updateProjectionMatrix();
+        }
+        camera.lookAt(controls.target);
+        controls.update();
+    }
+
+    // Reapply theme
+    if (metadata.theme) {
+        themeSystem.applyTheme(metadata.theme);
+        const themeName = document.getElementById('theme-name');
+        if (themeName) themeName.textContent = themeSystem.getThemeName();
+    }
+
+    // Reapply the IV slider (rockets are saved with their own IVs; 1.1 files without a mode stay flat)
+    if (IV_ADJUSTMENT_MODES[metadata.ivMode] && metadata.ivAdjustment) {
+        volSlider.setMode(metadata.ivMode);
+        volSlider.handleIVChange(metadata.ivAdjustment);
+    }
+    syncIVSliderUI();
+
+    if (window.updateRocketsListUI) {
+        window.updateRocketsListUI();
+    }
+
+    console.log(`✅ Mission restored: ${rockets.length} rocket(s)`);
+}
+
 // Create a rocket representing an option
 function createRocket(params) {
+    // Every rocket belongs to an underlying: its planet anchors the rocket, its quotes move the spot
+    params.ticker = underlyings ? underlyings.ensure(params.ticker, params.spot) : normalizeTicker(params.ticker);
+    const center = underlyings ? underlyings.getCenter(params.ticker) : new THREE.Vector3();
+    if (optionaut4D && underlyings && underlyings.getSpot(params.ticker)) {
+        optionaut4D.liveHUD.updateSpotPrice(underlyings.getSpot(params.ticker), params.ticker);
+    }
     const { type, strike, spot, timeToExpiry, iv, entry } = params;
-    const greeks = calculateGreeks(spot, strike, timeToExpiry, iv, 0.02, type);
+    // One rocket carries the whole position: signed contracts (negative = short) x multiplier
+    params.quantity = Number.isInteger(params.quantity) && params.quantity !== 0 ? params.quantity : 1;
+    params.multiplier = params.multiplier > 0 ? params.multiplier : DEFAULT_CONTRACT_MULTIPLIER;
+    const { quantity, multiplier } = params;
+    const greeks = priceRocket(params, spot);
 
-    const rocketScale = 2.125; // Reduced by 15% from 2.5
-    console.log(`🚀 Creating rocket with scale: ${rocketScale}x`);
+    // Larger positions get bigger rockets and denser exhaust
+    const positionScale = calculatePositionScale(quantity);
+    const rocketScale = 2.125 * positionScale; // Reduced by 15% from 2.5
+    console.log(`🚀 Creating rocket with scale: ${rocketScale.toFixed(3)}x (${quantity} contract${Math.abs(quantity) === 1 ? '' : 's'})`);
     
     // Create rocket model using the clean model builder
     const exhaustLength = Math.abs(greeks.delta) * 8 * rocketScale;
@@ -660,7 +986,7 @@ function createRocket(params) {
             startX: params.startX,
             baseRadius: params.baseRadius,
             color: type === 'call' ? 0x00ffff : 0xff4444,
-            count: 150
+            count: Math.round(150 * positionScale)
         });
         exhaustParticles.push(particles);
         return particles;
@@ -685,6 +1011,8 @@ function createRocket(params) {
     rocketGroup.rotation.x = 0;
     rocketGroup.rotation.order = 'XYZ';
     
+    rocketGroup.userData.rocketScale = rocketScale;
+
     // Store exhaust parameters for particle animation (from rocket model)
     const exhaustBaseRadius = rocketGroup.userData.exhaustBaseRadius || (0.6 * rocketScale * 0.65);
     rocketGroup.userData.exhaustStartX = 0; // Rocket base
@@ -694,16 +1022,23 @@ function createRocket(params) {
     const trajectory = createTrajectory(spot, strike, greeks, type);
     rocketGroup.add(trajectory);
 
-    // Add breakeven rings
-    const breakeven = strike + (type === 'call' ? entry : -entry);
-    const breakevenRing = createBreakevenRing(breakeven, spot, type === 'call' ? 0x00ff00 : 0xff0000);
-    scene.add(breakevenRing);
-    breakevenRings.push(breakevenRing);
+    // Add breakeven rings (strategy legs share the strategy's combined rings instead)
+    let breakevenRing = null;
+    if (!params.groupId) {
+        const breakeven = calculateBreakeven(strike, breakevenPremium(entry > 0 ? entry : greeks.price, quantity, multiplier), type);
+        breakevenRing = createBreakevenRing(breakeven, spot, type === 'call' ? 0x00ff00 : 0xff0000);
+        breakevenRing.position.set(center.x, breakevenRing.position.y, center.z);
+        breakevenRing.userData.expiryBreakeven = breakeven;
+        scene.add(breakevenRing);
+        breakevenRings.push(breakevenRing);
+    }
 
     // Add launch price line (strike price reference line)
     const launchPriceLine = createLaunchPriceLine(strike, spot, type);
+    launchPriceLine.position.set(center.x, launchPriceLine.position.y, center.z);
     scene.add(launchPriceLine);
     if (launchPriceLine.userData.label) {
+        launchPriceLine.userData.label.position.add(center);
         scene.add(launchPriceLine.userData.label);
     }
 
@@ -740,8 +1075,9 @@ function createRocket(params) {
     }
     scene.add(spotPricePlanet);
     
-    // Calculate P/L
-    const profitLoss = calculateProfitLoss(greeks.price, premium, 1);
+    // Calculate P/L for the whole position (shorts are inverted)
+    const profitLoss = calculateProfitLoss(greeks.price, premium, quantity, multiplier);
+    const positionGreeks = calculatePositionGreeks(greeks, quantity, multiplier);
     const intrinsicValue = calculateIntrinsicValue(currentSpotPrice, strike, type);
     const isITM = isInTheMoney(currentSpotPrice, strike, type);
     
@@ -772,9 +1108,9 @@ function createRocket(params) {
         ? (currentSpotPrice < strike ? -1 : 1)  // Calls: OTM left, ITM right
         : (currentSpotPrice > strike ? -1 : 1); // Puts: OTM left, ITM right
     
-    // Position rocket relative to spot price planet
-    const rocketX = spotX + Math.cos(rocketAngle) * actualDistance * xDirection;
-    const rocketZ = spotZ + Math.sin(rocketAngle) * actualDistance * 0.5; // Reduced Z spread
+    // Position rocket relative to spot price planet, grouped around its underlying's planet
+    const rocketX = center.x + spotX + Math.cos(rocketAngle) * actualDistance * xDirection;
+    const rocketZ = center.z + spotZ + Math.sin(rocketAngle) * actualDistance * 0.5; // Reduced Z spread
     
     // Height: OTM lower (closer to planet), ITM higher (further from planet)
     const baseHeight = Math.max(10, greeks.price * 15);
@@ -837,14 +1173,20 @@ function createRocket(params) {
     console.log(`✅ Created 5 Greek gauges (including IV) for ${type} $${strike} at position (${gaugeStartX.toFixed(2)}, ${gaugeY.toFixed(2)}, ${gaugeZ.toFixed(2)})`);
     
     // Add rocket label (positioned relative to rocket group)
-    const label = createRocketLabel(type, strike, greeks.price.toFixed(2));
+    const label = createRocketLabel(type, strike, greeks.price.toFixed(2), quantity);
     label.position.set(0, 3, 0); // Above rocket (relative to group origin)
     rocketGroup.add(label);
+    rocketGroup.userData.rocketLabel = label;
+
+    // Ledger the open (restored rockets keep their saved position ids)
+    params.positionId = params.positionId || tradeLedger.createPositionId();
+    tradeLedger.recordOpen({ positionId: params.positionId, ticker: params.ticker, type, strike, quantity, price: premium, multiplier });
 
     rockets.push({
         group: rocketGroup,
         params: params,
         greeks: greeks,
+        positionGreeks: positionGreeks, // Greeks scaled by quantity x multiplier
         trajectory: trajectory,
         breakevenRing: breakevenRing,
         launchPriceLine: launchPriceLine,
@@ -852,6 +1194,7 @@ function createRocket(params) {
         launchPrice: launchPrice, // Fixed launch/strike price for reference line
         premium: premium, // Premium paid (for P/L calculation)
         initialOptionPrice: greeks.price, // Store initial option price for P/L calculation
+        initialTimeValue: Math.max(0, greeks.price - intrinsicValue), // Full fuel tank
         profitLoss: profitLoss, // Current P/L
         intrinsicValue: intrinsicValue,
         isITM: isITM,
@@ -892,7 +1235,7 @@ function createRocket(params) {
             // Thrust system based on Greeks - FURTHER REDUCED to prevent runaway
             rocketGroup.userData.maxThrust = Math.abs(greeks.delta) * 1.5; // Max thrust based on delta (further reduced)
             rocketGroup.userData.fuel = 1.0; // Start with full fuel (1.0 = 100%)
-            rocketGroup.userData.fuelBurnRate = Math.abs(greeks.theta) * 0.003; // Theta = fuel burn rate (further reduced)
+            rocketGroup.userData.fuelBurnRate = Math.abs(greeks.thetaAnnual) * 0.003; // Theta = fuel burn rate (further reduced)
             rocketGroup.userData.maxSpeed = 5; // Maximum speed (further reduced to prevent runaway)
 
     // Calculate orbital velocity for stable orbit
@@ -910,6 +1253,11 @@ function createRocket(params) {
     initialForward.applyQuaternion(rocketGroup.quaternion);
     rocketGroup.userData.lastDirection = initialForward.clone();
 
+    // New rockets join the current vol slider view (relative to the IV they were launched with)
+    if (volSlider && volSlider.currentAdjustment !== 0) {
+        volSlider.handleIVChange(volSlider.currentAdjustment);
+    }
+
     console.log(`✅ Created ${type} rocket: Strike=${strike}, Price=$${greeks.price.toFixed(2)}, Delta=${greeks.delta.toFixed(3)}`);
     console.log(`✅ Rocket stored in state with ID: ${rocketId}`);
     console.log(`✅ Max thrust: ${rocketGroup.userData.maxThrust.toFixed(2)}, Fuel burn rate: ${rocketGroup.userData.fuelBurnRate.toFixed(4)}`);
@@ -1044,7 +1392,7 @@ function createSpotPricePlanet(spotPrice, rocketIndex) {
 }
 
 // Create rocket label
-function createRocketLabel(type, strike, price) {
+function createRocketLabel(type, strike, price, quantity = 1) {
     const canvas = document.createElement('canvas');
     canvas.width = 256;
     canvas.height = 64;
@@ -1057,7 +1405,8 @@ function createRocketLabel(type, strike, price) {
     context.font = 'bold 20px Arial';
     context.textAlign = 'center';
     context.textBaseline = 'middle';
-    context.fillText(`${type.toUpperCase()} $${strike}`, canvas.width / 2, canvas.height / 2 - 8);
+    const size = quantity === 1 ? '' : `${quantity > 0 ? '+' : ''}${quantity}x `;
+    context.fillText(`${size}${type.toUpperCase()} $${strike}`, canvas.width / 2, canvas.height / 2 - 8);
     context.font = '14px Arial';
     context.fillText(`$${price}`, canvas.width / 2, canvas.height / 2 + 8);
 
@@ -1241,6 +1590,9 @@ function createControlsPanel() {
     const grid = document.createElement('div');
     grid.style.cssText = 'display: grid; grid-template-columns: 60px 1fr; gap: 6px 8px; align-items: center;';
 
+    // Underlying (each ticker gets its own planet and price stream)
+    addGridRow(grid, 'Ticker:', 'text', 'ticker-input', 'SPY');
+
     // Option type
     addGridRow(grid, 'Type:', 'select', 'option-type', '<option value="call">Call</option><option value="put">Put</option>');
 
@@ -1256,6 +1608,18 @@ function createControlsPanel() {
     // DTE
     addGridRow(grid, 'DTE:', 'number', 'dte-input', '60', '1');
 
+    // Signed contract count (negative = short)
+    addGridRow(grid, 'Qty:', 'number', 'qty-input', '1', '1');
+
+    // Risk-free rate and continuous dividend yield
+    addGridRow(grid, 'Rate:', 'number', 'rate-input', String(DEFAULT_RISK_FREE_RATE), '0.0025');
+    addGridRow(grid, 'Div Yld:', 'number', 'div-input', String(DEFAULT_DIVIDEND_YIELD), '0.0025');
+
+    // Pricing model ('' follows the global selector in the top bar)
+    const modelOptions = '<option value="">Global</option>' + Object.entries(PRICING_MODELS)
+        .map(([key, model]) => `<option value="${key}">${model.label}</option>`).join('');
+    addGridRow(grid, 'Model:', 'select', 'model-input', modelOptions);
+
     container.appendChild(grid);
 
     // Launch button
@@ -1283,30 +1647,61 @@ function createControlsPanel() {
                 return;
             }
             
+            const tickerEl = document.getElementById('ticker-input');
+            const ticker = normalizeTicker(tickerEl && tickerEl.value);
             const type = typeEl.value || 'call';
             const strike = parseFloat(strikeEl.value) || 100;
             const spot = parseFloat(spotEl.value) || 100;
-            const iv = parseFloat(ivEl.value) || 0.16;
+            // Blank IV with the ticker's vol surface loaded = pick IV from the surface by strike and DTE
+            const surface = optionaut4D && optionaut4D.hasSurfaceFor(ticker) ? optionaut4D.volSurface : null;
+            const ivSource = ivEl.value === '' && surface ? 'surface' : null;
+            const iv = ivSource ? surface.getIV(parseFloat(strikeEl.value) || 100, (parseFloat(dteEl.value) || 1) / 365) : (parseFloat(ivEl.value) || 0.16);
             const dte = parseFloat(dteEl.value) || 1;
-        const timeToExpiry = dte / 365;
+            // DTE counts calendar days to an expiry's close, like a parsed contract's date
+            const expiry = expiryInDays(dte);
+            const expiresAt = expiryClose(expiry).getTime();
+            const timeToExpiry = daysToExpiry(expiry) / 365;
+            const rateEl = document.getElementById('rate-input');
+            const divEl = document.getElementById('div-input');
+            const rate = rateEl && rateEl.value !== '' ? parseFloat(rateEl.value) : DEFAULT_RISK_FREE_RATE;
+            const dividendYield = divEl && divEl.value !== '' ? parseFloat(divEl.value) : DEFAULT_DIVIDEND_YIELD;
+            const qtyEl = document.getElementById('qty-input');
+            const quantity = qtyEl && qtyEl.value !== '' ? Number(qtyEl.value) : 1;
+            const modelEl = document.getElementById('model-input');
+            const pricingModel = modelEl && modelEl.value ? modelEl.value : undefined;
 
             // Validate inputs
-            if (isNaN(strike) || isNaN(spot) || isNaN(iv) || isNaN(dte)) {
-                console.error('❌ Invalid input values', { strike, spot, iv, dte });
+            if (isNaN(strike) || isNaN(spot) || isNaN(iv) || isNaN(dte) || isNaN(rate) || isNaN(dividendYield)) {
+                console.error('❌ Invalid input values', { strike, spot, iv, dte, rate, dividendYield });
                 alert('Please enter valid numbers for all fields.');
                 return;
             }
+            if (!Number.isInteger(quantity) || quantity === 0) {
+                alert('Quantity must be a whole number of contracts (negative for short).');
+                return;
+            }
+            if (!/^[A-Z][A-Z0-9.]{0,9}$/.test(ticker)) {
+                alert(`"${ticker}" is not a valid ticker symbol.`);
+                return;
+            }
 
         // KEEP existing rockets - support multi-leg strategies!
         console.log(`🚀 Keeping ${rockets.length} existing rocket(s), launching new one`);
-        console.log(`🚀 Launching new rocket: ${type}, Strike=${strike}, Spot=${spot}, IV=${iv}, DTE=${dte}`);
+        console.log(`🚀 Launching new rocket: ${ticker} ${type}, Strike=${strike}, Spot=${spot}, IV=${iv}, DTE=${dte}`);
 
         const newRocket = createRocket({
+            ticker,
             type,
             strike,
             spot,
             timeToExpiry,
+            expiresAt,
             iv,
+            ivSource,
+            rate,
+            dividendYield,
+            pricingModel,
+            quantity,
             entry: 0.5
         });
 
@@ -1318,7 +1713,9 @@ function createControlsPanel() {
 
         // Update camera target to new rocket
         cameraFollowTarget = newRocket;
-        currentSpot = spot;
+        if (ticker === 'SPY') {
+            currentSpot = spot;
+        }
         cameraFollowEnabled = true;
 
         console.log(`✅ New rocket launched! Camera will follow it.`);
@@ -1418,6 +1815,17 @@ function createControlsPanel() {
     updateRocketsListUI(); // Initial update
 }
 
+// Compact OCC symbol of a rocket's contract (expiry as of today, not the time-travel date)
+function rocketSymbol(rocket) {
+    const { ticker, type, strike } = rocket.params || {};
+    return formatOCCSymbol({
+        ticker,
+        type,
+        strike,
+        expiry: expiryFromTimeToExpiry(timeSlider ? timeSlider.getBaseTimeToExpiry(rocket) : rocket.params.timeToExpiry)
+    }, { compact: true });
+}
+
 // Create spot price slider for individual rocket
 function createRocketSpotSlider(rocket, index) {
     const card = document.createElement('div');
@@ -1430,8 +1838,17 @@ function createRocketSpotSlider(rocket, index) {
     
     // Title
     const title = document.createElement('div');
-    title.textContent = `${type.toUpperCase()} $${strike}`;
+    const quantity = params.quantity || 1;
+    title.textContent = `${quantity > 0 ? '+' : ''}${quantity}x ${type.toUpperCase()} $${strike}`;
     title.style.cssText = 'font-size: 11px; font-weight: bold; color: #4a90e2; margin-bottom: 6px;';
+    const symbol = rocketSymbol(rocket);
+    if (symbol) {
+        const symbolEl = document.createElement('span');
+        symbolEl.textContent = ` ${symbol}`;
+        symbolEl.title = 'OCC symbol';
+        symbolEl.style.cssText = 'font-weight: normal; color: #888; user-select: all;';
+        title.appendChild(symbolEl);
+    }
     card.appendChild(title);
     
     // Spot price slider
@@ -1490,10 +1907,10 @@ function createRocketSpotSlider(rocket, index) {
         premium = Math.max(0.01, premium); // Ensure valid positive number
         
         // Recalculate Greeks with current spot for accurate P/L
-        const greeks = rocket.greeks || calculateGreeks(currentSpot, strike, params.timeToExpiry || 0.0027, params.iv || 0.16, 0.02, type);
+        const greeks = rocket.greeks || priceRocket({ ...params, timeToExpiry: params.timeToExpiry || 0.0027, iv: params.iv || 0.16 }, currentSpot);
         
-        // P/L = (Current Option Price - Entry Premium) × 100
-        const profitLoss = calculateProfitLoss(greeks.price, premium, 1);
+        // P/L = (Current Option Price - Entry Premium) × multiplier × quantity
+        const profitLoss = calculateProfitLoss(greeks.price, premium, quantity, params.multiplier, { timeToExpiry: params.timeToExpiry });
         const isITM = isInTheMoney(currentSpot, strike, type);
         
         // Display P/L with clear indication: OTM (left/negative) vs ITM (right/positive)
@@ -1513,6 +1930,593 @@ function createRocketSpotSlider(rocket, index) {
     return card;
 }
 
+// Rockets shown in the payoff chart: the selected rocket (or its whole strategy), else the book
+// on one underlying (the selected rocket's, else the latest launch's) since spot is the x axis
+function getPayoffRockets() {
+    const selected = rocketHUD && rocketHUD.currentRocket ? rockets.find(r => r.group === rocketHUD.currentRocket) : null;
+    if (payoffChart && payoffChart.mode === 'selected' && selected) {
+        const groupId = selected.params.groupId;
+        return groupId ? rockets.filter(r => r.params.groupId === groupId) : [selected];
+    }
+    const ticker = (selected || rockets[rockets.length - 1])?.params.ticker;
+    return rockets.filter(rocket => rocket.params.ticker === ticker);
+}
+
+// Push the current positions into the payoff chart
+function updatePayoffChart() {
+    const chartRockets = getPayoffRockets();
+    const lead = chartRockets[0];
+    const strategy = lead && lead.params.groupId && optionaut4D ? optionaut4D.strategies.get(lead.params.groupId) : null;
+    const selectedView = payoffChart.mode === 'selected' && rocketHUD && chartRockets.some(r => r.group === rocketHUD.currentRocket);
+    const label = !lead ? ''
+        : !selectedView ? `Book ${lead.params.ticker} (${chartRockets.length})`
+            : (strategy ? strategy.name : `${lead.params.type.toUpperCase()} $${lead.params.strike}`);
+
+    payoffChart.update({
+        legs: chartRockets.map(rocket => ({
+            type: rocket.params.type,
+            strike: rocket.params.strike,
+            quantity: rocket.params.quantity || 1,
+            multiplier: rocket.params.multiplier || DEFAULT_CONTRACT_MULTIPLIER,
+            premium: rocket.premium,
+            timeToExpiry: rocket.params.timeToExpiry,
+            iv: rocket.params.iv,
+            params: rocket.params
+        })),
+        spot: lead ? (lead.spotPrice ?? lead.params.spot) : currentSpot,
+        label
+    });
+}
+
+// Load an option chain, show its vol surface behind the planet and re-mark the book from it
+async function loadVolSurface(file) {
+    let surface;
+    try {
+        surface = parseChainFile(await file.text(), file.name);
+    } catch (error) {
+        console.error('❌ Failed to load vol surface:', error);
+        alert(`Could not load option chain: ${error.message}`);
+        return;
+    }
+
+    if (volSurfaceMesh) {
+        scene.remove(volSurfaceMesh);
+        volSurfaceMesh.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+
+    volSurfaceMesh = createVolSurfaceMesh(surface);
+    const { width, depth } = volSurfaceMesh.userData.size;
+    const lastDTE = Math.round(surface.expiries[surface.expiries.length - 1] * 365);
+    volSurfaceMesh.add(createLabel(`IV ${surface.ticker}`, width / 2, surface.maxIV * 60 + 4, depth / 2));
+    volSurfaceMesh.add(createLabel(`$${surface.strikes[0]}`, 0, -2, 0));
+    volSurfaceMesh.add(createLabel(`$${surface.strikes[surface.strikes.length - 1]}`, width, -2, 0));
+    volSurfaceMesh.add(createLabel(`${lastDTE}d`, width + 6, 0, depth));
+    const center = underlyings.getCenter(surface.ticker);
+    volSurfaceMesh.position.set(center.x - width / 2, -10, center.z - 70); // Behind the underlying's planet
+    scene.add(volSurfaceMesh);
+
+    // Scenario shocks are relative to the old marks - drop them before re-marking
+    if (rockets.some(rocket => rocket.scenarioBase)) {
+        clearScenario();
+    }
+    const remarked = optionaut4D.setVolSurface(surface, rockets, rocket => timeSlider.getBaseTimeToExpiry(rocket));
+
+    // Manual launches pick their IV from the surface unless one is typed in
+    const ivInput = document.getElementById('iv-input');
+    if (ivInput) {
+        ivInput.value = '';
+        ivInput.placeholder = 'surface';
+    }
+
+    console.log(`🌋 Vol surface loaded: ${surface.describe()} (IV ${(surface.minIV * 100).toFixed(1)}-${(surface.maxIV * 100).toFixed(1)}%), re-marked ${remarked} rocket(s)`);
+}
+
+// Swap the market data provider; quotes stream into each underlying's spot / LiveHUD row
+function setMarketDataSource(kind, options = {}) {
+    if (marketData) {
+        marketData.stop();
+    }
+
+    const tickers = underlyings ? underlyings.tickers : ['SPY'];
+    marketData = createMarketDataProvider(kind, { baseUrl: API_BASE_URL, tickers, ...options });
+    marketData.onQuote(handleQuote);
+    if (underlyings) {
+        underlyings.setMarketData(marketData);
+    }
+    marketData.onStatus(({ state, message }) => {
+        const statusEl = document.getElementById('data-status');
+        if (!statusEl) return;
+        statusEl.className = state;
+        statusEl.title = `${marketData.label}: ${state}${message ? ` (${message})` : ''}`;
+    });
+    marketData.start();
+
+    // Replays need their file again, so they are not remembered
+    if (kind !== 'replay') {
+        localStorage.setItem('optionaut-data-source', kind);
+    }
+    const sourceSelect = document.getElementById('data-source');
+    if (sourceSelect) sourceSelect.value = kind;
+
+    console.log(`📡 Market data source: ${marketData.label}`);
+}
+
+// Apply a streamed quote to its underlying (a backtest owns its ticker's spot until it ends)
+function handleQuote({ ticker, price }) {
+    if (!underlyings || (backtest && backtest.ticker === ticker)) return;
+    const oldSpot = underlyings.getSpot(ticker);
+    if (!setUnderlyingSpot(ticker, price)) return;
+
+    console.log(`📊 Updated ${ticker} price: ${oldSpot ? `$${oldSpot.toFixed(2)}` : '-'} → $${price.toFixed(2)}`);
+}
+
+// Move an underlying: planet label, LiveHUD row and every rocket on that ticker
+// @returns {boolean} True if the price changed
+function setUnderlyingSpot(ticker, price) {
+    if (!underlyings.setSpot(ticker, price)) return false;
+
+    if (ticker === 'SPY') {
+        currentSpot = price;
+    }
+    if (optionaut4D && optionaut4D.liveHUD) {
+        optionaut4D.liveHUD.updateSpotPrice(price, ticker);
+    }
+    if (chainPanel && optionChain && optionChain.ticker === ticker) {
+        chainPanel.setSpot(price);
+    }
+
+    rockets.forEach(rocket => {
+        if (rocket.params.ticker !== ticker) return;
+        if (rocket.scenarioBase) {
+            // Scenario stays shocked from the old market; clearing it lands on the new price
+            rocket.scenarioBase.spot = price;
+            return;
+        }
+        rocket.spotPrice = price;
+        if (rocket.group) {
+            rocket.group.userData.spotPrice = price;
+        }
+    });
+    return true;
+}
+
+// Show a chain in the browser; its underlying is tracked and quotes without IV / delta are solved at its spot
+async function showOptionChain(chain) {
+    const spot = await underlyings.track(chain.ticker, chain.spot);
+    const unsolved = spot > 0 ? chain.fillMissing(spot) : 0;
+    optionChain = chain;
+    optionaut4D.optionChain = chain;
+    chainPanel.setChain(chain, spot);
+    chainPanel.show();
+    console.log(`🔗 Option chain loaded: ${chain.describe()}${unsolved > 0 ? ` (${unsolved} quote(s) without IV)` : ''}`);
+}
+
+async function loadOptionChainFile(file) {
+    try {
+        await showOptionChain(parseOptionChainFile(await file.text(), file.name, chainPanel.ticker));
+    } catch (error) {
+        console.error('❌ Failed to load option chain:', error);
+        alert(`Could not load option chain: ${error.message}`);
+    }
+}
+
+// Clicked quote -> rocket at the real fill: buys pay the ask, sells receive the bid
+function launchFromChain(quote, side, quantity) {
+    const premium = fillPrice(quote, side);
+    if (!(premium > 0)) {
+        alert(`No price quoted for ${optionChain.ticker} $${quote.strike} ${quote.type}.`);
+        return;
+    }
+
+    const rocket = optionaut4D.launchRocketFromQuote(quote, {
+        ticker: optionChain.ticker,
+        quantity: side === 'sell' ? -quantity : quantity,
+        premium
+    });
+    if (!rocket) return;
+
+    cameraFollowTarget = rocket;
+    cameraFollowEnabled = true;
+    if (window.updateRocketsListUI) {
+        window.updateRocketsListUI();
+    }
+}
+
+// Parse a broker position export and preview it against the current book
+async function importPositions(file) {
+    let parsed;
+    try {
+        parsed = parsePositionFile(await file.text());
+    } catch (error) {
+        console.error('❌ Failed to import positions:', error);
+        alert(`Could not import positions: ${error.message}`);
+        return;
+    }
+    positionImportDialog.open({ ...parsed, ...diffBook(parsed.contracts, currentBookLegs()) });
+}
+
+// Open legs in the scene, keyed like imported legs for the diff
+function currentBookLegs() {
+    return rockets.map(rocket => ({
+        ticker: rocket.params.ticker,
+        type: rocket.params.type,
+        strike: rocket.params.strike,
+        dte: Math.round(timeSlider.getBaseTimeToExpiry(rocket) * 365),
+        quantity: rocket.params.quantity
+    }));
+}
+
+// Launch imported contracts at their own fills (replace clears the book first)
+async function launchImportedBook(contracts, replace) {
+    if (replace) {
+        clearBook();
+    }
+
+    // Every underlying gets its planet and first quote before its rockets launch
+    for (const contract of contracts) {
+        await underlyings.track(contract.ticker, contract.strike ?? contract.legs[0].strike);
+    }
+
+    let warnings = 0;
+    contracts.forEach(contract => {
+        const { ivError } = contract.legs
+            ? optionaut4D.launchStrategyFromContract(contract)
+            : optionaut4D.launchRocketFromContract(contract);
+        if (ivError) warnings++;
+    });
+
+    if (window.updateRocketsListUI) {
+        window.updateRocketsListUI();
+    }
+    console.log(`📥 Imported ${contracts.length} position(s) into the book (${replace ? 'replaced' : 'added'})${warnings > 0 ? `, ${warnings} without an implied vol` : ''}`);
+}
+
+// Replay historical bars through the book on their ticker: spot = bar close, clock = calendar days since entry
+async function loadBacktestBars(file) {
+    let parsed;
+    try {
+        parsed = parseOHLCFile(await file.text(), file.name);
+    } catch (error) {
+        console.error('❌ Failed to load OHLC bars:', error);
+        alert(`Could not load bars: ${error.message}`);
+        return;
+    }
+
+    // Bars without a ticker belong to the book shown in the payoff chart
+    const ticker = normalizeTicker(parsed.ticker || getPayoffRockets()[0]?.params.ticker);
+    if (!rockets.some(rocket => rocket.params.ticker === ticker)) {
+        alert(`No ${ticker} rockets to backtest - launch a ${ticker} position first`);
+        return;
+    }
+
+    endBacktest();
+    if (rockets.some(rocket => rocket.scenarioBase)) {
+        clearScenario();
+    }
+    timeSlider.reset();
+
+    const replay = new HistoricalReplay({ ticker, bars: parsed.bars });
+    let entryIndex = null;
+    let lastIndex = null;
+    replay.onBar((bar, info) => {
+        if (info.entryIndex !== entryIndex) {
+            enterBacktest(ticker, bar.close);
+            entryIndex = info.entryIndex;
+        } else if (info.index < lastIndex) {
+            // Rewound: crashes after this bar haven't happened yet
+            rockets.filter(rocket => rocket.params.ticker === ticker).forEach(resetFlightEvents);
+        }
+        lastIndex = info.index;
+        showBacktestBar(bar, info);
+    });
+    replay.onPlayStateChange((playing) => backtestPanel.setPlaying(playing));
+
+    backtest = replay;
+    backtestPanel.setReplay(replay);
+    replay.setEntryDate(parsed.bars[0].time);
+    console.log(`⏪ Backtest loaded: ${ticker} ${parsed.bars.length} bars (${parsed.bars[0].date} → ${parsed.bars[parsed.bars.length - 1].date})`);
+}
+
+// Open the book at the entry bar: each rocket's premium is its model price on that close
+function enterBacktest(ticker, entrySpot) {
+    timeSlider.setDaysForward(0);
+    rockets.forEach(rocket => {
+        if (rocket.params.ticker !== ticker) return;
+        if (!rocket.backtestBase) {
+            rocket.backtestBase = { premium: rocket.premium, initialTimeValue: rocket.initialTimeValue };
+        }
+        const entryPrice = priceRocket(rocket.params, entrySpot).price;
+        rocket.premium = entryPrice;
+        rocket.initialTimeValue = Math.max(0, entryPrice - calculateIntrinsicValue(entrySpot, rocket.params.strike, rocket.params.type));
+        resetFlightEvents(rocket);
+    });
+    if (backtestPanel) backtestPanel.clearEvents();
+}
+
+function showBacktestBar(bar, info) {
+    const { ticker } = backtest;
+    setUnderlyingSpot(ticker, bar.close);
+    timeSlider.setDaysForward(info.daysElapsed);
+
+    const book = rockets.filter(rocket => rocket.params.ticker === ticker);
+    const pl = book.reduce((sum, rocket) => {
+        const { quantity = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER } = rocket.params;
+        return sum + calculateProfitLoss(priceRocket(rocket.params, bar.close).price, rocket.premium, quantity, multiplier, { timeToExpiry: rocket.params.timeToExpiry });
+    }, 0);
+    const dte = book.length > 0 ? Math.round(Math.min(...book.map(rocket => rocket.params.timeToExpiry)) * 365) : 0;
+    backtestPanel.update(bar, info, pl, dte);
+}
+
+// Back to live prices and launch premiums
+function endBacktest() {
+    if (!backtest) return;
+    const { ticker } = backtest;
+    backtest.stop();
+    backtest = null;
+    if (backtestPanel) backtestPanel.setReplay(null);
+
+    rockets.forEach(rocket => {
+        if (!rocket.backtestBase) return;
+        rocket.premium = rocket.backtestBase.premium;
+        rocket.initialTimeValue = rocket.backtestBase.initialTimeValue;
+        delete rocket.backtestBase;
+        resetFlightEvents(rocket);
+    });
+    timeSlider.reset();
+
+    const livePrice = marketData ? marketData.getLastPrice(ticker) : null;
+    if (livePrice > 0 && underlyings) {
+        setUnderlyingSpot(ticker, livePrice);
+    }
+    console.log(`⏹️ Backtest ended - ${ticker} back on live prices`);
+}
+
+// Crash / warp events land in the backtest log when they happen during a replay
+function recordFlightEvent(rocket, text) {
+    if (!backtest || !backtestPanel || rocket.params.ticker !== backtest.ticker) return;
+    backtestPanel.addEvent(`${text} ${rocket.params.type.toUpperCase()} $${rocket.params.strike}`);
+}
+
+// Undo a crash so the rocket can fly again (crashes are otherwise permanent)
+function resetFlightEvents(rocket) {
+    const userData = rocket.group ? rocket.group.userData : null;
+    if (!userData || !userData.hasCrashed) return;
+
+    [userData.explosion, userData.crashSmoke].forEach(effect => {
+        if (!effect) return;
+        scene.remove(effect);
+        effect.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    });
+    userData.explosion = null;
+    userData.crashSmoke = null;
+    userData.hasCrashed = false;
+    userData.isCrashed = false;
+    userData.crashTime = null;
+    userData.isWarpSpeed = false; // Re-engages warp (and its glow) next frame if still deep ITM
+
+    rocket.group.rotation.x = 0;
+    rocket.group.traverse(child => {
+        if (child.isMesh && child.material && child.userData.originalEmissive !== undefined) {
+            child.material.emissive.setHex(child.userData.originalEmissive);
+            child.material.emissiveIntensity = 0.5;
+        }
+    });
+}
+
+// Rockets whose real (today's) time to expiry has run out settle at the underlying's price
+function settleExpiredRockets() {
+    if (!optionaut4D || !timeSlider) return;
+    rockets.filter(rocket => rocket.params && timeSlider.getBaseTimeToExpiry(rocket) <= 0).forEach(settleRocket);
+}
+
+// Exercise / assignment / cash settlement / worthless expiry for one rocket
+function settleRocket(rocket) {
+    const { ticker, type, strike, quantity, multiplier } = rocket.params;
+    const settlementPrice = underlyings.getSpot(ticker) ?? rocket.spotPrice ?? rocket.params.spot;
+    const result = settleOption({ ticker, type, strike, quantity, multiplier, premium: rocket.premium }, settlementPrice);
+
+    // Delivered shares net against any shares already held
+    const shareRealizedPL = result.shares !== 0 ? optionaut4D.stockPositions.add(ticker, result.shares, result.sharePrice) : 0;
+    tradeLedger.recordSettlement(rocket.params, result, shareRealizedPL);
+    recordFlightEvent(rocket, `🏁 ${result.outcome}`);
+    const realized = result.realizedPL + shareRealizedPL;
+    console.log(`🏁 ${result.text} (realized ${realized >= 0 ? '+' : '-'}$${Math.abs(realized).toFixed(2)})`);
+
+    removeRocket(rocket, { keepGroup: true });
+    settlingRockets.push(createSettlementAnimation(rocket.group, underlyings.getCenter(ticker), result.outcome, scene));
+}
+
+// Source picker: replay asks for a file, WebSocket for a URL
+function setupMarketDataControls() {
+    const sourceSelect = document.getElementById('data-source');
+    const replayFile = document.getElementById('replay-file');
+    if (!sourceSelect) return;
+
+    sourceSelect.innerHTML = Object.entries(MARKET_DATA_SOURCES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    sourceSelect.value = marketData.kind;
+
+    sourceSelect.addEventListener('change', () => {
+        const kind = sourceSelect.value;
+        if (kind === 'replay') {
+            sourceSelect.value = marketData.kind; // Switch once a file is picked
+            if (replayFile) replayFile.click();
+        } else if (kind === 'websocket') {
+            const url = prompt('WebSocket URL for market data:', localStorage.getItem('optionaut-data-ws-url') || DEFAULT_STREAM_URL);
+            if (!url) {
+                sourceSelect.value = marketData.kind;
+                return;
+            }
+            localStorage.setItem('optionaut-data-ws-url', url);
+            setMarketDataSource('websocket', { url });
+        } else {
+            setMarketDataSource(kind);
+        }
+    });
+
+    if (replayFile) {
+        replayFile.addEventListener('change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const ticks = parseReplayFile(await file.text(), file.name);
+                setMarketDataSource('replay', { ticks });
+            } catch (error) {
+                console.error('❌ Failed to load replay file:', error);
+                alert(`Could not load replay file: ${error.message}`);
+            }
+        });
+    }
+}
+
+// Match the IV slider's range, value and label to the vol slider's mode
+function syncIVSliderUI() {
+    const mode = IV_ADJUSTMENT_MODES[volSlider.mode];
+    const ivSlider = document.getElementById('iv-slider');
+    const ivDisplay = document.getElementById('iv-display');
+    const ivModeSelect = document.getElementById('iv-mode');
+    if (ivSlider) {
+        ivSlider.min = mode.min;
+        ivSlider.max = mode.max;
+        ivSlider.step = mode.step;
+        ivSlider.value = volSlider.currentAdjustment;
+    }
+    if (ivDisplay) ivDisplay.textContent = volSlider.formatAdjustment();
+    if (ivModeSelect) ivModeSelect.value = volSlider.mode;
+}
+
+// Today's market for each rocket, ignoring any applied scenario or time travel
+function getScenarioBase(rocket) {
+    return {
+        spot: rocket.scenarioBase ? rocket.scenarioBase.spot : (rocket.spotPrice ?? rocket.params.spot),
+        iv: rocket.scenarioBase ? rocket.scenarioBase.iv : rocket.params.iv,
+        timeToExpiry: timeSlider ? timeSlider.getBaseTimeToExpiry(rocket) : rocket.params.timeToExpiry
+    };
+}
+
+// Book P/L grid for the scenario panel
+function computeBookScenarios() {
+    if (rockets.length === 0) return null;
+
+    const positions = rockets.map(rocket => ({
+        ...getScenarioBase(rocket),
+        params: rocket.params,
+        premium: rocket.premium
+    }));
+    const maxDays = Math.max(...positions.map(position => Math.ceil(position.timeToExpiry * 365)));
+    return computeScenarioGrid(positions, { dates: scenarioDates(maxDays) }, priceRocket);
+}
+
+// Push a scenario into the scene: every rocket's spot and IV are shocked from today's values
+function applyScenario(scenario) {
+    rockets.forEach((rocket, index) => {
+        const base = getScenarioBase(rocket);
+        rocket.scenarioBase = { spot: base.spot, iv: base.iv };
+        const shocked = shockPosition(base, scenario);
+        rocket.params.iv = shocked.iv;
+        updateRocketSpotPrice(index, shocked.spot);
+    });
+    timeSlider.pause();
+    timeSlider.setDaysForward(scenario.daysForward);
+
+    const sign = (value) => (value > 0 ? '+' : '');
+    console.log(`🧪 Scenario applied: spot ${sign(scenario.spotMove)}${(scenario.spotMove * 100).toFixed(1)}%, IV ${sign(scenario.ivShift)}${(scenario.ivShift * 100).toFixed(0)} pts, T+${scenario.daysForward}`);
+}
+
+// Back to today's market
+function clearScenario() {
+    rockets.forEach((rocket, index) => {
+        if (!rocket.scenarioBase) return;
+        rocket.params.iv = rocket.scenarioBase.iv;
+        updateRocketSpotPrice(index, rocket.scenarioBase.spot);
+        delete rocket.scenarioBase;
+    });
+    timeSlider.reset();
+    console.log('🧪 Scenario cleared');
+}
+
+// Breakeven rings follow the time-travel date: expiry breakevens today,
+// the breakevens of the position valued on the scrubbed date otherwise
+function refreshBreakevenRings() {
+    const daysForward = timeSlider ? timeSlider.daysForward : 0;
+
+    rockets.forEach(rocket => {
+        const ring = rocket.breakevenRing;
+        if (!ring) return;
+
+        // Trading costs can change after launch, so the expiry breakeven is recomputed
+        const { type, strike, quantity, multiplier } = rocket.params;
+        const costBasis = breakevenPremium(rocket.premium, quantity, multiplier);
+        ring.userData.expiryBreakeven = calculateBreakeven(strike, costBasis, type);
+
+        let breakeven = ring.userData.expiryBreakeven;
+        if (daysForward > 0) {
+            // Before expiry the position would be closed, so closing costs count too
+            const plAt = (spot) => calculateProfitLoss(priceRocket(rocket.params, spot).price, rocket.premium, quantity, multiplier, { timeToExpiry: rocket.params.timeToExpiry });
+            const crossings = findBreakevens(plAt, strike * 0.5, strike * 1.5);
+            // Closest crossing to the expiry breakeven is the same breakeven drifting in time
+            if (crossings.length > 0) {
+                breakeven = crossings.reduce((best, be) =>
+                    Math.abs(be - ring.userData.expiryBreakeven) < Math.abs(best - ring.userData.expiryBreakeven) ? be : best);
+            }
+        }
+        resizeRing(ring, Math.abs(breakeven - rocket.params.spot) * 2);
+    });
+
+    if (optionaut4D) {
+        optionaut4D.refreshStrategyRings(rockets, priceRocket, daysForward);
+    }
+}
+
+// New commission / fee / slippage rates: P/L follows next frame, breakevens and payoff rings are redrawn now
+function applyTradingCosts(costs) {
+    try {
+        tradingCostsPanel.setCosts(setTradingCosts(costs));
+    } catch (error) {
+        alert(`Invalid trading costs: ${error.message}`);
+        return;
+    }
+    optionaut4D.refreshTradingCosts(rockets);
+    refreshBreakevenRings();
+}
+
+// New portfolio risk limits: the HUD alert and risk panel pick them up on their next refresh
+function applyRiskLimits(limits) {
+    try {
+        riskPanel.setLimits(setRiskLimits(limits));
+    } catch (error) {
+        alert(`Invalid risk limits: ${error.message}`);
+        return;
+    }
+    console.log('🛡️ Risk limits:', getRiskLimits());
+}
+
+function applyBeta(ticker, beta) {
+    try {
+        setBeta(ticker, beta);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// LiveHUD DTE counts down with the time-travel date (nearest expiry in the book)
+function updateTimeTravelDTE() {
+    if (!optionaut4D || rockets.length === 0) return;
+    const nearest = Math.min(...rockets.map(rocket => rocket.params.timeToExpiry));
+    optionaut4D.liveHUD.updateDTE(nearest * 365, timeSlider.daysForward);
+}
+
 // Update rocket spot price and recalculate position/Greeks
 function updateRocketSpotPrice(rocketIndex, newSpotPrice) {
     if (rocketIndex < 0 || rocketIndex >= rockets.length) return;
@@ -1526,15 +2530,7 @@ function updateRocketSpotPrice(rocketIndex, newSpotPrice) {
     }
     
     // Recalculate Greeks with new spot price
-    const params = rocket.params;
-    const newGreeks = calculateGreeks(
-        newSpotPrice,
-        params.strike,
-        params.timeToExpiry,
-        params.iv,
-        0.02,
-        params.type
-    );
+    const newGreeks = priceRocket(rocket.params, newSpotPrice);
     rocket.greeks = newGreeks;
     
     console.log(`📊 Updated rocket #${rocketIndex} spot price to $${newSpotPrice.toFixed(2)}`);
@@ -1751,12 +2747,9 @@ function animate() {
         controls.update();
     }
 
-    // Animate planet rotation
-    if (underlyingPlanet) {
-        underlyingPlanet.rotation.y += 0.002;
-        // Pulsing glow effect
-        const pulse = Math.sin(elapsedTime) * 0.1 + 0.3;
-        underlyingPlanet.material.emissiveIntensity = pulse;
+    // Animate underlying planets (rotation + pulsing glow)
+    if (underlyings) {
+        underlyings.animate(elapsedTime);
     }
 
     // Animate spot price planets rotation
@@ -1776,14 +2769,7 @@ function animate() {
             const strike = rocket.params.strike;
             
             // Recalculate Greeks with current spot price FIRST (needed for premium fallback)
-            const newGreeks = calculateGreeks(
-                currentSpot,
-                strike,
-                rocket.params.timeToExpiry,
-                rocket.params.iv,
-                0.02,
-                rocket.params.type
-            );
+            const newGreeks = priceRocket(rocket.params, currentSpot);
             rocket.greeks = newGreeks;
             
             // P/L calculation: premium is the entry price (what was paid to open the position)
@@ -1807,20 +2793,29 @@ function animate() {
             // Ensure premium is a valid positive number (but don't override if it's valid)
             premium = Math.max(0.01, premium);
             
-            // Update P/L calculation: (Current Option Price - Entry Premium) × 100
-            const newProfitLoss = calculateProfitLoss(newGreeks.price, premium, 1);
+            // Update P/L calculation: (Current Option Price - Entry Premium) × multiplier × quantity
+            const { quantity = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER } = rocket.params;
+            // Held to expiry there is nothing left to close, so P/L stops counting closing costs (as settlement does)
+            const newProfitLoss = calculateProfitLoss(newGreeks.price, premium, quantity, multiplier, { timeToExpiry: rocket.params.timeToExpiry });
+            rocket.positionGreeks = calculatePositionGreeks(newGreeks, quantity, multiplier);
             const newIntrinsicValue = calculateIntrinsicValue(currentSpot, strike, rocket.params.type);
             const newIsITM = isInTheMoney(currentSpot, strike, rocket.params.type);
             rocket.profitLoss = newProfitLoss;
             rocket.intrinsicValue = newIntrinsicValue;
             rocket.isITM = newIsITM;
+
+            // Fuel = time value left vs. launch (theta burns it, time travel drains it)
+            const timeValue = Math.max(0, newGreeks.price - newIntrinsicValue);
+            rocket.group.userData.fuel = rocket.initialTimeValue > 1e-6
+                ? Math.min(1, timeValue / rocket.initialTimeValue)
+                : (rocket.params.timeToExpiry > 0 ? 1 : 0);
             
             // Clear P/L calculation logging (only log when spot changes significantly)
             if (!rocket.lastLoggedSpot || Math.abs(rocket.lastLoggedSpot - currentSpot) > 5) {
                 console.log(`💰 P/L Calculation for ${rocket.params.type.toUpperCase()} $${strike}:`);
                 console.log(`   Entry Premium: $${premium.toFixed(2)} (paid when position opened)`);
                 console.log(`   Current Option Price: $${newGreeks.price.toFixed(2)} (Black-Scholes at spot $${currentSpot.toFixed(2)})`);
-                console.log(`   P/L Formula: (Current Price - Entry Premium) × 100 = ($${newGreeks.price.toFixed(2)} - $${premium.toFixed(2)}) × 100`);
+                console.log(`   P/L Formula: (Current Price - Entry Premium) × ${multiplier} × ${quantity} = ($${newGreeks.price.toFixed(2)} - $${premium.toFixed(2)}) × ${multiplier} × ${quantity}`);
                 console.log(`   Profit/Loss: $${newProfitLoss >= 0 ? '+' : ''}${newProfitLoss.toFixed(2)}`);
                 console.log(`   Status: ${newIsITM ? 'ITM' : 'OTM'} | Delta: ${newGreeks.delta.toFixed(3)}`);
                 console.log(`   Intrinsic Value: $${newIntrinsicValue.toFixed(2)} | Time Value: $${(newGreeks.price - newIntrinsicValue).toFixed(2)}`);
@@ -1872,6 +2867,9 @@ function animate() {
             const targetY = baseHeight + heightOffset;
             
             const targetPosition = new THREE.Vector3(targetX, targetY, targetZ);
+            if (underlyings) {
+                targetPosition.add(underlyings.getCenter(rocket.params.ticker));
+            }
             
             // Update spot price planet position - position right before the top cone
             if (rocket.spotPricePlanet) {
@@ -1880,9 +2878,10 @@ function animate() {
                 rocketForward.applyQuaternion(rocket.group.quaternion);
                 
                 // Get rocket dimensions
-                const rocketLength = rocket.group.userData.rocketLength || (4.7 * 2.125); // bodyLength + noseLength
-                const bodyLength = 3.5 * 2.125; // Body length from rocket model
-                const noseLength = 1.2 * 2.125; // Nose length from rocket model
+                const rocketScale = rocket.group.userData.rocketScale || 2.125;
+                const rocketLength = rocket.group.userData.rocketLength || (4.7 * rocketScale); // bodyLength + noseLength
+                const bodyLength = 3.5 * rocketScale; // Body length from rocket model
+                const noseLength = 1.2 * rocketScale; // Nose length from rocket model
                 
                 // Position planet closer to nose cone (at junction of body and nose, or slightly into nose)
                 // Front of body is at bodyLength/2, nose starts at bodyLength, so position at bodyLength + small offset
@@ -2031,6 +3030,7 @@ function animate() {
                     }
                     
                     console.log(`💥 Rocket crashed into planet! Delta: ${newGreeks.delta.toFixed(3)}, Distance: ${distanceToPlanet.toFixed(2)}`);
+                    recordFlightEvent(rocket, '💥 Crash');
                 }
             }
             
@@ -2071,6 +3071,7 @@ function animate() {
                 // Just entered warp speed - activate effects
                 console.log(`🚀 Warp drive engaged! Delta: ${newGreeks.delta.toFixed(3)}, DeltaValue: ${deltaValue.toFixed(3)}, Type: ${rocket.params.type}, Spot: ${currentSpot.toFixed(2)}, Strike: ${strike}`);
                 rocket.group.userData.warpEffect = true;
+                recordFlightEvent(rocket, '🚀 Warp');
                 
                 // Add dramatic blue warp glow with pulsing
                 rocket.group.traverse((child) => {
@@ -2489,6 +3490,65 @@ function animate() {
         }
     });
 
+    // Total position P/L in the live HUD (only touch the DOM when it changes)
+    if (optionaut4D && optionaut4D.liveHUD) {
+        const stocks = optionaut4D.stockPositions ? optionaut4D.stockPositions.list() : [];
+        const totalPL = rockets.reduce((sum, rocket) => sum + (rocket.profitLoss || 0), 0)
+            + stocks.reduce((sum, stock) => sum + stock.profitLoss, 0);
+        if (Math.abs(totalPL - optionaut4D.liveHUD.totalPL) >= 0.005) {
+            optionaut4D.liveHUD.updatePL(totalPL);
+        }
+
+        // Strategy net Greeks / per-ticker P/L change every frame - a few refreshes a second is plenty
+        if (elapsedTime - lastStrategyHUDUpdate > 0.25) {
+            const plByTicker = new Map();
+            rockets.forEach(rocket => {
+                plByTicker.set(rocket.params.ticker, (plByTicker.get(rocket.params.ticker) || 0) + (rocket.profitLoss || 0));
+            });
+            stocks.forEach(stock => {
+                plByTicker.set(stock.ticker, (plByTicker.get(stock.ticker) || 0) + stock.profitLoss);
+            });
+            optionaut4D.liveHUD.updateTickerPL(plByTicker);
+            optionaut4D.liveHUD.updateStrategies(optionaut4D.getStrategySummaries(rockets));
+
+            // Book-wide risk; limits over their threshold blink the HUD about once a second
+            const { report, breaches } = optionaut4D.getPortfolioRisk(rockets);
+            const flash = Math.floor(elapsedTime * 2) % 2 === 0;
+            optionaut4D.liveHUD.setRiskAlert(breaches, flash);
+            if (riskPanel) riskPanel.update(report, breaches, flash);
+            lastStrategyHUDUpdate = elapsedTime;
+        }
+    }
+
+    // Newly launched rockets join the time-travel date
+    if (timeSlider) {
+        timeSlider.sync();
+
+        // Dated expiries run on the wall clock, so 0DTE theta keeps accelerating into the close
+        if (elapsedTime - lastClockTick > 1) {
+            if (timeSlider.tick()) updateTimeTravelDTE();
+            settleExpiredRockets();
+            lastClockTick = elapsedTime;
+        }
+    }
+
+    // Settling rockets fly into their planet (or fade), then leave the scene
+    settlingRockets = settlingRockets.filter(animation => {
+        if (!animation.update(delta)) return true;
+        animation.dispose();
+        disposeObject(animation.group);
+        return false;
+    });
+    if (optionaut4D && optionaut4D.stockPositions) {
+        optionaut4D.stockPositions.update(elapsedTime);
+    }
+
+    // Payoff chart follows spot / positions at ~10fps
+    if (payoffChart && elapsedTime - lastPayoffChartUpdate > 0.1) {
+        updatePayoffChart();
+        lastPayoffChartUpdate = elapsedTime;
+    }
+
     // Animate breakeven rings
     if (optionaut4D) {
         optionaut4D.animateRings(elapsedTime);
@@ -2496,7 +3556,8 @@ function animate() {
     
     // Update per-rocket HUD if visible
     if (rocketHUD && rocketHUD.visible) {
-        rocketHUD.update();
+        const hudRocket = rockets.find(r => r.group === rocketHUD.currentRocket);
+        rocketHUD.update(hudRocket?.greeks, hudRocket?.params, hudRocket?.positionGreeks);
     }
 
     // Handle gauge hover detection
@@ -2613,7 +3674,7 @@ function onRocketClick(event) {
                 // Get Greeks from rocket data or userData
                 const greeks = clickedRocketData.greeks || clickedRocket.userData.greeks || {};
                 const params = clickedRocketData.params || clickedRocket.userData.params || {};
-                rocketHUD.show(clickedRocket, greeks, params);
+                rocketHUD.show(clickedRocket, greeks, params, clickedRocketData.positionGreeks);
                 console.log(`🎯 Clicked on rocket: ${params.type} $${params.strike}`);
             }
         }
@@ -2643,16 +3704,20 @@ window.adjustRocket = function (rocketId, params) {
         console.log(`🚀 Adjusted rocket ${rocketId} position to: (${params.position.x}, ${params.position.y}, ${params.position.z})`);
     }
 
-    // Recalculate if parameters changed
-    if (params.strike || params.spot || params.iv || params.timeToExpiry) {
-        const newGreeks = calculateGreeks(
-            params.spot || rocket.params.spot,
-            params.strike || rocket.params.strike,
-            params.timeToExpiry || rocket.params.timeToExpiry,
-            params.iv || rocket.params.iv,
-            0.02,
-            params.type || rocket.params.type
-        );
+    // Recalculate if parameters changed (kept on the rocket so the animate loop prices with them too)
+    const pricingKeys = ['type', 'strike', 'spot', 'iv', 'timeToExpiry', 'rate', 'dividendYield', 'pricingModel'];
+    if (pricingKeys.some(key => params[key] !== undefined)) {
+        pricingKeys.forEach(key => {
+            if (params[key] !== undefined) rocket.params[key] = params[key];
+        });
+        if (params.timeToExpiry !== undefined && timeSlider) {
+            // New expiry is as of today - shift it again on the next frame
+            timeSlider.rebase(rocket);
+        }
+        if (params.spot !== undefined) {
+            rocket.spotPrice = params.spot;
+        }
+        const newGreeks = priceRocket(rocket.params, rocket.spotPrice ?? rocket.params.spot);
         rocket.greeks = newGreeks;
         console.log(`🚀 Recalculated Greeks for rocket ${rocketId}`);
     }
@@ -0,0 +1,109 @@
+/**
+ * Scenario Analysis - Book P/L across spot moves, IV shifts and dates
+ * "What if SPY -3% and vol +5 points by Friday" for every position at once
+ */
+
+import { DAYS_PER_YEAR } from './pricingEngine.js';
+import { calculateProfitLoss, DEFAULT_CONTRACT_MULTIPLIER } from './rocketMetrics.js';
+
+export const DEFAULT_SPOT_MOVES = [-0.10, -0.05, -0.03, -0.01, 0, 0.01, 0.03, 0.05, 0.10];
+export const DEFAULT_IV_SHIFTS = [-0.10, -0.05, 0, 0.05, 0.10]; // Vol points (0.05 = +5 points)
+
+const MIN_SCENARIO_IV = 0.01;
+const FRIDAY = 5;
+
+/**
+ * Calendar days from `from` until the next given weekday (0 = Sunday)
+ * Today counts when it is that weekday.
+ */
+export function daysUntilWeekday(weekday, from = new Date()) {
+    return (weekday - from.getDay() + 7) % 7;
+}
+
+/**
+ * Date slices for the grid: today, tomorrow, Friday, +1w, +2w and the last expiry
+ * @param {number} maxDays - Days to the furthest expiry in the book
+ * @param {Date} from - Today
+ * @returns {Array<Object>} {days, label} sorted by days, capped at maxDays
+ */
+export function scenarioDates(maxDays, from = new Date()) {
+    const candidates = [
+        { days: 0, label: 'Today' },
+        { days: 1, label: '+1d' },
+        { days: daysUntilWeekday(FRIDAY, from), label: 'Fri' },
+        { days: 7, label: '+1w' },
+        { days: 14, label: '+2w' },
+        { days: maxDays, label: 'Expiry' }
+    ];
+
+    const byDays = new Map();
+    candidates
+        .filter(date => date.days <= maxDays)
+        .forEach(date => {
+            if (!byDays.has(date.days)) byDays.set(date.days, date);
+        });
+    return [...byDays.values()].sort((a, b) => a.days - b.days);
+}
+
+/**
+ * Shock one position's market inputs
+ * @param {Object} base - {spot, iv, timeToExpiry} as of today
+ * @param {Object} scenario - {spotMove (fraction), ivShift (vol points), daysForward}
+ * @returns {Object} {spot, iv, timeToExpiry}
+ */
+export function shockPosition(base, { spotMove = 0, ivShift = 0, daysForward = 0 }) {
+    return {
+        spot: base.spot * (1 + spotMove),
+        iv: Math.max(MIN_SCENARIO_IV, base.iv + ivShift),
+        timeToExpiry: Math.max(0, base.timeToExpiry - daysForward / DAYS_PER_YEAR)
+    };
+}
+
+/**
+ * Book P/L in dollars under one scenario
+ * @param {Array<Object>} positions - {params, spot, iv, timeToExpiry, premium}
+ *   params carry type/strike/quantity/multiplier/pricing inputs; spot, iv and timeToExpiry are today's values
+ * @param {Object} scenario - {spotMove, ivShift, daysForward}
+ * @param {Function} priceLeg - (params, spot) => {price}
+ */
+export function scenarioPL(positions, scenario, priceLeg) {
+    return positions.reduce((sum, position) => {
+        const shocked = shockPosition(position, scenario);
+        const params = { ...position.params, iv: shocked.iv, timeToExpiry: shocked.timeToExpiry };
+        const { quantity = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER } = position.params;
+        const price = priceLeg(params, shocked.spot).price;
+        return sum + calculateProfitLoss(price, position.premium, quantity, multiplier, { timeToExpiry: shocked.timeToExpiry });
+    }, 0);
+}
+
+/**
+ * P/L matrix over spot moves x IV shifts x dates
+ * @param {Array<Object>} positions - See scenarioPL()
+ * @param {Object} axes - {spotMoves, ivShifts, dates: [{days, label}]}
+ * @param {Function} priceLeg - (params, spot) => {price}
+ * @returns {Object} {spotMoves, ivShifts, dates, cells[date][spot][iv], min, max}
+ */
+export function computeScenarioGrid(positions, {
+    spotMoves = DEFAULT_SPOT_MOVES,
+    ivShifts = DEFAULT_IV_SHIFTS,
+    dates = [{ days: 0, label: 'Today' }]
+} = {}, priceLeg) {
+    let min = Infinity;
+    let max = -Infinity;
+
+    const cells = dates.map(date => spotMoves.map(spotMove => ivShifts.map(ivShift => {
+        const pl = scenarioPL(positions, { spotMove, ivShift, daysForward: date.days }, priceLeg);
+        min = Math.min(min, pl);
+        max = Math.max(max, pl);
+        return pl;
+    })));
+
+    return {
+        spotMoves,
+        ivShifts,
+        dates,
+        cells,
+        min: Number.isFinite(min) ? min : 0,
+        max: Number.isFinite(max) ? max : 0
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * Scenario Panel - Heatmap of book P/L over spot moves x IV shifts, one tab per date
+ * Clicking a cell pushes that scenario into the 3D scene
+ */
+
+export class ScenarioPanel {
+    /**
+     * @param {Function} computeGridFn - () => grid from computeScenarioGrid(), or null when the book is empty
+     */
+    constructor(computeGridFn) {
+        this.computeGrid = computeGridFn;
+        this.container = null;
+        this.grid = null;
+        this.dateIndex = 0;
+        this.applied = null; // {dateIndex, spotIndex, ivIndex} of the scenario in the scene
+        this.visible = false;
+        this.applyCallback = null;
+        this.clearCallback = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.id = 'scenario-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 10px;
+            right: 10px;
+            z-index: 1000;
+            background: rgba(0, 0, 0, 0.9);
+            padding: 10px 12px;
+            border-radius: 8px;
+            border: 1px solid rgba(255, 200, 0, 0.4);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: white;
+            display: none;
+        `;
+
+        // Header: title, refresh, clear, close
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+
+        const title = document.createElement('div');
+        title.textContent = 'SCENARIOS';
+        title.style.cssText = 'color: #ffc800; font-size: 12px; font-weight: bold; letter-spacing: 2px; flex: 1;';
+        header.appendChild(title);
+
+        const buttonStyle = 'background: none; border: 1px solid #ffc800; color: #ffc800; border-radius: 3px; cursor: pointer; font-size: 11px; font-family: inherit; padding: 1px 6px;';
+
+        const refreshBtn = document.createElement('button');
+        refreshBtn.textContent = '↻';
+        refreshBtn.title = 'Recompute with the current book';
+        refreshBtn.style.cssText = buttonStyle;
+        refreshBtn.onclick = () => this.refresh();
+        header.appendChild(refreshBtn);
+
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Clear';
+        clearBtn.title = 'Return the scene to today\'s market';
+        clearBtn.style.cssText = buttonStyle;
+        clearBtn.onclick = () => {
+            this.applied = null;
+            if (this.clearCallback) this.clearCallback();
+            this.render();
+        };
+        header.appendChild(clearBtn);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = buttonStyle;
+        closeBtn.onclick = () => this.hide();
+        header.appendChild(closeBtn);
+
+        this.container.appendChild(header);
+
+        // Date tabs
+        this.tabsEl = document.createElement('div');
+        this.tabsEl.style.cssText = 'display: flex; gap: 4px; margin-bottom: 6px;';
+        this.container.appendChild(this.tabsEl);
+
+        // Heatmap table
+        this.tableEl = document.createElement('table');
+        this.tableEl.style.cssText = 'border-collapse: collapse; text-align: right;';
+        this.container.appendChild(this.tableEl);
+
+        this.footerEl = document.createElement('div');
+        this.footerEl.style.cssText = 'color: #888; font-size: 10px; margin-top: 6px;';
+        this.container.appendChild(this.footerEl);
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Set cell click handler
+     * @param {Function} callback - Called with {spotMove, ivShift, daysForward}
+     */
+    onApply(callback) {
+        this.applyCallback = callback;
+    }
+
+    /**
+     * Set clear button handler
+     */
+    onClear(callback) {
+        this.clearCallback = callback;
+    }
+
+    show() {
+        this.visible = true;
+        this.container.style.display = 'block';
+        this.refresh();
+    }
+
+    hide() {
+        this.visible = false;
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Recompute the grid from the current book
+     */
+    refresh() {
+        this.grid = this.computeGrid();
+        if (this.grid && this.dateIndex >= this.grid.dates.length) {
+            this.dateIndex = 0;
+        }
+        this.render();
+    }
+
+    render() {
+        this.tabsEl.innerHTML = '';
+        this.tableEl.innerHTML = '';
+
+        if (!this.grid) {
+            this.footerEl.textContent = 'Launch a rocket to analyze scenarios';
+            return;
+        }
+
+        const { spotMoves, ivShifts, dates, cells } = this.grid;
+
+        dates.forEach((date, index) => {
+            const tab = document.createElement('button');
+            tab.textContent = date.days === 0 || date.label.startsWith('+') ? date.label : `${date.label} (${date.days}d)`;
+            const active = index === this.dateIndex;
+            tab.style.cssText = `background: ${active ? 'rgba(255, 200, 0, 0.3)' : 'none'}; border: 1px solid rgba(255, 200, 0, 0.5); color: #ffc800; border-radius: 3px; cursor: pointer; font-size: 10px; font-family: inherit; padding: 1px 5px;`;
+            tab.onclick = () => {
+                this.dateIndex = index;
+                this.render();
+            };
+            this.tabsEl.appendChild(tab);
+        });
+
+        // Header row: IV shifts
+        const headRow = document.createElement('tr');
+        headRow.appendChild(this.createCell('Spot \\ IV', '#888'));
+        ivShifts.forEach(shift => {
+            const points = Math.round(shift * 100);
+            headRow.appendChild(this.createCell(`${points > 0 ? '+' : ''}${points}v`, '#64c8ff'));
+        });
+        this.tableEl.appendChild(headRow);
+
+        // Color scale: largest absolute P/L in the whole grid is full intensity
+        const scale = Math.max(Math.abs(this.grid.min), Math.abs(this.grid.max), 1);
+        const slice = cells[this.dateIndex];
+
+        spotMoves.forEach((move, spotIndex) => {
+            const row = document.createElement('tr');
+            const pct = Math.round(move * 1000) / 10;
+            row.appendChild(this.createCell(`${pct > 0 ? '+' : ''}${pct}%`, '#64c8ff'));
+
+            ivShifts.forEach((shift, ivIndex) => {
+                const pl = slice[spotIndex][ivIndex];
+                const cell = this.createCell(formatPL(pl), '#ffffff');
+                const alpha = 0.15 + 0.65 * Math.min(1, Math.abs(pl) / scale);
+                cell.style.background = pl >= 0 ? `rgba(0, 200, 0, ${alpha})` : `rgba(220, 0, 0, ${alpha})`;
+                cell.style.cursor = 'pointer';
+                cell.title = `Spot ${pct > 0 ? '+' : ''}${pct}%, IV ${shift >= 0 ? '+' : ''}${Math.round(shift * 100)} pts, ${dates[this.dateIndex].label}: ${formatPL(pl)}`;
+
+                const applied = this.applied
+                    && this.applied.dateIndex === this.dateIndex
+                    && this.applied.spotIndex === spotIndex
+                    && this.applied.ivIndex === ivIndex;
+                if (applied) cell.style.outline = '2px solid #ffc800';
+
+                cell.onclick = () => {
+                    this.applied = { dateIndex: this.dateIndex, spotIndex, ivIndex };
+                    if (this.applyCallback) {
+                        this.applyCallback({ spotMove: move, ivShift: shift, daysForward: dates[this.dateIndex].days });
+                    }
+                    this.render();
+                };
+                row.appendChild(cell);
+            });
+            this.tableEl.appendChild(row);
+        });
+
+        this.footerEl.textContent = `Book P/L · worst ${formatPL(this.grid.min)} · best ${formatPL(this.grid.max)} · click a cell to apply`;
+    }
+
+    createCell(text, color) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.style.cssText = `color: ${color}; padding: 2px 6px; border: 1px solid rgba(255, 255, 255, 0.08);`;
+        return cell;
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
+
+/**
+ * Compact signed dollars, e.g. "+$1.2k", "-$350"
+ */
+function formatPL(value) {
+    const abs = Math.abs(value);
+    const text = abs >= 1000 ? `$${(abs / 1000).toFixed(1)}k` : `$${abs.toFixed(0)}`;
+    return value >= 0 ? `+${text}` : `-${text}`;
+}
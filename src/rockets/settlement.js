@@ -0,0 +1,162 @@
+/**
+ * Settlement - What happens to an option at the expiry close
+ * ITM equity options are exercised (long) or assigned (short) into shares at the strike, index options
+ * settle to cash and OTM options expire worthless. Also the animation a rocket plays as it settles.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_CONTRACT_MULTIPLIER, calculateIntrinsicValue } from './rocketMetrics.js';
+import { tradeCost } from './tradingCosts.js';
+
+// Index options settle to cash; everything else delivers shares
+export const CASH_SETTLED_TICKERS = ['SPX', 'SPXW', 'XSP', 'NDX', 'NDXP', 'RUT', 'MRUT', 'VIX', 'DJX', 'OEX', 'XEO'];
+
+const EXERCISE_THRESHOLD = 0.01; // OCC exercise-by-exception: $0.01 or more ITM
+const SETTLE_DURATION = 2.5; // Seconds
+
+const OUTCOME_COLORS = {
+    exercised: 0x00ff88,
+    assigned: 0xffaa00,
+    cash: 0xffd700,
+    expired: 0x888888
+};
+
+/**
+ * @param {string} ticker
+ * @returns {boolean} True for cash-settled index options
+ */
+export function isCashSettled(ticker) {
+    return CASH_SETTLED_TICKERS.includes(String(ticker || '').toUpperCase());
+}
+
+/**
+ * Settle an option position against the underlying's closing price
+ * Exercised / assigned options keep their premium as realized P/L and the shares are booked at the strike,
+ * so premium + share P/L adds up to what holding the option to expiry was worth.
+ * Nothing is traded at expiry, so only the opening trade's costs are realized.
+ * @param {Object} position - {ticker, type, strike, quantity (signed contracts), multiplier, premium (per share)}
+ * @param {number} settlementPrice - Underlying price at the close
+ * @param {Object} costs - Trading costs (defaults to the global costs)
+ * @returns {Object} {outcome, intrinsic, shares, sharePrice, cash, fees, realizedPL, text}
+ *   outcome: 'exercised' | 'assigned' | 'cash' | 'expired'; shares are signed (+ bought, - sold)
+ */
+export function settleOption(position, settlementPrice, costs) {
+    const { ticker, type, strike, quantity = 1, multiplier = DEFAULT_CONTRACT_MULTIPLIER, premium = 0 } = position;
+    const intrinsic = calculateIntrinsicValue(settlementPrice, strike, type);
+    const contract = `${Math.abs(quantity)}x ${ticker} ${strike}${type === 'call' ? 'C' : 'P'}`;
+    const fees = tradeCost(quantity, multiplier, costs);
+    const premiumPL = -premium * quantity * multiplier - fees;
+
+    if (intrinsic < EXERCISE_THRESHOLD) {
+        return {
+            outcome: 'expired',
+            intrinsic,
+            shares: 0,
+            sharePrice: null,
+            cash: 0,
+            fees,
+            realizedPL: premiumPL,
+            text: `${quantity < 0 ? 'Short' : 'Long'} ${contract} expired worthless`
+        };
+    }
+
+    if (isCashSettled(ticker)) {
+        const cash = intrinsic * quantity * multiplier;
+        return {
+            outcome: 'cash',
+            intrinsic,
+            shares: 0,
+            sharePrice: null,
+            cash,
+            fees,
+            realizedPL: cash + premiumPL,
+            text: `${contract} cash settled at $${settlementPrice.toFixed(2)}: ${formatMoney(cash)}`
+        };
+    }
+
+    // Long calls / short puts end up long shares; long puts / short calls end up short
+    const shares = quantity * multiplier * (type === 'call' ? 1 : -1);
+    const outcome = quantity > 0 ? 'exercised' : 'assigned';
+    return {
+        outcome,
+        intrinsic,
+        shares,
+        sharePrice: strike,
+        cash: 0,
+        fees,
+        realizedPL: premiumPL,
+        text: `${contract} ${outcome}: ${shares > 0 ? 'bought' : 'sold'} ${Math.abs(shares)} ${ticker} @ $${strike.toFixed(2)}`
+    };
+}
+
+/**
+ * Animate a settling rocket: ITM rockets dive into their planet, cash settlements climb away,
+ * worthless ones fade where they are. Call update(delta) every frame until it returns true.
+ * @param {THREE.Object3D} rocketGroup - The rocket (already out of the book)
+ * @param {THREE.Vector3} planetCenter - Its underlying's planet
+ * @param {string} outcome - settleOption outcome
+ * @param {THREE.Scene} scene - Receives the flash ring
+ * @returns {Object} {group, update(delta) -> done, dispose()} - dispose() removes the flash; the rocket is the caller's
+ */
+export function createSettlementAnimation(rocketGroup, planetCenter, outcome, scene) {
+    const start = rocketGroup.position.clone();
+    const startScale = rocketGroup.scale.clone();
+    const intoPlanet = outcome === 'exercised' || outcome === 'assigned';
+    const target = intoPlanet
+        ? planetCenter.clone()
+        : outcome === 'cash' ? start.clone().add(new THREE.Vector3(0, 25, 0)) : start.clone();
+
+    // Materials fade with the rocket (clones, so shared materials elsewhere are untouched)
+    rocketGroup.traverse(child => {
+        if (!child.material) return;
+        child.material = child.material.clone();
+        child.material.transparent = true;
+        child.userData.settleOpacity = child.material.opacity ?? 1;
+    });
+
+    const color = OUTCOME_COLORS[outcome] || OUTCOME_COLORS.expired;
+    const flash = new THREE.Mesh(
+        new THREE.RingGeometry(0.8, 1.2, 48),
+        new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide, transparent: true, opacity: 0 })
+    );
+    flash.rotation.x = -Math.PI / 2;
+    flash.position.copy(intoPlanet ? planetCenter : start);
+    scene.add(flash);
+
+    let elapsed = 0;
+    return {
+        group: rocketGroup,
+
+        update(delta) {
+            elapsed += delta;
+            const t = Math.min(1, elapsed / SETTLE_DURATION);
+            const eased = t * t * (3 - 2 * t);
+
+            rocketGroup.position.lerpVectors(start, target, eased);
+            rocketGroup.rotation.y += delta * (intoPlanet ? 6 : 2);
+            rocketGroup.scale.copy(startScale).multiplyScalar(Math.max(0.05, 1 - eased * (intoPlanet ? 0.9 : 0.5)));
+            rocketGroup.traverse(child => {
+                if (child.material && child.userData.settleOpacity !== undefined) {
+                    child.material.opacity = child.userData.settleOpacity * (1 - eased);
+                }
+            });
+
+            // Flash ring expands once the rocket arrives
+            const ringT = Math.max(0, (t - 0.6) / 0.4);
+            flash.scale.setScalar(1 + ringT * 20);
+            flash.material.opacity = ringT > 0 ? 0.8 * (1 - ringT) : 0;
+
+            return t >= 1;
+        },
+
+        dispose() {
+            scene.remove(flash);
+            flash.geometry.dispose();
+            flash.material.dispose();
+        }
+    };
+}
+
+function formatMoney(amount) {
+    return `${amount >= 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}`;
+}
@@ -0,0 +1,161 @@
+/**
+ * Stock Positions - Shares delivered by exercise and assignment, one position per underlying
+ * Each position is a station orbiting its underlying's planet, labelled with shares, cost basis and P/L.
+ */
+
+import * as THREE from 'three';
+
+const ORBIT_RADIUS = 20; // Just outside the planet (radius 12) and its label
+const ORBIT_SPEED = 0.3; // Radians per second
+
+export class StockPositions {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Underlyings} underlyings - Planet centers and spot prices
+     */
+    constructor(scene, underlyings) {
+        this.scene = scene;
+        this.underlyings = underlyings;
+        this.positions = new Map(); // ticker -> {ticker, shares, avgCost, station, label, labelText}
+    }
+
+    /**
+     * Buy (+) or sell (-) shares of an underlying
+     * Shares that close out part of an existing position realize P/L against its average cost.
+     * @param {string} ticker
+     * @param {number} shares - Signed share count
+     * @param {number} price - Price per share
+     * @returns {number} Realized P/L from shares closed out (0 when the position only grew)
+     */
+    add(ticker, shares, price) {
+        if (!shares) return 0;
+        let position = this.positions.get(ticker);
+        if (!position) {
+            position = { ticker, shares: 0, avgCost: 0, station: null, label: null, labelText: null };
+            this.positions.set(ticker, position);
+        }
+
+        let realized = 0;
+        if (position.shares === 0 || Math.sign(position.shares) === Math.sign(shares)) {
+            const total = position.shares + shares;
+            position.avgCost = (position.avgCost * Math.abs(position.shares) + price * Math.abs(shares)) / Math.abs(total);
+            position.shares = total;
+        } else {
+            const closed = Math.min(Math.abs(position.shares), Math.abs(shares));
+            realized = closed * (price - position.avgCost) * Math.sign(position.shares);
+            position.shares += shares;
+            // Flipped through zero: what's left was opened at this price
+            if (Math.sign(position.shares) === Math.sign(shares)) position.avgCost = price;
+        }
+
+        if (position.shares === 0) {
+            this.remove(ticker);
+        } else {
+            this.drawStation(position);
+        }
+        console.log(`📦 ${ticker} shares ${shares > 0 ? '+' : ''}${shares} @ $${price.toFixed(2)} → ${position.shares} (realized ${realized >= 0 ? '+' : '-'}$${Math.abs(realized).toFixed(2)})`);
+        return realized;
+    }
+
+    /**
+     * @returns {Array<Object>} {ticker, shares, avgCost, spot, profitLoss}
+     */
+    list() {
+        return [...this.positions.values()].map(position => {
+            const spot = this.underlyings.getSpot(position.ticker) ?? position.avgCost;
+            return {
+                ticker: position.ticker,
+                shares: position.shares,
+                avgCost: position.avgCost,
+                spot,
+                profitLoss: (spot - position.avgCost) * position.shares
+            };
+        });
+    }
+
+    get tickers() {
+        return [...this.positions.keys()];
+    }
+
+    /**
+     * Orbit each station around its planet and refresh labels as spot moves
+     */
+    update(elapsedTime) {
+        this.list().forEach(({ ticker, shares, avgCost, profitLoss }) => {
+            const position = this.positions.get(ticker);
+            const center = this.underlyings.getCenter(ticker);
+            const angle = elapsedTime * ORBIT_SPEED;
+            position.station.position.set(center.x + Math.cos(angle) * ORBIT_RADIUS, center.y + 4, center.z + Math.sin(angle) * ORBIT_RADIUS);
+            position.station.rotation.y = -angle;
+            position.label.position.copy(position.station.position).add(new THREE.Vector3(0, 3.5, 0));
+
+            const text = `${shares > 0 ? '+' : ''}${shares} ${ticker} @ ${avgCost.toFixed(2)}  ${profitLoss >= 0 ? '+' : '-'}$${Math.abs(profitLoss).toFixed(0)}`;
+            if (text !== position.labelText) {
+                drawLabel(position.label, text, profitLoss >= 0 ? '#00ff00' : '#ff4444');
+                position.labelText = text;
+            }
+        });
+    }
+
+    /**
+     * Station mesh sized by share count: green for long shares, red for short
+     */
+    drawStation(position) {
+        if (!position.station) {
+            position.station = new THREE.Mesh(
+                new THREE.BoxGeometry(1, 1, 1),
+                new THREE.MeshStandardMaterial({ roughness: 0.4, metalness: 0.6 })
+            );
+            position.label = createLabelSprite();
+            this.scene.add(position.station);
+            this.scene.add(position.label);
+        }
+        const color = position.shares > 0 ? 0x00cc66 : 0xcc3333;
+        position.station.material.color.setHex(color);
+        position.station.material.emissive.setHex(color);
+        position.station.material.emissiveIntensity = 0.3;
+        position.station.scale.setScalar(1.5 + Math.min(3, Math.log10(Math.abs(position.shares))));
+        position.labelText = null;
+    }
+
+    remove(ticker) {
+        const position = this.positions.get(ticker);
+        if (!position) return;
+        [position.station, position.label].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        this.positions.delete(ticker);
+    }
+
+    clear() {
+        this.tickers.forEach(ticker => this.remove(ticker));
+    }
+}
+
+function createLabelSprite() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 64;
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+    sprite.scale.set(16, 2, 1);
+    return sprite;
+}
+
+function drawLabel(sprite, text, color) {
+    const canvas = sprite.material.map.image;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = color;
+    context.font = 'bold 28px Courier New';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    sprite.material.map.needsUpdate = true;
+}
@@ -0,0 +1,224 @@
+/**
+ * Strategy - Multi-leg option positions (spreads, straddles, condors, butterflies, calendars)
+ * Groups legs under one id, tracks net debit/credit, combines Greeks and builds the payoff profile
+ */
+
+import { blackScholes, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './pricingEngine.js';
+import { DEFAULT_CONTRACT_MULTIPLIER, calculateProfitLoss } from './rocketMetrics.js';
+
+export const STRATEGY_TYPES = {
+    single: 'Single Option',
+    vertical: 'Vertical Spread',
+    straddle: 'Straddle',
+    strangle: 'Strangle',
+    iron_condor: 'Iron Condor',
+    butterfly: 'Butterfly',
+    calendar: 'Calendar Spread'
+};
+
+let nextStrategyId = 1;
+
+/**
+ * Build the legs for a strategy kind
+ * Quantities are per 1 strategy; a positive strategy quantity buys the structure as listed:
+ *   vertical     - long strikes[0], short strikes[1]
+ *   straddle     - long call + long put at strikes[0]
+ *   strangle     - long put at the lower strike, long call at the upper strike
+ *   iron_condor  - long/short put wings below, short/long call wings above (a credit condor)
+ *   butterfly    - long wings, 2x short body
+ *   calendar     - short the near expiry, long the far expiry
+ * @param {string} kind - Key of STRATEGY_TYPES
+ * @param {Object} spec - {strikes: number[], type: 'call'|'put', expiries: Array<Date|null>}
+ * @returns {Array<Object>} Legs: {type, strike, quantity, expiry}
+ */
+export function buildStrategyLegs(kind, { strikes, type = 'call', expiries = [null] }) {
+    const expiry = expiries[0] || null;
+    const sorted = [...strikes].sort((a, b) => a - b);
+
+    switch (kind) {
+        case 'single':
+            return [{ type, strike: strikes[0], quantity: 1, expiry }];
+        case 'vertical':
+            return [
+                { type, strike: strikes[0], quantity: 1, expiry },
+                { type, strike: strikes[1], quantity: -1, expiry }
+            ];
+        case 'straddle':
+            return [
+                { type: 'call', strike: strikes[0], quantity: 1, expiry },
+                { type: 'put', strike: strikes[0], quantity: 1, expiry }
+            ];
+        case 'strangle':
+            return [
+                { type: 'put', strike: sorted[0], quantity: 1, expiry },
+                { type: 'call', strike: sorted[1], quantity: 1, expiry }
+            ];
+        case 'iron_condor':
+            return [
+                { type: 'put', strike: sorted[0], quantity: 1, expiry },
+                { type: 'put', strike: sorted[1], quantity: -1, expiry },
+                { type: 'call', strike: sorted[2], quantity: -1, expiry },
+                { type: 'call', strike: sorted[3], quantity: 1, expiry }
+            ];
+        case 'butterfly':
+            return [
+                { type, strike: sorted[0], quantity: 1, expiry },
+                { type, strike: sorted[1], quantity: -2, expiry },
+                { type, strike: sorted[2], quantity: 1, expiry }
+            ];
+        case 'calendar':
+            return [
+                { type, strike: strikes[0], quantity: -1, expiry: expiries[0] || null },
+                { type, strike: strikes[0], quantity: 1, expiry: expiries[1] || null }
+            ];
+        default:
+            throw new Error(`Unknown strategy type: ${kind}`);
+    }
+}
+
+export class Strategy {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Group id (generated if omitted)
+     * @param {string} options.kind - Key of STRATEGY_TYPES
+     * @param {string} options.ticker - Underlying symbol
+     * @param {string} options.name - Display name
+     * @param {Array<Object>} options.legs - {type, strike, quantity, premium, timeToExpiry, iv}
+     *   quantities are signed contracts for the whole position
+     * @param {number} options.multiplier - Shares per contract
+     */
+    constructor({ id, kind = 'single', ticker = 'SPY', name, legs = [], multiplier = DEFAULT_CONTRACT_MULTIPLIER }) {
+        this.id = id || `strategy_${Date.now()}_${nextStrategyId++}`;
+        this.kind = STRATEGY_TYPES[kind] ? kind : 'single';
+        this.ticker = ticker;
+        this.legs = legs.map(leg => ({ ...leg }));
+        this.multiplier = multiplier;
+        this.name = name || this.describe();
+    }
+
+    /**
+     * Short description, e.g. "SPY 600/610 Vertical Spread"
+     */
+    describe() {
+        const strikes = [...new Set(this.legs.map(leg => leg.strike))].sort((a, b) => a - b);
+        return `${this.ticker} ${strikes.join('/')} ${STRATEGY_TYPES[this.kind]}`;
+    }
+
+    /**
+     * Net premium in dollars: positive = debit paid, negative = credit received
+     */
+    get netPremium() {
+        return this.legs.reduce((sum, leg) => sum + (leg.premium || 0) * leg.quantity * this.multiplier, 0);
+    }
+
+    get isCredit() {
+        return this.netPremium < 0;
+    }
+
+    /**
+     * Sum position Greeks across legs
+     * @param {Array<Object>} positionGreeks - One {value, delta, gamma, vega, theta, rho} per leg
+     * @returns {Object} Net Greeks
+     */
+    combineGreeks(positionGreeks) {
+        const net = { value: 0, delta: 0, gamma: 0, vega: 0, theta: 0, rho: 0 };
+        positionGreeks.forEach(greeks => {
+            if (!greeks) return;
+            Object.keys(net).forEach(key => {
+                net[key] += greeks[key] || 0;
+            });
+        });
+        return net;
+    }
+
+    /**
+     * Strategy P/L in dollars with the underlying at `spot` when the nearest leg expires.
+     * Legs that expire later (calendars) keep their remaining time value and are charged round-trip
+     * trading costs; legs expiring at the horizon are held to expiry and pay only their opening costs.
+     * @param {number} spot - Underlying price
+     * @param {Object} market - {rate, dividendYield, costs (defaults to the global trading costs)}
+     */
+    payoffAt(spot, { rate = DEFAULT_RISK_FREE_RATE, dividendYield = DEFAULT_DIVIDEND_YIELD, costs } = {}) {
+        const horizon = this.nearestExpiry();
+        return this.legs.reduce((sum, leg) => {
+            const remaining = Math.max(0, (leg.timeToExpiry || 0) - horizon);
+            const value = remaining > 0
+                ? blackScholes({ spot, strike: leg.strike, timeToExpiry: remaining, iv: leg.iv || 0.16, rate, dividendYield, type: leg.type }).price
+                : Math.max(0, leg.type === 'call' ? spot - leg.strike : leg.strike - spot);
+            return sum + calculateProfitLoss(value, leg.premium || 0, leg.quantity, this.multiplier, { costs, timeToExpiry: remaining });
+        }, 0);
+    }
+
+    nearestExpiry() {
+        return this.legs.reduce((min, leg) => Math.min(min, leg.timeToExpiry || 0), Infinity);
+    }
+
+    hasMixedExpiries() {
+        return new Set(this.legs.map(leg => leg.timeToExpiry || 0)).size > 1;
+    }
+
+    /**
+     * Combined payoff profile: breakevens and true max profit / max loss
+     * Single-expiry payoffs are piecewise linear with kinks at the strikes, so they are
+     * evaluated exactly at the kinks and the tail slopes decide whether risk is unlimited.
+     * Calendars are sampled on a grid around the strikes.
+     * @param {Object} market - {rate, dividendYield, costs}
+     * @returns {Object} {breakevens, maxProfit, maxLoss, maxProfitPrice, maxLossPrice}
+     *   maxProfit / maxLoss are Infinity when unbounded; maxLoss is reported as a positive number
+     */
+    analyzePayoff(market = {}) {
+        const strikes = [...new Set(this.legs.map(leg => leg.strike))].sort((a, b) => a - b);
+        if (strikes.length === 0) {
+            return { breakevens: [], maxProfit: 0, maxLoss: 0, maxProfitPrice: null, maxLossPrice: null };
+        }
+
+        const top = strikes[strikes.length - 1];
+        let points;
+        if (this.hasMixedExpiries()) {
+            const low = Math.max(0.01, strikes[0] * 0.5);
+            const high = top * 1.5;
+            const steps = 400;
+            points = Array.from({ length: steps + 1 }, (_, i) => low + (high - low) * i / steps);
+        } else {
+            points = [0, ...strikes, top * 2];
+        }
+        const values = points.map(price => this.payoffAt(price, market));
+
+        // Breakevens: zero crossings between consecutive points
+        const breakevens = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = values[i];
+            const b = values[i + 1];
+            if (a === 0 && (i === 0 || values[i - 1] !== 0)) {
+                breakevens.push(points[i]);
+            } else if (a * b < 0) {
+                breakevens.push(points[i] + (points[i + 1] - points[i]) * a / (a - b));
+            }
+        }
+
+        // Upside tail slope (beyond the top strike) decides unlimited profit/loss
+        const tailSlope = this.hasMixedExpiries() ? 0 : values[values.length - 1] - values[values.length - 2];
+
+        let maxIndex = 0;
+        let minIndex = 0;
+        values.forEach((value, i) => {
+            if (value > values[maxIndex]) maxIndex = i;
+            if (value < values[minIndex]) minIndex = i;
+        });
+
+        return {
+            breakevens: breakevens.map(price => Math.round(price * 100) / 100),
+            maxProfit: tailSlope > 1e-9 ? Infinity : values[maxIndex],
+            maxLoss: tailSlope < -1e-9 ? Infinity : Math.max(0, -values[minIndex]),
+            maxProfitPrice: tailSlope > 1e-9 ? null : points[maxIndex],
+            maxLossPrice: tailSlope < -1e-9 ? null : points[minIndex]
+        };
+    }
+
+    /**
+     * Mission file group entry
+     */
+    toGroup() {
+        return { id: this.id, name: this.name, strategy: this.kind };
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Time Slider - Time travel through days to expiry
+ * Shifts every rocket's timeToExpiry forward so the book can be viewed tomorrow, next week, or at expiry
+ */
+
+import { DAYS_PER_YEAR } from './pricingEngine.js';
+import { yearsUntil } from './exchangeCalendar.js';
+
+export class TimeSlider {
+    constructor() {
+        this.daysForward = 0; // Days advanced past today
+        this.maxDays = 30; // Furthest expiry in the book (days)
+        this.playing = false;
+        this.playTimer = null;
+        this.playIntervalMs = 1000; // One day per second when auto-playing
+        this.rocketsRef = null;
+        this.onChangeCallback = null;
+        this.onPlayStateCallback = null;
+    }
+
+    setRocketsRef(rocketsArray) {
+        this.rocketsRef = rocketsArray;
+    }
+
+    /**
+     * @param {Function} callback - Called with (daysForward, maxDays) whenever the date moves
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * @param {Function} callback - Called with `playing` when auto-play starts/stops
+     */
+    onPlayStateChange(callback) {
+        this.onPlayStateCallback = callback;
+    }
+
+    /**
+     * Move the whole book to `days` after today
+     * @param {number} days - Days forward (clamped to 0..maxDays)
+     */
+    setDaysForward(days) {
+        this.daysForward = Math.max(0, Math.min(this.maxDays, Math.round(days)));
+        this.apply();
+
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.daysForward, this.maxDays);
+        }
+    }
+
+    /**
+     * Apply the current offset to every rocket
+     * A rocket remembers its real (today) expiry in baseTimeToExpiry the first time it is shifted.
+     */
+    apply() {
+        if (!this.rocketsRef) return;
+
+        this.rocketsRef.forEach(rocket => {
+            if (!rocket.params) return;
+            if (rocket.baseTimeToExpiry === undefined) {
+                rocket.baseTimeToExpiry = rocket.params.timeToExpiry;
+            }
+            rocket.params.timeToExpiry = Math.max(0, rocket.baseTimeToExpiry - this.daysForward / DAYS_PER_YEAR);
+        });
+    }
+
+    /**
+     * Pick up rockets launched since the last change and refresh the slider range
+     * Cheap enough to call every frame.
+     */
+    sync() {
+        if (!this.rocketsRef) return;
+
+        // Nothing left to time-travel - back to today
+        if (this.rocketsRef.length === 0) {
+            if (this.daysForward > 0 || this.playing) this.reset();
+            return;
+        }
+
+        let needsApply = false;
+        let maxDays = 0;
+        this.rocketsRef.forEach(rocket => {
+            if (!rocket.params) return;
+            if (rocket.baseTimeToExpiry === undefined) needsApply = true;
+            const base = rocket.baseTimeToExpiry ?? rocket.params.timeToExpiry;
+            maxDays = Math.max(maxDays, Math.ceil(base * DAYS_PER_YEAR));
+        });
+        maxDays = Math.max(1, maxDays);
+
+        const rangeChanged = maxDays !== this.maxDays;
+        this.maxDays = maxDays;
+        if ((needsApply && this.daysForward > 0) || rangeChanged) {
+            this.setDaysForward(this.daysForward);
+        }
+    }
+
+    /**
+     * Re-read today's time to expiry from the wall clock for rockets with a dated expiry (params.expiresAt)
+     * Keeps 0DTE decaying through the session; rockets without one keep their launch-time expiry.
+     * @param {number} now - Epoch ms
+     * @returns {boolean} True if any rocket was updated
+     */
+    tick(now = Date.now()) {
+        if (!this.rocketsRef) return false;
+
+        let updated = false;
+        this.rocketsRef.forEach(rocket => {
+            if (!rocket.params || !(rocket.params.expiresAt > 0)) return;
+            rocket.baseTimeToExpiry = yearsUntil(rocket.params.expiresAt, now);
+            updated = true;
+        });
+        if (updated) this.apply();
+        return updated;
+    }
+
+    /**
+     * Forget a rocket's stored expiry (e.g. after its timeToExpiry was edited directly)
+     */
+    rebase(rocket) {
+        delete rocket.baseTimeToExpiry;
+        if (rocket.params) delete rocket.params.expiresAt;
+    }
+
+    play() {
+        if (this.playing) return;
+        if (this.daysForward >= this.maxDays) {
+            this.setDaysForward(0); // Replay from today
+        }
+
+        this.playing = true;
+        this.playTimer = setInterval(() => {
+            if (this.daysForward >= this.maxDays) {
+                this.pause();
+                return;
+            }
+            this.setDaysForward(this.daysForward + 1);
+        }, this.playIntervalMs);
+
+        if (this.onPlayStateCallback) this.onPlayStateCallback(true);
+        console.log('⏩ Time travel auto-play started');
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+
+        if (this.onPlayStateCallback) this.onPlayStateCallback(false);
+        console.log(`⏸️ Time travel paused at T+${this.daysForward}`);
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    reset() {
+        this.pause();
+        this.setDaysForward(0);
+    }
+
+    /**
+     * Real timeToExpiry for a rocket (ignoring the time-travel offset)
+     */
+    getBaseTimeToExpiry(rocket) {
+        return rocket.baseTimeToExpiry ?? rocket.params.timeToExpiry;
+    }
+}
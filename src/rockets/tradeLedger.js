@@ -0,0 +1,208 @@
+/**
+ * Trade Ledger - Opens, closes and expiry settlements with realized P/L
+ * Every rocket is a position (positionId). Closing trades and settlements realize P/L against its open price,
+ * net of the trading costs they book (`fees`); shares delivered at expiry are ledgered as stock trades so
+ * share positions can be rebuilt from a mission.
+ */
+
+import { DEFAULT_CONTRACT_MULTIPLIER } from './rocketMetrics.js';
+
+export const LEDGER_ACTIONS = ['open', 'close', 'exercise', 'assignment', 'cash', 'expire', 'deliver'];
+
+// settleOption outcome -> ledger action
+const SETTLEMENT_ACTIONS = { exercised: 'exercise', assigned: 'assignment', cash: 'cash', expired: 'expire' };
+
+export class TradeLedger {
+    constructor() {
+        this.entries = []; // Oldest first
+        this.nextTradeId = 1;
+        this.nextPositionId = 1;
+        this.changeCallback = null;
+    }
+
+    /**
+     * @param {Function} callback - Called with the ledger after every change
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * @returns {string} Id for a new position ("P7")
+     */
+    createPositionId() {
+        return `P${this.nextPositionId++}`;
+    }
+
+    /**
+     * Record a position being opened
+     * @param {Object} trade - {positionId, ticker, type, strike, quantity (signed contracts), price, multiplier}
+     * @returns {Object} Ledger entry
+     */
+    recordOpen({ positionId, ticker, type, strike, quantity, price, multiplier = DEFAULT_CONTRACT_MULTIPLIER }) {
+        return this.add({
+            action: 'open',
+            positionId,
+            ticker,
+            type,
+            strike,
+            quantity,
+            price: price ?? null,
+            multiplier,
+            realizedPL: 0,
+            note: `Opened ${describeContracts(quantity, ticker, strike, type)} @ ${formatPrice(price)}`
+        });
+    }
+
+    /**
+     * Record a closing trade (all or part of a position) and realize its P/L
+     * @param {Object} trade - {positionId, ticker, type, strike, openQuantity (signed), contracts (to close, > 0),
+     *   price (fill per share), openPrice (per share), multiplier, fees (opening + closing costs of these contracts)}
+     * @returns {Object} Ledger entry
+     */
+    recordClose({ positionId, ticker, type, strike, openQuantity, contracts, price, openPrice, multiplier = DEFAULT_CONTRACT_MULTIPLIER, fees = 0 }) {
+        const side = Math.sign(openQuantity);
+        const realizedPL = (price - openPrice) * contracts * side * multiplier - fees;
+        return this.add({
+            action: 'close',
+            positionId,
+            ticker,
+            type,
+            strike,
+            quantity: -side * contracts,
+            price,
+            multiplier,
+            fees,
+            realizedPL,
+            note: `Closed ${describeContracts(side * contracts, ticker, strike, type)} @ ${formatPrice(price)}`
+        });
+    }
+
+    /**
+     * Record an expiry settlement, plus the share delivery for exercise / assignment
+     * @param {Object} position - {positionId, ticker, type, strike, quantity (signed), multiplier}
+     * @param {Object} result - settleOption result
+     * @param {number} shareRealizedPL - P/L realized by the delivered shares netting against shares already held
+     * @returns {Array<Object>} Ledger entries added
+     */
+    recordSettlement(position, result, shareRealizedPL = 0) {
+        const { positionId, ticker, type, strike, quantity, multiplier = DEFAULT_CONTRACT_MULTIPLIER } = position;
+        const added = [this.add({
+            action: SETTLEMENT_ACTIONS[result.outcome] || 'expire',
+            positionId,
+            ticker,
+            type,
+            strike,
+            quantity: -quantity,
+            price: result.outcome === 'cash' ? result.intrinsic : 0,
+            multiplier,
+            fees: result.fees || 0,
+            realizedPL: result.realizedPL,
+            note: result.text
+        }, false)];
+
+        if (result.shares !== 0) {
+            added.push(this.add({
+                action: 'deliver',
+                positionId,
+                ticker,
+                type: 'stock',
+                strike: null,
+                quantity: result.shares,
+                price: result.sharePrice,
+                multiplier: 1,
+                realizedPL: shareRealizedPL,
+                note: `${result.shares > 0 ? 'Bought' : 'Sold'} ${Math.abs(result.shares)} ${ticker} @ ${formatPrice(result.sharePrice)}`
+            }, false));
+        }
+
+        this.changed();
+        return added;
+    }
+
+    /**
+     * Total realized P/L across every close and settlement
+     */
+    get realizedPL() {
+        return this.entries.reduce((sum, entry) => sum + entry.realizedPL, 0);
+    }
+
+    /**
+     * Trading costs booked by closes and settlements
+     */
+    get fees() {
+        return this.entries.reduce((sum, entry) => sum + (entry.fees || 0), 0);
+    }
+
+    /**
+     * Entries that realized P/L (everything but opens), oldest first
+     */
+    get closingEntries() {
+        return this.entries.filter(entry => entry.action !== 'open');
+    }
+
+    /**
+     * Stock trades (share deliveries), oldest first
+     */
+    get stockEntries() {
+        return this.entries.filter(entry => entry.type === 'stock');
+    }
+
+    clear() {
+        this.entries = [];
+        this.nextTradeId = 1;
+        this.nextPositionId = 1;
+        this.changed();
+    }
+
+    /**
+     * Mission `ledger` entries
+     */
+    toJSON() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Replace the ledger with saved entries (mission import)
+     * @param {Array<Object>} entries - Mission `ledger` entries
+     */
+    load(entries) {
+        this.entries = entries.map(entry => ({ ...entry }));
+        this.nextTradeId = nextNumber(this.entries.map(entry => entry.id), 'T');
+        this.nextPositionId = Math.max(this.nextPositionId, nextNumber(this.entries.map(entry => entry.positionId), 'P'));
+        this.changed();
+    }
+
+    add(fields, notify = true) {
+        const entry = { id: `T${this.nextTradeId++}`, time: Date.now(), ...fields };
+        this.entries.push(entry);
+        if (notify) this.changed();
+        return entry;
+    }
+
+    changed() {
+        if (this.changeCallback) this.changeCallback(this);
+    }
+}
+
+/**
+ * "+2x SPY 600C", "-1x SPY 590P"
+ */
+function describeContracts(quantity, ticker, strike, type) {
+    return `${quantity > 0 ? '+' : ''}${quantity}x ${ticker} ${strike}${type === 'call' ? 'C' : 'P'}`;
+}
+
+function formatPrice(price) {
+    return price === null || price === undefined ? 'n/a' : `$${price.toFixed(2)}`;
+}
+
+/**
+ * One past the highest "<prefix><n>" id in use
+ */
+function nextNumber(ids, prefix) {
+    const numbers = ids
+        .filter(id => typeof id === 'string' && id.startsWith(prefix))
+        .map(id => parseInt(id.slice(prefix.length), 10))
+        .filter(Number.isFinite);
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+}
@@ -0,0 +1,114 @@
+/**
+ * Trading Costs - Commissions, exchange/regulatory fees and slippage
+ * Chosen globally (saved to localStorage). Commission and slippage are charged per contract, exchange/regulatory
+ * fees once per leg (each fill), once to open and once to close. Live P/L assumes the position is traded out;
+ * expiry payoffs, breakevens and settlements assume it is held to expiry, where nothing trades, so only the
+ * opening costs count.
+ */
+
+const STORAGE_KEY = 'optionaut-trading-costs';
+
+export const DEFAULT_TRADING_COSTS = {
+    commission: 0.65, // $ per contract, per side
+    fees: 0.05, // Exchange + regulatory fees, $ per leg, per side
+    slippage: 0 // $ per share given up to the spread on each fill
+};
+
+let tradingCosts = loadTradingCosts();
+
+/**
+ * @returns {Object} {commission, fees, slippage}
+ */
+export function getTradingCosts() {
+    return { ...tradingCosts };
+}
+
+/**
+ * Change the costs applied to every position (missing fields keep their current value)
+ * @param {Object} costs - {commission, fees, slippage}
+ * @returns {Object} The costs now in effect
+ */
+export function setTradingCosts(costs) {
+    const next = { ...tradingCosts };
+    Object.keys(DEFAULT_TRADING_COSTS).forEach(key => {
+        if (costs[key] === undefined) return;
+        const value = Number(costs[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`${key} must be a number of $0 or more`);
+        }
+        next[key] = value;
+    });
+    tradingCosts = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(tradingCosts));
+    } catch (error) {
+        console.warn('Could not save trading costs:', error);
+    }
+    console.log(`💸 Trading costs: $${tradingCosts.commission.toFixed(2)} commission per contract + $${tradingCosts.fees.toFixed(2)} fees per leg, $${tradingCosts.slippage.toFixed(2)} slippage per share`);
+    return getTradingCosts();
+}
+
+/**
+ * Cost of one trade (opening or closing) of a single leg in dollars
+ * @param {number} contracts - Contracts traded (sign ignored; 0 = no trade)
+ * @param {number} multiplier - Shares per contract
+ * @param {Object} costs - Defaults to the global costs
+ * @returns {number}
+ */
+export function tradeCost(contracts, multiplier, costs = tradingCosts) {
+    if (!contracts) return 0;
+    return Math.abs(contracts) * (costs.commission + costs.slippage * multiplier) + costs.fees;
+}
+
+/**
+ * Cost of opening and closing a leg in dollars
+ */
+export function roundTripCost(contracts, multiplier, costs = tradingCosts) {
+    return 2 * tradeCost(contracts, multiplier, costs);
+}
+
+/**
+ * Costs a closing trade realizes: the close itself plus the closed contracts' share of the opening trade.
+ * The leg's opening fee stays with the contracts left open, so a position closed in pieces books every cost once.
+ * @param {number} openQuantity - Contracts open before the close (sign ignored)
+ * @param {number} contracts - Contracts being closed
+ * @param {number} multiplier - Shares per contract
+ * @param {Object} costs - Defaults to the global costs
+ * @returns {number}
+ */
+export function closeCost(openQuantity, contracts, multiplier, costs = tradingCosts) {
+    const remaining = Math.abs(openQuantity) - contracts;
+    return tradeCost(contracts, multiplier, costs)
+        + tradeCost(openQuantity, multiplier, costs) - tradeCost(remaining, multiplier, costs);
+}
+
+/**
+ * Premium per share a position held to expiry has to be worth to break even after its opening costs
+ * Longs need the option to be worth more than they paid; shorts keep less of the credit. The per-leg
+ * fee is spread over the position's contracts.
+ * @param {number} premium - Entry premium per share
+ * @param {number} contracts - Signed contracts (negative = short)
+ * @param {number} multiplier - Shares per contract
+ * @param {Object} costs - Defaults to the global costs
+ * @returns {number}
+ */
+export function breakevenPremium(premium, contracts, multiplier, costs = tradingCosts) {
+    const size = Math.abs(contracts) || 1;
+    return premium + (contracts < 0 ? -1 : 1) * tradeCost(size, multiplier, costs) / (size * multiplier);
+}
+
+function loadTradingCosts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            const costs = { ...DEFAULT_TRADING_COSTS };
+            Object.keys(costs).forEach(key => {
+                if (Number.isFinite(saved[key]) && saved[key] >= 0) costs[key] = saved[key];
+            });
+            return costs;
+        }
+    } catch (error) {
+        // No storage (e.g. private mode) or a corrupt entry: fall back to the defaults
+    }
+    return { ...DEFAULT_TRADING_COSTS };
+}
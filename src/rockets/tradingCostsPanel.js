@@ -0,0 +1,172 @@
+/**
+ * Trading Costs Panel - Edit commission, exchange/regulatory fees and slippage
+ * Applies to every rocket's P/L, breakevens and payoff rings
+ */
+
+import { DEFAULT_TRADING_COSTS } from './tradingCosts.js';
+
+const FIELDS = [
+    { key: 'commission', label: 'Commission', unit: '$/contract', title: 'Broker commission per contract, charged to open and to close' },
+    { key: 'fees', label: 'Exch + reg fees', unit: '$/leg', title: 'Exchange, ORF and OCC fees per leg (each fill), charged to open and to close' },
+    { key: 'slippage', label: 'Slippage', unit: '$/share', title: 'Price given up to the bid/ask spread on each fill' }
+];
+
+export class TradingCostsPanel {
+    /**
+     * @param {Object} costs - Costs to show initially {commission, fees, slippage}
+     */
+    constructor(costs) {
+        this.container = null;
+        this.inputs = {};
+        this.visible = false;
+        this.changeCallback = null;
+
+        this.init();
+        this.setCosts(costs);
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.id = 'trading-costs-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 70px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 1002;
+            background: rgba(0, 0, 0, 0.9);
+            padding: 10px 12px;
+            border-radius: 8px;
+            border: 1px solid rgba(255, 120, 80, 0.5);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            color: white;
+            display: none;
+            min-width: 260px;
+        `;
+
+        const buttonStyle = 'background: none; border: 1px solid #ff7850; color: #ff7850; border-radius: 3px; cursor: pointer; font-size: 11px; font-family: inherit; padding: 2px 8px;';
+
+        // Header: title, close
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 8px;';
+        const title = document.createElement('div');
+        title.textContent = 'TRADING COSTS';
+        title.style.cssText = 'color: #ff7850; font-size: 12px; font-weight: bold; letter-spacing: 2px; flex: 1;';
+        header.appendChild(title);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = buttonStyle;
+        closeBtn.onclick = () => this.hide();
+        header.appendChild(closeBtn);
+        this.container.appendChild(header);
+
+        // One row per cost
+        FIELDS.forEach(({ key, label, unit, title: help }) => {
+            const row = document.createElement('label');
+            row.title = help;
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 4px;';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            name.style.cssText = 'flex: 1; color: #ccc;';
+            row.appendChild(name);
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '0.01';
+            input.style.cssText = 'width: 64px; padding: 2px 4px; background: rgba(255, 255, 255, 0.1); color: #fff; border: 1px solid rgba(255, 120, 80, 0.5); border-radius: 3px; font-family: inherit; font-size: 11px;';
+            row.appendChild(input);
+            this.inputs[key] = input;
+
+            const units = document.createElement('span');
+            units.textContent = unit;
+            units.style.cssText = 'width: 72px; color: #888;';
+            row.appendChild(units);
+
+            this.container.appendChild(row);
+        });
+
+        const note = document.createElement('div');
+        note.textContent = 'Charged on every leg to open and to close';
+        note.style.cssText = 'color: #888; font-size: 10px; margin: 4px 0 8px;';
+        this.container.appendChild(note);
+
+        // Apply / defaults
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end;';
+
+        const defaultsBtn = document.createElement('button');
+        defaultsBtn.textContent = 'Defaults';
+        defaultsBtn.title = 'Fill in the default costs';
+        defaultsBtn.style.cssText = buttonStyle;
+        defaultsBtn.onclick = () => this.setCosts(DEFAULT_TRADING_COSTS);
+        actions.appendChild(defaultsBtn);
+
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = 'Apply';
+        applyBtn.style.cssText = buttonStyle;
+        applyBtn.onclick = () => {
+            if (this.changeCallback) this.changeCallback(this.readCosts());
+        };
+        actions.appendChild(applyBtn);
+        this.container.appendChild(actions);
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Set apply handler
+     * @param {Function} callback - Called with {commission, fees, slippage} as entered (unvalidated numbers)
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * Show costs in the inputs
+     * @param {Object} costs - {commission, fees, slippage}
+     */
+    setCosts(costs) {
+        FIELDS.forEach(({ key }) => {
+            this.inputs[key].value = String(costs[key]);
+        });
+    }
+
+    readCosts() {
+        const costs = {};
+        FIELDS.forEach(({ key }) => {
+            const value = this.inputs[key].value.trim();
+            costs[key] = value === '' ? 0 : Number(value);
+        });
+        return costs;
+    }
+
+    show() {
+        this.visible = true;
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        this.visible = false;
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
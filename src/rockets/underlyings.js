@@ -0,0 +1,221 @@
+/**
+ * Underlyings - One planet and one spot price per ticker in the book
+ * Rockets are grouped around their underlying's planet; planets are laid out along X
+ * with the primary ticker at the origin.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_SPOT_PRICES } from './marketData.js';
+
+const PLANET_RADIUS = 12;
+const PLANET_SPACING = 150; // Clears each planet's rockets, gauges and breakeven rings
+const PLANET_COLORS = [0x4a90e2, 0xe2a04a, 0x9b59b6, 0x2ecc71, 0xe74c3c, 0x1abc9c];
+
+export class Underlyings {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {string} primary - Ticker of the planet at the origin
+     */
+    constructor(scene, primary = 'SPY') {
+        this.scene = scene;
+        this.primary = primary;
+        this.spots = new Map(); // ticker -> last price
+        this.planets = new Map(); // ticker -> {mesh, label, center, slot}
+        this.marketData = null;
+        this.origin = new THREE.Vector3(0, 0, 0);
+    }
+
+    /**
+     * Use a market data provider; every tracked ticker is subscribed on it
+     * @param {MarketDataProvider} provider
+     */
+    setMarketData(provider) {
+        this.marketData = provider;
+        this.planets.forEach((planet, ticker) => provider.subscribe(ticker));
+    }
+
+    /**
+     * Make sure a ticker has a planet and is subscribed
+     * @param {string} ticker
+     * @param {number} seedSpot - Spot to show until the first quote (ignored if one is known)
+     * @returns {string} Normalized ticker
+     */
+    ensure(ticker, seedSpot = null) {
+        const symbol = normalizeTicker(ticker, this.primary);
+        if (!this.spots.has(symbol)) {
+            const spot = this.marketData?.getLastPrice(symbol) ?? (seedSpot > 0 ? seedSpot : null);
+            if (spot > 0) this.spots.set(symbol, spot);
+            if (spot > 0 && this.marketData) this.marketData.seedPrice(symbol, spot);
+        }
+        if (!this.planets.has(symbol)) {
+            this.planets.set(symbol, this.createPlanet(symbol));
+            if (this.marketData) this.marketData.subscribe(symbol);
+            console.log(`🪐 Underlying planet added: ${symbol}`);
+        }
+        return symbol;
+    }
+
+    /**
+     * Ensure a ticker and wait for its first quote
+     * @param {string} ticker
+     * @param {number} fallbackSpot - Used when no source or default has a price (e.g. the contract's strike)
+     * @returns {Promise<number|null>} Spot price
+     */
+    async track(ticker, fallbackSpot = null) {
+        const symbol = this.ensure(ticker);
+        if (!this.spots.has(symbol) && this.marketData) {
+            const price = await this.marketData.getQuote(symbol);
+            if (price > 0) this.setSpot(symbol, price);
+        }
+        const assumed = DEFAULT_SPOT_PRICES[symbol] ?? fallbackSpot;
+        if (!this.spots.has(symbol) && assumed > 0) {
+            console.warn(`⚠️ No ${symbol} quote from ${this.marketData ? this.marketData.label : 'market data'} - using $${assumed} until one arrives`);
+            this.setSpot(symbol, assumed);
+            if (this.marketData) this.marketData.seedPrice(symbol, assumed);
+        }
+        return this.getSpot(symbol);
+    }
+
+    /**
+     * @returns {boolean} True if the price changed
+     */
+    setSpot(ticker, price) {
+        const symbol = normalizeTicker(ticker, this.primary);
+        if (!(price > 0) || this.spots.get(symbol) === price) return false;
+        this.spots.set(symbol, price);
+        const planet = this.planets.get(symbol);
+        if (planet) drawLabel(planet.label, `${symbol} $${price.toFixed(2)}`);
+        return true;
+    }
+
+    getSpot(ticker) {
+        return this.spots.get(normalizeTicker(ticker, this.primary)) ?? null;
+    }
+
+    /**
+     * World position of a ticker's planet (origin for tickers without one)
+     */
+    getCenter(ticker) {
+        const planet = this.planets.get(normalizeTicker(ticker, this.primary));
+        return planet ? planet.center : this.origin;
+    }
+
+    get tickers() {
+        return [...this.planets.keys()];
+    }
+
+    /**
+     * Remove planets no rocket uses any more (the primary planet always stays)
+     * @param {Iterable<string>} activeTickers - Tickers still in the book
+     */
+    prune(activeTickers) {
+        const active = new Set([...activeTickers].map(ticker => normalizeTicker(ticker, this.primary)));
+        active.add(this.primary);
+        [...this.planets.keys()].filter(ticker => !active.has(ticker)).forEach(ticker => {
+            this.removePlanet(ticker);
+            this.spots.delete(ticker);
+            if (this.marketData) this.marketData.unsubscribe(ticker);
+            console.log(`🪐 Underlying planet removed: ${ticker}`);
+        });
+    }
+
+    /**
+     * Rotate and pulse every planet
+     */
+    animate(elapsedTime) {
+        this.planets.forEach(({ mesh }) => {
+            mesh.rotation.y += 0.002;
+            mesh.material.emissiveIntensity = Math.sin(elapsedTime + mesh.position.x * 0.01) * 0.1 + 0.3;
+        });
+    }
+
+    createPlanet(ticker) {
+        const slot = ticker === this.primary ? 0 : this.nextSlot();
+        // Slot 0 at the origin, then alternating right / left: +1, -1, +2, -2...
+        const offset = slot === 0 ? 0 : Math.ceil(slot / 2) * (slot % 2 === 1 ? 1 : -1);
+        const center = new THREE.Vector3(offset * PLANET_SPACING, 0, 0);
+        const color = PLANET_COLORS[slot % PLANET_COLORS.length];
+
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(PLANET_RADIUS, 32, 32),
+            new THREE.MeshStandardMaterial({
+                color,
+                emissive: new THREE.Color(color).multiplyScalar(0.35),
+                emissiveIntensity: 0.4,
+                roughness: 0.7,
+                metalness: 0.3
+            })
+        );
+        mesh.position.copy(center);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
+
+        // Label below the planet so rockets don't cover it
+        const label = createLabelSprite();
+        label.position.set(center.x, -PLANET_RADIUS - 3, center.z);
+        const spot = this.spots.get(ticker);
+        drawLabel(label, spot ? `${ticker} $${spot.toFixed(2)}` : ticker);
+        this.scene.add(label);
+
+        return { mesh, label, center, slot };
+    }
+
+    removePlanet(ticker) {
+        const planet = this.planets.get(ticker);
+        if (!planet) return;
+        [planet.mesh, planet.label].forEach(object => {
+            this.scene.remove(object);
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        this.planets.delete(ticker);
+    }
+
+    /**
+     * Lowest layout slot not taken by a planet (slot 0 is the primary's), so removed planets free theirs
+     */
+    nextSlot() {
+        const used = new Set([...this.planets.values()].map(planet => planet.slot));
+        let slot = 1;
+        while (used.has(slot)) slot++;
+        return slot;
+    }
+
+    dispose() {
+        this.tickers.forEach(ticker => this.removePlanet(ticker));
+        this.spots.clear();
+    }
+}
+
+/**
+ * Upper-case ticker; missing tickers belong to the primary underlying
+ */
+export function normalizeTicker(ticker, primary = 'SPY') {
+    return ticker ? String(ticker).trim().toUpperCase() : primary;
+}
+
+function createLabelSprite() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+    sprite.scale.set(10, 2.5, 1);
+    return sprite;
+}
+
+function drawLabel(sprite, text) {
+    const canvas = sprite.material.map.image;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.font = 'bold 24px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    sprite.material.map.needsUpdate = true;
+}
@@ -1,13 +1,66 @@
 /**
  * Volatility Slider - Real-time IV adjustment
  * Allows traders to see "what-if" scenarios by adjusting implied volatility
+ * Every mode is applied relative to each rocket's own IV; locked rockets are left alone
  */
 
+import { DAYS_PER_YEAR } from './pricingEngine.js';
+
+export const IV_ADJUSTMENT_MODES = {
+    parallel: { label: 'Parallel (vol pts)', unit: 'pts', min: -20, max: 20, step: 1 },
+    proportional: { label: 'Proportional (%)', unit: '%', min: -50, max: 50, step: 5 },
+    skew: { label: 'Skew tilt (puts ↑ calls ↓)', unit: 'pts', min: -10, max: 10, step: 1 },
+    term: { label: 'Term twist (front ↑ back ↓)', unit: 'pts', min: -10, max: 10, step: 1 }
+};
+
+const MIN_IV = 0.01;
+const SKEW_WIDTH = 0.10; // Strikes 10% away from spot get the full skew tilt
+const TERM_PIVOT_DAYS = 30; // Term twist pivots around one month
+const TERM_WIDTH = Math.log(4); // 1 week / 4 months get the full twist
+
+/**
+ * Adjusted IV for one rocket
+ * @param {number} ownIV - The rocket's own (unadjusted) IV
+ * @param {string} mode - Key of IV_ADJUSTMENT_MODES
+ * @param {number} adjustment - Slider value (vol points or percent, see the mode's unit)
+ * @param {Object} position - {strike, spot, timeToExpiry}
+ * @returns {number} IV
+ */
+export function adjustIV(ownIV, mode, adjustment, { strike, spot, timeToExpiry }) {
+    const points = adjustment / 100;
+    let iv;
+
+    switch (mode) {
+        case 'proportional':
+            iv = ownIV * (1 + adjustment / 100);
+            break;
+        case 'skew': {
+            // Downside strikes (puts) up, upside strikes (calls) down for a positive tilt
+            const tilt = Math.max(-1, Math.min(1, -Math.log(strike / spot) / SKEW_WIDTH));
+            iv = ownIV + points * tilt;
+            break;
+        }
+        case 'term': {
+            // Front month up, back months down for a positive twist
+            const days = Math.max(1, timeToExpiry * DAYS_PER_YEAR);
+            const twist = Math.max(-1, Math.min(1, Math.log(TERM_PIVOT_DAYS / days) / TERM_WIDTH));
+            iv = ownIV + points * twist;
+            break;
+        }
+        case 'parallel':
+        default:
+            iv = ownIV + points;
+    }
+
+    return Math.max(MIN_IV, iv);
+}
+
 export class VolSlider {
     constructor(calculateGreeksFn) {
         this.calculateGreeks = calculateGreeksFn;
         this.baseIV = 0.16; // Default 16% IV
-        this.currentAdjustment = 0; // -50% to +50%
+        this.mode = 'proportional';
+        this.currentAdjustment = 0; // Slider value in the mode's unit
         this.rocketsRef = null;
         this.onUpdateCallback = null;
     }
@@ -20,61 +73,74 @@ export class VolSlider {
         this.onUpdateCallback = callback;
     }
 
-    handleIVChange(adjustmentPercent) {
-        this.currentAdjustment = adjustmentPercent;
-        const multiplier = 1 + (adjustmentPercent / 100);
-        const newIV = this.baseIV * multiplier;
+    /**
+     * Switch adjustment mode; the current adjustment is cleared first
+     * @param {string} mode - Key of IV_ADJUSTMENT_MODES
+     */
+    setMode(mode) {
+        if (!IV_ADJUSTMENT_MODES[mode] || mode === this.mode) return;
+        this.handleIVChange(0);
+        this.mode = mode;
+    }
+
+    handleIVChange(adjustment) {
+        this.currentAdjustment = adjustment;
 
         if (!this.rocketsRef) return;
 
-        // Recalculate Greeks for all rockets
         this.rocketsRef.forEach(rocket => {
-            if (!rocket.baseParams) {
-                // Store original params on first adjustment
-                rocket.baseParams = {
-                    spot: rocket.spot || 100,
-                    strike: rocket.strike,
-                    timeToExpiry: rocket.timeToExpiry || 1.0,
-                    type: rocket.type
-                };
+            const params = rocket.params || rocket;
+
+            // Own IV: captured on first adjustment, and again whenever something else re-marks
+            // the rocket (IV input, vol surface, scenario) since the slider last touched it
+            if (!rocket.volBase || params.iv !== rocket.volBase.applied) {
+                rocket.volBase = { iv: params.iv || this.baseIV, applied: null };
             }
 
-            // Recalculate Greeks with new IV
-            const { spot, strike, timeToExpiry, type } = rocket.baseParams;
+            const ownIV = rocket.volBase.iv;
+            const newIV = params.ivLocked ? ownIV : adjustIV(ownIV, this.mode, adjustment, {
+                strike: params.strike,
+                spot: rocket.spotPrice ?? params.spot ?? 100,
+                timeToExpiry: params.timeToExpiry
+            });
+            params.iv = newIV;
+            rocket.volBase.applied = newIV;
+
+            // Refresh Greeks now so listeners see them before the next frame reprices
+            const spot = rocket.spotPrice ?? params.spot ?? 100;
             const newGreeks = this.calculateGreeks(
                 spot,
-                strike,
-                timeToExpiry,
+                params.strike,
+                params.timeToExpiry,
                 newIV,
-                0.02, // risk-free rate
-                type
+                params.rate,
+                params.type,
+                params.dividendYield,
+                params.pricingModel
             );
-
-            // Update rocket's Greeks
+            rocket.greeks = newGreeks;
             if (rocket.group && rocket.group.userData) {
                 rocket.group.userData.greeks = newGreeks;
-                rocket.greeks = newGreeks;
             }
 
             // Update Vega particle intensity
-            this.updateVegaParticles(rocket, newIV);
+            this.updateVegaParticles(rocket, newIV / ownIV);
         });
 
         // Notify listeners (e.g., Greek HUD)
         if (this.onUpdateCallback) {
-            this.onUpdateCallback(newIV, adjustmentPercent);
+            this.onUpdateCallback(this.getCurrentIV(), adjustment);
         }
 
-        console.log(`📊 IV adjusted to ${(newIV * 100).toFixed(1)}% (${adjustmentPercent > 0 ? '+' : ''}${adjustmentPercent}%)`);
+        console.log(`📊 IV ${this.mode} adjustment: ${this.formatAdjustment(adjustment)}`);
     }
 
-    updateVegaParticles(rocket, newIV) {
+    updateVegaParticles(rocket, ivMultiplier) {
         // Adjust particle intensity based on Vega
         // Higher IV = more chaotic particles
         if (!rocket.exhaustParticles) return;
 
         const vegaIntensity = Math.abs(rocket.greeks?.vega || 0) / 10;
-        const ivMultiplier = newIV / this.baseIV;
         const particleScale = vegaIntensity * ivMultiplier;
 
         // Update particle system if it exists
@@ -85,12 +151,41 @@ export class VolSlider {
         }
     }
 
+    /**
+     * Lock or unlock a rocket's IV; a locked rocket goes back to its own IV
+     */
+    setLocked(rocket, locked) {
+        rocket.params.ivLocked = locked;
+        this.handleIVChange(this.currentAdjustment);
+    }
+
+    /**
+     * Slider value with its unit, e.g. "+5 pts" or "-10%"
+     */
+    formatAdjustment(adjustment = this.currentAdjustment) {
+        const { unit } = IV_ADJUSTMENT_MODES[this.mode];
+        const sign = adjustment > 0 ? '+' : '';
+        return unit === '%' ? `${sign}${adjustment}%` : `${sign}${adjustment} pts`;
+    }
+
+    /**
+     * Rocket's IV without the slider adjustment
+     */
+    getOwnIV(rocket) {
+        return rocket.volBase && rocket.params.iv === rocket.volBase.applied ? rocket.volBase.iv : rocket.params.iv;
+    }
+
     reset() {
         this.currentAdjustment = 0;
         this.handleIVChange(0);
     }
 
+    /**
+     * Average IV across the book (base IV when empty)
+     */
     getCurrentIV() {
-        return this.baseIV * (1 + this.currentAdjustment / 100);
+        const rockets = (this.rocketsRef || []).filter(rocket => rocket.params && rocket.params.iv > 0);
+        if (rockets.length === 0) return this.baseIV;
+        return rockets.reduce((sum, rocket) => sum + rocket.params.iv, 0) / rockets.length;
     }
 }
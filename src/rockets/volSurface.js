@@ -0,0 +1,269 @@
+/**
+ * Volatility Surface - Strike x expiry x IV loaded from an option chain file
+ * Interpolates IV for any strike and time to expiry, and builds the translucent 3D mesh
+ */
+
+import * as THREE from 'three';
+import { DAYS_PER_YEAR } from './pricingEngine.js';
+import { expiryClose, parseCalendarDate, yearsUntil } from './exchangeCalendar.js';
+
+const MIN_TIME = 1 / DAYS_PER_YEAR; // Interpolate 0DTE as 1 day
+const PERCENT_IV_THRESHOLD = 5; // IVs above 500% are assumed to be quoted in percent
+
+export class VolSurface {
+    /**
+     * @param {Object} options
+     * @param {string} options.ticker - Underlying symbol
+     * @param {number} options.spot - Underlying price when the chain was captured (optional)
+     * @param {Array<number>} options.strikes - Ascending strikes
+     * @param {Array<number>} options.expiries - Ascending times to expiry (years)
+     * @param {Array<Array<number>>} options.ivs - ivs[expiryIndex][strikeIndex], every node filled
+     */
+    constructor({ ticker = 'SPY', spot = null, strikes, expiries, ivs }) {
+        this.ticker = ticker;
+        this.spot = spot;
+        this.strikes = strikes;
+        this.expiries = expiries;
+        this.ivs = ivs;
+    }
+
+    /**
+     * Build a surface from individual quotes
+     * Calls and puts at the same node are averaged; missing nodes are filled along the strike axis.
+     * @param {Array<Object>} quotes - {strike, timeToExpiry, iv}
+     * @param {Object} meta - {ticker, spot}
+     * @returns {VolSurface}
+     * @throws {Error} If fewer than two strikes or no expiries have a usable IV
+     */
+    static fromQuotes(quotes, meta = {}) {
+        const usable = quotes.filter(quote =>
+            quote.strike > 0 && quote.timeToExpiry >= 0 && quote.iv > 0 && Number.isFinite(quote.iv));
+        const strikes = [...new Set(usable.map(quote => quote.strike))].sort((a, b) => a - b);
+        const expiries = [...new Set(usable.map(quote => quote.timeToExpiry))].sort((a, b) => a - b);
+        if (strikes.length < 2 || expiries.length === 0) {
+            throw new Error('Chain needs IV quotes for at least two strikes');
+        }
+
+        // Average every quote landing on a node
+        const sums = expiries.map(() => strikes.map(() => ({ total: 0, count: 0 })));
+        usable.forEach(quote => {
+            const node = sums[expiries.indexOf(quote.timeToExpiry)][strikes.indexOf(quote.strike)];
+            node.total += quote.iv;
+            node.count += 1;
+        });
+
+        const ivs = sums.map(row => fillGaps(row.map(node => (node.count > 0 ? node.total / node.count : null))));
+
+        return new VolSurface({ ...meta, strikes, expiries, ivs });
+    }
+
+    /**
+     * Implied volatility at any strike and time to expiry
+     * Linear in strike (flat beyond the chain), linear in total variance across expiries.
+     * @param {number} strike - Strike price
+     * @param {number} timeToExpiry - Years to expiry
+     * @returns {number} IV
+     */
+    getIV(strike, timeToExpiry) {
+        const t = Math.max(MIN_TIME, timeToExpiry);
+        const { expiries } = this;
+
+        if (expiries.length === 1 || t <= expiries[0]) {
+            return this.smileIV(0, strike);
+        }
+        if (t >= expiries[expiries.length - 1]) {
+            return this.smileIV(expiries.length - 1, strike);
+        }
+
+        const upper = expiries.findIndex(expiry => expiry >= t);
+        const lower = upper - 1;
+        const t0 = Math.max(MIN_TIME, expiries[lower]);
+        const t1 = expiries[upper];
+        const var0 = Math.pow(this.smileIV(lower, strike), 2) * t0;
+        const var1 = Math.pow(this.smileIV(upper, strike), 2) * t1;
+        const variance = var0 + (var1 - var0) * (t - t0) / (t1 - t0);
+        return Math.sqrt(Math.max(0, variance) / t);
+    }
+
+    /**
+     * IV along one expiry's smile
+     */
+    smileIV(expiryIndex, strike) {
+        const { strikes } = this;
+        const row = this.ivs[expiryIndex];
+        if (strike <= strikes[0]) return row[0];
+        if (strike >= strikes[strikes.length - 1]) return row[row.length - 1];
+
+        const upper = strikes.findIndex(value => value >= strike);
+        const lower = upper - 1;
+        const w = (strike - strikes[lower]) / (strikes[upper] - strikes[lower]);
+        return row[lower] + (row[upper] - row[lower]) * w;
+    }
+
+    get minIV() {
+        return Math.min(...this.ivs.flat());
+    }
+
+    get maxIV() {
+        return Math.max(...this.ivs.flat());
+    }
+
+    describe() {
+        const days = this.expiries.map(t => Math.round(t * DAYS_PER_YEAR));
+        return `${this.ticker} ${this.strikes[0]}-${this.strikes[this.strikes.length - 1]} × ${days[0]}-${days[days.length - 1]}d`;
+    }
+}
+
+/**
+ * Linear interpolation across nulls in a row; flat at the ends
+ */
+function fillGaps(row) {
+    const known = row.map((iv, i) => (iv === null ? null : i)).filter(i => i !== null);
+    if (known.length === 0) return row;
+
+    return row.map((iv, i) => {
+        if (iv !== null) return iv;
+        const right = known.find(k => k > i);
+        const left = [...known].reverse().find(k => k < i);
+        if (left === undefined) return row[right];
+        if (right === undefined) return row[left];
+        return row[left] + (row[right] - row[left]) * (i - left) / (right - left);
+    });
+}
+
+/**
+ * Time to expiry (years) from a chain row: `dte` in days or an `expiry` date string (counted to its 4:00pm ET close)
+ */
+export function chainTimeToExpiry(row, now = new Date()) {
+    if (row.dte !== undefined && row.dte !== '') {
+        return Math.max(0, Number(row.dte)) / DAYS_PER_YEAR;
+    }
+    const expiry = parseCalendarDate(row.expiry);
+    if (!expiry) return NaN;
+    return yearsUntil(expiryClose(expiry), now);
+}
+
+/**
+ * IV from a chain cell; values above 500% are taken as percent
+ */
+export function chainIV(value) {
+    const iv = Number(value);
+    return iv > PERCENT_IV_THRESHOLD ? iv / 100 : iv;
+}
+
+/**
+ * Parse an option chain file into a surface
+ * JSON: {ticker, spot, options: [{strike, expiry | dte, iv, type}]} (or just the options array)
+ * CSV: header row with strike, iv and expiry or dte columns (type optional)
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @returns {VolSurface}
+ * @throws {Error} If the file cannot be read as a chain
+ */
+export function parseChainFile(text, filename = '') {
+    const now = new Date();
+    let rows;
+    let meta = {};
+
+    const trimmed = text.trim();
+    if (filename.toLowerCase().endsWith('.csv') || (!trimmed.startsWith('{') && !trimmed.startsWith('['))) {
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+        const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+        ['strike', 'iv'].forEach(column => {
+            if (!header.includes(column)) throw new Error(`Chain CSV is missing a "${column}" column`);
+        });
+        if (!header.includes('expiry') && !header.includes('dte')) {
+            throw new Error('Chain CSV needs an "expiry" or "dte" column');
+        }
+        rows = lines.slice(1).map(line => {
+            const cells = line.split(',').map(cell => cell.trim());
+            return Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+        });
+        const tickerRow = rows.find(row => row.ticker);
+        if (tickerRow) meta.ticker = tickerRow.ticker.toUpperCase();
+    } else {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : data.options;
+        if (!Array.isArray(rows)) throw new Error('Chain JSON needs an "options" array');
+        if (!Array.isArray(data)) {
+            meta = { ticker: data.ticker ? String(data.ticker).toUpperCase() : undefined, spot: Number(data.spot) || null };
+        }
+    }
+
+    const quotes = rows.map(row => ({
+        strike: Number(row.strike),
+        timeToExpiry: chainTimeToExpiry(row, now),
+        iv: chainIV(row.iv)
+    }));
+
+    return VolSurface.fromQuotes(quotes, meta);
+}
+
+/**
+ * Translucent IV mesh: strike across, DTE in depth, IV as height (blue = low, red = high)
+ * @param {VolSurface} surface
+ * @param {Object} options - {width, depth, heightPerVol, resolution}
+ * @returns {THREE.Group} Mesh + wireframe, origin at the low-strike / near-expiry corner
+ */
+export function createVolSurfaceMesh(surface, { width = 60, depth = 40, heightPerVol = 60, resolution = 32 } = {}) {
+    const { strikes, expiries } = surface;
+    const kMin = strikes[0];
+    const kMax = strikes[strikes.length - 1];
+    const tMin = expiries[0];
+    const tMax = Math.max(expiries[expiries.length - 1], tMin + MIN_TIME);
+    const lowIV = surface.minIV;
+    const ivRange = Math.max(1e-6, surface.maxIV - lowIV);
+
+    const columns = resolution;
+    const rows = expiries.length > 1 ? Math.round(resolution * 0.6) : 1;
+    const positions = [];
+    const colors = [];
+    const color = new THREE.Color();
+
+    for (let j = 0; j <= rows; j++) {
+        const t = tMin + (tMax - tMin) * j / rows;
+        for (let i = 0; i <= columns; i++) {
+            const strike = kMin + (kMax - kMin) * i / columns;
+            const iv = surface.getIV(strike, t);
+            positions.push(width * i / columns, iv * heightPerVol, depth * j / rows);
+            color.setHSL(0.66 * (1 - (iv - lowIV) / ivRange), 1, 0.5);
+            colors.push(color.r, color.g, color.b);
+        }
+    }
+
+    const indices = [];
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < columns; i++) {
+            const a = j * (columns + 1) + i;
+            const b = a + 1;
+            const c = a + columns + 1;
+            const d = c + 1;
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.45,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    })));
+    group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.15
+    })));
+
+    group.userData.volSurface = surface;
+    group.userData.size = { width, depth };
+    return group;
+}